@@ -0,0 +1,169 @@
+/**
+ * Migration Script: Table Reservations
+ *
+ * Bookings used to store only bookingTime and a "booked" status. The
+ * reservation flow needs reservationTime, a table hold window (endTime) and
+ * the new statuses, so this script:
+ *   1. copies bookingTime into reservationTime and drops bookingTime
+ *   2. renames the "booked" status to "confirmed"
+ *   3. fills in branch (from the table), hotel (from the branch) and source
+ *   4. sets a party size of 1 where none was recorded
+ *   5. gives every booking a dining duration and endTime
+ *   6. builds the indexes declared on the model
+ *
+ * Usage:
+ *   node scripts/migrate-bookings.js
+ *
+ * Make sure your .env file has MONGO_URI set before running.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Booking } from "../src/models/Booking.model.js";
+import { Branch } from "../src/models/Branch.model.js";
+import { Table } from "../src/models/Table.model.js";
+import { RESERVATION_SETTINGS } from "../src/config/constants.js";
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI is not set in environment variables.");
+  process.exit(1);
+}
+
+async function run() {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI, {
+      family: 4,
+      serverSelectionTimeoutMS: 30000,
+      autoIndex: false,
+    });
+    console.log("✅ Connected to MongoDB.\n");
+
+    const collection = Booking.collection;
+
+    // 1. bookingTime → reservationTime
+    const renamed = await collection.updateMany(
+      { bookingTime: { $exists: true }, reservationTime: { $exists: false } },
+      [{ $set: { reservationTime: "$bookingTime" } }, { $unset: "bookingTime" }]
+    );
+    const dropped = await collection.updateMany(
+      { bookingTime: { $exists: true } },
+      { $unset: { bookingTime: "" } }
+    );
+    console.log(
+      `✅ Moved bookingTime to reservationTime on ${renamed.modifiedCount} booking(s), dropped it from ${dropped.modifiedCount} more.`
+    );
+
+    // 2. Old status name
+    const statuses = await collection.updateMany(
+      { status: "booked" },
+      { $set: { status: "confirmed" } }
+    );
+    console.log(
+      `✅ Changed ${statuses.modifiedCount} "booked" booking(s) to "confirmed".`
+    );
+
+    // 3. Branch, hotel and source
+    const missingBranch = await collection
+      .find({ branch: null, table: { $ne: null } })
+      .project({ table: 1 })
+      .toArray();
+    for (const booking of missingBranch) {
+      const table = await Table.findById(booking.table).select("branch").lean();
+      if (table?.branch) {
+        await collection.updateOne(
+          { _id: booking._id },
+          { $set: { branch: table.branch } }
+        );
+      }
+    }
+
+    const missingHotel = await collection
+      .find({ hotel: null, branch: { $ne: null } })
+      .project({ branch: 1 })
+      .toArray();
+    for (const booking of missingHotel) {
+      const branch = await Branch.findById(booking.branch)
+        .select("hotel")
+        .lean();
+      if (branch?.hotel) {
+        await collection.updateOne(
+          { _id: booking._id },
+          { $set: { hotel: branch.hotel } }
+        );
+      }
+    }
+
+    await collection.updateMany(
+      { source: { $exists: false }, user: { $ne: null } },
+      { $set: { source: "customer" } }
+    );
+    await collection.updateMany(
+      { source: { $exists: false } },
+      { $set: { source: "manager" } }
+    );
+
+    const orphans = await collection.countDocuments({ branch: null });
+    console.log(
+      `✅ Filled in branch/hotel/source.${
+        orphans > 0
+          ? ` ⚠️  ${orphans} booking(s) still have no branch and need fixing by hand.`
+          : ""
+      }`
+    );
+
+    // 4. Party size was never recorded on old bookings
+    const parties = await collection.updateMany(
+      { partySize: { $exists: false } },
+      { $set: { partySize: 1 } }
+    );
+    console.log(`✅ Set party size 1 on ${parties.modifiedCount} booking(s).`);
+
+    // 5. Table hold window
+    const windows = await collection.updateMany(
+      {
+        reservationTime: { $ne: null },
+        $or: [{ endTime: null }, { durationMinutes: null }],
+      },
+      [
+        {
+          $set: {
+            durationMinutes: {
+              $ifNull: [
+                "$durationMinutes",
+                RESERVATION_SETTINGS.diningDurationMinutes,
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            endTime: {
+              $add: [
+                "$reservationTime",
+                { $multiply: ["$durationMinutes", 60000] },
+              ],
+            },
+          },
+        },
+      ]
+    );
+    console.log(`✅ Set endTime on ${windows.modifiedCount} booking(s).`);
+
+    // 6. Build the indexes declared on the model
+    await Booking.createIndexes();
+    console.log("✅ Booking indexes are up to date.");
+
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,73 @@
+/**
+ * Migration Script: Cart Indexes for Shared Table Carts
+ *
+ * The unique "one active cart per user, hotel and branch" index used to cover
+ * every active cart. Shared table carts need it limited to personal carts
+ * (isShared: false), which MongoDB can't change in place, so this script:
+ *   1. sets isShared: false on carts created before the field existed
+ *   2. drops the old unnamed index (user_1_hotel_1_branch_1_status_1)
+ *   3. builds the named cart indexes from the model
+ *
+ * Usage:
+ *   node scripts/migrate-cart-indexes.js
+ *
+ * Make sure your .env file has MONGO_URI set before running.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Cart } from "../src/models/Cart.model.js";
+
+const MONGO_URI = process.env.MONGO_URI;
+const OLD_INDEX = "user_1_hotel_1_branch_1_status_1";
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI is not set in environment variables.");
+  process.exit(1);
+}
+
+async function run() {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI, {
+      family: 4,
+      serverSelectionTimeoutMS: 30000,
+      autoIndex: false,
+    });
+    console.log("✅ Connected to MongoDB.\n");
+
+    const collection = Cart.collection;
+
+    // 1. Personal carts from before shared carts must match the new filter
+    const backfill = await collection.updateMany(
+      { isShared: { $exists: false } },
+      { $set: { isShared: false } }
+    );
+    console.log(
+      `✅ Set isShared: false on ${backfill.modifiedCount} existing cart(s).`
+    );
+
+    // 2. Drop the old index (its options conflict with the new one)
+    const indexes = await collection.indexes();
+    if (indexes.some((index) => index.name === OLD_INDEX)) {
+      await collection.dropIndex(OLD_INDEX);
+      console.log(`✅ Dropped index ${OLD_INDEX}.`);
+    } else {
+      console.log(`✅ Index ${OLD_INDEX} not found, nothing to drop.`);
+    }
+
+    // 3. Build the indexes declared on the model
+    await Cart.createIndexes();
+    console.log("✅ Cart indexes are up to date.");
+
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+run();
@@ -0,0 +1,172 @@
+/**
+ * Migration Script: Branch Inventory
+ *
+ * Inventory items now need a branch and an item name that is unique within
+ * that branch. Stock created before that may have neither, so this script:
+ *   1. fills in the hotel from the item's branch
+ *   2. reports (and deactivates) items without a branch, which can't be
+ *      assigned automatically and must be fixed by hand
+ *   3. merges items with the same branch, name and unit into the oldest one,
+ *      moving recipe, purchase order and ledger references across
+ *   4. renames same-name items with a different unit to "name (unit)"
+ *   5. builds the indexes declared on the model
+ *
+ * Usage:
+ *   node scripts/migrate-inventory.js
+ *
+ * Make sure your .env file has MONGO_URI set before running.
+ */
+
+import "dotenv/config";
+import mongoose from "mongoose";
+import { Inventory } from "../src/models/Inventory.model.js";
+import { InventoryTransaction } from "../src/models/InventoryTransaction.model.js";
+import { PurchaseOrder } from "../src/models/PurchaseOrder.model.js";
+import { Recipe } from "../src/models/Recipe.model.js";
+import { Branch } from "../src/models/Branch.model.js";
+
+const MONGO_URI = process.env.MONGO_URI;
+
+if (!MONGO_URI) {
+  console.error("❌ MONGO_URI is not set in environment variables.");
+  process.exit(1);
+}
+
+/**
+ * Point every reference to a duplicate stock item at the item it merged into
+ */
+async function moveReferences(fromId, toId) {
+  await Recipe.updateMany(
+    { "ingredients.inventory": fromId },
+    { $set: { "ingredients.$[ing].inventory": toId } },
+    { arrayFilters: [{ "ing.inventory": fromId }] }
+  );
+  await PurchaseOrder.updateMany(
+    { "items.inventory": fromId },
+    { $set: { "items.$[line].inventory": toId } },
+    { arrayFilters: [{ "line.inventory": fromId }] }
+  );
+  await PurchaseOrder.updateMany(
+    { "receipts.items.inventory": fromId },
+    { $set: { "receipts.$[].items.$[line].inventory": toId } },
+    { arrayFilters: [{ "line.inventory": fromId }] }
+  );
+  await InventoryTransaction.updateMany(
+    { inventory: fromId },
+    { $set: { inventory: toId } }
+  );
+}
+
+async function run() {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI, {
+      family: 4,
+      serverSelectionTimeoutMS: 30000,
+      autoIndex: false,
+    });
+    console.log("✅ Connected to MongoDB.\n");
+
+    const collection = Inventory.collection;
+
+    // 1. Hotel comes from the branch
+    const missingHotel = await collection
+      .find({ hotel: { $exists: false }, branch: { $ne: null } })
+      .project({ branch: 1 })
+      .toArray();
+    const branches = await Branch.find({
+      _id: { $in: [...new Set(missingHotel.map((i) => i.branch.toString()))] },
+    })
+      .select("hotel")
+      .lean();
+    const hotelByBranch = new Map(
+      branches.map((branch) => [branch._id.toString(), branch.hotel])
+    );
+    let hotelsSet = 0;
+    for (const item of missingHotel) {
+      const hotel = hotelByBranch.get(item.branch.toString());
+      if (!hotel) continue;
+      await collection.updateOne({ _id: item._id }, { $set: { hotel } });
+      hotelsSet++;
+    }
+    console.log(`✅ Set hotel on ${hotelsSet} inventory item(s).`);
+
+    // 2. Items without a branch can't be used for deductions
+    const orphans = await collection
+      .find({ $or: [{ branch: null }, { branch: { $exists: false } }] })
+      .project({ itemName: 1 })
+      .toArray();
+    if (orphans.length > 0) {
+      await collection.updateMany(
+        { _id: { $in: orphans.map((item) => item._id) } },
+        { $set: { isActive: false } }
+      );
+      console.log(
+        `⚠️  ${orphans.length} inventory item(s) have no branch and were deactivated. Assign a branch by hand:`
+      );
+      orphans.forEach((item) =>
+        console.log(`   - ${item._id} ${item.itemName}`)
+      );
+    }
+
+    // 3 & 4. Duplicate names within a branch (items without one count as one
+    // group, since the unique index treats a missing branch as null)
+    const duplicates = await collection
+      .aggregate([
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+          $group: {
+            _id: {
+              branch: { $ifNull: ["$branch", null] },
+              itemName: { $trim: { input: "$itemName" } },
+            },
+            items: {
+              $push: { _id: "$_id", unit: "$unit", quantity: "$quantity" },
+            },
+          },
+        },
+        { $match: { "items.1": { $exists: true } } },
+      ])
+      .toArray();
+
+    let merged = 0;
+    let renamed = 0;
+    for (const group of duplicates) {
+      const [keep, ...rest] = group.items;
+      for (const item of rest) {
+        if (item.unit === keep.unit) {
+          await collection.updateOne(
+            { _id: keep._id },
+            { $inc: { quantity: item.quantity || 0 } }
+          );
+          await moveReferences(item._id, keep._id);
+          await collection.deleteOne({ _id: item._id });
+          merged++;
+        } else {
+          await collection.updateOne(
+            { _id: item._id },
+            { $set: { itemName: `${group._id.itemName} (${item.unit})` } }
+          );
+          renamed++;
+        }
+      }
+    }
+    console.log(
+      `✅ Merged ${merged} and renamed ${renamed} duplicate inventory item(s).`
+    );
+
+    // 5. Build the indexes declared on the model
+    await Inventory.createIndexes();
+    console.log("✅ Inventory indexes are up to date.");
+
+    await mongoose.disconnect();
+    console.log("🔌 Disconnected from MongoDB.");
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+run();
@@ -6,12 +6,15 @@ import mongoose from "mongoose";
 
 import app from "./src/app.js";
 import connectDB from "./src/config/database.js";
+import { closeRedis } from "./src/config/redis.js";
 import assignmentSystemInit from "./src/services/assignment/init.service.js";
 import scheduledJobsService from "./src/services/jobs/scheduledJobs.service.js";
 import { startAllJobs } from "./src/services/jobs/subscriptionJobs.service.js";
 import { emailQueueService } from "./src/services/emailQueue.service.js";
 import { setupComplaintEvents } from "./src/socket/complaintEvents.js";
 import { setupOrderEvents } from "./src/socket/socketHandler.js";
+import { setupPresenceEvents } from "./src/socket/presenceEvents.js";
+import { setupSocketAdapter } from "./src/socket/adapter/index.js";
 import socketAuthMiddleware from "./src/middleware/socket.auth.middleware.js";
 import { setIO } from "./src/utils/socketService.js";
 import { setSocketIO } from "./src/services/notification.service.js";
@@ -47,8 +50,16 @@ const io = new Server(server, {
       "https://beanrow-user-panel.vercel.app,https://beanrow-admin.vercel.app,http://localhost:3001,http://localhost:3000,https://www.beanrow.com",
     credentials: true,
   },
+  // Long-polling needs every request of a session on the same instance;
+  // "websocket" alone works behind a load balancer without sticky sessions
+  transports: (process.env.SOCKET_TRANSPORTS || "polling,websocket")
+    .split(",")
+    .map((transport) => transport.trim()),
 });
 
+// Rooms span all instances when Redis is configured
+const socketBus = setupSocketAdapter(io);
+
 // Register socket authentication middleware
 io.use(socketAuthMiddleware);
 logger.info("Socket authentication middleware registered");
@@ -56,6 +67,7 @@ logger.info("Socket authentication middleware registered");
 // Setup socket event handlers
 setupComplaintEvents(io);
 setupOrderEvents(io);
+setupPresenceEvents(io);
 
 // Set global socket instance for socketService and notificationService
 setIO(io);
@@ -138,11 +150,15 @@ startServer();
 process.on("SIGTERM", async () => {
   logger.info("SIGTERM received, shutting down...");
   await mongoose.connection.close();
+  await socketBus?.close();
+  await closeRedis();
   server.close(() => process.exit(0));
 });
 
 process.on("SIGINT", async () => {
   logger.info("SIGINT received, shutting down...");
   await mongoose.connection.close();
+  await socketBus?.close();
+  await closeRedis();
   server.close(() => process.exit(0));
 });
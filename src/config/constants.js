@@ -1,2 +1,232 @@
 // Application constants
 export const DB_NAME = "BeanrowseDEVDEB";
+
+// Kitchen display stations that order items are routed to
+export const KITCHEN_STATIONS = ["main", "grill", "tandoor", "bar", "dessert"];
+export const DEFAULT_KITCHEN_STATION = "main";
+
+// Order types; takeaway and delivery carry a per-order packaging charge
+// unless the branch overrides it (Branch.orderTypes.<type>.packagingCharge)
+export const ORDER_TYPES = ["dine_in", "takeaway", "delivery"];
+export const DEFAULT_PACKAGING_CHARGES = {
+  dine_in: 0,
+  takeaway: 20,
+  delivery: 30,
+};
+
+// Business timezone for operating hours, meal periods and scheduled orders
+export const BUSINESS_TIMEZONE = "Asia/Kolkata";
+
+// Meal periods ("HH:MM", business timezone) matched against
+// FoodItem.availableTimings; a period may wrap past midnight
+export const MEAL_PERIODS = {
+  breakfast: { start: "06:00", end: "11:00" },
+  lunch: { start: "11:00", end: "16:00" },
+  snacks: { start: "16:00", end: "19:00" },
+  dinner: { start: "19:00", end: "06:00" },
+};
+
+// Scheduled pre-order limits (SCHEDULED_ORDERS_PER_SLOT overrides the slot cap)
+export const SCHEDULED_ORDER_SETTINGS = {
+  slotMinutes: 15,
+  maxOrdersPerSlot: 10,
+  minLeadMinutes: 30, // scheduledFor must be at least this far ahead
+  maxAdvanceDays: 7,
+};
+
+// Table reservations; a branch can override the first three
+// (Branch.reservationSettings)
+export const RESERVATION_SETTINGS = {
+  slotMinutes: 30, // a slot starts every 30 minutes
+  diningDurationMinutes: 90, // how long a booking holds its table
+  maxPartySize: 12,
+  minAdvanceMinutes: 60,
+  maxAdvanceDays: 30,
+  cancellationCutoffMinutes: 60, // diners can't change a booking later than this
+  reminderLeadMinutes: 180, // reminder email goes out this long before
+  tableHoldLeadMinutes: 30, // table is marked reserved this long before
+};
+
+// Floor plan building blocks
+export const FLOOR_AREA_TYPES = [
+  "indoor",
+  "outdoor",
+  "rooftop",
+  "bar",
+  "private",
+  "other",
+];
+export const TABLE_SHAPES = ["round", "square", "rectangle", "booth"];
+
+// Requests a diner can send from the table
+export const SERVICE_REQUEST_TYPES = [
+  "call_waiter",
+  "request_bill",
+  "request_water",
+  "request_cutlery",
+  "custom",
+];
+
+// Custom requests carry free text, so they are limited per diner instead
+export const SERVICE_REQUEST_SETTINGS = {
+  customWindowMinutes: 10,
+  maxCustomPerWindow: 3,
+};
+
+// Tip pooling; a branch can override these (Branch.tipPool). Shift names
+// match Staff.shiftSchedule so rostered staff share the shift's pool.
+export const TIP_POOL_SETTINGS = {
+  directSharePercent: 50, // to the waiter(s) who served the order
+  kitchenSharePercent: 20, // to the kitchen pool; the rest is the waiter pool
+  shifts: [
+    { name: "morning", start: "06:00", end: "12:00" },
+    { name: "afternoon", start: "12:00", end: "17:00" },
+    { name: "evening", start: "17:00", end: "22:00" },
+    { name: "night", start: "22:00", end: "06:00" },
+  ],
+};
+
+// Shift-aware order assignment; a branch can override these
+// (Branch.shiftAssignment). Modes: "schedule" follows Staff.shiftSchedule,
+// "clock_in" follows attendance clock-ins, "off" ignores shifts.
+export const SHIFT_ASSIGNMENT_MODES = ["off", "schedule", "clock_in"];
+export const SHIFT_ASSIGNMENT_SETTINGS = {
+  mode: "schedule",
+  wrapUpMinutes: 15, // no new orders this close to the end of a shift
+};
+
+// Order assignment strategy; a branch can override these
+// (Branch.assignmentRules). "section_skill" prefers the waiter whose floor
+// plan section holds the table, then waiters with matching specializations.
+export const ASSIGNMENT_STRATEGIES = ["load_balancing", "section_skill"];
+export const ASSIGNMENT_RULES = {
+  strategy: "load_balancing",
+  largeGroupMinSeats: 6, // tables this big want a large_groups waiter
+};
+
+// Offline replay of past orders against an assignment strategy.
+// "round_robin" rotates through every waiter with spare capacity, ignoring load.
+export const SIMULATION_STRATEGIES = ["round_robin", ...ASSIGNMENT_STRATEGIES];
+export const ASSIGNMENT_SIMULATION_LIMITS = {
+  maxWindowDays: 31,
+  maxOrders: 5000,
+  maxRosterSize: 50,
+  defaultPrepMinutes: 15, // orders with no recorded or menu prep time
+  serviceMinutes: 10, // waiter still busy with an order after it is ready
+};
+
+// Diner order tracking: every lifecycle event is kept for replay after a
+// reconnect, for historyRetentionDays
+export const ORDER_TRACKING_EVENTS = [
+  "placed",
+  "scheduled",
+  "queued",
+  "queue_moved",
+  "assigned",
+  "reassigned",
+  "table_changed",
+  "status_changed",
+  "items_added",
+  "batch_cancelled",
+  "cancelled",
+  "timed_out",
+  "refund_updated",
+  "payment_updated",
+];
+export const ORDER_TRACKING_SETTINGS = {
+  historyRetentionDays: 7,
+  maxReplayEvents: 200,
+};
+
+// Push notifications. Tokens that fail maxConsecutiveFailures times in a row
+// (without the provider calling them invalid) or go unseen for
+// staleAfterDays are pruned too.
+export const PUSH_PROVIDERS = ["fcm", "apns", "webpush"];
+export const DEVICE_PLATFORMS = ["android", "ios", "web"];
+export const PUSH_SETTINGS = {
+  maxDevicesPerOwner: 10,
+  maxConsecutiveFailures: 5,
+  staleAfterDays: 90,
+  ttlSeconds: 3600, // providers drop undelivered messages after this
+};
+
+// In-app notification inbox. Each type belongs to a category the inbox can
+// be filtered by. Read notifications are cleaned up after readRetentionDays,
+// everything else after retentionDays.
+export const NOTIFICATION_CATEGORIES = [
+  "order",
+  "complaint",
+  "refund",
+  "payment",
+  "subscription",
+  "inventory",
+  "waitlist",
+  "staff",
+];
+export const NOTIFICATION_TYPES = {
+  // Orders
+  order_assigned: "order",
+  order_from_queue: "order",
+  order_assignment: "order", // manager oversight of an assignment
+  order_reassigned: "order",
+  order_ready: "order",
+  order_items_added: "order",
+  order_items_cancelled: "order",
+  order_status_updated: "order",
+  order_table_changed: "order",
+  order_cancelled: "order",
+  order_timeout_cancelled: "order",
+  orders_handed_off: "order",
+  // Complaints
+  complaint_new: "complaint",
+  complaint_assigned: "complaint",
+  complaint_reassigned: "complaint",
+  complaint_updated: "complaint",
+  complaint_status_updated: "complaint",
+  complaint_response: "complaint",
+  complaint_resolved: "complaint",
+  complaint_escalated: "complaint",
+  complaint_follow_up: "complaint",
+  complaint_viewed: "complaint",
+  // Refunds and payments
+  refund_updated: "refund",
+  payment_confirmed: "payment",
+  payment_config_created: "payment",
+  payment_config_pending_activation: "payment",
+  payment_config_activated: "payment",
+  payment_config_deactivated: "payment",
+  payment_config_deactivation_requested: "payment",
+  payment_config_failed: "payment",
+  // Subscriptions
+  subscription_expiring: "subscription",
+  subscription_expired: "subscription",
+  subscription_payment_failed: "subscription",
+  // Operations
+  low_stock: "inventory",
+  waitlist_table_ready: "waitlist",
+  staff_shift_handoff: "staff",
+  staff_orders_reassigned: "staff",
+  staff_self_deactivated: "staff",
+};
+export const NOTIFICATION_SETTINGS = {
+  retentionDays: 90,
+  readRetentionDays: 30,
+  defaultPageSize: 20,
+  maxPageSize: 100,
+};
+
+// Staff attendance; a branch can override these (Branch.attendance)
+export const ATTENDANCE_SETTINGS = {
+  lateGraceMinutes: 10, // clock-ins this far after the scheduled start are on time
+  geofenceRadiusMeters: 200,
+  maxShiftHours: 16, // open records older than this are closed automatically
+  maxReportDays: 62,
+};
+
+// Walk-in waitlist
+export const WAITLIST_SETTINGS = {
+  defaultTurnMinutes: 60, // used until a branch has enough dine-in history
+  turnTimeLookbackDays: 30,
+  holdMinutes: 10, // a freed table is held this long for the notified party
+  maxPartySize: 20,
+};
@@ -0,0 +1,39 @@
+// src/config/redis.js
+import Redis from "ioredis";
+import { logger } from "../utils/logger.js";
+
+let client = null;
+
+/**
+ * Redis is optional; without REDIS_URL shared state falls back to MongoDB
+ */
+export const isRedisConfigured = () => Boolean(process.env.REDIS_URL);
+
+/**
+ * Shared ioredis client, created on first use
+ * @returns {Redis|null} null when REDIS_URL is not set
+ */
+export const getRedisClient = () => {
+  if (!isRedisConfigured()) {
+    return null;
+  }
+
+  if (!client) {
+    client = new Redis(process.env.REDIS_URL, {
+      keyPrefix: process.env.REDIS_KEY_PREFIX || "tabletop:",
+      maxRetriesPerRequest: 3,
+    });
+    client.on("ready", () => logger.info("Redis connected"));
+    client.on("error", (error) =>
+      logger.error("Redis error:", { message: error.message })
+    );
+  }
+  return client;
+};
+
+export const closeRedis = async () => {
+  if (client) {
+    await client.quit();
+    client = null;
+  }
+};
@@ -8,6 +8,7 @@ import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
 import { getAdminHotelScope } from "../../utils/adminHotelScope.js";
+import purchaseOrderService from "../../services/purchaseOrder.service.js";
 
 /**
  * Build a scoped branchQuery that enforces hotel ownership.
@@ -439,10 +440,16 @@ export const getProfitLossReport = asyncHandler(async (req, res, next) => {
   const revenue = revenueData[0]?.totalRevenue || 0;
   const totalOrders = revenueData[0]?.totalOrders || 0;
 
-  // Calculate costs (this would need to be implemented based on your cost structure)
-  // For now, we'll use estimated percentages
+  // Cost of goods is what was actually received from suppliers in the
+  // period; the remaining cost heads are still estimated from revenue
+  const costOfGoods = await purchaseOrderService.getCostOfGoods(
+    branchQuery,
+    start,
+    end
+  );
+
   const estimatedCosts = {
-    foodCosts: revenue * 0.3, // 30% of revenue
+    foodCosts: costOfGoods.total,
     laborCosts: revenue * 0.25, // 25% of revenue
     operatingCosts: revenue * 0.15, // 15% of revenue
     marketingCosts: revenue * 0.05, // 5% of revenue
@@ -458,7 +465,7 @@ export const getProfitLossReport = asyncHandler(async (req, res, next) => {
   const profitMargin = revenue > 0 ? (netProfit / revenue) * 100 : 0;
 
   // Monthly breakdown
-  const monthlyData = await Order.aggregate([
+  const monthlyRevenue = await Order.aggregate([
     {
       $match: {
         ...branchQuery,
@@ -475,15 +482,31 @@ export const getProfitLossReport = asyncHandler(async (req, res, next) => {
         orders: { $sum: 1 },
       },
     },
-    {
-      $addFields: {
-        estimatedCosts: { $multiply: ["$revenue", 0.8] }, // 80% of revenue as costs
-        profit: { $multiply: ["$revenue", 0.2] }, // 20% profit margin
-      },
-    },
-    { $sort: { "_id.month": 1 } },
   ]);
 
+  // Months with purchases but no sales still show up
+  const months = new Set([
+    ...monthlyRevenue.map((m) => m._id.month),
+    ...Object.keys(costOfGoods.byMonth),
+  ]);
+  const monthlyData = [...months].sort().map((month) => {
+    const sales = monthlyRevenue.find((m) => m._id.month === month);
+    const monthRevenue = sales?.revenue || 0;
+    const monthCostOfGoods = costOfGoods.byMonth[month] || 0;
+    // Labour, operating, marketing and other: 50% of revenue
+    const monthCosts = monthCostOfGoods + monthRevenue * 0.5;
+
+    return {
+      _id: { month },
+      revenue: monthRevenue,
+      orders: sales?.orders || 0,
+      costOfGoods: monthCostOfGoods,
+      grossProfit: monthRevenue - monthCostOfGoods,
+      estimatedCosts: monthCosts,
+      profit: monthRevenue - monthCosts,
+    };
+  });
+
   res.status(200).json(
     new APIResponse(
       200,
@@ -495,6 +518,7 @@ export const getProfitLossReport = asyncHandler(async (req, res, next) => {
           netProfit,
           profitMargin: Math.round(profitMargin * 100) / 100,
           totalCosts,
+          costOfGoods: costOfGoods.total,
         },
         costs: estimatedCosts,
         monthlyBreakdown: monthlyData,
@@ -681,13 +705,60 @@ export const getBestSellingItems = asyncHandler(async (req, res, next) => {
       },
     },
     { $unwind: "$items" },
+    // A combo counts as itself and as a sale of each of its components
+    {
+      $project: {
+        lines: {
+          $concatArrays: [
+            [
+              {
+                foodItem: "$items.foodItem",
+                quantity: "$items.quantity",
+                revenue: "$items.totalPrice",
+                price: "$items.price",
+                fromCombo: false,
+              },
+            ],
+            {
+              $map: {
+                input: { $ifNull: ["$items.customizations.comboItems", []] },
+                as: "component",
+                in: {
+                  foodItem: "$$component.foodItem",
+                  quantity: {
+                    $multiply: ["$$component.quantity", "$items.quantity"],
+                  },
+                  revenue: {
+                    $multiply: [
+                      "$$component.allocatedPrice",
+                      "$items.quantity",
+                    ],
+                  },
+                  price: {
+                    $divide: [
+                      "$$component.allocatedPrice",
+                      "$$component.quantity",
+                    ],
+                  },
+                  fromCombo: true,
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+    { $unwind: "$lines" },
     {
       $group: {
-        _id: "$items.foodItem",
-        totalQuantity: { $sum: "$items.quantity" },
-        totalRevenue: { $sum: "$items.totalPrice" },
+        _id: "$lines.foodItem",
+        totalQuantity: { $sum: "$lines.quantity" },
+        totalRevenue: { $sum: "$lines.revenue" },
         orderCount: { $sum: 1 },
-        avgPrice: { $avg: "$items.price" },
+        avgPrice: { $avg: "$lines.price" },
+        comboQuantity: {
+          $sum: { $cond: ["$lines.fromCombo", "$lines.quantity", 0] },
+        },
       },
     },
     { $sort: { totalQuantity: -1 } },
@@ -714,7 +785,9 @@ export const getBestSellingItems = asyncHandler(async (req, res, next) => {
       $project: {
         name: "$item.name",
         category: "$category.name",
+        itemType: { $ifNull: ["$item.itemType", "single"] },
         totalQuantity: 1,
+        comboQuantity: 1,
         totalRevenue: 1,
         orderCount: 1,
         avgPrice: 1,
@@ -0,0 +1,43 @@
+// src/controllers/admin/assignmentSimulation.controller.js - Assignment strategy simulator
+import { assignmentSimulationValidationSchemas } from "../../validators/assignmentSimulation.validators.js";
+import assignmentSimulatorService from "../../services/assignment/assignmentSimulator.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { getAdminHotelScope } from "../../utils/adminHotelScope.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Replay a branch's past orders against assignment strategies
+ * POST /api/v1/admin/assignment/simulate
+ * Runs in memory only; no orders, staff or live assignment state change.
+ * @access Admin
+ */
+export const simulateAssignment = asyncHandler(async (req, res) => {
+  const { error, value } =
+    assignmentSimulationValidationSchemas.simulate.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  await getAdminHotelScope(req, { branchId: value.branchId });
+  if (
+    req.admin.role === "branch_admin" &&
+    !req.admin.canAccessBranch(value.branchId)
+  ) {
+    throw new APIError(403, "You don't have access to this branch");
+  }
+
+  const { branchId, ...options } = value;
+  const simulation = await assignmentSimulatorService.simulate(
+    branchId,
+    options
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, simulation, "Assignment simulation completed"));
+});
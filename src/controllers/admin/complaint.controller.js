@@ -11,6 +11,7 @@ import {
   emitComplaintAssigned,
   emitComplaintUpdate,
   emitComplaintResolved,
+  recordComplaintNotification,
 } from "../../socket/complaintEvents.js";
 import { getIO } from "../../utils/socketService.js";
 import Joi from "joi";
@@ -442,6 +443,23 @@ export const assignComplaintToStaff = asyncHandler(async (req, res, next) => {
       message: `Admin assigned complaint #${complaint.complaintId} to ${staff.name}`,
     });
 
+    recordComplaintNotification(
+      complaint,
+      { staffId },
+      {
+        type: "complaint_assigned",
+        message: `You have been assigned complaint #${complaint.complaintId} by admin`,
+      }
+    );
+    recordComplaintNotification(
+      complaint,
+      { userId: complaint.user },
+      {
+        type: "complaint_assigned",
+        message: `Your complaint has been assigned to ${staff.name}`,
+      }
+    );
+
     logger.info(
       `Socket event emitted for admin assignment to staff ${staffId}`
     );
@@ -690,6 +708,16 @@ export const addComplaintResponse = asyncHandler(async (req, res, next) => {
       });
     }
 
+    recordComplaintNotification(
+      complaint,
+      {
+        branchId: complaint.branch,
+        staffId: complaint.assignedTo?._id,
+        userId: isInternal ? null : complaint.user,
+      },
+      { type: "complaint_response", message: socketData.message }
+    );
+
     logger.info(
       `Socket event 'complaint:response' emitted for complaint ${complaint.complaintId}`
     );
@@ -810,6 +838,26 @@ export const resolveComplaint = asyncHandler(async (req, res, next) => {
       message: `Admin resolved complaint #${resolvedComplaint.complaintId}`,
     });
 
+    recordComplaintNotification(
+      resolvedComplaint,
+      { userId: resolvedComplaint.user._id },
+      {
+        type: "complaint_resolved",
+        message: `Your complaint has been resolved by admin. You received ${coinsAwarded} coins as compensation.`,
+      }
+    );
+    recordComplaintNotification(
+      resolvedComplaint,
+      {
+        staffId: resolvedComplaint.assignedTo?._id,
+        branchId: resolvedComplaint.branch,
+      },
+      {
+        type: "complaint_resolved",
+        message: `Admin resolved complaint #${resolvedComplaint.complaintId}`,
+      }
+    );
+
     logger.info(
       `Socket events emitted for admin resolution of complaint ${resolvedComplaint.complaintId}`
     );
@@ -2,14 +2,18 @@
 export * from "./accounting.controller.js";
 export * from "./accountingDashboard.controller.js";
 export * from "./analytics.controller.js";
+export * from "./assignmentSimulation.controller.js";
 export * from "./branch.controller.js";
 export * from "./coin.controller.js";
 export * from "./complaint.controller.js";
 export * from "./hotel.controller.js";
+export * from "./inventory.controller.js";
 export * from "./manager.controller.js";
 export * from "./menu.controller.js";
+export * from "./modifierGroup.controller.js";
 export { default as offerController } from "./offer.controller.js";
 export * from "./order.controller.js";
+export * from "./purchasing.controller.js";
 export * from "./reviewModeration.controller.js";
 export * from "./staff.controller.js";
 export * from "./subscription.controller.js";
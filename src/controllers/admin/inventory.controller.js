@@ -0,0 +1,393 @@
+import {
+  Inventory,
+  inventoryValidationSchemas,
+} from "../../models/Inventory.model.js";
+import { Recipe, recipeValidationSchema } from "../../models/Recipe.model.js";
+import { FoodItem } from "../../models/FoodItem.model.js";
+import { Branch } from "../../models/Branch.model.js";
+import inventoryService from "../../services/inventory.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { getAdminHotelScope } from "../../utils/adminHotelScope.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Check the admin owns the branch (and, for branch admins, is assigned to it)
+ */
+const assertBranchAccess = async (req, branchId) => {
+  await getAdminHotelScope(req, { branchId });
+
+  if (
+    req.admin.role === "branch_admin" &&
+    !req.admin.canAccessBranch(branchId)
+  ) {
+    throw new APIError(403, "You don't have access to this branch");
+  }
+};
+
+/**
+ * Load an inventory item the admin is allowed to manage
+ */
+const findScopedInventory = async (req) => {
+  const inventory = await Inventory.findById(req.params.inventoryId);
+  if (!inventory) {
+    throw new APIError(404, "Inventory item not found");
+  }
+
+  await assertBranchAccess(req, inventory.branch);
+  return inventory;
+};
+
+// Inventory items
+
+export const getInventoryItems = asyncHandler(async (req, res) => {
+  const {
+    hotelId,
+    branchId,
+    search,
+    lowStock,
+    isActive,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const adminHotelIds = await getAdminHotelScope(req, { hotelId, branchId });
+
+  const query = {};
+  if (branchId) {
+    query.branch = branchId;
+  } else if (req.admin.role === "branch_admin") {
+    query.branch = { $in: req.admin.assignedBranches };
+  }
+  if (hotelId) {
+    query.hotel = hotelId;
+  } else if (adminHotelIds) {
+    query.hotel = { $in: adminHotelIds };
+  }
+  if (search) {
+    query.itemName = new RegExp(search, "i");
+  }
+  if (lowStock === "true") {
+    query.$expr = { $lte: ["$quantity", "$threshold"] };
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [items, totalItems] = await Promise.all([
+    Inventory.find(query)
+      .populate("branch", "name branchId")
+      .sort({ itemName: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Inventory.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalItems / limit),
+          totalItems,
+          hasNextPage: page < Math.ceil(totalItems / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+      "Inventory retrieved successfully"
+    )
+  );
+});
+
+export const createInventoryItem = asyncHandler(async (req, res) => {
+  const { error, value } = inventoryValidationSchemas.create.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const { branchId, quantity, ...fields } = value;
+  await assertBranchAccess(req, branchId);
+
+  const branch = await Branch.findById(branchId).select("hotel");
+
+  const existing = await Inventory.findOne({
+    branch: branchId,
+    itemName: fields.itemName,
+  });
+  if (existing) {
+    throw new APIError(
+      409,
+      "An inventory item with this name already exists in this branch"
+    );
+  }
+
+  const inventory = await Inventory.create({
+    ...fields,
+    quantity: 0,
+    branch: branchId,
+    hotel: branch.hotel,
+    createdBy: req.admin._id,
+  });
+
+  // Opening stock goes on the ledger like any other restock
+  if (quantity > 0) {
+    await inventoryService.adjustStock(inventory._id, quantity, {
+      type: "restock",
+      note: "Opening stock",
+      performedBy: req.admin._id,
+      performedByModel: "Admin",
+    });
+  }
+
+  const item = await Inventory.findById(inventory._id);
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(201, { item }, "Inventory item created successfully")
+    );
+});
+
+export const getInventoryItemById = asyncHandler(async (req, res) => {
+  const inventory = await findScopedInventory(req);
+
+  const recipes = await Recipe.find({ "ingredients.inventory": inventory._id })
+    .populate("foodItem", "name isAvailable")
+    .select("foodItem ingredients");
+
+  const usedIn = recipes.map((recipe) => ({
+    foodItem: recipe.foodItem,
+    quantityPerPortion: recipe.ingredients.find(
+      (ingredient) =>
+        ingredient.inventory.toString() === inventory._id.toString()
+    )?.quantity,
+  }));
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { item: inventory, usedIn },
+        "Inventory item retrieved successfully"
+      )
+    );
+});
+
+export const updateInventoryItem = asyncHandler(async (req, res) => {
+  const { error, value } = inventoryValidationSchemas.update.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const inventory = await findScopedInventory(req);
+
+  if (value.itemName && value.itemName !== inventory.itemName) {
+    const duplicate = await Inventory.findOne({
+      branch: inventory.branch,
+      itemName: value.itemName,
+      _id: { $ne: inventory._id },
+    });
+    if (duplicate) {
+      throw new APIError(
+        409,
+        "An inventory item with this name already exists in this branch"
+      );
+    }
+  }
+
+  inventory.set(value);
+  await inventory.save();
+
+  // A new threshold can put the item into (or out of) low stock
+  if (value.threshold !== undefined) {
+    await inventoryService.checkStockLevel(inventory);
+  }
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { item: inventory },
+        "Inventory item updated successfully"
+      )
+    );
+});
+
+export const deleteInventoryItem = asyncHandler(async (req, res) => {
+  const inventory = await findScopedInventory(req);
+
+  const recipeCount = await Recipe.countDocuments({
+    "ingredients.inventory": inventory._id,
+  });
+  if (recipeCount > 0) {
+    throw new APIError(
+      400,
+      `This item is used in ${recipeCount} recipe(s). Remove it from them or deactivate it instead.`
+    );
+  }
+
+  await inventory.deleteOne();
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Inventory item deleted successfully"));
+});
+
+export const adjustInventoryStock = asyncHandler(async (req, res) => {
+  const { error, value } = inventoryValidationSchemas.adjust.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const inventory = await findScopedInventory(req);
+
+  const change = value.type === "waste" ? -value.quantity : value.quantity;
+  const item = await inventoryService.adjustStock(inventory._id, change, {
+    type: value.type,
+    note: value.note,
+    performedBy: req.admin._id,
+    performedByModel: "Admin",
+  });
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { item }, "Stock updated successfully"));
+});
+
+export const getInventoryTransactions = asyncHandler(async (req, res) => {
+  const inventory = await findScopedInventory(req);
+  const { page = 1, limit = 20 } = req.query;
+
+  const history = await inventoryService.getHistory(inventory._id, {
+    page,
+    limit,
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { item: inventory, ...history },
+        "Stock history retrieved successfully"
+      )
+    );
+});
+
+// Recipes
+
+/**
+ * Load a food item the admin manages, for recipe endpoints
+ */
+const findScopedFoodItem = async (req) => {
+  const foodItem = await FoodItem.findOne({
+    _id: req.params.foodItemId,
+    createdBy: req.admin._id,
+  }).select("name hotel branch itemType");
+  if (!foodItem) {
+    throw new APIError(404, "Food item not found");
+  }
+
+  if (
+    req.admin.role === "branch_admin" &&
+    !req.admin.canAccessBranch(foodItem.branch)
+  ) {
+    throw new APIError(403, "You don't have access to this food item");
+  }
+
+  return foodItem;
+};
+
+export const getRecipe = asyncHandler(async (req, res) => {
+  const foodItem = await findScopedFoodItem(req);
+
+  const recipe = await Recipe.findOne({ foodItem: foodItem._id }).populate(
+    "ingredients.inventory",
+    "itemName unit quantity threshold"
+  );
+  if (!recipe) {
+    throw new APIError(404, "No recipe set for this food item");
+  }
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { recipe }, "Recipe retrieved successfully"));
+});
+
+export const upsertRecipe = asyncHandler(async (req, res) => {
+  const { error, value } = recipeValidationSchema.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const foodItem = await findScopedFoodItem(req);
+  if (foodItem.itemType === "combo") {
+    throw new APIError(400, "Combos use the recipes of their component items");
+  }
+
+  // Ingredients must be stocked at the food item's branch
+  const inventoryIds = value.ingredients.map((i) => i.inventory);
+  const stocked = await Inventory.countDocuments({
+    _id: { $in: inventoryIds },
+    branch: foodItem.branch,
+  });
+  if (stocked !== inventoryIds.length) {
+    throw new APIError(
+      400,
+      "One or more ingredients are not inventory items of this branch"
+    );
+  }
+
+  const recipe = await Recipe.findOneAndUpdate(
+    { foodItem: foodItem._id },
+    {
+      $set: {
+        ingredients: value.ingredients,
+        notes: value.notes,
+        hotel: foodItem.hotel,
+        branch: foodItem.branch,
+      },
+      $setOnInsert: { createdBy: req.admin._id },
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).populate("ingredients.inventory", "itemName unit quantity threshold");
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { recipe }, "Recipe saved successfully"));
+});
+
+export const deleteRecipe = asyncHandler(async (req, res) => {
+  const foodItem = await findScopedFoodItem(req);
+
+  const result = await Recipe.deleteOne({ foodItem: foodItem._id });
+  if (result.deletedCount === 0) {
+    throw new APIError(404, "No recipe set for this food item");
+  }
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Recipe deleted successfully"));
+});
@@ -13,6 +13,7 @@ import {
 } from "../../utils/idResolver.js";
 import { validateFoodItemData } from "../../validators/foodItem.validators.js";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+import { assertComboComponents } from "../../services/combo.service.js";
 
 // Food Category Management
 export const getAllCategories = asyncHandler(async (req, res) => {
@@ -489,6 +490,8 @@ export const createFoodItem = asyncHandler(async (req, res, next) => {
     "nutritionalInfo",
     "dietaryInfo",
     "availableTimings",
+    "orderTypePricing",
+    "comboSlots",
   ];
   for (const field of jsonFields) {
     if (bodyData[field] && typeof bodyData[field] === "string") {
@@ -630,6 +633,14 @@ export const createFoodItem = asyncHandler(async (req, res, next) => {
     resolvedHotelId = hotelId;
   }
 
+  // Combo components must be single dishes from the same branch
+  if (otherFields.itemType === "combo" && otherFields.comboSlots?.length) {
+    await assertComboComponents(otherFields.comboSlots, {
+      hotel: resolvedHotelId,
+      branch: resolvedBranchId,
+    });
+  }
+
   const foodItem = new FoodItem({
     name,
     description,
@@ -728,6 +739,8 @@ export const updateFoodItem = asyncHandler(async (req, res, next) => {
     "nutritionalInfo",
     "dietaryInfo",
     "availableTimings",
+    "orderTypePricing",
+    "comboSlots",
   ];
   for (const field of jsonFields) {
     if (bodyData[field] && typeof bodyData[field] === "string") {
@@ -818,6 +831,15 @@ export const updateFoodItem = asyncHandler(async (req, res, next) => {
     }
   }
 
+  const itemType = updates.itemType || foodItem.itemType;
+  if (itemType === "combo" && updates.comboSlots?.length) {
+    await assertComboComponents(updates.comboSlots, {
+      hotel: foodItem.hotel,
+      branch: foodItem.branch._id,
+      comboId: foodItem._id,
+    });
+  }
+
   updates.lastModifiedBy = req.admin._id;
 
   // Handle image upload
@@ -879,6 +901,19 @@ export const deleteFoodItem = asyncHandler(async (req, res, next) => {
     return next(new APIError(403, "You don't have access to this food item"));
   }
 
+  // Keep combos intact: the item has to be taken out of them first
+  const usedInCombo = await FoodItem.findOne({
+    "comboSlots.foodItems": foodItem._id,
+  }).select("name");
+  if (usedInCombo) {
+    return next(
+      new APIError(
+        400,
+        `Food item is part of the combo "${usedInCombo.name}". Remove it from the combo first.`
+      )
+    );
+  }
+
   await FoodItem.findByIdAndDelete(itemId);
 
   res
@@ -0,0 +1,256 @@
+import {
+  ModifierGroup,
+  modifierGroupValidationSchemas,
+} from "../../models/ModifierGroup.model.js";
+import { FoodItem } from "../../models/FoodItem.model.js";
+import { FoodCategory } from "../../models/FoodCategory.model.js";
+import { Branch } from "../../models/Branch.model.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+import { getAdminHotelScope } from "../../utils/adminHotelScope.js";
+
+/**
+ * Check the admin owns the hotel, the branch is part of it and branch admins
+ * only reach their own branches
+ */
+const assertScopeAccess = async (req, { hotelId, branchId }) => {
+  const adminHotelIds = await getAdminHotelScope(req, { hotelId, branchId });
+  if (
+    adminHotelIds &&
+    !adminHotelIds.some((id) => id.toString() === hotelId.toString())
+  ) {
+    throw new APIError(403, "You do not have access to this hotel");
+  }
+
+  if (branchId) {
+    const inHotel = await Branch.exists({ _id: branchId, hotel: hotelId });
+    if (!inHotel) {
+      throw new APIError(400, "Branch does not belong to this hotel");
+    }
+  }
+
+  if (
+    req.admin.role === "branch_admin" &&
+    (!branchId || !req.admin.canAccessBranch(branchId))
+  ) {
+    throw new APIError(403, "You don't have access to this branch");
+  }
+};
+
+/**
+ * Make sure every referenced food item and category belongs to the hotel
+ */
+const assertTargetsInHotel = async (hotelId, { foodItems, categories }) => {
+  if (foodItems?.length) {
+    const count = await FoodItem.countDocuments({
+      _id: { $in: foodItems },
+      hotel: hotelId,
+    });
+    if (count !== foodItems.length) {
+      throw new APIError(400, "One or more food items not found in this hotel");
+    }
+  }
+
+  if (categories?.length) {
+    const count = await FoodCategory.countDocuments({
+      _id: { $in: categories },
+      hotel: hotelId,
+    });
+    if (count !== categories.length) {
+      throw new APIError(400, "One or more categories not found in this hotel");
+    }
+  }
+};
+
+/**
+ * Load a modifier group owned by the admin and check branch access
+ */
+const findOwnedModifierGroup = async (req) => {
+  const group = await ModifierGroup.findOne({
+    _id: req.params.groupId,
+    createdBy: req.admin._id,
+  });
+  if (!group) {
+    throw new APIError(404, "Modifier group not found");
+  }
+
+  if (
+    req.admin.role === "branch_admin" &&
+    (!group.branch || !req.admin.canAccessBranch(group.branch))
+  ) {
+    throw new APIError(403, "You don't have access to this modifier group");
+  }
+
+  return group;
+};
+
+const populateModifierGroup = (query) =>
+  query
+    .populate("branch", "name branchId")
+    .populate("foodItems", "name price")
+    .populate("categories", "name");
+
+export const getAllModifierGroups = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = 10,
+    search,
+    hotelId,
+    branchId,
+    foodItemId,
+    isActive,
+  } = req.query;
+
+  const query = { createdBy: req.admin._id };
+
+  if (search) {
+    query.name = new RegExp(search, "i");
+  }
+  if (hotelId) {
+    query.hotel = hotelId;
+  }
+  if (branchId) {
+    query.branch = branchId;
+  }
+  if (foodItemId) {
+    query.foodItems = foodItemId;
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  // Filter by assigned branches if admin has limited access
+  if (req.admin.role === "branch_admin") {
+    query.branch = { $in: req.admin.assignedBranches };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [modifierGroups, totalGroups] = await Promise.all([
+    populateModifierGroup(ModifierGroup.find(query))
+      .sort({ displayOrder: 1, createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    ModifierGroup.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        modifierGroups,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalGroups / limit),
+          totalGroups,
+          hasNextPage: page < Math.ceil(totalGroups / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+      "Modifier groups retrieved successfully"
+    )
+  );
+});
+
+export const createModifierGroup = asyncHandler(async (req, res) => {
+  const { error, value } = modifierGroupValidationSchemas.create.validate(
+    req.body
+  );
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const { hotelId, branchId, ...fields } = value;
+
+  await assertScopeAccess(req, { hotelId, branchId });
+  await assertTargetsInHotel(hotelId, fields);
+
+  const group = await ModifierGroup.create({
+    ...fields,
+    hotel: hotelId,
+    branch: branchId || null,
+    createdBy: req.admin._id,
+  });
+
+  const modifierGroup = await populateModifierGroup(
+    ModifierGroup.findById(group._id)
+  );
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        { modifierGroup },
+        "Modifier group created successfully"
+      )
+    );
+});
+
+export const getModifierGroupById = asyncHandler(async (req, res) => {
+  const group = await findOwnedModifierGroup(req);
+  const modifierGroup = await populateModifierGroup(
+    ModifierGroup.findById(group._id)
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { modifierGroup },
+        "Modifier group retrieved successfully"
+      )
+    );
+});
+
+export const updateModifierGroup = asyncHandler(async (req, res) => {
+  const { error, value } = modifierGroupValidationSchemas.update.validate(
+    req.body
+  );
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const group = await findOwnedModifierGroup(req);
+
+  await assertTargetsInHotel(group.hotel, value);
+
+  // Options sent with an _id keep it so items already in carts still resolve
+  group.set(value);
+  await group.save();
+
+  const modifierGroup = await populateModifierGroup(
+    ModifierGroup.findById(group._id)
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { modifierGroup },
+        "Modifier group updated successfully"
+      )
+    );
+});
+
+export const deleteModifierGroup = asyncHandler(async (req, res) => {
+  const group = await findOwnedModifierGroup(req);
+
+  // Orders keep their own copy of the picked modifiers, so this is safe
+  await group.deleteOne();
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Modifier group deleted successfully"));
+});
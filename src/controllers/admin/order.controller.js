@@ -327,7 +327,9 @@ export const confirmCashPayment = asyncHandler(async (req, res, next) => {
   const updatedOrder = await orderService.confirmCashPayment(
     orderId,
     adminId,
-    "admin"
+    "admin",
+    req.body?.shareId,
+    req.body?.tipAmount
   );
 
   // Send review invitation email + invoice email + socket notification (shared helpers)
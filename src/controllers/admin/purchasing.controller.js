@@ -0,0 +1,356 @@
+import {
+  Supplier,
+  supplierValidationSchemas,
+} from "../../models/Supplier.model.js";
+import {
+  PurchaseOrder,
+  purchaseOrderValidationSchemas,
+} from "../../models/PurchaseOrder.model.js";
+import { Branch } from "../../models/Branch.model.js";
+import purchaseOrderService from "../../services/purchaseOrder.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { getAdminHotelScope } from "../../utils/adminHotelScope.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+const validate = (schema, body) => {
+  const { error, value } = schema.validate(body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+const actorOf = (admin) => ({ id: admin._id, model: "Admin" });
+
+/**
+ * Check hotel/branch ownership; branch admins only reach their branches
+ */
+const assertScopeAccess = async (req, { hotelId, branchId }) => {
+  await getAdminHotelScope(req, { hotelId, branchId });
+
+  if (
+    req.admin.role === "branch_admin" &&
+    (!branchId || !req.admin.canAccessBranch(branchId))
+  ) {
+    throw new APIError(403, "You don't have access to this branch");
+  }
+};
+
+const findScopedSupplier = async (req) => {
+  const supplier = await Supplier.findById(req.params.supplierId);
+  if (!supplier) {
+    throw new APIError(404, "Supplier not found");
+  }
+
+  await assertScopeAccess(req, {
+    hotelId: supplier.hotel,
+    branchId: supplier.branch,
+  });
+  return supplier;
+};
+
+const findScopedPurchaseOrder = async (req) => {
+  const purchaseOrder = await PurchaseOrder.findById(
+    req.params.purchaseOrderId
+  );
+  if (!purchaseOrder) {
+    throw new APIError(404, "Purchase order not found");
+  }
+
+  await assertScopeAccess(req, { branchId: purchaseOrder.branch });
+  return purchaseOrder;
+};
+
+/**
+ * Hotel/branch filter for list endpoints
+ */
+const buildListQuery = async (req, { hotelId, branchId }) => {
+  const adminHotelIds = await getAdminHotelScope(req, { hotelId, branchId });
+
+  const query = {};
+  if (branchId) {
+    query.branch = branchId;
+  } else if (req.admin.role === "branch_admin") {
+    query.branch = { $in: req.admin.assignedBranches };
+  }
+  if (hotelId) {
+    query.hotel = hotelId;
+  } else if (adminHotelIds) {
+    query.hotel = { $in: adminHotelIds };
+  }
+  return query;
+};
+
+// Suppliers
+
+export const getSuppliers = asyncHandler(async (req, res) => {
+  const { hotelId, branchId, search, isActive } = req.query;
+
+  const query = await buildListQuery(req, { hotelId, branchId });
+  // A branch also sees the hotel-wide suppliers
+  if (query.branch) {
+    query.$or = [{ branch: query.branch }, { branch: null }];
+    delete query.branch;
+  }
+  if (search) {
+    query.name = new RegExp(search, "i");
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  const suppliers = await Supplier.find(query)
+    .populate("branch", "name branchId")
+    .sort({ name: 1 });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { suppliers }, "Suppliers retrieved successfully")
+    );
+});
+
+export const createSupplier = asyncHandler(async (req, res) => {
+  const { hotelId, branchId, ...fields } = validate(
+    supplierValidationSchemas.create,
+    req.body
+  );
+
+  let hotel = hotelId;
+  if (branchId) {
+    const branch = await Branch.findById(branchId).select("hotel");
+    if (!branch) {
+      throw new APIError(404, "Branch not found");
+    }
+    hotel = branch.hotel;
+  }
+  if (!hotel) {
+    throw new APIError(400, "Hotel ID or branch ID is required");
+  }
+
+  await assertScopeAccess(req, { hotelId: hotel, branchId });
+
+  const existing = await Supplier.findOne({
+    hotel,
+    branch: branchId || null,
+    name: fields.name,
+  });
+  if (existing) {
+    throw new APIError(409, "A supplier with this name already exists");
+  }
+
+  const supplier = await Supplier.create({
+    ...fields,
+    hotel,
+    branch: branchId || null,
+    createdBy: req.admin._id,
+    createdByModel: "Admin",
+  });
+
+  res
+    .status(201)
+    .json(new APIResponse(201, { supplier }, "Supplier created successfully"));
+});
+
+export const updateSupplier = asyncHandler(async (req, res) => {
+  const value = validate(supplierValidationSchemas.update, req.body);
+  const supplier = await findScopedSupplier(req);
+
+  supplier.set(value);
+  await supplier.save();
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { supplier }, "Supplier updated successfully"));
+});
+
+export const deleteSupplier = asyncHandler(async (req, res) => {
+  const supplier = await findScopedSupplier(req);
+
+  const orderCount = await PurchaseOrder.countDocuments({
+    supplier: supplier._id,
+  });
+  if (orderCount > 0) {
+    throw new APIError(
+      400,
+      `This supplier has ${orderCount} purchase order(s). Deactivate it instead.`
+    );
+  }
+
+  await supplier.deleteOne();
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Supplier deleted successfully"));
+});
+
+// Purchase orders
+
+export const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const {
+    hotelId,
+    branchId,
+    supplierId,
+    status,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  const query = await buildListQuery(req, { hotelId, branchId });
+  if (supplierId) {
+    query.supplier = supplierId;
+  }
+  if (status) {
+    query.status = status;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [purchaseOrders, totalOrders] = await Promise.all([
+    PurchaseOrder.find(query)
+      .populate("supplier", "name phone")
+      .populate("branch", "name branchId")
+      .select("-receipts")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PurchaseOrder.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        purchaseOrders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalOrders / limit),
+          totalOrders,
+          hasNextPage: page < Math.ceil(totalOrders / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+      "Purchase orders retrieved successfully"
+    )
+  );
+});
+
+export const getPurchaseOrderById = asyncHandler(async (req, res) => {
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+  await purchaseOrder.populate([
+    { path: "supplier", select: "name contactPerson phone email" },
+    { path: "branch", select: "name branchId" },
+    { path: "receipts.receivedBy", select: "name" },
+  ]);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { purchaseOrder },
+        "Purchase order retrieved successfully"
+      )
+    );
+});
+
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { branchId, ...value } = validate(
+    purchaseOrderValidationSchemas.create,
+    req.body
+  );
+  if (!branchId) {
+    throw new APIError(400, "Branch ID is required");
+  }
+
+  await assertScopeAccess(req, { branchId });
+  const branch = await Branch.findById(branchId).select("hotel");
+
+  const purchaseOrder = await purchaseOrderService.createPurchaseOrder(
+    { ...value, hotel: branch.hotel, branch: branch._id },
+    actorOf(req.admin)
+  );
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        { purchaseOrder },
+        "Purchase order created successfully"
+      )
+    );
+});
+
+export const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const value = validate(purchaseOrderValidationSchemas.update, req.body);
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+
+  await purchaseOrderService.updateDraft(purchaseOrder, value);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { purchaseOrder },
+        "Purchase order updated successfully"
+      )
+    );
+});
+
+export const sendPurchaseOrder = asyncHandler(async (req, res) => {
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+
+  await purchaseOrderService.markSent(purchaseOrder);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { purchaseOrder }, "Purchase order marked as sent")
+    );
+});
+
+export const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const value = validate(purchaseOrderValidationSchemas.receive, req.body);
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+
+  await purchaseOrderService.receiveItems(
+    purchaseOrder,
+    value,
+    actorOf(req.admin)
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { purchaseOrder }, "Delivery recorded successfully")
+    );
+});
+
+export const closePurchaseOrder = asyncHandler(async (req, res) => {
+  const { reason } = validate(purchaseOrderValidationSchemas.cancel, req.body);
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+
+  await purchaseOrderService.closeShort(purchaseOrder, reason);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { purchaseOrder }, "Purchase order closed"));
+});
+
+export const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const { reason } = validate(purchaseOrderValidationSchemas.cancel, req.body);
+  const purchaseOrder = await findScopedPurchaseOrder(req);
+
+  await purchaseOrderService.cancel(purchaseOrder, reason);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { purchaseOrder }, "Purchase order cancelled"));
+});
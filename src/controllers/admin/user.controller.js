@@ -99,8 +99,15 @@ export const getUserById = asyncHandler(async (req, res, next) => {
 
 export const updateUser = asyncHandler(async (req, res, next) => {
   const { userId } = req.params;
-  const { name, username, phone, isEmailVerified, isPhoneVerified, coins } =
-    req.body;
+  const {
+    name,
+    username,
+    phone,
+    isEmailVerified,
+    isPhoneVerified,
+    coins,
+    isVip,
+  } = req.body;
 
   const user = await User.findByIdAndUpdate(
     userId,
@@ -111,6 +118,7 @@ export const updateUser = asyncHandler(async (req, res, next) => {
       ...(isEmailVerified !== undefined && { isEmailVerified }),
       ...(isPhoneVerified !== undefined && { isPhoneVerified }),
       ...(coins !== undefined && { coins }),
+      ...(typeof isVip === "boolean" && { isVip }),
     },
     { new: true, runValidators: true }
   ).select("-password -refreshToken -passwordResetToken");
@@ -508,7 +508,7 @@ export const resetRoundRobin = asyncHandler(async (req, res, next) => {
   }
 
   // Reset round-robin with hotel and branch context
-  assignmentService.resetRoundRobin(hotelId, branchId);
+  await assignmentService.resetRoundRobin(hotelId, branchId);
 
   const scope = branchId
     ? `hotel ${hotelId}, branch ${branchId}`
@@ -0,0 +1,249 @@
+import { Branch } from "../../models/Branch.model.js";
+import {
+  Attendance,
+  attendanceValidationSchemas,
+} from "../../models/Attendance.model.js";
+import attendanceService from "../../services/attendance.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+// Helper: manager's branch ID (may be populated)
+const managerBranchId = (manager) => manager.branch?._id || manager.branch;
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {});
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+const findBranchTimesheet = async (req) => {
+  const record = await Attendance.findOne({
+    _id: req.params.attendanceId,
+    branch: managerBranchId(req.user),
+  });
+  if (!record) {
+    throw new APIError(404, "Timesheet not found");
+  }
+  return record;
+};
+
+// Get the branch clock-in rules and approved devices
+export const getAttendanceSettings = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(managerBranchId(req.user))
+    .select("attendance location.coordinates")
+    .lean();
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        settings: attendanceService.getSettings(branch),
+        branchCoordinates: branch?.location?.coordinates || null,
+      },
+      "Attendance settings retrieved successfully"
+    )
+  );
+});
+
+// Change the clock-in rules (geofence, approved devices only, grace period)
+export const updateAttendanceSettings = asyncHandler(async (req, res) => {
+  const updates = validate(attendanceValidationSchemas.settings, req.body);
+
+  const branch = await Branch.findById(managerBranchId(req.user)).select(
+    "attendance location.coordinates"
+  );
+  const coordinates = branch.location?.coordinates;
+  if (
+    updates.requireGeofence &&
+    (coordinates?.latitude === undefined ||
+      coordinates?.longitude === undefined)
+  ) {
+    throw new APIError(
+      400,
+      "Set the branch coordinates before requiring on-site clock-in"
+    );
+  }
+
+  for (const [key, value] of Object.entries(updates)) {
+    branch.set(`attendance.${key}`, value);
+  }
+  await branch.save();
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { settings: attendanceService.getSettings(branch) },
+        "Attendance settings updated successfully"
+      )
+    );
+});
+
+// Approve a device for clocking in
+export const approveAttendanceDevice = asyncHandler(async (req, res) => {
+  const { deviceId, label } = validate(
+    attendanceValidationSchemas.device,
+    req.body
+  );
+
+  const branch = await Branch.findById(managerBranchId(req.user)).select(
+    "attendance"
+  );
+  if (
+    branch.attendance.approvedDevices.some(
+      (device) => device.deviceId === deviceId
+    )
+  ) {
+    throw new APIError(409, "Device is already approved");
+  }
+
+  branch.attendance.approvedDevices.push({
+    deviceId,
+    label,
+    approvedBy: req.user._id,
+  });
+  await branch.save();
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        { devices: branch.attendance.approvedDevices },
+        "Device approved successfully"
+      )
+    );
+});
+
+// Revoke a device
+export const revokeAttendanceDevice = asyncHandler(async (req, res) => {
+  const result = await Branch.updateOne(
+    {
+      _id: managerBranchId(req.user),
+      "attendance.approvedDevices.deviceId": req.params.deviceId,
+    },
+    {
+      $pull: {
+        "attendance.approvedDevices": { deviceId: req.params.deviceId },
+      },
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw new APIError(404, "Device not found");
+  }
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Device revoked successfully"));
+});
+
+// List timesheets in a date range
+export const getTimesheets = asyncHandler(async (req, res) => {
+  const { from, to, staffId, approvalStatus } = validate(
+    attendanceValidationSchemas.timesheets,
+    req.query
+  );
+
+  const query = {
+    branch: managerBranchId(req.user),
+    businessDate: { $gte: from, $lte: to },
+  };
+  if (staffId) query.staff = staffId;
+  if (approvalStatus !== "all") query["approval.status"] = approvalStatus;
+
+  const timesheets = await Attendance.find(query)
+    .populate("staff", "name staffId role")
+    .sort({ businessDate: -1, "clockIn.at": -1 });
+
+  const totals = timesheets.reduce(
+    (acc, record) => {
+      acc.workedMinutes += record.workedMinutes;
+      acc[record.approval.status] += 1;
+      return acc;
+    },
+    { workedMinutes: 0, pending: 0, approved: 0, rejected: 0 }
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { timesheets, totals },
+        "Timesheets retrieved successfully"
+      )
+    );
+});
+
+// Correct a timesheet's clock-in/out or breaks
+export const adjustTimesheet = asyncHandler(async (req, res) => {
+  const changes = validate(attendanceValidationSchemas.adjust, req.body);
+  const record = await findBranchTimesheet(req);
+
+  const updated = await attendanceService.adjust(record, changes, req.user._id);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { timesheet: updated }, "Timesheet adjusted"));
+});
+
+// Approve or reject a timesheet
+export const reviewTimesheet = asyncHandler(async (req, res) => {
+  const review = validate(attendanceValidationSchemas.review, req.body);
+  const record = await findBranchTimesheet(req);
+
+  const updated = await attendanceService.review(record, review, req.user._id);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { timesheet: updated },
+        `Timesheet ${review.decision}`
+      )
+    );
+});
+
+// Late/absent report against the shift schedule
+export const getAttendanceReport = asyncHandler(async (req, res) => {
+  const range = validate(attendanceValidationSchemas.report, req.query);
+  const report = await attendanceService.getLateAbsentReport(
+    managerBranchId(req.user),
+    range
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, report, "Attendance report generated successfully")
+    );
+});
+
+// Same report as an Excel download
+export const exportAttendanceReport = asyncHandler(async (req, res) => {
+  const range = validate(attendanceValidationSchemas.report, req.query);
+  const report = await attendanceService.getLateAbsentReport(
+    managerBranchId(req.user),
+    range
+  );
+  const buffer = await attendanceService.buildReportWorkbook(report);
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="attendance_${range.from}_${range.to}.xlsx"`
+  );
+  res.send(Buffer.from(buffer));
+});
@@ -9,6 +9,7 @@ import {
   emitComplaintAssigned,
   emitComplaintUpdate,
   emitComplaintResolved,
+  recordComplaintNotification,
 } from "../../socket/complaintEvents.js";
 import { getIO } from "../../utils/socketService.js";
 import Joi from "joi";
@@ -437,6 +438,14 @@ export const assignComplaintToStaff = asyncHandler(async (req, res, next) => {
       staffId: staffId,
       message: `You have been assigned complaint #${updatedComplaint.complaintId} by manager`,
     });
+    recordComplaintNotification(
+      updatedComplaint,
+      { staffId },
+      {
+        type: "complaint_assigned",
+        message: `You have been assigned complaint #${updatedComplaint.complaintId} by manager`,
+      }
+    );
 
     // Notify user (customer)
     io.to(`user_${updatedComplaint.user}`).emit("complaint:assigned", {
@@ -444,6 +453,14 @@ export const assignComplaintToStaff = asyncHandler(async (req, res, next) => {
       userId: updatedComplaint.user,
       message: `Your complaint has been assigned to ${staff.name}`,
     });
+    recordComplaintNotification(
+      updatedComplaint,
+      { userId: updatedComplaint.user },
+      {
+        type: "complaint_assigned",
+        message: `Your complaint has been assigned to ${staff.name}`,
+      }
+    );
 
     // Notify admins in the hotel (not branch, to avoid duplicate for staff)
     io.to(`hotel_${updatedComplaint.hotel}`).emit("complaint:assigned", {
@@ -451,6 +468,14 @@ export const assignComplaintToStaff = asyncHandler(async (req, res, next) => {
       hotelId: updatedComplaint.hotel,
       message: `Manager assigned complaint #${updatedComplaint.complaintId} to ${staff.name}`,
     });
+    recordComplaintNotification(
+      updatedComplaint,
+      { hotelId: updatedComplaint.hotel },
+      {
+        type: "complaint_assigned",
+        message: `Manager assigned complaint #${updatedComplaint.complaintId} to ${staff.name}`,
+      }
+    );
 
     logger.info(
       `Socket event emitted for complaint assignment to staff ${staffId}`
@@ -702,6 +727,16 @@ export const addComplaintResponse = asyncHandler(async (req, res, next) => {
       });
     }
 
+    recordComplaintNotification(
+      updatedComplaint,
+      {
+        hotelId: updatedComplaint.hotel._id,
+        staffId: updatedComplaint.assignedTo?._id,
+        userId: isPublic !== false ? updatedComplaint.user._id : null,
+      },
+      { type: "complaint_response", message: socketData.message }
+    );
+
     logger.info(
       `Socket event 'complaint:response' emitted for complaint ${updatedComplaint.complaintId}`
     );
@@ -813,6 +848,14 @@ export const resolveComplaint = asyncHandler(async (req, res, next) => {
       userId: resolvedComplaint.user._id,
       message: `Your complaint has been resolved by manager. You received ${coinsAwarded} coins as compensation.`,
     });
+    recordComplaintNotification(
+      resolvedComplaint,
+      { userId: resolvedComplaint.user._id },
+      {
+        type: "complaint_resolved",
+        message: `Your complaint has been resolved by manager. You received ${coinsAwarded} coins as compensation.`,
+      }
+    );
 
     // Notify assigned staff
     if (resolvedComplaint.assignedTo) {
@@ -832,6 +875,17 @@ export const resolveComplaint = asyncHandler(async (req, res, next) => {
       hotelId: resolvedComplaint.hotel,
       message: `Manager resolved complaint #${resolvedComplaint.complaintId}`,
     });
+    recordComplaintNotification(
+      resolvedComplaint,
+      {
+        staffId: resolvedComplaint.assignedTo?._id,
+        hotelId: resolvedComplaint.hotel,
+      },
+      {
+        type: "complaint_resolved",
+        message: `Manager resolved complaint #${resolvedComplaint.complaintId}`,
+      }
+    );
 
     logger.info(
       `Socket events emitted for manager resolution of complaint ${resolvedComplaint.complaintId}`
@@ -13,6 +13,7 @@ import bcrypt from "bcrypt";
 import fs from "fs";
 import Joi from "joi";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+import serviceRequestService from "../../services/serviceRequest.service.js";
 
 
 /**
@@ -45,6 +46,8 @@ export const getDashboard = asyncHandler(async (req, res) => {
     upcomingReservations,
     recentComplaints,
     branchPerformance,
+    serviceRequestsToday,
+    serviceRequestsThisWeek,
   ] = await Promise.all([
     // Today's statistics
     getDayStats(managerBranch, startOfToday),
@@ -91,6 +94,10 @@ export const getDashboard = asyncHandler(async (req, res) => {
 
     // Branch performance metrics
     getBranchPerformanceMetrics(managerBranch, startOfMonth),
+
+    // Table service request response times
+    serviceRequestService.getResponseMetrics(managerBranch, startOfToday),
+    serviceRequestService.getResponseMetrics(managerBranch, startOfWeek),
   ]);
 
   const dashboard = {
@@ -102,6 +109,10 @@ export const getDashboard = asyncHandler(async (req, res) => {
     operationalStatus: {
       tables: tableStatus,
       staff: staffStatus,
+      serviceRequests: {
+        today: serviceRequestsToday,
+        thisWeek: serviceRequestsThisWeek,
+      },
     },
     recentActivity: {
       orders: recentOrders.map((order) => ({
@@ -0,0 +1,72 @@
+import {
+  FloorPlan,
+  floorPlanValidationSchemas,
+} from "../../models/FloorPlan.model.js";
+import floorPlanService from "../../services/floorPlan.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+// Helper: manager's hotel/branch IDs (both may be populated)
+const managerScope = (manager) => ({
+  hotel: manager.hotel?._id || manager.hotel,
+  branch: manager.branch?._id || manager.branch,
+});
+
+// Get the branch floor plan layout
+export const getFloorPlan = asyncHandler(async (req, res) => {
+  const plan = await floorPlanService.getPlan(managerScope(req.user).branch);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { floorPlan: plan },
+        "Floor plan retrieved successfully"
+      )
+    );
+});
+
+// Save the whole layout: areas, table positions and waiter sections
+export const saveFloorPlan = asyncHandler(async (req, res) => {
+  const { error, value } = floorPlanValidationSchemas.save.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const plan = await floorPlanService.savePlan(managerScope(req.user), value, {
+    id: req.user._id,
+    model: "Manager",
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { floorPlan: plan }, "Floor plan saved successfully")
+    );
+});
+
+// Remove the layout (tables themselves are untouched)
+export const deleteFloorPlan = asyncHandler(async (req, res) => {
+  await FloorPlan.deleteOne({ branch: managerScope(req.user).branch });
+
+  res
+    .status(200)
+    .json(new APIResponse(200, null, "Floor plan deleted successfully"));
+});
+
+// Layout with each table's live status, order age and waiter
+export const getLiveFloorPlan = asyncHandler(async (req, res) => {
+  const live = await floorPlanService.getLiveFloorPlan(
+    managerScope(req.user).branch
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, live, "Live floor plan retrieved successfully"));
+});
@@ -1,7 +1,11 @@
 // Manager controllers barrel export
+export * from "./attendance.controller.js";
 export * from "./complaint.controller.js";
 export * from "./dashboard.controller.js";
+export * from "./floorPlan.controller.js";
+export * from "./inventory.controller.js";
 export * from "./menu.controller.js";
 export * from "./order.controller.js";
 export * from "./staff.controller.js";
 export * from "./table.controller.js";
+export * from "./tip.controller.js";
@@ -0,0 +1,292 @@
+import {
+  Supplier,
+  supplierValidationSchemas,
+} from "../../models/Supplier.model.js";
+import {
+  PurchaseOrder,
+  purchaseOrderValidationSchemas,
+} from "../../models/PurchaseOrder.model.js";
+import inventoryService from "../../services/inventory.service.js";
+import purchaseOrderService from "../../services/purchaseOrder.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+// Helper: manager's hotel/branch IDs (both may be populated)
+const managerScope = (manager) => ({
+  hotel: manager.hotel?._id || manager.hotel,
+  branch: manager.branch?._id || manager.branch,
+});
+
+const actorOf = (manager) => ({ id: manager._id, model: "Manager" });
+
+/**
+ * Load a purchase order of the manager's branch
+ */
+const findBranchPurchaseOrder = async (req) => {
+  const purchaseOrder = await PurchaseOrder.findOne({
+    _id: req.params.purchaseOrderId,
+    branch: managerScope(req.manager).branch,
+  });
+  if (!purchaseOrder) {
+    throw new APIError(404, "Purchase order not found");
+  }
+  return purchaseOrder;
+};
+
+const validate = (schema, body) => {
+  const { error, value } = schema.validate(body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+// Stock
+
+// Get stock levels for the manager's branch
+export const getStock = asyncHandler(async (req, res) => {
+  const { lowStock, search } = req.query;
+
+  const items = await inventoryService.getBranchStock(
+    managerScope(req.manager).branch,
+    { lowStockOnly: lowStock === "true", search }
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { items }, "Stock retrieved successfully"));
+});
+
+// Suppliers
+
+// Get suppliers available to the branch (hotel-wide and branch-only)
+export const getSuppliers = asyncHandler(async (req, res) => {
+  const { search, isActive } = req.query;
+  const { hotel, branch } = managerScope(req.manager);
+
+  const query = { hotel, $or: [{ branch: null }, { branch }] };
+  if (search) {
+    query.name = new RegExp(search, "i");
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
+  const suppliers = await Supplier.find(query).sort({ name: 1 });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { suppliers }, "Suppliers retrieved successfully")
+    );
+});
+
+// Add a supplier for the manager's branch
+export const createSupplier = asyncHandler(async (req, res) => {
+  const { hotelId, branchId, ...fields } = validate(
+    supplierValidationSchemas.create,
+    req.body
+  );
+  const { hotel, branch } = managerScope(req.manager);
+
+  const existing = await Supplier.findOne({ hotel, branch, name: fields.name });
+  if (existing) {
+    throw new APIError(409, "A supplier with this name already exists");
+  }
+
+  const supplier = await Supplier.create({
+    ...fields,
+    hotel,
+    branch,
+    createdBy: req.manager._id,
+    createdByModel: "Manager",
+  });
+
+  res
+    .status(201)
+    .json(new APIResponse(201, { supplier }, "Supplier created successfully"));
+});
+
+// Update a supplier the branch owns (hotel-wide suppliers are admin-managed)
+export const updateSupplier = asyncHandler(async (req, res) => {
+  const value = validate(supplierValidationSchemas.update, req.body);
+
+  const supplier = await Supplier.findOne({
+    _id: req.params.supplierId,
+    branch: managerScope(req.manager).branch,
+  });
+  if (!supplier) {
+    throw new APIError(404, "Supplier not found");
+  }
+
+  supplier.set(value);
+  await supplier.save();
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { supplier }, "Supplier updated successfully"));
+});
+
+// Purchase orders
+
+// Get the branch's purchase orders
+export const getPurchaseOrders = asyncHandler(async (req, res) => {
+  const { status, supplierId, page = 1, limit = 20 } = req.query;
+
+  const query = { branch: managerScope(req.manager).branch };
+  if (status) {
+    query.status = status;
+  }
+  if (supplierId) {
+    query.supplier = supplierId;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [purchaseOrders, totalOrders] = await Promise.all([
+    PurchaseOrder.find(query)
+      .populate("supplier", "name phone")
+      .select("-receipts")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    PurchaseOrder.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        purchaseOrders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalOrders / limit),
+          totalOrders,
+          hasNextPage: page < Math.ceil(totalOrders / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+      "Purchase orders retrieved successfully"
+    )
+  );
+});
+
+// Get a purchase order with its deliveries
+export const getPurchaseOrder = asyncHandler(async (req, res) => {
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+  await purchaseOrder.populate([
+    { path: "supplier", select: "name contactPerson phone email" },
+    { path: "receipts.receivedBy", select: "name" },
+  ]);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { purchaseOrder },
+        "Purchase order retrieved successfully"
+      )
+    );
+});
+
+// Create a draft purchase order
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { branchId, ...value } = validate(
+    purchaseOrderValidationSchemas.create,
+    req.body
+  );
+
+  const purchaseOrder = await purchaseOrderService.createPurchaseOrder(
+    { ...value, ...managerScope(req.manager) },
+    actorOf(req.manager)
+  );
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        { purchaseOrder },
+        "Purchase order created successfully"
+      )
+    );
+});
+
+// Edit a draft purchase order
+export const updatePurchaseOrder = asyncHandler(async (req, res) => {
+  const value = validate(purchaseOrderValidationSchemas.update, req.body);
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+
+  await purchaseOrderService.updateDraft(purchaseOrder, value);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { purchaseOrder },
+        "Purchase order updated successfully"
+      )
+    );
+});
+
+// Mark a draft as sent to the supplier
+export const sendPurchaseOrder = asyncHandler(async (req, res) => {
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+
+  await purchaseOrderService.markSent(purchaseOrder);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { purchaseOrder }, "Purchase order marked as sent")
+    );
+});
+
+// Record a delivery; received quantities go into stock
+export const receivePurchaseOrder = asyncHandler(async (req, res) => {
+  const value = validate(purchaseOrderValidationSchemas.receive, req.body);
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+
+  await purchaseOrderService.receiveItems(
+    purchaseOrder,
+    value,
+    actorOf(req.manager)
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { purchaseOrder }, "Delivery recorded successfully")
+    );
+});
+
+// Close a partially received order short
+export const closePurchaseOrder = asyncHandler(async (req, res) => {
+  const { reason } = validate(purchaseOrderValidationSchemas.cancel, req.body);
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+
+  await purchaseOrderService.closeShort(purchaseOrder, reason);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { purchaseOrder }, "Purchase order closed"));
+});
+
+// Cancel a purchase order before delivery
+export const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const { reason } = validate(purchaseOrderValidationSchemas.cancel, req.body);
+  const purchaseOrder = await findBranchPurchaseOrder(req);
+
+  await purchaseOrderService.cancel(purchaseOrder, reason);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { purchaseOrder }, "Purchase order cancelled"));
+});
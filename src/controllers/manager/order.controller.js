@@ -5,7 +5,11 @@ import { FoodItem } from "../../models/FoodItem.model.js";
 import { Table } from "../../models/Table.model.js";
 import assignmentService from "../../services/assignment/assignment.service.js";
 import orderService from "../../services/order/order.service.js";
+import { publishOrderEvent } from "../../services/order/orderTracking.service.js";
+import { releaseScheduledSlot } from "../../services/order/scheduledOrder.service.js";
 import timeTracker from "../../services/timeTracker.service.js";
+import kitchenService from "../../services/kitchen.service.js";
+import inventoryService from "../../services/inventory.service.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { logger } from "../../utils/logger.js";
@@ -66,7 +70,7 @@ export const getAllOrders = asyncHandler(async (req, res, next) => {
 
   if (status && status !== "all") {
     if (status === "active") {
-      filter.status = { $in: ["pending", "preparing", "ready"] };
+      filter.status = { $in: ["pending", "confirmed", "preparing", "ready"] };
     } else {
       filter.status = status;
     }
@@ -218,7 +222,10 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
 
   // Validate status transition
   const validTransitions = {
-    pending: ["preparing", "cancelled"],
+    scheduled: ["cancelled"], // Released to the kitchen by the scheduler only
+    // Kitchen tickets go out on "confirmed", so it can't be skipped
+    pending: ["confirmed", "cancelled"],
+    confirmed: ["preparing", "cancelled"],
     preparing: ["ready", "cancelled"],
     ready: ["served", "cancelled"],
     served: ["completed"],
@@ -226,6 +233,11 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     cancelled: [], // No transitions from cancelled
   };
 
+  // Takeaway / delivery orders are handed over straight from "ready"
+  if (order.orderType && order.orderType !== "dine_in") {
+    validTransitions.ready = ["served", "completed", "cancelled"];
+  }
+
   if (!validTransitions[order.status]?.includes(status)) {
     return next(
       new APIError(
@@ -280,6 +292,46 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     .populate("staff", "name staffId")
     .populate("table", "tableNumber");
 
+  if (order.status === "scheduled") {
+    await releaseScheduledSlot(order);
+  }
+
+  await publishOrderEvent(
+    orderId,
+    status === "cancelled" ? "cancelled" : "status_changed",
+    { message: status === "cancelled" ? notes : undefined }
+  );
+
+  // Keep kitchen station displays in step with the order
+  if (status === "confirmed") {
+    await orderService.dispatchOrderToKitchen(orderId);
+  } else {
+    try {
+      if (status === "cancelled") {
+        await kitchenService.voidOrderTickets(orderId, notes);
+      } else if (["ready", "served"].includes(status)) {
+        await kitchenService.closeOrderTickets(orderId, managerId);
+      }
+    } catch (kitchenError) {
+      logger.error(
+        `Failed to update kitchen tickets for order ${orderId}:`,
+        kitchenError
+      );
+    }
+  }
+
+  // Put back the stock a cancelled order had taken
+  if (status === "cancelled") {
+    try {
+      await inventoryService.restoreForOrder(orderId, notes || undefined);
+    } catch (inventoryError) {
+      logger.error(
+        `Failed to restore inventory for order ${orderId}:`,
+        inventoryError
+      );
+    }
+  }
+
   // Release table when order is completed or cancelled
   if (status === "completed" || status === "cancelled") {
     if (updatedOrder.table) {
@@ -352,6 +404,7 @@ export const getOrdersByStatus = asyncHandler(async (req, res, next) => {
   // Validate status
   const validStatuses = [
     "pending",
+    "confirmed",
     "preparing",
     "ready",
     "served",
@@ -592,6 +645,7 @@ const validateGetOrdersQuery = (data) => {
         "all",
         "active",
         "pending",
+        "confirmed",
         "preparing",
         "ready",
         "served",
@@ -632,7 +686,14 @@ const validateStatusUpdate = (data) => {
   const schema = Joi.object({
     orderId: Joi.string().length(24).hex().required(),
     status: Joi.string()
-      .valid("preparing", "ready", "served", "completed", "cancelled")
+      .valid(
+        "confirmed",
+        "preparing",
+        "ready",
+        "served",
+        "completed",
+        "cancelled"
+      )
       .required(),
     notes: Joi.string().max(500).optional(),
   });
@@ -673,7 +734,9 @@ export const confirmCashPayment = asyncHandler(async (req, res, next) => {
   const updatedOrder = await orderService.confirmCashPayment(
     orderId,
     managerId,
-    "manager"
+    "manager",
+    req.body?.shareId,
+    req.body?.tipAmount
   );
 
   // Send review invitation email + invoice email + socket notification (shared helpers)
@@ -3,6 +3,7 @@ import { Staff } from "../../models/Staff.model.js";
 import { Order } from "../../models/Order.model.js";
 import { Hotel } from "../../models/Hotel.model.js";
 import { Branch } from "../../models/Branch.model.js";
+import { FloorPlan } from "../../models/FloorPlan.model.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { staffValidationSchemas } from "../../models/Staff.model.js";
@@ -11,6 +12,13 @@ import Joi from "joi";
 import bcrypt from "bcrypt";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
 import { handleDeactivationSideEffects } from "../../services/staffDeactivation.service.js";
+import shiftAvailabilityService from "../../services/assignment/shiftAvailability.service.js";
+import assignmentStrategyService from "../../services/assignment/assignmentStrategy.service.js";
+import presenceService from "../../services/presence.service.js";
+import {
+  ASSIGNMENT_STRATEGIES,
+  SHIFT_ASSIGNMENT_MODES,
+} from "../../config/constants.js";
 
 /**
  * Create new staff member
@@ -772,7 +780,220 @@ export const updateStaffSchedule = asyncHandler(async (req, res, next) => {
     );
 });
 
+/**
+ * Get shift-aware assignment rules and which waiters are taking orders now
+ * GET /api/v1/manager/staff/shift-assignment
+ * @access Manager
+ */
+export const getShiftAssignmentSettings = asyncHandler(async (req, res) => {
+  const branchId = req.user.branch?._id || req.user.branch;
+
+  const [branch, waiters] = await Promise.all([
+    Branch.findById(branchId).select("shiftAssignment").lean(),
+    Staff.find({ branch: branchId, role: "waiter", status: "active" })
+      .select("name staffId isAvailable shiftSchedule")
+      .lean(),
+  ]);
+  const settings = shiftAvailabilityService.getSettings(branch);
+  const states = await shiftAvailabilityService.getShiftStates(
+    waiters,
+    settings
+  );
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        settings,
+        waiters: waiters.map((waiter) => ({
+          id: waiter._id,
+          name: waiter.name,
+          staffId: waiter.staffId,
+          isAvailable: waiter.isAvailable,
+          ...states.get(waiter._id.toString()),
+        })),
+      },
+      "Shift assignment settings retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Update shift-aware assignment rules
+ * PUT /api/v1/manager/staff/shift-assignment
+ * @access Manager
+ */
+export const updateShiftAssignmentSettings = asyncHandler(
+  async (req, res, next) => {
+    const { error, value } = validateShiftAssignmentSettings(req.body);
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const branch = await Branch.findById(
+      req.user.branch?._id || req.user.branch
+    ).select("shiftAssignment");
+    for (const [key, setting] of Object.entries(value)) {
+      branch.set(`shiftAssignment.${key}`, setting);
+    }
+    await branch.save();
+
+    logger.info(
+      `Shift assignment settings for branch ${branch._id} updated by manager ${req.user._id}`
+    );
+
+    res
+      .status(200)
+      .json(
+        new APIResponse(
+          200,
+          { settings: shiftAvailabilityService.getSettings(branch) },
+          "Shift assignment settings updated successfully"
+        )
+      );
+  }
+);
+
+/**
+ * Get the branch order assignment strategy and each waiter's section and
+ * specializations
+ * GET /api/v1/manager/staff/assignment-strategy
+ * @access Manager
+ */
+export const getAssignmentStrategy = asyncHandler(async (req, res) => {
+  const branchId = req.user.branch?._id || req.user.branch;
+
+  const [branch, waiters, plan] = await Promise.all([
+    Branch.findById(branchId).select("assignmentRules").lean(),
+    Staff.find({ branch: branchId, role: "waiter", status: "active" })
+      .select("name staffId specializations")
+      .lean(),
+    FloorPlan.findOne({ branch: branchId }).select("sections").lean(),
+  ]);
+
+  const sectionsOf = (waiterId) =>
+    (plan?.sections || [])
+      .filter((section) =>
+        section.waiters.some((id) => id.toString() === waiterId.toString())
+      )
+      .map((section) => section.name);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        rules: assignmentStrategyService.getRules(branch),
+        waiters: waiters.map((waiter) => ({
+          id: waiter._id,
+          name: waiter.name,
+          staffId: waiter.staffId,
+          specializations: waiter.specializations || [],
+          sections: sectionsOf(waiter._id),
+        })),
+      },
+      "Assignment strategy retrieved successfully"
+    )
+  );
+});
+
+/**
+ * Choose the branch order assignment strategy
+ * PUT /api/v1/manager/staff/assignment-strategy
+ * @access Manager
+ */
+export const updateAssignmentStrategy = asyncHandler(async (req, res, next) => {
+  const { error, value } = validateAssignmentRules(req.body);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const branch = await Branch.findById(
+    req.user.branch?._id || req.user.branch
+  ).select("assignmentRules");
+  for (const [key, setting] of Object.entries(value)) {
+    branch.set(`assignmentRules.${key}`, setting);
+  }
+  await branch.save();
+
+  logger.info(
+    `Assignment strategy for branch ${branch._id} updated by manager ${req.user._id}`
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { rules: assignmentStrategyService.getRules(branch) },
+        "Assignment strategy updated successfully"
+      )
+    );
+});
+
+/**
+ * Get which branch staff and managers are connected right now
+ * GET /api/v1/manager/staff/presence
+ * @access Manager
+ */
+export const getStaffPresence = asyncHandler(async (req, res) => {
+  const branchId = req.user.branch?._id || req.user.branch;
+
+  const [staff, presence] = await Promise.all([
+    Staff.find({ branch: branchId, status: "active" })
+      .select("name staffId role isAvailable")
+      .lean(),
+    presenceService.getBranchPresence(branchId.toString()),
+  ]);
+  const connections = new Map(
+    presence.staff.map((entry) => [entry.id, entry.connections])
+  );
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        online: presence.staff.length,
+        staff: staff.map((member) => ({
+          id: member._id,
+          name: member.name,
+          staffId: member.staffId,
+          role: member.role,
+          isAvailable: member.isAvailable,
+          isOnline: connections.has(member._id.toString()),
+          connections: connections.get(member._id.toString()) || 0,
+        })),
+        managers: presence.managers.map(({ id, name, connections }) => ({
+          id,
+          name,
+          connections,
+        })),
+      },
+      "Staff presence retrieved successfully"
+    )
+  );
+});
+
 // Validation schemas
+const validateAssignmentRules = (data) => {
+  const schema = Joi.object({
+    strategy: Joi.string()
+      .valid(...ASSIGNMENT_STRATEGIES)
+      .optional(),
+    largeGroupMinSeats: Joi.number().integer().min(2).max(50).optional(),
+  }).min(1);
+  return schema.validate(data);
+};
+
+const validateShiftAssignmentSettings = (data) => {
+  const schema = Joi.object({
+    mode: Joi.string()
+      .valid(...SHIFT_ASSIGNMENT_MODES)
+      .optional(),
+    wrapUpMinutes: Joi.number().integer().min(0).max(120).optional(),
+  }).min(1);
+  return schema.validate(data);
+};
+
 const validateGetStaffQuery = (data) => {
   const schema = Joi.object({
     role: Joi.string()
@@ -1,12 +1,16 @@
 // src/controllers/manager/tableController.js - Manager Table Management Controller
 import { Table } from "../../models/Table.model.js";
 import { Booking } from "../../models/Booking.model.js";
+import { Branch } from "../../models/Branch.model.js";
 import { Order } from "../../models/Order.model.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { logger } from "../../utils/logger.js";
 import Joi from "joi";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+import tableTransferService from "../../services/tableTransfer.service.js";
+import reservationService from "../../services/reservation.service.js";
+import floorPlanService from "../../services/floorPlan.service.js";
 
 
 /**
@@ -321,74 +325,11 @@ export const deleteTable = asyncHandler(async (req, res, next) => {
  * @access Manager
  */
 export const getTableStatus = asyncHandler(async (req, res) => {
-  const managerBranch = req.user.branch;
+  const managerBranch = req.user.branch?._id || req.user.branch;
 
   // Get real-time table status
-  const tables = await Table.find({
-    branch: managerBranch,
-    isActive: true,
-  })
-    .populate("currentOrder", "orderNumber status totalPrice createdAt")
-    .populate("currentReservation", "customerName reservationTime partySize")
-    .sort({ tableNumber: 1 })
-    .collation({ locale: "en", numericOrdering: true });
-
-  // Calculate status statistics
-  const statusCounts = tables.reduce((acc, table) => {
-    acc[table.status] = (acc[table.status] || 0) + 1;
-    return acc;
-  }, {});
-
-  // Calculate occupancy rate
-  const totalTables = tables.length;
-  const occupiedTables = statusCounts.occupied || 0;
-  const occupancyRate =
-    totalTables > 0 ? ((occupiedTables / totalTables) * 100).toFixed(1) : 0;
-
-  // Get tables needing attention
-  const needsAttention = tables.filter(
-    (table) =>
-      table.status === "needs_cleaning" ||
-      (table.currentOrder && table.currentOrder.status === "ready")
-  );
-
-  const statusOverview = {
-    summary: {
-      total: totalTables,
-      available: statusCounts.available || 0,
-      occupied: statusCounts.occupied || 0,
-      reserved: statusCounts.reserved || 0,
-      needsCleaning: statusCounts.needs_cleaning || 0,
-      outOfOrder: statusCounts.out_of_order || 0,
-      occupancyRate: parseFloat(occupancyRate),
-    },
-    tables: tables.map((table) => ({
-      id: table._id,
-      tableNumber: table.tableNumber,
-      status: table.status,
-      seatingCapacity: table.seatingCapacity,
-      floor: table.floor,
-      section: table.section,
-      currentOrder: table.currentOrder
-        ? {
-            orderNumber: table.currentOrder.orderNumber,
-            status: table.currentOrder.status,
-            totalPrice: table.currentOrder.totalPrice,
-            duration: Math.floor(
-              (new Date() - table.currentOrder.createdAt) / (1000 * 60)
-            ), // minutes
-          }
-        : null,
-      currentReservation: table.currentReservation
-        ? {
-            customerName: table.currentReservation.customerName,
-            reservationTime: table.currentReservation.reservationTime,
-            partySize: table.currentReservation.partySize,
-          }
-        : null,
-    })),
-    needsAttention: needsAttention.length,
-  };
+  const statusOverview =
+    await floorPlanService.getTableStatusOverview(managerBranch);
 
   res
     .status(200)
@@ -475,6 +416,106 @@ export const updateTableStatus = asyncHandler(async (req, res, next) => {
     );
   });
 
+/**
+ * Move running orders, diner and carts to another table
+ * POST /api/v1/manager/tables/:tableId/transfer
+ * POST /api/v1/staff/tables/:tableId/transfer
+ * @access Manager, Staff
+ */
+export const transferTable = asyncHandler(async (req, res, next) => {
+  const { tableId } = req.params;
+
+  const { error, value } = validateTableTransfer({ tableId, ...req.body });
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const result = await tableTransferService.transferTable({
+    sourceTableId: value.tableId,
+    targetTableId: value.targetTableId,
+    branchId: req.user.branch?._id || req.user.branch,
+    waiterId: value.waiterId,
+    reason: value.reason,
+    performedBy: { id: req.user._id, role: req.userRole },
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        result,
+        `Table ${result.sourceTable.tableNumber} moved to table ${result.targetTable.tableNumber}`
+      )
+    );
+});
+
+/**
+ * Merge tables into one billing group on this table
+ * POST /api/v1/manager/tables/:tableId/merge
+ * POST /api/v1/staff/tables/:tableId/merge
+ * @access Manager, Staff
+ */
+export const mergeTables = asyncHandler(async (req, res, next) => {
+  const { tableId } = req.params;
+
+  const { error, value } = validateTableMerge({ tableId, ...req.body });
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const result = await tableTransferService.mergeTables({
+    primaryTableId: value.tableId,
+    tableIds: value.tableIds,
+    branchId: req.user.branch?._id || req.user.branch,
+    waiterId: value.waiterId,
+    reason: value.reason,
+    performedBy: { id: req.user._id, role: req.userRole },
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        result,
+        `${result.mergedTables.length} table(s) merged into table ${result.primaryTable.tableNumber}`
+      )
+    );
+});
+
+/**
+ * Release tables from a merged group (orders stay on this table)
+ * POST /api/v1/manager/tables/:tableId/unmerge
+ * POST /api/v1/staff/tables/:tableId/unmerge
+ * @access Manager, Staff
+ */
+export const unmergeTables = asyncHandler(async (req, res, next) => {
+  const { tableId } = req.params;
+
+  const { error, value } = validateTableUnmerge({ tableId, ...req.body });
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const result = await tableTransferService.unmergeTables({
+    primaryTableId: value.tableId,
+    tableIds: value.tableIds,
+    branchId: req.user.branch?._id || req.user.branch,
+    performedBy: { id: req.user._id, role: req.userRole },
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        result,
+        `${result.releasedTables.length} table(s) released`
+      )
+    );
+});
+
 /**
  * Get all reservations
  * GET /api/v1/manager/reservations
@@ -510,8 +551,8 @@ export const getReservations = asyncHandler(async (req, res, next) => {
 
   // Get reservations
   const reservations = await Booking.find(filter)
-    .populate("table", "tableNumber seatingCapacity floor")
-    .populate("customer", "name phone email")
+    .populate("table", "tableNumber capacity floor")
+    .populate("user", "name phone email")
     .sort(sort)
     .limit(parseInt(limit) || 50)
     .skip(parseInt(skip) || 0);
@@ -572,30 +613,21 @@ export const createReservation = asyncHandler(async (req, res, next) => {
   }
 
   // Check table capacity
-  if (partySize > table.seatingCapacity) {
+  if (partySize > table.capacity) {
     return next(
-      new APIError(
-        400,
-        `Party size exceeds table capacity (${table.seatingCapacity})`
-      )
+      new APIError(400, `Party size exceeds table capacity (${table.capacity})`)
     );
   }
 
-  // Check for conflicting reservations
-  const conflictingReservation = await Booking.findOne({
-    table: tableId,
-    reservationTime: {
-      $gte: new Date(
-        new Date(reservationTime).getTime() - 2 * 60 * 60 * 1000
-      ), // 2 hours before
-      $lte: new Date(
-        new Date(reservationTime).getTime() + 2 * 60 * 60 * 1000
-      ), // 2 hours after
-    },
-    status: { $in: ["confirmed", "seated"] },
-  });
-
-  if (conflictingReservation) {
+  // Check the table is free for the branch's dining duration
+  const branch = await Branch.findById(managerBranch).select(
+    "reservationSettings"
+  );
+  const { diningDurationMinutes } = reservationService.getSettings(branch);
+  const start = new Date(reservationTime);
+  const end = new Date(start.getTime() + diningDurationMinutes * 60 * 1000);
+
+  if (!(await reservationService.isTableAvailable(tableId, start, end))) {
     return next(
       new APIError(400, "Table is already reserved for this time slot")
     );
@@ -607,8 +639,10 @@ export const createReservation = asyncHandler(async (req, res, next) => {
     contactNumber,
     email,
     partySize,
-    reservationTime: new Date(reservationTime),
+    reservationTime: start,
+    durationMinutes: diningDurationMinutes,
     table: tableId,
+    hotel: table.hotel,
     branch: managerBranch,
     specialRequests,
     notes,
@@ -618,16 +652,19 @@ export const createReservation = asyncHandler(async (req, res, next) => {
 
   await reservation.save();
 
-  // Update table if reservation is for current time
-  const now = new Date();
-  const reservationDate = new Date(reservationTime);
-  if (Math.abs(reservationDate - now) < 30 * 60 * 1000) {
-    // Within 30 minutes
-    table.status = "reserved";
-    table.currentReservation = reservation._id;
-    await table.save();
+  // Another booking may have taken the table since the check above
+  if (await reservationService.hasConflict(reservation, { olderOnly: true })) {
+    await reservation.deleteOne();
+    return next(
+      new APIError(409, "Table is already reserved for this time slot")
+    );
   }
 
+  await reservationService.queueBookingEmails(reservation);
+
+  // Hold the table now if the booking starts soon
+  await reservationService.holdTableForBooking(reservation);
+
   logger.info(
     `Reservation created for table ${tableId} by manager ${managerId}`
   );
@@ -690,6 +727,31 @@ export const updateReservation = asyncHandler(async (req, res, next) => {
     }
   });
 
+  // A new time must still find the table free
+  if (updates.reservationTime) {
+    const start = new Date(updates.reservationTime);
+    const durationMinutes =
+      reservation.durationMinutes ||
+      reservationService.getSettings(null).diningDurationMinutes;
+    const end = new Date(start.getTime() + durationMinutes * 60 * 1000);
+
+    if (
+      reservation.table &&
+      !(await reservationService.isTableAvailable(
+        reservation.table,
+        start,
+        end,
+        reservation._id
+      ))
+    ) {
+      return next(
+        new APIError(400, "Table is already reserved for this time slot")
+      );
+    }
+    updates.durationMinutes = durationMinutes;
+    updates.endTime = end;
+  }
+
   updates.updatedAt = new Date();
   updates.updatedBy = managerId;
 
@@ -697,7 +759,11 @@ export const updateReservation = asyncHandler(async (req, res, next) => {
     reservationId,
     updates,
     { new: true }
-  ).populate("table", "tableNumber seatingCapacity");
+  ).populate("table", "tableNumber capacity");
+
+  if (updates.reservationTime && updatedReservation.status === "confirmed") {
+    await reservationService.queueBookingEmails(updatedReservation);
+  }
 
   logger.info(`Reservation ${reservationId} updated by manager ${managerId}`);
 
@@ -724,7 +790,7 @@ export const cancelReservation = asyncHandler(async (req, res, next) => {
   const managerId = req.user._id;
 
   // Get reservation
-  const reservation = await Booking.findById(reservationId).populate("table");
+  const reservation = await Booking.findById(reservationId);
   if (!reservation) {
     return next(new APIError(404, "Reservation not found"));
   }
@@ -741,22 +807,12 @@ export const cancelReservation = asyncHandler(async (req, res, next) => {
     return next(new APIError(400, "Reservation is already cancelled"));
   }
 
-  // Update reservation status
-  reservation.status = "cancelled";
-  reservation.cancelledAt = new Date();
-  reservation.cancelledBy = managerId;
-  reservation.cancellationReason = reason;
-  await reservation.save();
-
-  // Update table status if it was reserved for this booking
-  if (
-    reservation.table &&
-    reservation.table.currentReservation?.toString() === reservationId
-  ) {
-    reservation.table.status = "available";
-    reservation.table.currentReservation = null;
-    await reservation.table.save();
-  }
+  // Releases the table and tells the guest
+  await reservationService.cancelReservation(reservation, {
+    cancelledBy: managerId,
+    cancelledByModel: "Manager",
+    reason,
+  });
 
   logger.info(
     `Reservation ${reservationId} cancelled by manager ${managerId}`
@@ -837,6 +893,42 @@ const validateStatusUpdate = (data) => {
   return schema.validate(data);
 };
 
+const validateTableTransfer = (data) => {
+  const schema = Joi.object({
+    tableId: Joi.string().length(24).hex().required(),
+    targetTableId: Joi.string().length(24).hex().required(),
+    waiterId: Joi.string().length(24).hex().optional(),
+    reason: Joi.string().max(200).optional(),
+  });
+  return schema.validate(data);
+};
+
+const validateTableMerge = (data) => {
+  const schema = Joi.object({
+    tableId: Joi.string().length(24).hex().required(),
+    tableIds: Joi.array()
+      .items(Joi.string().length(24).hex())
+      .min(1)
+      .max(10)
+      .unique()
+      .required(),
+    waiterId: Joi.string().length(24).hex().optional(),
+    reason: Joi.string().max(200).optional(),
+  });
+  return schema.validate(data);
+};
+
+const validateTableUnmerge = (data) => {
+  const schema = Joi.object({
+    tableId: Joi.string().length(24).hex().required(),
+    tableIds: Joi.array()
+      .items(Joi.string().length(24).hex())
+      .unique()
+      .optional(),
+  });
+  return schema.validate(data);
+};
+
 const validateReservationQuery = (data) => {
   const schema = Joi.object({
     status: Joi.string()
@@ -895,6 +987,9 @@ export default {
   deleteTable,
   getTableStatus,
   updateTableStatus,
+  transferTable,
+  mergeTables,
+  unmergeTables,
   getReservations,
   createReservation,
   updateReservation,
@@ -0,0 +1,147 @@
+import { Branch } from "../../models/Branch.model.js";
+import {
+  TipDistribution,
+  tipValidationSchemas,
+} from "../../models/TipDistribution.model.js";
+import tipPoolService from "../../services/tipPool.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+// Helper: manager's hotel/branch IDs (both may be populated)
+const managerScope = (manager) => ({
+  hotel: manager.hotel?._id || manager.hotel,
+  branch: manager.branch?._id || manager.branch,
+});
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+// Get the branch tip rules (shares and shift times)
+export const getTipSettings = asyncHandler(async (req, res) => {
+  const branch = await Branch.findById(managerScope(req.user).branch)
+    .select("tipPool")
+    .lean();
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { settings: tipPoolService.getSettings(branch) },
+        "Tip settings retrieved successfully"
+      )
+    );
+});
+
+// Change the branch tip rules
+export const updateTipSettings = asyncHandler(async (req, res) => {
+  const updates = validate(tipValidationSchemas.settings, req.body);
+  const settings = await tipPoolService.updateSettings(
+    managerScope(req.user).branch,
+    updates
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { settings }, "Tip settings updated successfully")
+    );
+});
+
+// List shift distributions in a date range
+export const getTipDistributions = asyncHandler(async (req, res) => {
+  const { from, to, status } = validate(tipValidationSchemas.range, req.query);
+
+  const query = {
+    branch: managerScope(req.user).branch,
+    businessDate: { $gte: from, $lte: to },
+  };
+  if (status !== "all") {
+    query.status = status;
+  }
+
+  const distributions = await TipDistribution.find(query)
+    .populate("allocations.staff", "name staffId role")
+    .sort({ businessDate: -1, shiftStart: -1 });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { distributions },
+        "Tip distributions retrieved successfully"
+      )
+    );
+});
+
+// Compute (or recompute) the draft distribution for a shift
+export const distributeTips = asyncHandler(async (req, res) => {
+  const { date, shift } = validate(tipValidationSchemas.distribute, req.body);
+  const distribution = await tipPoolService.distribute(
+    managerScope(req.user),
+    date,
+    shift
+  );
+  await distribution.populate("allocations.staff", "name staffId role");
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { distribution },
+        "Tip distribution calculated successfully"
+      )
+    );
+});
+
+// Lock a shift's distribution in once the shift is over
+export const finalizeTipDistribution = asyncHandler(async (req, res) => {
+  const distribution = await TipDistribution.findOne({
+    _id: req.params.distributionId,
+    branch: managerScope(req.user).branch,
+  });
+  if (!distribution) {
+    throw new APIError(404, "Tip distribution not found");
+  }
+
+  const finalized = await tipPoolService.finalize(distribution, {
+    id: req.user._id,
+    model: "Manager",
+  });
+  await finalized.populate("allocations.staff", "name staffId role");
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { distribution: finalized },
+        "Tip distribution finalized successfully"
+      )
+    );
+});
+
+// Tips per staff member over a date range
+export const getTipReport = asyncHandler(async (req, res) => {
+  const range = validate(tipValidationSchemas.range, req.query);
+  const report = await tipPoolService.getReport(
+    managerScope(req.user).branch,
+    range
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, report, "Tip report generated successfully"));
+});
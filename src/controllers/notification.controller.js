@@ -0,0 +1,126 @@
+// src/controllers/notification.controller.js - In-app notification inbox
+import notificationInboxService from "../services/notificationInbox.service.js";
+import { notificationValidationSchemas } from "../validators/notification.validators.js";
+import { APIResponse } from "../utils/APIResponse.js";
+import { APIError } from "../utils/APIError.js";
+import { asyncHandler } from "../middleware/errorHandler.middleware.js";
+
+/*
+ * Every role reads its inbox the same way; each route file mounts these
+ * with its own recipient model ("User", "Staff", "Manager", "Admin").
+ */
+
+/**
+ * List the current account's notifications, newest first
+ * GET /api/v1/{user|staff|manager|admin|super-admin}/notifications
+ */
+export const getMyNotifications = (recipientModel) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } = notificationValidationSchemas.list.validate(
+      req.query
+    );
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const inbox = await notificationInboxService.list(
+      recipientModel,
+      req.user._id,
+      value
+    );
+
+    res
+      .status(200)
+      .json(
+        new APIResponse(200, inbox, "Notifications retrieved successfully")
+      );
+  });
+
+/**
+ * Unread notification count, in total and per category
+ * GET /api/v1/{...}/notifications/unread-count
+ */
+export const getUnreadCount = (recipientModel) =>
+  asyncHandler(async (req, res) => {
+    const counts = await notificationInboxService.getUnreadCount(
+      recipientModel,
+      req.user._id
+    );
+
+    res
+      .status(200)
+      .json(
+        new APIResponse(200, counts, "Unread count retrieved successfully")
+      );
+  });
+
+/**
+ * Mark notifications read
+ * PATCH /api/v1/{...}/notifications/read
+ */
+export const markNotificationsRead = (recipientModel) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } = notificationValidationSchemas.markRead.validate(
+      req.body
+    );
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const updated = await notificationInboxService.markRead(
+      recipientModel,
+      req.user._id,
+      value.notificationIds
+    );
+
+    res
+      .status(200)
+      .json(new APIResponse(200, { updated }, "Notifications marked as read"));
+  });
+
+/**
+ * Mark the whole inbox (or one category) read
+ * PATCH /api/v1/{...}/notifications/read-all
+ */
+export const markAllNotificationsRead = (recipientModel) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } = notificationValidationSchemas.markAllRead.validate(
+      req.body || {}
+    );
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const updated = await notificationInboxService.markAllRead(
+      recipientModel,
+      req.user._id,
+      value
+    );
+
+    res
+      .status(200)
+      .json(
+        new APIResponse(200, { updated }, "All notifications marked as read")
+      );
+  });
+
+/**
+ * Remove a notification from the inbox
+ * DELETE /api/v1/{...}/notifications/:notificationId
+ */
+export const dismissNotification = (recipientModel) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } =
+      notificationValidationSchemas.notificationId.validate(req.params);
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    await notificationInboxService.dismiss(
+      recipientModel,
+      req.user._id,
+      value.notificationId
+    );
+
+    res.status(200).json(new APIResponse(200, null, "Notification dismissed"));
+  });
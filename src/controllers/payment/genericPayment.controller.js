@@ -602,3 +602,88 @@ export const verifySupplementaryPayment = async (req, res) => {
       );
   }
 };
+
+/**
+ * @desc    Initiate online payment for one share of a split bill
+ * @route   POST /api/v1/payment/split/initiate
+ * @access  Private (User)
+ */
+export const initiateSplitSharePayment = async (req, res) => {
+  try {
+    const { orderId, shareId } = req.body;
+    const userId = req.user.id;
+
+    const { default: dynamicPaymentService } =
+      await import("../../services/payment/dynamicPayment.service.js");
+
+    const result = await dynamicPaymentService.initiateSplitSharePayment({
+      orderId,
+      shareId,
+      customerInfo: { userId },
+    });
+
+    return res
+      .status(200)
+      .json(
+        new APIResponse(200, result, "Share payment initiated successfully")
+      );
+  } catch (error) {
+    logger.error("Share payment initiation failed", {
+      error: error.message,
+    });
+
+    const statusCode =
+      error.statusCode || (error.message?.includes("not found") ? 404 : 500);
+    return res
+      .status(statusCode)
+      .json(
+        new APIResponse(
+          statusCode,
+          null,
+          error.message || "Share payment initiation failed"
+        )
+      );
+  }
+};
+
+/**
+ * @desc    Verify online payment for one share of a split bill
+ * @route   POST /api/v1/payment/split/verify
+ * @access  Private (User)
+ */
+export const verifySplitSharePayment = async (req, res) => {
+  try {
+    const { orderId, paymentId, signature, gatewayOrderId, additionalData } =
+      req.body;
+
+    const { default: dynamicPaymentService } =
+      await import("../../services/payment/dynamicPayment.service.js");
+
+    const result = await dynamicPaymentService.verifySplitSharePayment({
+      orderId,
+      paymentId,
+      signature,
+      gatewayOrderId,
+      additionalData,
+    });
+
+    const statusCode = result.success ? 200 : 400;
+    return res
+      .status(statusCode)
+      .json(new APIResponse(statusCode, result, result.message));
+  } catch (error) {
+    logger.error("Share payment verification failed", {
+      error: error.message,
+    });
+
+    return res
+      .status(500)
+      .json(
+        new APIResponse(
+          500,
+          null,
+          error.message || "Share payment verification failed"
+        )
+      );
+  }
+};
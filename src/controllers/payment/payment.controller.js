@@ -17,6 +17,14 @@ import dynamicPaymentService from "../../services/payment/dynamicPayment.service
 export const initiatePayment = async (req, res) => {
   try {
     const { orderId, batch } = req.body;
+    const tipAmount = Number(req.body.tipAmount || 0);
+
+    if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Tip amount must be a positive number",
+      });
+    }
 
     if (!orderId) {
       return res.status(400).json({
@@ -85,11 +93,13 @@ export const initiatePayment = async (req, res) => {
       });
     }
 
-    // Check if payment already initiated (has gatewayOrderId means initiation was done)
+    // Check if payment already initiated (has gatewayOrderId means initiation was done).
+    // A different tip needs a new gateway order for the new total.
     if (
       order.payment &&
       order.payment.gatewayOrderId &&
-      order.payment.paymentStatus === "pending"
+      order.payment.paymentStatus === "pending" &&
+      (order.payment.tip?.amount || 0) === tipAmount
     ) {
       // Return existing payment details
       return res.status(200).json({
@@ -99,7 +109,8 @@ export const initiatePayment = async (req, res) => {
           orderId: order._id,
           gatewayOrderId: order.payment.gatewayOrderId,
           provider: order.payment.provider,
-          amount: order.totalPrice,
+          amount: order.totalPrice + tipAmount,
+          tipAmount,
           currency: "INR",
           paymentDetails: order.payment.gatewayResponse,
         },
@@ -125,6 +136,7 @@ export const initiatePayment = async (req, res) => {
       hotelId: order.hotel._id.toString(),
       orderId: order._id.toString(),
       amount: order.totalPrice, // Fixed: was totalAmount, should be totalPrice
+      tipAmount,
       currency: "INR",
       customerInfo,
       metadata,
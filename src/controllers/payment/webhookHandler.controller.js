@@ -9,6 +9,8 @@ import { Admin } from "../../models/Admin.model.js";
 import { sendEmail } from "../../utils/emailService.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import assignmentService from "../../services/assignment/assignment.service.js";
+import { settleSplitShare } from "../../services/order/billSplit.service.js";
+import { publishOrderEvent } from "../../services/order/orderTracking.service.js";
 
 /**
  * Comprehensive Razorpay Webhook Handler
@@ -302,6 +304,9 @@ async function handlePaymentFailed(entity) {
             await suppOrder.save();
           }
         }
+
+        // Or a failed payment for one share of a split bill
+        await markSplitShareFailed(orderId);
       }
     }
 
@@ -382,6 +387,9 @@ async function handleRefundProcessed(entity) {
         completedAt: new Date(),
       };
       await order.save();
+      await publishOrderEvent(order._id, "refund_updated", {
+        message: `Refund of ₹${amount / 100} completed`,
+      });
 
       // Generate and send credit note
       try {
@@ -777,6 +785,21 @@ async function processSubscriptionPayment(entity, status) {
   }
 }
 
+/**
+ * Mark the split bill share paid through a gateway order as failed,
+ * unless it has been paid in the meantime
+ */
+async function markSplitShareFailed(gatewayOrderId) {
+  await Order.updateOne(
+    {
+      "billSplit.shares": {
+        $elemMatch: { gatewayOrderId, paymentStatus: { $ne: "paid" } },
+      },
+    },
+    { $set: { "billSplit.shares.$.paymentStatus": "failed" } }
+  );
+}
+
 /**
  * Process Order Payment
  */
@@ -819,6 +842,34 @@ async function processOrderPayment(entity, status) {
         return { success: true, message: "Supplementary payment processed" };
       }
 
+      // Check if this is a payment for one share of a split bill
+      const splitOrder = await Order.findOne({
+        "billSplit.shares.gatewayOrderId": orderId,
+      });
+
+      if (splitOrder) {
+        const share = splitOrder.billSplit.shares.find(
+          (s) => s.gatewayOrderId === orderId
+        );
+        if (share.paymentStatus !== "paid") {
+          if (status === "captured" || status === "authorized") {
+            await settleSplitShare(splitOrder._id, share._id, {
+              provider: share.provider || "razorpay",
+              paymentId,
+              gatewayResponse: entity,
+            });
+          } else {
+            await markSplitShareFailed(orderId);
+          }
+          logger.info("Split bill share payment processed via webhook", {
+            orderId: splitOrder._id,
+            shareNumber: share.shareNumber,
+            status,
+          });
+        }
+        return { success: true, message: "Split share payment processed" };
+      }
+
       logger.error("Order not found", { orderId });
       return { success: false, message: "Order not found" };
     }
@@ -840,6 +891,9 @@ async function processOrderPayment(entity, status) {
     // Order stays "pending" — staff will confirm it manually
 
     await order.save();
+    await publishOrderEvent(order._id, "payment_updated", {
+      message: "Payment received",
+    });
 
     // Trigger staff assignment
     if (!order.staff) {
@@ -0,0 +1,111 @@
+// src/controllers/pushDevice.controller.js - Push notification device registration
+import pushService from "../services/push/push.service.js";
+import { pushDeviceValidationSchemas } from "../validators/pushDevice.validators.js";
+import { APIResponse } from "../utils/APIResponse.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { asyncHandler } from "../middleware/errorHandler.middleware.js";
+
+/*
+ * Diners, staff and managers register devices the same way; each route
+ * file mounts these with its own owner type ("User", "Staff", "Manager").
+ */
+
+/**
+ * Register the current device for push notifications
+ * POST /api/v1/{user|staff|manager}/devices
+ */
+export const registerDevice = (ownerType) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } = pushDeviceValidationSchemas.register.validate(
+      req.body
+    );
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const device = await pushService.registerDevice(
+      ownerType,
+      req.user._id,
+      value
+    );
+
+    logger.info(
+      `${ownerType} ${req.user._id} registered a ${value.platform} device (${value.provider})`
+    );
+
+    res.status(200).json(
+      new APIResponse(
+        200,
+        {
+          device: {
+            id: device._id,
+            provider: device.provider,
+            platform: device.platform,
+            deviceName: device.deviceName,
+            lastSeenAt: device.lastSeenAt,
+          },
+        },
+        "Device registered for notifications"
+      )
+    );
+  });
+
+/**
+ * Stop push notifications to a device
+ * DELETE /api/v1/{user|staff|manager}/devices
+ */
+export const unregisterDevice = (ownerType) =>
+  asyncHandler(async (req, res, next) => {
+    const { error, value } = pushDeviceValidationSchemas.unregister.validate(
+      req.body
+    );
+    if (error) {
+      return next(new APIError(400, "Validation failed", error.details));
+    }
+
+    const removed = await pushService.unregisterDevice(
+      ownerType,
+      req.user._id,
+      value.token
+    );
+    if (!removed) {
+      return next(new APIError(404, "Device not registered"));
+    }
+
+    res
+      .status(200)
+      .json(new APIResponse(200, null, "Device unregistered successfully"));
+  });
+
+/**
+ * List the current account's registered devices
+ * GET /api/v1/{user|staff|manager}/devices
+ */
+export const getMyDevices = (ownerType) =>
+  asyncHandler(async (req, res) => {
+    const devices = await pushService.listDevices(ownerType, req.user._id);
+
+    res
+      .status(200)
+      .json(
+        new APIResponse(200, { devices }, "Devices retrieved successfully")
+      );
+  });
+
+/**
+ * VAPID public key for browsers subscribing to web push
+ * GET /api/v1/{user|staff|manager}/devices/web-push-key
+ */
+export const getWebPushKey = asyncHandler(async (req, res, next) => {
+  const publicKey = pushService.getWebPushPublicKey();
+  if (!publicKey) {
+    return next(new APIError(404, "Web push is not configured"));
+  }
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { publicKey }, "Web push key retrieved successfully")
+    );
+});
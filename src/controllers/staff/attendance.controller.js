@@ -0,0 +1,97 @@
+// src/controllers/staff/attendance.controller.js - Clock-in/out and breaks
+import { attendanceValidationSchemas } from "../../models/Attendance.model.js";
+import attendanceService from "../../services/attendance.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data || {});
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+/**
+ * Clock in for the current shift
+ * POST /api/v1/staff/attendance/clock-in
+ * Body: { latitude, longitude, accuracy, deviceId, notes }
+ * @access Staff
+ */
+export const clockIn = asyncHandler(async (req, res) => {
+  const data = validate(attendanceValidationSchemas.punch, req.body);
+  const record = await attendanceService.clockIn(req.user, data);
+
+  res
+    .status(201)
+    .json(new APIResponse(201, { attendance: record }, "Clocked in"));
+});
+
+/**
+ * Clock out, ending any break in progress
+ * POST /api/v1/staff/attendance/clock-out
+ * @access Staff
+ */
+export const clockOut = asyncHandler(async (req, res) => {
+  const data = validate(attendanceValidationSchemas.punch, req.body);
+  const record = await attendanceService.clockOut(req.user, data);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { attendance: record }, "Clocked out"));
+});
+
+/**
+ * Start a break
+ * POST /api/v1/staff/attendance/break/start
+ * @access Staff
+ */
+export const startBreak = asyncHandler(async (req, res) => {
+  const record = await attendanceService.startBreak(req.user);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { attendance: record }, "Break started"));
+});
+
+/**
+ * End the current break
+ * POST /api/v1/staff/attendance/break/end
+ * @access Staff
+ */
+export const endBreak = asyncHandler(async (req, res) => {
+  const record = await attendanceService.endBreak(req.user);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { attendance: record }, "Break ended"));
+});
+
+/**
+ * Current clock-in state, next scheduled shift and recent timesheets
+ * GET /api/v1/staff/attendance?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @access Staff
+ */
+export const getMyAttendance = asyncHandler(async (req, res) => {
+  const range = validate(attendanceValidationSchemas.history, req.query);
+  const attendance = await attendanceService.getMyAttendance(req.user, range);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, attendance, "Attendance retrieved successfully")
+    );
+});
+
+export default {
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  getMyAttendance,
+};
@@ -7,7 +7,10 @@ import {
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { logger } from "../../utils/logger.js";
-import { emitComplaintUpdate } from "../../socket/complaintEvents.js";
+import {
+  emitComplaintUpdate,
+  recordComplaintNotification,
+} from "../../socket/complaintEvents.js";
 import { getIO } from "../../utils/socketService.js";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
 
@@ -245,6 +248,12 @@ export const markComplaintAsViewed = asyncHandler(async (req, res, next) => {
       branchId: complaint.branch,
     });
 
+    recordComplaintNotification(
+      complaint,
+      { userId: complaint.user, branchId: complaint.branch },
+      { type: "complaint_viewed", message: socketData.message, priority: "low" }
+    );
+
     logger.info(
       `Socket event emitted for complaint viewed by staff ${staffId}`
     );
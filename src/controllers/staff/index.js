@@ -1,4 +1,5 @@
 // Staff controllers barrel export
 export * from "./complaint.controller.js";
+export * from "./kitchen.controller.js";
 export * from "./menu.controller.js";
 export * from "./order.controller.js";
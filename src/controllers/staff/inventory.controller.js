@@ -0,0 +1,83 @@
+// src/controllers/staff/inventory.controller.js - Kitchen stock controller
+import {
+  Inventory,
+  inventoryValidationSchemas,
+} from "../../models/Inventory.model.js";
+import inventoryService from "../../services/inventory.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Extract the staff member's branch ID (branch may be populated)
+ */
+const getStaffBranchId = (user) => user.branch?._id || user.branch || null;
+
+/**
+ * Get stock levels for the staff member's branch
+ * GET /api/v1/staff/inventory?lowStock=true&search=
+ * @access Kitchen Staff
+ */
+export const getBranchStock = asyncHandler(async (req, res) => {
+  const { lowStock, search } = req.query;
+
+  const items = await inventoryService.getBranchStock(
+    getStaffBranchId(req.user),
+    { lowStockOnly: lowStock === "true", search }
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { items, lowStockCount: items.filter((i) => i.isLowStock).length },
+        "Stock retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Record a restock, count correction or wastage
+ * POST /api/v1/staff/inventory/:inventoryId/adjust
+ * @access Kitchen Staff
+ */
+export const adjustStock = asyncHandler(async (req, res) => {
+  const { error, value } = inventoryValidationSchemas.adjust.validate(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const inventory = await Inventory.findById(req.params.inventoryId).select(
+    "branch"
+  );
+  if (!inventory) {
+    throw new APIError(404, "Inventory item not found");
+  }
+
+  const branchId = getStaffBranchId(req.user);
+  if (inventory.branch.toString() !== branchId?.toString()) {
+    throw new APIError(403, "This item belongs to another branch");
+  }
+
+  const change = value.type === "waste" ? -value.quantity : value.quantity;
+  const item = await inventoryService.adjustStock(inventory._id, change, {
+    type: value.type,
+    note: value.note,
+    performedBy: req.user._id,
+    performedByModel: "Staff",
+  });
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { item }, "Stock updated successfully"));
+});
+
+export default {
+  getBranchStock,
+  adjustStock,
+};
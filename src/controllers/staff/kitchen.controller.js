@@ -0,0 +1,175 @@
+// src/controllers/staff/kitchen.controller.js - Kitchen Display System Controller
+import { KitchenTicket } from "../../models/KitchenTicket.model.js";
+import kitchenService from "../../services/kitchen.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { logger } from "../../utils/logger.js";
+import { KITCHEN_STATIONS } from "../../config/constants.js";
+import Joi from "joi";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Extract the kitchen staff member's branch ID (branch may be populated)
+ */
+const getStaffBranchId = (user) => user.branch?._id || user.branch || null;
+
+/**
+ * Load a ticket and verify it belongs to the staff member's branch
+ */
+const findBranchTicket = async (ticketId, user) => {
+  const ticket = await KitchenTicket.findById(ticketId).select("branch");
+  if (!ticket) {
+    throw new APIError(404, "Kitchen ticket not found");
+  }
+
+  const branchId = getStaffBranchId(user);
+  if (ticket.branch?.toString() !== branchId?.toString()) {
+    throw new APIError(403, "This ticket belongs to another branch");
+  }
+
+  return ticket;
+};
+
+/**
+ * Get open ticket counts for every station in the branch
+ * GET /api/v1/staff/kitchen/summary
+ * @access Kitchen Staff
+ */
+export const getKitchenSummary = asyncHandler(async (req, res) => {
+  const summary = await kitchenService.getStationSummary(
+    getStaffBranchId(req.user)
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { stations: KITCHEN_STATIONS, openTickets: summary },
+        "Kitchen summary retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Get tickets for a kitchen station
+ * GET /api/v1/staff/kitchen/stations/:station/tickets
+ * @access Kitchen Staff
+ */
+export const getStationTickets = asyncHandler(async (req, res, next) => {
+  const { station } = req.params;
+  const { status, limit } = req.query;
+
+  const { error } = validateStationQuery({ station, status, limit });
+  if (error) {
+    return next(new APIError(400, "Invalid query parameters", error.details));
+  }
+
+  const tickets = await kitchenService.getStationTickets({
+    branch: getStaffBranchId(req.user),
+    station,
+    status: status || "open",
+    limit,
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { station, tickets, count: tickets.length },
+        "Station tickets retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Bump a single item on a ticket
+ * PUT /api/v1/staff/kitchen/tickets/:ticketId/items/:itemId/bump
+ * @access Kitchen Staff
+ */
+export const bumpTicketItem = asyncHandler(async (req, res, next) => {
+  const { ticketId, itemId } = req.params;
+
+  const { error } = validateTicketParams({ ticketId, itemId });
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  await findBranchTicket(ticketId, req.user);
+
+  const result = await kitchenService.bumpItem(ticketId, itemId, req.user._id);
+
+  logger.info(
+    `Kitchen item ${itemId} on ticket ${ticketId} bumped by staff ${req.user._id}`
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        result,
+        result.orderReady ? "Item bumped — order is ready" : "Item bumped"
+      )
+    );
+});
+
+/**
+ * Bump all remaining items on a ticket
+ * PUT /api/v1/staff/kitchen/tickets/:ticketId/bump
+ * @access Kitchen Staff
+ */
+export const bumpTicket = asyncHandler(async (req, res, next) => {
+  const { ticketId } = req.params;
+
+  const { error } = validateTicketParams({ ticketId });
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  await findBranchTicket(ticketId, req.user);
+
+  const result = await kitchenService.bumpTicket(ticketId, req.user._id);
+
+  logger.info(`Kitchen ticket ${ticketId} bumped by staff ${req.user._id}`);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        result,
+        result.orderReady ? "Ticket bumped — order is ready" : "Ticket bumped"
+      )
+    );
+});
+
+// Validation schemas
+const validateStationQuery = (data) => {
+  const schema = Joi.object({
+    station: Joi.string()
+      .valid(...KITCHEN_STATIONS)
+      .required(),
+    status: Joi.string()
+      .valid("open", "pending", "in_progress", "bumped", "void", "all")
+      .optional(),
+    limit: Joi.number().integer().min(1).max(100).optional(),
+  });
+  return schema.validate(data);
+};
+
+const validateTicketParams = (data) => {
+  const schema = Joi.object({
+    ticketId: Joi.string().length(24).hex().required(),
+    itemId: Joi.string().length(24).hex().optional(),
+  });
+  return schema.validate(data);
+};
+
+export default {
+  getKitchenSummary,
+  getStationTickets,
+  bumpTicketItem,
+  bumpTicket,
+};
@@ -4,7 +4,17 @@ import { Staff } from "../../models/Staff.model.js";
 import { Table } from "../../models/Table.model.js";
 import assignmentService from "../../services/assignment/assignment.service.js";
 import orderService from "../../services/order/order.service.js";
+import billSplitService from "../../services/order/billSplit.service.js";
+import coinService from "../../services/reward.service.js";
+import { publishOrderEvent } from "../../services/order/orderTracking.service.js";
+import {
+  validateBillSplit,
+  orderTypeFields,
+  pickupSchema,
+} from "../../validators/order.validators.js";
 import timeTracker from "../../services/timeTracker.service.js";
+import kitchenService from "../../services/kitchen.service.js";
+import inventoryService from "../../services/inventory.service.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import { logger } from "../../utils/logger.js";
@@ -123,13 +133,19 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
 
   // Validate status transition
   const validTransitions = {
-    pending: ["confirmed", "preparing", "cancelled"],
+    // Kitchen tickets go out on "confirmed", so it can't be skipped
+    pending: ["confirmed", "cancelled"],
     confirmed: ["preparing", "cancelled"],
     preparing: ["ready", "cancelled"],
     ready: ["served", "cancelled"],
     served: ["completed"],
   };
 
+  // Takeaway / delivery orders are handed over straight from "ready"
+  if (order.orderType && order.orderType !== "dine_in") {
+    validTransitions.ready = ["served", "completed", "cancelled"];
+  }
+
   if (!validTransitions[order.status]?.includes(status)) {
     return next(
       new APIError(
@@ -239,6 +255,42 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
+  await publishOrderEvent(
+    orderId,
+    status === "cancelled" ? "cancelled" : "status_changed",
+    { message: status === "cancelled" ? notes : undefined }
+  );
+
+  // Keep kitchen station displays in step with the order
+  if (status === "confirmed") {
+    await orderService.dispatchOrderToKitchen(orderId);
+  } else {
+    try {
+      if (status === "cancelled") {
+        await kitchenService.voidOrderTickets(orderId, notes);
+      } else if (["ready", "served"].includes(status)) {
+        await kitchenService.closeOrderTickets(orderId, staffId);
+      }
+    } catch (kitchenError) {
+      logger.error(
+        `Failed to update kitchen tickets for order ${orderId}:`,
+        kitchenError
+      );
+    }
+  }
+
+  // Put back the stock a cancelled order had taken
+  if (status === "cancelled") {
+    try {
+      await inventoryService.restoreForOrder(orderId, notes || undefined);
+    } catch (inventoryError) {
+      logger.error(
+        `Failed to restore inventory for order ${orderId}:`,
+        inventoryError
+      );
+    }
+  }
+
   // Release table when order is completed or cancelled
   if (status === "completed" || status === "cancelled") {
     if (updatedOrder.table) {
@@ -557,6 +609,74 @@ const validateStatusUpdate = (data) => {
   return schema.validate(data);
 };
 
+const validateStaffOrder = (data) => {
+  const customerSchema = Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    phone: Joi.string()
+      .pattern(/^[+]?[0-9\s\-\(\)]{10,15}$/)
+      .optional(),
+    email: Joi.string().email().optional(),
+  });
+
+  const schema = Joi.object({
+    orderSource: Joi.string().valid("pos", "phone").default("pos"),
+    tableId: Joi.string().length(24).hex().optional(),
+    items: Joi.array()
+      .items(
+        Joi.object({
+          foodItemId: Joi.string().length(24).hex().required(),
+          quantity: Joi.number().integer().min(1).max(50).required(),
+          customizations: Joi.object().optional(),
+        })
+      )
+      .min(1)
+      .required(),
+    // Phone orders need a name and number to call the guest back
+    customer: customerSchema.when("orderSource", {
+      is: "phone",
+      then: customerSchema
+        .fork(["name", "phone"], (field) => field.required())
+        .required(),
+      otherwise: customerSchema.optional(),
+    }),
+    ...orderTypeFields,
+    // Counter takeaways default the pickup name to the customer's
+    pickup: pickupSchema.when("orderType", {
+      is: "takeaway",
+      then: Joi.optional(),
+      otherwise: Joi.forbidden(),
+    }),
+    paymentMethod: Joi.string()
+      .valid("cash", "card", "upi", "wallet")
+      .default("cash"),
+    offerCode: Joi.string().trim().optional(),
+    coinsToUse: Joi.number().integer().min(0).default(0),
+    // Code texted to the diner (POST /staff/orders/coin-otp)
+    coinOtp: Joi.string()
+      .pattern(/^[0-9]{6}$/)
+      .when("coinsToUse", {
+        is: Joi.number().greater(0),
+        then: Joi.required(),
+        otherwise: Joi.forbidden(),
+      }),
+    specialInstructions: Joi.string().max(500).allow("").optional(),
+  }).custom((value, helpers) =>
+    value.coinsToUse > 0 && !value.customer?.phone
+      ? helpers.message("customer.phone is required to redeem coins")
+      : value
+  );
+  return schema.validate(data);
+};
+
+const validateCoinOtpRequest = (data) => {
+  const schema = Joi.object({
+    phone: Joi.string()
+      .pattern(/^[+]?[0-9\s\-\(\)]{10,15}$/)
+      .required(),
+  });
+  return schema.validate(data);
+};
+
 /**
  * Confirm cash payment for an order
  * PUT /api/v1/staff/orders/:orderId/confirm-payment
@@ -590,7 +710,9 @@ export const confirmCashPayment = asyncHandler(async (req, res, next) => {
   const updatedOrder = await orderService.confirmCashPayment(
     orderId,
     staffId,
-    "staff"
+    "staff",
+    req.body?.shareId,
+    req.body?.tipAmount
   );
 
   // Send review invitation email + invoice email + socket notification (shared helpers)
@@ -711,6 +833,12 @@ export const acknowledgeAddOn = asyncHandler(async (req, res, next) => {
 
   // Revert to "served" → "preparing" so staff can work on new items
   if (order.status === "served" && !order.pendingAddOnPayment) {
+    // Orders that never went through "confirmed" have no tickets yet, so a
+    // dispatch now would send the already served items back to the kitchen
+    const wasDispatched = order.statusHistory.some(
+      (entry) => entry.status === "confirmed"
+    );
+
     order.previousStatus = order.status;
     order.status = "preparing";
     order.statusHistory.push({
@@ -720,6 +848,18 @@ export const acknowledgeAddOn = asyncHandler(async (req, res, next) => {
       notes: `Add-on batch ${batch || order.currentBatch} acknowledged — preparing new items`,
     });
     await order.save();
+    await publishOrderEvent(order._id, "status_changed", {
+      message: "Preparing your added items",
+    });
+
+    // Route the new batch to the kitchen stations
+    if (wasDispatched) {
+      await orderService.dispatchOrderToKitchen(orderId);
+    } else {
+      logger.warn(
+        `Add-on batch of order ${orderId} not sent to the kitchen: the order was never confirmed`
+      );
+    }
   }
 
   res
@@ -733,6 +873,134 @@ export const acknowledgeAddOn = asyncHandler(async (req, res, next) => {
     );
 });
 
+/**
+ * Create an order on behalf of a table, walk-in or phone customer
+ * POST /api/v1/staff/orders
+ * @access Waiter, Cashier
+ */
+export const createStaffOrder = asyncHandler(async (req, res, next) => {
+  const { error, value } = validateStaffOrder(req.body);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const order = await orderService.placeStaffOrder(req.user, value);
+
+  logger.info(
+    `${value.orderSource.toUpperCase()} order ${order._id} entered by ${req.user.role} ${req.user._id}`
+  );
+
+  res
+    .status(201)
+    .json(new APIResponse(201, { order }, "Order placed successfully"));
+});
+
+/**
+ * Text a registered diner the code that lets staff redeem their coins
+ * POST /api/v1/staff/orders/coin-otp
+ * @access Waiter, Cashier
+ */
+export const sendCoinRedemptionOtp = asyncHandler(async (req, res, next) => {
+  const { error, value } = validateCoinOtpRequest(req.body);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const { expiresAt } = await coinService.sendRedemptionOtp(value.phone);
+
+  logger.info(
+    `Coin redemption code sent for a POS order by ${req.user.role} ${req.user._id}`
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { expiresAt }, "Code sent to the customer's phone")
+    );
+});
+
+/**
+ * Split the bill of an order across diners at the table
+ * POST /api/v1/staff/orders/:orderId/split
+ * @access Staff (only for their assigned orders)
+ */
+export const splitBill = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+  const staffId = req.user._id;
+
+  if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new APIError(400, "Invalid order ID"));
+  }
+
+  const { error, value } = validateBillSplit(req.body);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const order = await Order.findById(orderId).select("staff");
+  if (!order) {
+    return next(new APIError(404, "Order not found"));
+  }
+
+  if (!order.staff || order.staff.toString() !== staffId.toString()) {
+    return next(
+      new APIError(
+        403,
+        "You can only split the bill for orders assigned to you"
+      )
+    );
+  }
+
+  const splitOrder = await billSplitService.createBillSplit(orderId, value, {
+    id: staffId,
+    role: "staff",
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        billSplitService.getBillSplitSummary(splitOrder),
+        "Bill split successfully"
+      )
+    );
+});
+
+/**
+ * Get the bill split and settlement status of an order
+ * GET /api/v1/staff/orders/:orderId/split
+ * @access Staff (only for their assigned orders)
+ */
+export const getBillSplit = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+
+  if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new APIError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findById(orderId).select(
+    "staff totalPrice billSplit"
+  );
+  if (!order) {
+    return next(new APIError(404, "Order not found"));
+  }
+
+  if (!order.staff || order.staff.toString() !== req.user._id.toString()) {
+    return next(new APIError(403, "You are not assigned to this order"));
+  }
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        billSplitService.getBillSplitSummary(order),
+        "Bill split retrieved successfully"
+      )
+    );
+});
+
 export default {
   getMyOrders,
   getActiveOrders,
@@ -743,4 +1011,8 @@ export default {
   confirmCashPayment,
   getAddOnOrders,
   acknowledgeAddOn,
+  createStaffOrder,
+  sendCoinRedemptionOtp,
+  splitBill,
+  getBillSplit,
 };
@@ -0,0 +1,115 @@
+// src/controllers/staff/serviceRequest.controller.js - Table service requests
+import {
+  ServiceRequest,
+  serviceRequestValidationSchemas,
+  ACTIVE_SERVICE_REQUEST_STATUSES,
+} from "../../models/ServiceRequest.model.js";
+import serviceRequestService from "../../services/serviceRequest.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Extract the staff member's branch ID (branch may be populated)
+ */
+const getStaffBranchId = (user) => user.branch?._id || user.branch || null;
+
+/**
+ * Load a request of the staff member's branch
+ */
+const findBranchRequest = async (req) => {
+  const request = await ServiceRequest.findOne({
+    _id: req.params.requestId,
+    branch: getStaffBranchId(req.user),
+  });
+  if (!request) {
+    throw new APIError(404, "Service request not found");
+  }
+  return request;
+};
+
+/**
+ * Get service requests: the staff member's own plus unassigned ones, or the
+ * whole branch with scope=branch
+ * GET /api/v1/staff/service-requests?status=active&scope=mine|branch
+ * @access Staff
+ */
+export const getServiceRequests = asyncHandler(async (req, res) => {
+  const { error, value } = serviceRequestValidationSchemas.list.validate(
+    req.query
+  );
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const query = { branch: getStaffBranchId(req.user) };
+  query.status =
+    value.status === "active"
+      ? { $in: ACTIVE_SERVICE_REQUEST_STATUSES }
+      : value.status;
+  if (value.scope === "mine") {
+    query.assignedStaff = { $in: [req.user._id, null] };
+  }
+
+  const requests = await ServiceRequest.find(query)
+    .populate("assignedStaff", "name staffId")
+    .sort({ createdAt: 1 })
+    .limit(100);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { requests },
+        "Service requests retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Acknowledge a request (claims it if it went to the whole branch)
+ * PUT /api/v1/staff/service-requests/:requestId/acknowledge
+ * @access Staff
+ */
+export const acknowledgeServiceRequest = asyncHandler(async (req, res) => {
+  const request = await findBranchRequest(req);
+
+  const updated = await serviceRequestService.acknowledge(
+    request,
+    req.user._id
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { request: updated }, "Service request acknowledged")
+    );
+});
+
+/**
+ * Mark a request as done
+ * PUT /api/v1/staff/service-requests/:requestId/complete
+ * @access Staff
+ */
+export const completeServiceRequest = asyncHandler(async (req, res) => {
+  const request = await findBranchRequest(req);
+
+  const updated = await serviceRequestService.complete(request, req.user._id);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, { request: updated }, "Service request completed")
+    );
+});
+
+export default {
+  getServiceRequests,
+  acknowledgeServiceRequest,
+  completeServiceRequest,
+};
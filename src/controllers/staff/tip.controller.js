@@ -0,0 +1,32 @@
+// src/controllers/staff/tip.controller.js - Staff member's own tips
+import { tipValidationSchemas } from "../../models/TipDistribution.model.js";
+import tipPoolService from "../../services/tipPool.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Get the staff member's share of each shift's tips
+ * GET /api/v1/staff/tips?from=YYYY-MM-DD&to=YYYY-MM-DD&status=finalized
+ * @access Staff
+ */
+export const getMyTips = asyncHandler(async (req, res) => {
+  const { error, value } = tipValidationSchemas.range.validate(req.query);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const tips = await tipPoolService.getStaffTips(req.user._id, value);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, tips, "Tips retrieved successfully"));
+});
+
+export default {
+  getMyTips,
+};
@@ -0,0 +1,150 @@
+// src/controllers/staff/waitlist.controller.js - Host stand waitlist controller
+import {
+  WaitlistEntry,
+  waitlistValidationSchemas,
+} from "../../models/WaitlistEntry.model.js";
+import waitlistService from "../../services/waitlist.service.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { APIError } from "../../utils/APIError.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * Extract the staff member's branch ID (branch may be populated)
+ */
+const getStaffBranchId = (user) => user.branch?._id || user.branch || null;
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+/**
+ * Load a waitlist entry of the staff member's branch
+ */
+const findBranchEntry = async (req) => {
+  const entry = await WaitlistEntry.findOne({
+    _id: req.params.entryId,
+    branch: getStaffBranchId(req.user),
+  });
+  if (!entry) {
+    throw new APIError(404, "Waitlist entry not found");
+  }
+  return entry;
+};
+
+/**
+ * Get the branch waitlist with live wait estimates
+ * GET /api/v1/staff/waitlist?status=active|seated|cancelled|no_show|all
+ * @access Receptionist
+ */
+export const getWaitlist = asyncHandler(async (req, res) => {
+  const { status } = validate(waitlistValidationSchemas.list, req.query);
+
+  const waitlist = await waitlistService.getWaitlist(
+    getStaffBranchId(req.user),
+    status
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, waitlist, "Waitlist retrieved successfully"));
+});
+
+/**
+ * Quote a wait for a party before adding them
+ * GET /api/v1/staff/waitlist/estimate?partySize=
+ * @access Receptionist
+ */
+export const getWaitEstimate = asyncHandler(async (req, res) => {
+  const partySize = parseInt(req.query.partySize, 10);
+  if (!partySize || partySize < 1) {
+    throw new APIError(400, "Party size is required");
+  }
+
+  const estimate = await waitlistService.estimateForNewParty(
+    getStaffBranchId(req.user),
+    partySize
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, estimate, "Wait estimate calculated"));
+});
+
+/**
+ * Add a walk-in party
+ * POST /api/v1/staff/waitlist
+ * @access Receptionist
+ */
+export const addToWaitlist = asyncHandler(async (req, res) => {
+  const value = validate(waitlistValidationSchemas.add, req.body);
+
+  const entry = await waitlistService.addParty(req.user, value);
+
+  res
+    .status(201)
+    .json(new APIResponse(201, { entry }, "Party added to the waitlist"));
+});
+
+/**
+ * Edit a waiting party
+ * PUT /api/v1/staff/waitlist/:entryId
+ * @access Receptionist
+ */
+export const updateWaitlistEntry = asyncHandler(async (req, res) => {
+  const value = validate(waitlistValidationSchemas.update, req.body);
+  const entry = await findBranchEntry(req);
+
+  await waitlistService.updateEntry(entry, value);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { entry }, "Waitlist entry updated"));
+});
+
+/**
+ * Seat a party at the held table, or at another free table
+ * POST /api/v1/staff/waitlist/:entryId/seat
+ * @access Receptionist
+ */
+export const seatWaitlistEntry = asyncHandler(async (req, res) => {
+  const { tableId } = validate(waitlistValidationSchemas.seat, req.body);
+  const entry = await findBranchEntry(req);
+
+  await waitlistService.seatParty(entry, { tableId, staffId: req.user._id });
+  await entry.populate("seatedTable", "tableNumber capacity");
+
+  res.status(200).json(new APIResponse(200, { entry }, "Party seated"));
+});
+
+/**
+ * Take a party off the list as cancelled or no-show
+ * POST /api/v1/staff/waitlist/:entryId/remove
+ * @access Receptionist
+ */
+export const removeWaitlistEntry = asyncHandler(async (req, res) => {
+  const { status } = validate(waitlistValidationSchemas.remove, req.body);
+  const entry = await findBranchEntry(req);
+
+  await waitlistService.removeEntry(entry, status);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { entry }, "Party removed from the waitlist"));
+});
+
+export default {
+  getWaitlist,
+  getWaitEstimate,
+  addToWaitlist,
+  updateWaitlistEntry,
+  seatWaitlistEntry,
+  removeWaitlistEntry,
+};
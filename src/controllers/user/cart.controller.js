@@ -2,6 +2,7 @@ import cartService from "../../services/cart.service.js";
 import { APIError } from "../../utils/APIError.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { cartValidationSchemas } from "../../models/Cart.model.js";
+import { validateOrderTypeDetails } from "../../validators/order.validators.js";
 import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
 /**
  * @desc    Add item to cart
@@ -257,7 +258,22 @@ export const transferToCheckout = asyncHandler(async (req, res) => {
     throw new APIError(400, "Hotel ID is required");
   }
 
-  if (!tableId) {
+  // Takeaway needs pickup details, delivery an address, dine-in a table
+  const { error: orderTypeError, value: orderTypeDetails } =
+    validateOrderTypeDetails({
+      orderType: req.body.orderType,
+      pickup: req.body.pickup,
+      deliveryAddress: req.body.deliveryAddress,
+    });
+  if (orderTypeError) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      orderTypeError.details.map((d) => d.message)
+    );
+  }
+
+  if (orderTypeDetails.orderType === "dine_in" && !tableId) {
     throw new APIError(400, "Table ID is required");
   }
 
@@ -283,6 +299,7 @@ export const transferToCheckout = asyncHandler(async (req, res) => {
     coinsToUse,
     offerCode,
     estimatedDeliveryTime,
+    ...orderTypeDetails,
   });
 
   res.status(result.statusCode).json(result);
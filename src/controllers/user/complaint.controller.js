@@ -17,6 +17,7 @@ import { uploadToCloudinary } from "../../utils/cloudinary.js";
 import {
   emitComplaintNew,
   emitComplaintUpdate,
+  recordComplaintNotification,
 } from "../../socket/complaintEvents.js";
 import { getIO } from "../../utils/socketService.js";
 
@@ -241,6 +242,11 @@ export const submitComplaint = async (req, res, next) => {
       // Admins will receive it through hotel room
       if (branchId) {
         io.to(`branch_${branchId}`).emit("complaint:new", complaintData);
+        recordComplaintNotification(
+          complaint,
+          { branchId },
+          { type: "complaint_new", message: complaintData.message }
+        );
       }
 
       // console.log("\n🔔 Socket Event Emitted:");
@@ -8,4 +8,6 @@ export { default as offerController } from "./offer.controller.js";
 export * from "./order.controller.js";
 export * from "./qrScan.controller.js";
 export * from "./refundStatus.controller.js";
+export * from "./reservation.controller.js";
 export * from "./review.controller.js";
+export * from "./serviceRequest.controller.js";
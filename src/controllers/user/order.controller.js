@@ -1,7 +1,14 @@
 import orderService from "../../services/order/order.service.js";
+import billSplitService from "../../services/order/billSplit.service.js";
+import { getOrderTracking as getOrderTrackingHistory } from "../../services/order/orderTracking.service.js";
 import assignmentService from "../../services/assignment/assignment.service.js";
 import timeTracker from "../../services/timeTracker.service.js";
 import { validateOrder } from "../../models/Order.model.js";
+import { ORDER_TRACKING_SETTINGS } from "../../config/constants.js";
+import {
+  validateBillSplit,
+  orderTypeFields,
+} from "../../validators/order.validators.js";
 import { User } from "../../models/User.model.js";
 import { Order } from "../../models/Order.model.js";
 import { RefundRequest } from "../../models/RefundRequest.model.js";
@@ -29,7 +36,7 @@ export const placeOrder = asyncHandler(async (req, res, next) => {
   } = req.body;
 
   // Validate request body
-  const { error } = validatePlaceOrder(req.body);
+  const { error, value } = validatePlaceOrder(req.body);
   if (error) {
     return next(new APIError(400, "Validation failed", error.details));
   }
@@ -58,6 +65,10 @@ export const placeOrder = asyncHandler(async (req, res, next) => {
       specialInstructions,
       customerNote,
       coinsToUse,
+      orderType: value.orderType,
+      pickup: value.pickup,
+      deliveryAddress: value.deliveryAddress,
+      scheduledFor: value.scheduledFor,
     }
   );
 
@@ -450,6 +461,32 @@ export const getOrderStatus = asyncHandler(async (req, res, next) => {
     );
 });
 
+/**
+ * Get live tracking state and the tracking events after a sequence
+ * The app passes the last sequence it received on "order:tracking" to
+ * catch up after a reconnect.
+ * GET /api/v1/user/orders/:orderId/tracking?after=<sequence>
+ */
+export const getOrderTracking = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+  if (!orderId || !orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new APIError(400, "Invalid order ID"));
+  }
+
+  const { error, value } = validateTrackingQuery(req.query);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const tracking = await getOrderTrackingHistory(orderId, req.user._id, value);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, tracking, "Order tracking retrieved successfully")
+    );
+});
+
 /**
  * Get active orders (queued, pending, confirmed, preparing, ready, served)
  * GET /api/v1/user/orders/active
@@ -643,6 +680,7 @@ const validatePlaceOrder = (data) => {
       "string.length": "Table ID must be 24 characters",
       "string.hex": "Table ID must be valid",
     }),
+    ...orderTypeFields,
     paymentMethod: Joi.string()
       .valid("cash", "card", "upi", "wallet")
       .default("cash")
@@ -655,6 +693,11 @@ const validatePlaceOrder = (data) => {
     customerNote: Joi.string().max(300).optional().messages({
       "string.max": "Customer note cannot exceed 300 characters",
     }),
+    scheduledFor: Joi.date().iso().greater("now").optional().messages({
+      "date.base": "Scheduled time must be a valid date",
+      "date.format": "Scheduled time must be an ISO date",
+      "date.greater": "Scheduled time must be in the future",
+    }),
     coinsToUse: Joi.number().integer().min(0).optional().default(0).messages({
       "number.base": "Coins to use must be a number",
       "number.integer": "Coins to use must be an integer",
@@ -669,6 +712,7 @@ const validateGetOrdersQuery = (data) => {
     status: Joi.string()
       .valid(
         "all",
+        "scheduled",
         "pending",
         "preparing",
         "ready",
@@ -715,6 +759,18 @@ const validateCancelBatch = (data) => {
   return schema.validate(data);
 };
 
+const validateTrackingQuery = (data) => {
+  const schema = Joi.object({
+    after: Joi.number().integer().min(0).default(0),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(ORDER_TRACKING_SETTINGS.maxReplayEvents)
+      .default(ORDER_TRACKING_SETTINGS.maxReplayEvents),
+  });
+  return schema.validate(data);
+};
+
 const validateReorder = (data) => {
   const schema = Joi.object({
     tableId: Joi.string().length(24).hex().optional().messages({
@@ -1034,6 +1090,107 @@ export const addItemsToOrder = asyncHandler(async (req, res, next) => {
   );
 });
 
+/**
+ * Split the bill of an order across diners
+ * POST /api/v1/user/orders/:orderId/split
+ */
+export const splitBill = asyncHandler(async (req, res, next) => {
+  const userId = req.user._id;
+  const { orderId } = req.params;
+
+  if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new APIError(400, "Invalid order ID"));
+  }
+
+  const { error, value } = validateBillSplit(req.body);
+  if (error) {
+    return next(new APIError(400, "Validation failed", error.details));
+  }
+
+  const order = await Order.findOne({ _id: orderId, user: userId }).select(
+    "_id"
+  );
+  if (!order) {
+    return next(new APIError(404, "Order not found or access denied"));
+  }
+
+  const splitOrder = await billSplitService.createBillSplit(orderId, value, {
+    id: userId,
+    role: "user",
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        billSplitService.getBillSplitSummary(splitOrder),
+        "Bill split successfully"
+      )
+    );
+});
+
+/**
+ * Get the bill split and settlement status of an order
+ * GET /api/v1/user/orders/:orderId/split
+ */
+export const getBillSplit = asyncHandler(async (req, res, next) => {
+  const { orderId } = req.params;
+
+  if (!orderId.match(/^[0-9a-fA-F]{24}$/)) {
+    return next(new APIError(400, "Invalid order ID"));
+  }
+
+  const order = await Order.findOne({
+    _id: orderId,
+    user: req.user._id,
+  }).select("totalPrice billSplit");
+  if (!order) {
+    return next(new APIError(404, "Order not found or access denied"));
+  }
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        billSplitService.getBillSplitSummary(order),
+        "Bill split retrieved successfully"
+      )
+    );
+});
+
+/**
+ * Download the partial invoice for one share of a split bill
+ * GET /api/v1/user/orders/:orderId/split/shares/:shareId/invoice
+ */
+export const downloadShareInvoice = asyncHandler(async (req, res, next) => {
+  const { orderId, shareId } = req.params;
+
+  if (
+    !orderId.match(/^[0-9a-fA-F]{24}$/) ||
+    !shareId.match(/^[0-9a-fA-F]{24}$/)
+  ) {
+    return next(new APIError(400, "Invalid order or share ID"));
+  }
+
+  const order = await Order.exists({ _id: orderId, user: req.user._id });
+  if (!order) {
+    return next(new APIError(404, "Order not found or access denied"));
+  }
+
+  const invoice = await billSplitService.generateShareInvoice(orderId, shareId);
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${invoice.fileName}"`
+  );
+  res.setHeader("Content-Length", invoice.buffer.length);
+
+  res.send(invoice.buffer);
+});
+
 export default {
   placeOrder,
   getMyOrders,
@@ -1046,4 +1203,7 @@ export default {
   downloadInvoice,
   downloadCreditNote,
   addItemsToOrder,
+  splitBill,
+  getBillSplit,
+  downloadShareInvoice,
 };
@@ -6,6 +6,7 @@ import { User } from "../../models/User.model.js";
 import { FoodCategory } from "../../models/FoodCategory.model.js";
 import { FoodItem } from "../../models/FoodItem.model.js";
 import qrCodeService from "../../services/qrCode.service.js";
+import tableCartService from "../../services/tableCart.service.js";
 import { APIResponse } from "../../utils/APIResponse.js";
 import { APIError } from "../../utils/APIError.js";
 import jwt from "jsonwebtoken";
@@ -110,6 +111,23 @@ export const handleQRScan = asyncHandler(async (req, res, next) => {
     await table.save();
   }
 
+  // Everyone scanning this table orders from one shared cart
+  let tableCart = null;
+  try {
+    const cart = await tableCartService.joinTableCart(user._id, table);
+    tableCart = {
+      id: cart._id,
+      host: cart.host,
+      participants: cart.participants,
+      status: cart.status,
+      totalItems: cart.totalItems,
+      subtotal: cart.subtotal,
+    };
+  } catch (err) {
+    // The diner can still order from their own cart
+    console.error("Failed to join table cart:", err.message);
+  }
+
   res.status(200).json(
     new APIResponse(
       200,
@@ -145,6 +163,7 @@ export const handleQRScan = asyncHandler(async (req, res, next) => {
             }
           : null,
         menu: menuData,
+        tableCart,
         scanData: {
           hotelId,
           branchId: branchId || null,
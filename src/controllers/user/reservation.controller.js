@@ -0,0 +1,212 @@
+import {
+  Booking,
+  reservationValidationSchemas,
+} from "../../models/Booking.model.js";
+import reservationService from "../../services/reservation.service.js";
+import { APIError } from "../../utils/APIError.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+const validate = (schema, data) => {
+  const { error, value } = schema.validate(data);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+  return value;
+};
+
+/**
+ * Load one of the user's own bookings
+ */
+const findUserBooking = async (req) => {
+  const booking = await Booking.findOne({
+    _id: req.params.reservationId,
+    user: req.user._id,
+  });
+  if (!booking) {
+    throw new APIError(404, "Reservation not found");
+  }
+  return booking;
+};
+
+const populateBooking = (booking) =>
+  booking.populate([
+    { path: "branch", select: "name location contactInfo" },
+    { path: "hotel", select: "name" },
+    { path: "table", select: "tableNumber capacity" },
+  ]);
+
+/**
+ * @desc    Bookable time slots for a party on a day
+ * @route   GET /api/user/reservations/availability?branchId=&date=YYYY-MM-DD&partySize=
+ * @access  Public
+ */
+export const getAvailability = asyncHandler(async (req, res) => {
+  const { branchId, date, partySize } = validate(
+    reservationValidationSchemas.availability,
+    req.query
+  );
+
+  const availability = await reservationService.getAvailability(
+    branchId,
+    date,
+    partySize
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, availability, "Availability retrieved successfully")
+    );
+});
+
+/**
+ * @desc    Book a table
+ * @route   POST /api/user/reservations
+ * @access  Private (User)
+ */
+export const createReservation = asyncHandler(async (req, res) => {
+  const value = validate(reservationValidationSchemas.create, req.body);
+
+  const booking = await reservationService.createReservation(req.user, value);
+  await populateBooking(booking);
+
+  res
+    .status(201)
+    .json(
+      new APIResponse(
+        201,
+        { reservation: booking },
+        "Reservation confirmed successfully"
+      )
+    );
+});
+
+/**
+ * @desc    The user's reservations
+ * @route   GET /api/user/reservations?status=upcoming|past|cancelled|all
+ * @access  Private (User)
+ */
+export const getMyReservations = asyncHandler(async (req, res) => {
+  const { status, page, limit } = validate(
+    reservationValidationSchemas.list,
+    req.query
+  );
+
+  const query = { user: req.user._id };
+  let sort = { reservationTime: -1 };
+  if (status === "upcoming") {
+    query.status = { $in: ["confirmed", "seated"] };
+    query.endTime = { $gte: new Date() };
+    sort = { reservationTime: 1 };
+  } else if (status === "past") {
+    query.$or = [
+      { status: { $in: ["completed", "no_show"] } },
+      { status: "confirmed", endTime: { $lt: new Date() } },
+    ];
+  } else if (status === "cancelled") {
+    query.status = "cancelled";
+  }
+
+  const [reservations, total] = await Promise.all([
+    Booking.find(query)
+      .populate("branch", "name location")
+      .populate("hotel", "name")
+      .populate("table", "tableNumber")
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Booking.countDocuments(query),
+  ]);
+
+  res.status(200).json(
+    new APIResponse(
+      200,
+      {
+        reservations,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+        },
+      },
+      "Reservations retrieved successfully"
+    )
+  );
+});
+
+/**
+ * @desc    One of the user's reservations
+ * @route   GET /api/user/reservations/:reservationId
+ * @access  Private (User)
+ */
+export const getReservation = asyncHandler(async (req, res) => {
+  const booking = await findUserBooking(req);
+  await populateBooking(booking);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { reservation: booking },
+        "Reservation retrieved successfully"
+      )
+    );
+});
+
+/**
+ * @desc    Change the time, party size or requests of a reservation
+ * @route   PUT /api/user/reservations/:reservationId
+ * @access  Private (User)
+ */
+export const updateReservation = asyncHandler(async (req, res) => {
+  const value = validate(reservationValidationSchemas.update, req.body);
+  const booking = await findUserBooking(req);
+
+  await reservationService.updateReservation(booking, value);
+  await populateBooking(booking);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { reservation: booking },
+        "Reservation updated successfully"
+      )
+    );
+});
+
+/**
+ * @desc    Cancel a reservation
+ * @route   POST /api/user/reservations/:reservationId/cancel
+ * @access  Private (User)
+ */
+export const cancelReservation = asyncHandler(async (req, res) => {
+  const { reason } = validate(reservationValidationSchemas.cancel, req.body);
+  const booking = await findUserBooking(req);
+
+  reservationService.assertCustomerCanChange(booking);
+  await reservationService.cancelReservation(booking, {
+    cancelledBy: req.user._id,
+    cancelledByModel: "User",
+    reason,
+  });
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { reservation: booking },
+        "Reservation cancelled successfully"
+      )
+    );
+});
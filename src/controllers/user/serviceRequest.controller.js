@@ -0,0 +1,103 @@
+import { Table } from "../../models/Table.model.js";
+import {
+  ServiceRequest,
+  serviceRequestValidationSchemas,
+  ACTIVE_SERVICE_REQUEST_STATUSES,
+} from "../../models/ServiceRequest.model.js";
+import serviceRequestService from "../../services/serviceRequest.service.js";
+import { APIError } from "../../utils/APIError.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * @desc    Ask for the waiter, the bill, water, cutlery or something else
+ * @route   POST /api/user/service-requests
+ * @access  Private (User)
+ */
+export const createServiceRequest = asyncHandler(async (req, res) => {
+  const { error, value } = serviceRequestValidationSchemas.create.validate(
+    req.body
+  );
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const table = await Table.findByQRData(
+    value.hotelId,
+    value.branchId,
+    value.tableNo
+  );
+  if (!table) {
+    throw new APIError(404, "Table not found or inactive");
+  }
+
+  const { request, duplicate } = await serviceRequestService.createRequest(
+    req.user,
+    table,
+    value
+  );
+
+  res
+    .status(duplicate ? 200 : 201)
+    .json(
+      new APIResponse(
+        duplicate ? 200 : 201,
+        { request },
+        duplicate
+          ? "We already have this request and staff are on the way"
+          : "Request sent to staff"
+      )
+    );
+});
+
+/**
+ * @desc    The user's pending requests (or all with ?status=all)
+ * @route   GET /api/user/service-requests
+ * @access  Private (User)
+ */
+export const getMyServiceRequests = asyncHandler(async (req, res) => {
+  const query = { user: req.user._id };
+  if (req.query.status !== "all") {
+    query.status = { $in: ACTIVE_SERVICE_REQUEST_STATUSES };
+  }
+
+  const requests = await ServiceRequest.find(query)
+    .populate("assignedStaff", "name")
+    .sort({ createdAt: -1 })
+    .limit(20);
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(
+        200,
+        { requests },
+        "Service requests retrieved successfully"
+      )
+    );
+});
+
+/**
+ * @desc    Withdraw a request
+ * @route   POST /api/user/service-requests/:requestId/cancel
+ * @access  Private (User)
+ */
+export const cancelServiceRequest = asyncHandler(async (req, res) => {
+  const request = await ServiceRequest.findOne({
+    _id: req.params.requestId,
+    user: req.user._id,
+  });
+  if (!request) {
+    throw new APIError(404, "Service request not found");
+  }
+
+  await serviceRequestService.cancel(request);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, { request }, "Service request cancelled"));
+});
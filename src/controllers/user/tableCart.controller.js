@@ -0,0 +1,268 @@
+import Joi from "joi";
+import { Table } from "../../models/Table.model.js";
+import { cartValidationSchemas } from "../../models/Cart.model.js";
+import { modifierSelectionSchema } from "../../models/ModifierGroup.model.js";
+import { comboSelectionSchema } from "../../validators/foodItem.validators.js";
+import tableCartService from "../../services/tableCart.service.js";
+import { APIError } from "../../utils/APIError.js";
+import { APIResponse } from "../../utils/APIResponse.js";
+import { asyncHandler } from "../../middleware/errorHandler.middleware.js";
+
+/**
+ * @desc    Join the shared cart of a table (same data as the table QR code)
+ * @route   POST /api/user/table-cart/join
+ * @access  Private (User)
+ */
+export const joinTableCart = asyncHandler(async (req, res) => {
+  const { error, value } = validateJoinTableCart(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const table = await Table.findByQRData(
+    value.hotelId,
+    value.branchId,
+    value.tableNo
+  );
+  if (!table) {
+    throw new APIError(404, "Table not found or inactive");
+  }
+
+  const cart = await tableCartService.joinTableCart(req.user._id, table);
+
+  res
+    .status(200)
+    .json(new APIResponse(200, cart, "Joined table cart successfully"));
+});
+
+/**
+ * @desc    Get a shared table cart with who added what
+ * @route   GET /api/user/table-cart/:cartId
+ * @access  Private (User, table cart participant)
+ */
+export const getTableCart = asyncHandler(async (req, res) => {
+  const cart = await tableCartService.getTableCart(
+    req.params.cartId,
+    req.user._id
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, cart, "Table cart retrieved successfully"));
+});
+
+/**
+ * @desc    Add an item to a shared table cart
+ * @route   POST /api/user/table-cart/:cartId/items
+ * @access  Private (User, table cart participant)
+ */
+export const addTableCartItem = asyncHandler(async (req, res) => {
+  const { error, value } = validateTableCartItem(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const cart = await tableCartService.addItem(
+    req.params.cartId,
+    req.user._id,
+    value
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, cart, "Item added to table cart successfully"));
+});
+
+/**
+ * @desc    Change the quantity of a shared table cart item
+ * @route   PUT /api/user/table-cart/:cartId/items/:itemId
+ * @access  Private (User, item owner or host)
+ */
+export const updateTableCartItem = asyncHandler(async (req, res) => {
+  const { error, value } = cartValidationSchemas.updateQuantity.validate(
+    req.body
+  );
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const cart = await tableCartService.updateItemQuantity(
+    req.params.cartId,
+    req.user._id,
+    req.params.itemId,
+    value.quantity
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, cart, "Table cart updated successfully"));
+});
+
+/**
+ * @desc    Remove an item from a shared table cart
+ * @route   DELETE /api/user/table-cart/:cartId/items/:itemId
+ * @access  Private (User, item owner or host)
+ */
+export const removeTableCartItem = asyncHandler(async (req, res) => {
+  const cart = await tableCartService.removeItem(
+    req.params.cartId,
+    req.user._id,
+    req.params.itemId
+  );
+
+  res
+    .status(200)
+    .json(
+      new APIResponse(200, cart, "Item removed from table cart successfully")
+    );
+});
+
+/**
+ * @desc    Leave a shared table cart
+ * @route   POST /api/user/table-cart/:cartId/leave
+ * @access  Private (User, table cart participant)
+ */
+export const leaveTableCart = asyncHandler(async (req, res) => {
+  const result = await tableCartService.leaveTableCart(
+    req.params.cartId,
+    req.user._id
+  );
+
+  res.status(200).json(new APIResponse(200, result, "Left table cart"));
+});
+
+/**
+ * @desc    Check out the whole table as one order
+ * @route   POST /api/user/table-cart/:cartId/checkout
+ * @access  Private (User, table cart participant)
+ */
+export const checkoutTableCart = asyncHandler(async (req, res) => {
+  const { error, value } = validateTableCartCheckout(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const result = await tableCartService.checkout(
+    req.params.cartId,
+    req.user._id,
+    value
+  );
+
+  res.status(result.statusCode).json(result);
+});
+
+/**
+ * @desc    Split the table's order so each diner pays for their own items
+ * @route   POST /api/user/table-cart/:cartId/split
+ * @access  Private (User, diner who checked out)
+ */
+export const splitTableCartBill = asyncHandler(async (req, res) => {
+  const { error, value } = validateTableCartSplit(req.body);
+  if (error) {
+    throw new APIError(
+      400,
+      "Validation failed",
+      error.details.map((d) => d.message)
+    );
+  }
+
+  const summary = await tableCartService.splitByParticipant(
+    req.params.cartId,
+    req.user._id,
+    value
+  );
+
+  res
+    .status(200)
+    .json(new APIResponse(200, summary, "Bill split by diner successfully"));
+});
+
+// Validation schemas
+const objectId = Joi.string().length(24).hex();
+
+const validateJoinTableCart = (data) => {
+  const schema = Joi.object({
+    hotelId: objectId.required().messages({
+      "any.required": "Hotel ID is required",
+    }),
+    branchId: objectId.optional().allow(null, ""),
+    tableNo: Joi.string().required().messages({
+      "any.required": "Table number is required",
+    }),
+  });
+  return schema.validate(data);
+};
+
+const validateTableCartItem = (data) => {
+  const schema = Joi.object({
+    foodItem: objectId.required().messages({
+      "any.required": "Food item is required",
+    }),
+    quantity: Joi.number().integer().min(1).max(20).required().messages({
+      "number.min": "Quantity must be at least 1",
+      "number.max": "Maximum 20 items allowed per food item",
+    }),
+    customizations: Joi.object({
+      spiceLevel: Joi.string().valid("mild", "medium", "hot", "extra-hot"),
+      size: Joi.string().valid("small", "medium", "large", "extra-large"),
+      addOns: Joi.array().items(
+        Joi.object({
+          name: Joi.string().required(),
+          price: Joi.number().min(0).required(),
+        })
+      ),
+      removedIngredients: Joi.array().items(Joi.string()),
+      specialInstructions: Joi.string().max(200),
+      modifiers: modifierSelectionSchema,
+      comboItems: comboSelectionSchema,
+    }).optional(),
+  });
+  return schema.validate(data);
+};
+
+const validateTableCartCheckout = (data) => {
+  const schema = Joi.object({
+    paymentMethod: Joi.string()
+      .valid("cash", "card", "upi", "wallet", "razorpay")
+      .required()
+      .messages({
+        "any.only":
+          "Payment method must be one of: cash, card, upi, wallet, razorpay",
+        "any.required": "Payment method is required",
+      }),
+    customerNote: Joi.string().max(300).optional(),
+    specialInstructions: Joi.string().max(500).optional(),
+    coinsToUse: Joi.number().integer().min(0).default(0),
+    offerCode: Joi.string().trim().optional(),
+  });
+  return schema.validate(data);
+};
+
+const validateTableCartSplit = (data) => {
+  const schema = Joi.object({
+    // Optional payment method per diner: { "<userId>": "razorpay" }
+    paymentMethods: Joi.object()
+      .pattern(
+        objectId,
+        Joi.string().valid("cash", "razorpay", "phonepe", "paytm")
+      )
+      .optional(),
+  });
+  return schema.validate(data);
+};
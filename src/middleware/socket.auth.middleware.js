@@ -60,6 +60,7 @@ export const socketAuthMiddleware = async (socket, next) => {
       case "staff":
       case "waiter":
       case "chef":
+      case "kitchen_staff":
         user = await Staff.findById(userId).select("-password -refreshToken");
         userModel = "Staff";
         break;
@@ -1,5 +1,6 @@
 import { APIError } from "../utils/APIError.js";
 import { AdminSubscription } from "../models/AdminSubscription.model.js";
+import { Hotel } from "../models/Hotel.model.js";
 
 /**
  * Middleware to check if admin has an active subscription
@@ -58,8 +59,29 @@ export const requireActiveSubscription = async (req, res, next) => {
   }
 };
 
+/**
+ * Find the admin whose subscription covers the request.
+ * Managers and staff work under the admin who owns their hotel.
+ * @param {Object} req - Express request
+ * @returns {Promise<ObjectId|null>} Admin ID, or null when there is none
+ */
+const getSubscriptionOwnerId = async (req) => {
+  if (req.userType === "admin") {
+    return req.admin._id;
+  }
+
+  const hotelId = (req.manager || req.staff)?.hotel;
+  if (!hotelId) {
+    return null;
+  }
+
+  const hotel = await Hotel.findById(hotelId).select("createdBy").lean();
+  return hotel?.createdBy || null;
+};
+
 /**
  * Middleware factory to check if admin's subscription plan has a specific feature
+ * Managers and staff are checked against their hotel owner's plan
  * @param {string} featureName - The feature name to check (e.g., 'analyticsAccess', 'coinSystem')
  * @returns {Function} Express middleware function
  */
@@ -71,8 +93,8 @@ export const requireFeature = (featureName) => {
         return next();
       }
 
-      // Check if user is an admin
-      if (req.userType !== "admin") {
+      // Check if user is an admin, or a manager/staff member of a hotel
+      if (!["admin", "manager", "staff"].includes(req.userType)) {
         return next(new APIError(403, "Admin access required"));
       }
 
@@ -81,9 +103,9 @@ export const requireFeature = (featureName) => {
 
       // If not fetched, get it now
       if (!subscription) {
-        subscription = await AdminSubscription.findActiveSubscription(
-          req.admin._id
-        );
+        const ownerId = await getSubscriptionOwnerId(req);
+        subscription =
+          ownerId && (await AdminSubscription.findActiveSubscription(ownerId));
 
         if (!subscription) {
           return next(
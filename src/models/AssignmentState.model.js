@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+/**
+ * Assignment state shared by every server instance when Redis is not
+ * configured: round-robin positions, locks and daily counters, one
+ * document per key. Entries with expiresAt are removed by MongoDB.
+ */
+const assignmentStateSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    value: { type: String, default: null },
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+assignmentStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AssignmentState = mongoose.model(
+  "AssignmentState",
+  assignmentStateSchema
+);
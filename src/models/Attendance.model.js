@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+import { getNextCounter } from "../utils/idGenerator.js";
+
+export const TIMESHEET_APPROVAL_STATUSES = ["pending", "approved", "rejected"];
+
+const punchSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    location: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number, // metres, as reported by the device
+    },
+    distanceMeters: { type: Number }, // from the branch, when located
+    deviceId: { type: String },
+  },
+  { _id: false }
+);
+
+// One worked shift: clock-in to clock-out, with breaks
+const attendanceSchema = new mongoose.Schema(
+  {
+    attendanceId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      required: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+    // Local date of the scheduled shift (or of clock-in when unscheduled)
+    businessDate: { type: String, required: true },
+    // Snapshot of Staff.shiftSchedule for that day
+    scheduledShift: {
+      shift: String,
+      start: Date,
+      end: Date,
+    },
+    clockIn: { type: punchSchema, required: true },
+    clockOut: { type: punchSchema, default: null },
+    breaks: [
+      {
+        _id: false,
+        start: { type: Date, required: true },
+        end: { type: Date, default: null },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+    },
+    // Closed by the system after ATTENDANCE_SETTINGS.maxShiftHours
+    autoClosed: { type: Boolean, default: false },
+    lateMinutes: { type: Number, default: 0 },
+    breakMinutes: { type: Number, default: 0 },
+    workedMinutes: { type: Number, default: 0 },
+    notes: { type: String, trim: true, maxlength: 500 },
+
+    // Manager review
+    approval: {
+      status: {
+        type: String,
+        enum: TIMESHEET_APPROVAL_STATUSES,
+        default: "pending",
+      },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Manager" },
+      reviewedAt: { type: Date },
+      note: { type: String, trim: true, maxlength: 500 },
+    },
+    // Manager corrections to the punched times
+    adjustments: [
+      {
+        _id: false,
+        adjustedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Manager" },
+        adjustedAt: { type: Date, default: Date.now },
+        reason: { type: String, required: true },
+        before: {
+          clockIn: Date,
+          clockOut: Date,
+          breakMinutes: Number,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// A staff member has at most one open record
+attendanceSchema.index(
+  { staff: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+attendanceSchema.index({ staff: 1, businessDate: -1 });
+attendanceSchema.index({ branch: 1, businessDate: 1 });
+attendanceSchema.index({ status: 1, "clockIn.at": 1 });
+
+attendanceSchema.pre("save", async function (next) {
+  if (!this.attendanceId && this.isNew) {
+    try {
+      const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+      const prefix = `ATT-${dateStr}`;
+      const counter = await getNextCounter(
+        this.constructor,
+        "attendanceId",
+        prefix
+      );
+      this.attendanceId = `${prefix}-${String(counter).padStart(5, "0")}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+export const Attendance = mongoose.model("Attendance", attendanceSchema);
+
+// Validators extracted to src/validators/attendance.validators.js
+export { attendanceValidationSchemas } from "../validators/attendance.validators.js";
@@ -1,21 +1,123 @@
 import mongoose from "mongoose";
+import { getNextCounter } from "../utils/idGenerator.js";
+
+export const BOOKING_STATUSES = [
+  "confirmed",
+  "seated",
+  "completed",
+  "cancelled",
+  "no_show",
+];
+
+// Statuses that hold a table for their time window
+export const ACTIVE_BOOKING_STATUSES = ["confirmed", "seated"];
 
 const bookingSchema = new mongoose.Schema(
   {
+    bookingId: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      // Auto-generated in pre-save middleware (BKG-YYYYMMDD-00001)
+    },
+    // Set when the diner booked through the app; manager bookings may be
+    // for walk-in phone callers without an account
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
-    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel" },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: [true, "Branch is required"],
+    },
     table: { type: mongoose.Schema.Types.ObjectId, ref: "Table" },
-    bookingTime: { type: Date, required: true },
+
+    customerName: { type: String, trim: true, maxlength: 100 },
+    contactNumber: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    partySize: {
+      type: Number,
+      required: [true, "Party size is required"],
+      min: [1, "Party size must be at least 1"],
+    },
+
+    reservationTime: {
+      type: Date,
+      required: [true, "Reservation time is required"],
+    },
+    // reservationTime + dining duration; the table is held until then
+    endTime: { type: Date },
+    durationMinutes: { type: Number, min: 1 },
+
+    specialRequests: { type: String, maxlength: 500 },
+    notes: { type: String, maxlength: 500 },
+
     status: {
       type: String,
-      enum: ["booked", "cancelled", "completed"],
-      default: "booked",
+      enum: BOOKING_STATUSES,
+      default: "confirmed",
     },
+    source: {
+      type: String,
+      enum: ["customer", "manager"],
+      default: "manager",
+    },
+
+    seatedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "cancelledByModel",
+    },
+    cancelledByModel: {
+      type: String,
+      enum: ["User", "Manager"],
+    },
+    cancellationReason: { type: String, maxlength: 500 },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId },
   },
   { timestamps: true }
 );
 
+bookingSchema.index({ table: 1, status: 1, reservationTime: 1, endTime: 1 });
+bookingSchema.index({ branch: 1, reservationTime: 1 });
+bookingSchema.index({ user: 1, reservationTime: -1 });
+
+// Pre-save middleware to auto-generate bookingId and keep endTime in step
+bookingSchema.pre("save", async function (next) {
+  if (
+    this.durationMinutes &&
+    (this.isModified("reservationTime") || this.isModified("durationMinutes"))
+  ) {
+    this.endTime = new Date(
+      this.reservationTime.getTime() + this.durationMinutes * 60 * 1000
+    );
+  }
+
+  if (!this.bookingId && this.isNew) {
+    try {
+      const today = new Date();
+      const dateStr = today.toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+      const prefix = `BKG-${dateStr}`;
+      const counter = await getNextCounter(
+        this.constructor,
+        "bookingId",
+        prefix
+      );
+      this.bookingId = `${prefix}-${String(counter).padStart(5, "0")}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
 export const Booking = mongoose.model("Booking", bookingSchema);
 
 // Validators extracted to src/validators/booking.validators.js
-export { validateBooking } from "../validators/booking.validators.js";
+export {
+  validateBooking,
+  reservationValidationSchemas,
+} from "../validators/booking.validators.js";
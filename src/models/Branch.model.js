@@ -1,5 +1,9 @@
 import mongoose from "mongoose";
 import { generateBranchId, getNextCounter } from "../utils/idGenerator.js";
+import {
+  ASSIGNMENT_STRATEGIES,
+  SHIFT_ASSIGNMENT_MODES,
+} from "../config/constants.js";
 
 const branchSchema = new mongoose.Schema(
   {
@@ -87,6 +91,85 @@ const branchSchema = new mongoose.Schema(
         default: false,
       },
     },
+    // Takeaway / delivery settings; an unset packaging charge falls back
+    // to DEFAULT_PACKAGING_CHARGES
+    orderTypes: {
+      takeaway: {
+        enabled: { type: Boolean, default: true },
+        packagingCharge: {
+          type: Number,
+          min: [0, "Packaging charge cannot be negative"],
+        },
+      },
+      delivery: {
+        enabled: { type: Boolean, default: true },
+        packagingCharge: {
+          type: Number,
+          min: [0, "Packaging charge cannot be negative"],
+        },
+      },
+    },
+    // Table reservations; unset values fall back to RESERVATION_SETTINGS
+    reservationSettings: {
+      enabled: { type: Boolean, default: true },
+      slotMinutes: {
+        type: Number,
+        min: [15, "Slot interval must be at least 15 minutes"],
+        max: [120, "Slot interval cannot exceed 120 minutes"],
+      },
+      diningDurationMinutes: {
+        type: Number,
+        min: [30, "Dining duration must be at least 30 minutes"],
+        max: [360, "Dining duration cannot exceed 6 hours"],
+      },
+      maxPartySize: {
+        type: Number,
+        min: [1, "Max party size must be at least 1"],
+      },
+    },
+    // Tip pooling rules; unset values fall back to TIP_POOL_SETTINGS
+    tipPool: {
+      directSharePercent: { type: Number, min: 0, max: 100 },
+      kitchenSharePercent: { type: Number, min: 0, max: 100 },
+      shifts: {
+        type: [
+          {
+            _id: false,
+            name: { type: String, required: true },
+            start: { type: String, required: true }, // HH:mm
+            end: { type: String, required: true }, // HH:mm, may pass midnight
+          },
+        ],
+        default: undefined,
+      },
+    },
+    // How a waiter is picked; unset values fall back to ASSIGNMENT_RULES
+    assignmentRules: {
+      strategy: { type: String, enum: ASSIGNMENT_STRATEGIES },
+      largeGroupMinSeats: { type: Number, min: 2, max: 50 },
+    },
+    // Which waiters get new orders; unset values fall back to
+    // SHIFT_ASSIGNMENT_SETTINGS
+    shiftAssignment: {
+      mode: { type: String, enum: SHIFT_ASSIGNMENT_MODES },
+      wrapUpMinutes: { type: Number, min: 0, max: 120 },
+    },
+    // Clock-in rules; unset values fall back to ATTENDANCE_SETTINGS
+    attendance: {
+      requireGeofence: { type: Boolean, default: false },
+      geofenceRadiusMeters: { type: Number, min: 10, max: 5000 },
+      requireApprovedDevice: { type: Boolean, default: false },
+      approvedDevices: [
+        {
+          _id: false,
+          deviceId: { type: String, required: true, trim: true },
+          label: { type: String, trim: true },
+          approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Manager" },
+          approvedAt: { type: Date, default: Date.now },
+        },
+      ],
+      lateGraceMinutes: { type: Number, min: 0, max: 120 },
+    },
     capacity: {
       totalTables: {
         type: Number,
@@ -48,19 +48,55 @@ const cartItemSchema = new mongoose.Schema({
       maxlength: [200, "Special instructions cannot exceed 200 characters"],
       trim: true,
     },
+    // Options picked from the item's modifier groups, priced when added
+    modifiers: [
+      {
+        _id: false,
+        group: { type: mongoose.Schema.Types.ObjectId, ref: "ModifierGroup" },
+        groupName: { type: String, required: true },
+        option: { type: mongoose.Schema.Types.ObjectId, required: true },
+        name: { type: String, required: true },
+        price: { type: Number, default: 0, min: 0 },
+      },
+    ],
+    // Components of a combo item, with the combo price split across them
+    comboItems: [
+      {
+        _id: false,
+        slot: { type: mongoose.Schema.Types.ObjectId },
+        slotName: { type: String },
+        foodItem: { type: mongoose.Schema.Types.ObjectId, ref: "FoodItem" },
+        name: { type: String },
+        quantity: { type: Number, default: 1, min: 1 },
+        gstRate: { type: Number, default: 0 },
+        allocatedPrice: { type: Number, default: 0, min: 0 },
+      },
+    ],
   },
   addedAt: {
     type: Date,
     default: Date.now,
   },
+  // Diner who added the item (shared table carts only)
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
 });
 
 const cartSchema = new mongoose.Schema(
   {
+    // Owner of a personal cart (shared table carts have no owner)
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
-      required: [true, "User is required"],
+      required: [
+        function () {
+          return !this.isShared;
+        },
+        "User is required",
+      ],
     },
     items: [cartItemSchema],
     hotel: {
@@ -74,6 +110,36 @@ const cartSchema = new mongoose.Schema(
       required: false, // Branch is optional for hotels without branches
       default: null,
     },
+    // Table the diner is seated at (kept in sync on table transfer/merge)
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      default: null,
+    },
+    // Shared table cart: everyone who scans the table QR orders together
+    isShared: {
+      type: Boolean,
+      default: false,
+    },
+    // Diner who opened the shared cart; can change anyone's items
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    participants: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     subtotal: {
       type: Number,
       default: 0,
@@ -148,17 +214,33 @@ const cartSchema = new mongoose.Schema(
 cartSchema.index({ user: 1 });
 cartSchema.index({ hotel: 1, branch: 1 });
 cartSchema.index({ status: 1 });
+cartSchema.index({ table: 1, status: 1 });
+cartSchema.index({ "participants.user": 1, status: 1 });
 // TTL index for auto-cleanup after 24 hours (86400 seconds)
 cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 86400 });
 // Sparse index for sessionId (allows null values)
 cartSchema.index({ sessionId: 1 }, { sparse: true });
 
 // Ensure user can only have one active cart per hotel-branch combination
+// (shared table carts have no owner and are kept unique per table instead).
+// Replaces the unnamed index without the isShared filter; run
+// scripts/migrate-cart-indexes.js on existing databases.
 cartSchema.index(
   { user: 1, hotel: 1, branch: 1, status: 1 },
   {
+    name: "unique_active_personal_cart",
     unique: true,
-    partialFilterExpression: { status: "active" },
+    partialFilterExpression: { status: "active", isShared: false },
+  }
+);
+
+// Only one open shared cart per table
+cartSchema.index(
+  { table: 1 },
+  {
+    name: "unique_active_table_cart",
+    unique: true,
+    partialFilterExpression: { status: "active", isShared: true },
   }
 );
 
@@ -225,46 +307,39 @@ cartSchema.statics.findOrCreateCart = async function (
   return cart;
 };
 
+// Per-unit price of add-ons and modifiers on top of the item price
+const getExtrasPrice = (customizations) =>
+  (customizations?.addOns || []).reduce((total, addOn) => total + addOn.price, 0) +
+  (customizations?.modifiers || []).reduce(
+    (total, modifier) => total + (modifier.price || 0),
+    0
+  );
+
 // Instance method to add item to cart
+// (on shared carts, identical items from different diners stay separate)
 cartSchema.methods.addItem = function (
   foodItemId,
   quantity,
   price,
-  customizations = {}
+  customizations = {},
+  addedBy = null
 ) {
   const existingItemIndex = this.items.findIndex(
     (item) =>
       item.foodItem.toString() === foodItemId.toString() &&
-      JSON.stringify(item.customizations) === JSON.stringify(customizations)
+      JSON.stringify(item.customizations) === JSON.stringify(customizations) &&
+      String(item.addedBy ?? null) === String(addedBy ?? null)
   );
 
   if (existingItemIndex > -1) {
     // Update existing item quantity
     this.items[existingItemIndex].quantity += quantity;
     this.items[existingItemIndex].totalPrice =
-      this.items[existingItemIndex].quantity * price;
-
-    // Add add-on prices
-    if (customizations.addOns?.length) {
-      const addOnPrice = customizations.addOns.reduce(
-        (total, addOn) => total + addOn.price,
-        0
-      );
-      this.items[existingItemIndex].totalPrice +=
-        addOnPrice * this.items[existingItemIndex].quantity;
-    }
+      this.items[existingItemIndex].quantity *
+      (price + getExtrasPrice(customizations));
   } else {
-    // Add new item
-    let totalPrice = quantity * price;
-
-    // Add add-on prices
-    if (customizations.addOns?.length) {
-      const addOnPrice = customizations.addOns.reduce(
-        (total, addOn) => total + addOn.price,
-        0
-      );
-      totalPrice += addOnPrice * quantity;
-    }
+    // Add new item (add-on and modifier prices are per unit)
+    const totalPrice = quantity * (price + getExtrasPrice(customizations));
 
     this.items.push({
       foodItem: foodItemId,
@@ -272,6 +347,7 @@ cartSchema.methods.addItem = function (
       price,
       totalPrice,
       customizations,
+      addedBy,
     });
   }
 
@@ -292,16 +368,7 @@ cartSchema.methods.updateItemQuantity = function (itemId, quantity) {
     item.quantity = quantity;
 
     // Recalculate total price
-    let totalPrice = quantity * item.price;
-    if (item.customizations?.addOns?.length) {
-      const addOnPrice = item.customizations.addOns.reduce(
-        (total, addOn) => total + addOn.price,
-        0
-      );
-      totalPrice += addOnPrice * quantity;
-    }
-
-    item.totalPrice = totalPrice;
+    item.totalPrice = quantity * (item.price + getExtrasPrice(item.customizations));
   }
 
   this.isValidated = false;
@@ -315,6 +382,15 @@ cartSchema.methods.removeItem = function (itemId) {
   return this;
 };
 
+// Instance method to check whether a diner has joined a shared cart
+cartSchema.methods.isParticipant = function (userId) {
+  return this.participants.some(
+    (participant) =>
+      (participant.user?._id || participant.user).toString() ===
+      userId.toString()
+  );
+};
+
 // Instance method to clear cart
 cartSchema.methods.clearCart = function () {
   this.items = [];
@@ -359,6 +435,37 @@ cartSchema.methods.validateItems = async function () {
       });
     }
 
+    // Combos also need every component in stock
+    const comboItems = item.customizations?.comboItems || [];
+    if (comboItems.length > 0) {
+      const components = await mongoose
+        .model("FoodItem")
+        .find({ _id: { $in: comboItems.map((component) => component.foodItem) } })
+        .select("name isAvailable isLimitedQuantity quantityAvailable");
+
+      for (const component of comboItems) {
+        const foodItem = components.find(
+          (c) => c._id.toString() === component.foodItem.toString()
+        );
+        const needed = component.quantity * item.quantity;
+        if (!foodItem || !foodItem.isAvailable) {
+          validationErrors.push({
+            itemId: item._id,
+            error: `${component.name} is currently unavailable`,
+          });
+        } else if (
+          foodItem.isLimitedQuantity &&
+          foodItem.quantityAvailable !== null &&
+          needed > foodItem.quantityAvailable
+        ) {
+          validationErrors.push({
+            itemId: item._id,
+            error: `Only ${foodItem.quantityAvailable} ${foodItem.name} available`,
+          });
+        }
+      }
+    }
+
     // Check if price has changed
     const currentPrice = item.foodItem.discountPrice || item.foodItem.price;
     if (item.price !== currentPrice) {
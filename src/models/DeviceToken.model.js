@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import { PUSH_PROVIDERS, DEVICE_PLATFORMS } from "../config/constants.js";
+
+/**
+ * A device registered for push notifications by a diner, staff member or
+ * manager. A token belongs to one account at a time: registering it again
+ * from another login moves it. For web push the token is the
+ * PushSubscription JSON.
+ */
+const deviceTokenSchema = new mongoose.Schema(
+  {
+    ownerType: {
+      type: String,
+      enum: ["User", "Staff", "Manager"],
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerType",
+      required: true,
+    },
+    token: { type: String, required: true, unique: true },
+    provider: { type: String, enum: PUSH_PROVIDERS, required: true },
+    platform: { type: String, enum: DEVICE_PLATFORMS, required: true },
+    deviceName: { type: String, trim: true, maxlength: 100 },
+    appVersion: { type: String, trim: true, maxlength: 30 },
+    lastSeenAt: { type: Date, default: Date.now },
+    lastSentAt: { type: Date },
+    // Failures since the last successful send
+    failureCount: { type: Number, default: 0 },
+    lastError: { type: String },
+  },
+  { timestamps: true }
+);
+
+deviceTokenSchema.index({ ownerType: 1, owner: 1 });
+deviceTokenSchema.index({ lastSeenAt: 1 });
+
+export const DeviceToken = mongoose.model("DeviceToken", deviceTokenSchema);
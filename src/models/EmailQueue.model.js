@@ -5,7 +5,14 @@ const emailQueueSchema = new mongoose.Schema(
   {
     type: {
       type: String,
-      enum: ["invoice", "credit_note", "subscription_invoice"],
+      enum: [
+        "invoice",
+        "credit_note",
+        "subscription_invoice",
+        "reservation_confirmation",
+        "reservation_reminder",
+        "reservation_cancellation",
+      ],
       required: true,
       index: true,
     },
@@ -19,6 +26,11 @@ const emailQueueSchema = new mongoose.Schema(
       ref: "AdminSubscription",
       index: true,
     },
+    bookingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      index: true,
+    },
     recipientEmail: {
       type: String,
       required: true,
@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+import { FLOOR_AREA_TYPES, TABLE_SHAPES } from "../config/constants.js";
+
+// A dining area drawn as its own canvas (coordinates are in its units)
+const areaSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    type: { type: String, enum: FLOOR_AREA_TYPES, default: "indoor" },
+    width: { type: Number, min: 1, default: 1000 },
+    height: { type: Number, min: 1, default: 800 },
+    sortOrder: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Where a table sits; area is the area's name
+const tablePlacementSchema = new mongoose.Schema(
+  {
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      required: true,
+    },
+    area: { type: String, required: true, trim: true },
+    shape: { type: String, enum: TABLE_SHAPES, default: "square" },
+    x: { type: Number, required: true, min: 0 },
+    y: { type: Number, required: true, min: 0 },
+    width: { type: Number, min: 1, default: 80 },
+    height: { type: Number, min: 1, default: 80 },
+    rotation: { type: Number, min: 0, max: 359, default: 0 },
+  },
+  { _id: false }
+);
+
+// A group of tables looked after by the same waiters
+const sectionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    area: { type: String, trim: true },
+    color: { type: String, trim: true },
+    tables: [{ type: mongoose.Schema.Types.ObjectId, ref: "Table" }],
+    waiters: [{ type: mongoose.Schema.Types.ObjectId, ref: "Staff" }],
+  },
+  { _id: false }
+);
+
+const floorPlanSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+      unique: true,
+    },
+    areas: [areaSchema],
+    tables: [tablePlacementSchema],
+    sections: [sectionSchema],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "updatedByModel",
+    },
+    updatedByModel: {
+      type: String,
+      enum: ["Admin", "Manager"],
+    },
+  },
+  { timestamps: true }
+);
+
+export const FloorPlan = mongoose.model("FloorPlan", floorPlanSchema);
+
+// Validators extracted to src/validators/floorPlan.validators.js
+export { floorPlanValidationSchemas } from "../validators/floorPlan.validators.js";
@@ -1,6 +1,10 @@
 import mongoose from "mongoose";
 import { generateCategoryId, getNextCounter } from "../utils/idGenerator.js";
 import { resolveHotelId, resolveBranchId } from "../utils/idResolver.js";
+import {
+  KITCHEN_STATIONS,
+  DEFAULT_KITCHEN_STATION,
+} from "../config/constants.js";
 
 const foodCategorySchema = new mongoose.Schema(
   {
@@ -60,6 +64,15 @@ const foodCategorySchema = new mongoose.Schema(
       dinner: { type: Boolean },
       snacks: { type: Boolean },
     },
+    // Kitchen station that prepares items of this category (KDS routing)
+    kitchenStation: {
+      type: String,
+      enum: {
+        values: KITCHEN_STATIONS,
+        message: `Kitchen station must be one of: ${KITCHEN_STATIONS.join(", ")}`,
+      },
+      default: DEFAULT_KITCHEN_STATION,
+    },
     slug: {
       type: String,
       unique: true,
@@ -6,6 +6,32 @@ import {
   resolveBranchId,
   resolveCategoryId,
 } from "../utils/idResolver.js";
+import { KITCHEN_STATIONS } from "../config/constants.js";
+
+// A combo is built from slots: a "fixed" slot always serves its one item,
+// a "choice" slot lets the diner pick one of several items
+const comboSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Combo slot name is required"],
+    trim: true,
+    maxlength: [100, "Combo slot name cannot exceed 100 characters"],
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ["fixed", "choice"],
+      message: "Combo slot type must be fixed or choice",
+    },
+    default: "fixed",
+  },
+  foodItems: [{ type: mongoose.Schema.Types.ObjectId, ref: "FoodItem" }],
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, "Combo slot quantity must be at least 1"],
+  },
+});
 
 const foodItemSchema = new mongoose.Schema(
   {
@@ -50,6 +76,32 @@ const foodItemSchema = new mongoose.Schema(
         message: "Discount price must be less than regular price",
       },
     },
+    // Optional takeaway / delivery prices (dine-in uses price/discountPrice)
+    orderTypePricing: {
+      takeaway: {
+        type: Number,
+        min: [0, "Takeaway price cannot be negative"],
+        default: null,
+      },
+      delivery: {
+        type: Number,
+        min: [0, "Delivery price cannot be negative"],
+        default: null,
+      },
+    },
+    // Single dish or a combo/bundle of other items sold at one price
+    itemType: {
+      type: String,
+      enum: {
+        values: ["single", "combo"],
+        message: "Item type must be single or combo",
+      },
+      default: "single",
+    },
+    comboSlots: {
+      type: [comboSlotSchema],
+      default: undefined,
+    },
     // Veg/Non-veg classification
     foodType: {
       type: String,
@@ -132,6 +184,14 @@ const foodItemSchema = new mongoose.Schema(
       sodium: { type: Number, min: 0 }, // in mg
       sugar: { type: Number, min: 0 }, // in grams
     },
+    // Kitchen station override (falls back to the category's station)
+    kitchenStation: {
+      type: String,
+      enum: {
+        values: KITCHEN_STATIONS,
+        message: `Kitchen station must be one of: ${KITCHEN_STATIONS.join(", ")}`,
+      },
+    },
     // Additional details
     preparationTime: {
       type: Number, // in minutes
@@ -314,6 +374,29 @@ foodItemSchema.pre("validate", async function (next) {
     }
   }
 
+  // Combo structure checks (component ownership is checked by the controller)
+  if (this.itemType === "combo") {
+    if (!this.comboSlots?.length) {
+      return next(new Error("A combo needs at least one slot"));
+    }
+    for (const slot of this.comboSlots) {
+      if (slot.type === "fixed" && slot.foodItems.length !== 1) {
+        return next(
+          new Error(
+            `Fixed combo slot "${slot.name}" must have exactly one item`
+          )
+        );
+      }
+      if (slot.type === "choice" && slot.foodItems.length < 2) {
+        return next(
+          new Error(`Choice combo slot "${slot.name}" needs at least two items`)
+        );
+      }
+    }
+  } else if (this.comboSlots?.length) {
+    this.comboSlots = undefined;
+  }
+
   // Auto-generate slug from name if not provided
   if (!this.slug) {
     this.slug = this.name
@@ -351,6 +434,7 @@ foodItemSchema.index({ isBestSeller: 1 });
 // Removed duplicate slug index to avoid Mongoose warning
 foodItemSchema.index({ displayOrder: 1 });
 foodItemSchema.index({ averageRating: -1 });
+foodItemSchema.index({ "comboSlots.foodItems": 1 });
 
 // Virtual for effective price (with discount)
 foodItemSchema.virtual("effectivePrice").get(function () {
@@ -382,6 +466,10 @@ export const foodItemValidationSchemas = {
       "any.required": "Price is required",
     }),
     discountPrice: Joi.number().positive().optional(),
+    orderTypePricing: Joi.object({
+      takeaway: Joi.number().min(0).allow(null).optional(),
+      delivery: Joi.number().min(0).allow(null).optional(),
+    }).optional(),
     foodType: Joi.string()
       .valid("veg", "non-veg", "vegan", "jain", "snacks", "beverages")
       .required()
@@ -499,6 +587,10 @@ export const foodItemValidationSchemas = {
     shortDescription: Joi.string().max(200).allow("").optional(),
     price: Joi.number().positive().optional(),
     discountPrice: Joi.number().positive().optional().allow(null),
+    orderTypePricing: Joi.object({
+      takeaway: Joi.number().min(0).allow(null).optional(),
+      delivery: Joi.number().min(0).allow(null).optional(),
+    }).optional(),
     foodType: Joi.string()
       .valid("veg", "non-veg", "vegan", "jain", "snacks", "beverages")
       .optional(),
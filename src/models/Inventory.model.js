@@ -1,17 +1,48 @@
+/**
+ * Inventory Model
+ * Stock of one ingredient or supply at a branch. Quantities are in `unit`;
+ * recipes deduct from here when orders are confirmed.
+ */
+
 import mongoose from "mongoose";
 
 const inventorySchema = new mongoose.Schema(
   {
-    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
-    itemName: { type: String, required: true },
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel" },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+    itemName: { type: String, required: true, trim: true },
     quantity: { type: Number, required: true },
-    unit: { type: String, required: true },
+    unit: { type: String, required: true, trim: true },
     threshold: { type: Number, default: 5 },
+    costPerUnit: { type: Number, default: 0, min: 0 },
+    isActive: { type: Boolean, default: true },
+    // Set when a low-stock alert goes out, cleared once stock is back above threshold
+    lowStockAlertedAt: { type: Date, default: null },
+    // Menu items switched off when this ran out; switched back on after restock
+    autoDisabledItems: [
+      { type: mongoose.Schema.Types.ObjectId, ref: "FoodItem" },
+    ],
+    lastRestockedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
 
+inventorySchema.index({ branch: 1, itemName: 1 }, { unique: true });
+inventorySchema.index({ hotel: 1, branch: 1 });
+
+inventorySchema.virtual("isLowStock").get(function () {
+  return this.quantity <= this.threshold;
+});
+
 export const Inventory = mongoose.model("Inventory", inventorySchema);
 
 // Validators extracted to src/validators/inventory.validators.js
-export { validateInventory } from "../validators/inventory.validators.js";
+export {
+  validateInventory,
+  inventoryValidationSchemas,
+} from "../validators/inventory.validators.js";
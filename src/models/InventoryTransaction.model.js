@@ -0,0 +1,57 @@
+/**
+ * InventoryTransaction Model
+ * Ledger of every stock movement. Order deductions and their reversals are
+ * matched through `order`, so a cancelled order puts back exactly what it took.
+ */
+
+import mongoose from "mongoose";
+
+export const INVENTORY_TRANSACTION_TYPES = [
+  "restock",
+  "adjustment",
+  "waste",
+  "order_deduction",
+  "order_reversal",
+];
+
+const inventoryTransactionSchema = new mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: true,
+    },
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+    type: {
+      type: String,
+      enum: INVENTORY_TRANSACTION_TYPES,
+      required: true,
+    },
+    // Signed change: negative for deductions and waste
+    quantity: { type: Number, required: true },
+    balanceAfter: { type: Number },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    purchaseOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+    note: { type: String, maxlength: 500 },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "performedByModel",
+    },
+    performedByModel: {
+      type: String,
+      enum: ["Admin", "Manager", "Staff"],
+    },
+  },
+  { timestamps: true }
+);
+
+inventoryTransactionSchema.index({ inventory: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ order: 1, type: 1 });
+
+export const InventoryTransaction = mongoose.model(
+  "InventoryTransaction",
+  inventoryTransactionSchema
+);
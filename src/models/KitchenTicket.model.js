@@ -0,0 +1,137 @@
+/**
+ * KitchenTicket Model
+ * One ticket per order, kitchen station and add-on batch.
+ * Cooks bump items individually; the parent order moves to "ready"
+ * once every ticket for it has been bumped.
+ */
+
+import mongoose from "mongoose";
+import { KITCHEN_STATIONS } from "../config/constants.js";
+
+const ticketItemSchema = new mongoose.Schema(
+  {
+    // _id of the matching entry in Order.items
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    foodItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FoodItem",
+      required: true,
+    },
+    foodItemName: { type: String, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    customizations: { type: Object },
+    // Printable modifier picks, e.g. "Bread: Garlic Naan"
+    modifierLines: [String],
+    // What goes into a combo, e.g. "Drink: 1 x Sweet Lassi"
+    comboLines: [String],
+    status: {
+      type: String,
+      enum: ["pending", "bumped", "void"],
+      default: "pending",
+    },
+    bumpedAt: { type: Date },
+    bumpedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+  },
+  { _id: true }
+);
+
+const kitchenTicketSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    station: {
+      type: String,
+      enum: KITCHEN_STATIONS,
+      required: true,
+    },
+    batch: { type: Number, default: 1 },
+
+    // Cached order details for the display
+    orderNumber: { type: String },
+    tableNumber: { type: String },
+    specialInstructions: { type: String, maxlength: 500 },
+    priority: {
+      type: String,
+      enum: ["low", "normal", "high", "urgent"],
+      default: "normal",
+    },
+
+    items: [ticketItemSchema],
+
+    status: {
+      type: String,
+      enum: ["pending", "in_progress", "bumped", "void"],
+      default: "pending",
+    },
+    startedAt: { type: Date },
+    bumpedAt: { type: Date },
+    voidedAt: { type: Date },
+    voidReason: { type: String },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for station displays and order lookups
+kitchenTicketSchema.index({ branch: 1, station: 1, status: 1, createdAt: 1 });
+kitchenTicketSchema.index({ order: 1, status: 1 });
+
+// Virtual for minutes since the ticket was fired
+kitchenTicketSchema.virtual("ageMinutes").get(function () {
+  if (!this.createdAt) return 0;
+  const end = this.bumpedAt || new Date();
+  return Math.floor((end - this.createdAt) / (1000 * 60));
+});
+
+/**
+ * Recalculate ticket status from its item statuses
+ */
+kitchenTicketSchema.methods.refreshStatus = function () {
+  if (this.status === "void") return this.status;
+
+  const liveItems = this.items.filter((item) => item.status !== "void");
+  const bumpedCount = liveItems.filter(
+    (item) => item.status === "bumped"
+  ).length;
+
+  if (liveItems.length === 0) {
+    this.status = "void";
+    this.voidedAt = new Date();
+  } else if (bumpedCount === liveItems.length) {
+    this.status = "bumped";
+    this.bumpedAt = new Date();
+  } else if (bumpedCount > 0) {
+    this.status = "in_progress";
+    this.startedAt = this.startedAt || new Date();
+    this.bumpedAt = undefined;
+  } else {
+    this.status = "pending";
+    this.bumpedAt = undefined;
+  }
+
+  return this.status;
+};
+
+export const KitchenTicket = mongoose.model(
+  "KitchenTicket",
+  kitchenTicketSchema
+);
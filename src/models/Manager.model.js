@@ -102,6 +102,9 @@ const managerSchema = new mongoose.Schema(
       viewReports: { type: Boolean, default: true },
       viewBranchAnalytics: { type: Boolean, default: true },
 
+      // Inventory & Purchasing
+      manageInventory: { type: Boolean, default: true },
+
       // Communication
       internalChat: { type: Boolean, default: true },
     },
@@ -0,0 +1,116 @@
+/**
+ * ModifierGroup Model
+ * Admin-defined choices for menu items, e.g. "Choose bread (1 required)" or
+ * "Extra toppings (max 3, +₹30 each)". A group applies to the food items and
+ * categories it lists; every option carries its own price.
+ */
+
+import mongoose from "mongoose";
+
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Option name is required"],
+    trim: true,
+    maxlength: [100, "Option name cannot exceed 100 characters"],
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, "Option price cannot be negative"],
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+const modifierGroupSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Modifier group name is required"],
+      trim: true,
+      maxlength: [100, "Modifier group name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      default: "",
+      maxlength: [300, "Description cannot exceed 300 characters"],
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: [true, "Hotel is required"],
+    },
+    // null = every branch of the hotel
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    // Selection rules: minSelect 0 makes the group optional
+    minSelect: {
+      type: Number,
+      default: 0,
+      min: [0, "Minimum selection cannot be negative"],
+    },
+    maxSelect: {
+      type: Number,
+      default: 1,
+      min: [1, "Maximum selection must be at least 1"],
+    },
+    options: {
+      type: [modifierOptionSchema],
+      validate: {
+        validator: (options) => options.length > 0,
+        message: "A modifier group needs at least one option",
+      },
+    },
+    // What the group applies to
+    foodItems: [{ type: mongoose.Schema.Types.ObjectId, ref: "FoodItem" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "FoodCategory" }],
+    displayOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+modifierGroupSchema.pre("validate", function (next) {
+  if (this.minSelect > this.maxSelect) {
+    return next(new Error("Minimum selection cannot exceed maximum selection"));
+  }
+  if (this.maxSelect > this.options.length) {
+    return next(
+      new Error("Maximum selection cannot exceed the number of options")
+    );
+  }
+  next();
+});
+
+modifierGroupSchema.index({ hotel: 1, isActive: 1 });
+modifierGroupSchema.index({ foodItems: 1 });
+modifierGroupSchema.index({ categories: 1 });
+
+export const ModifierGroup = mongoose.model(
+  "ModifierGroup",
+  modifierGroupSchema
+);
+
+// Validators extracted to src/validators/modifierGroup.validators.js
+export {
+  modifierGroupValidationSchemas,
+  modifierSelectionSchema,
+} from "../validators/modifierGroup.validators.js";
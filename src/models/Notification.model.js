@@ -1,39 +1,48 @@
 /**
  * Notification Model
- * Stores in-app notifications for admins and super admins
- * Used for payment config approvals, activations, deactivations
+ * Stores the in-app notification inbox of every role: diners, staff,
+ * managers, admins and super admins
+ * Written alongside each socket notification so nothing is lost while the
+ * recipient is offline
  */
 
 import mongoose from "mongoose";
+import {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_TYPES,
+} from "../config/constants.js";
 
 const notificationSchema = new mongoose.Schema(
   {
     // Who receives this notification
     recipient: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "Admin",
+      refPath: "recipientModel",
+      required: true,
+    },
+    recipientModel: {
+      type: String,
+      enum: ["User", "Staff", "Manager", "Admin"],
       required: true,
-      index: true,
     },
     recipientRole: {
       type: String,
-      enum: ["admin", "super_admin"],
+      enum: ["user", "staff", "manager", "admin", "super_admin"],
       required: true,
     },
 
     // Notification details
     type: {
       type: String,
-      enum: [
-        "payment_config_created",
-        "payment_config_pending_activation",
-        "payment_config_activated",
-        "payment_config_deactivated",
-        "payment_config_failed",
-      ],
+      enum: Object.keys(NOTIFICATION_TYPES),
       required: true,
       index: true,
     },
+    // Derived from type
+    category: {
+      type: String,
+      enum: NOTIFICATION_CATEGORIES,
+    },
     title: {
       type: String,
       required: true,
@@ -56,6 +65,10 @@ const notificationSchema = new mongoose.Schema(
       ref: "Hotel",
       index: true,
     },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+    },
     paymentConfig: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "PaymentConfig",
@@ -64,7 +77,6 @@ const notificationSchema = new mongoose.Schema(
     // Actor (who triggered this notification)
     triggeredBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: "Admin",
     },
     triggeredByName: String,
     triggeredByEmail: String,
@@ -76,6 +88,11 @@ const notificationSchema = new mongoose.Schema(
       actionRequired: Boolean,
       actionUrl: String,
     },
+    // IDs the app needs to open the related screen (orderId, complaintId, ...)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
 
     // Status tracking
     read: {
@@ -109,9 +126,26 @@ const notificationSchema = new mongoose.Schema(
 );
 
 // Indexes for efficient queries
-notificationSchema.index({ recipient: 1, read: 1, createdAt: -1 });
-notificationSchema.index({ recipient: 1, type: 1, read: 1 });
+notificationSchema.index({
+  recipientModel: 1,
+  recipient: 1,
+  dismissed: 1,
+  read: 1,
+  createdAt: -1,
+});
+notificationSchema.index({
+  recipientModel: 1,
+  recipient: 1,
+  category: 1,
+  createdAt: -1,
+});
 notificationSchema.index({ hotel: 1, type: 1, createdAt: -1 });
+notificationSchema.index({ read: 1, createdAt: 1 }); // retention cleanup
+
+notificationSchema.pre("validate", function (next) {
+  this.category = NOTIFICATION_TYPES[this.type];
+  next();
+});
 
 // Mark as read
 notificationSchema.methods.markAsRead = function () {
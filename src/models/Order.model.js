@@ -1,9 +1,23 @@
 import mongoose from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import { ORDER_TYPES } from "../config/constants.js";
 
 const orderSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    // Optional for staff-entered (POS / phone) orders placed for walk-in guests
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !["pos", "phone"].includes(this.orderSource);
+      },
+    },
+    // Contact details for guests without a User account (POS / phone orders)
+    customer: {
+      name: { type: String, trim: true, maxlength: 100 },
+      phone: { type: String, trim: true },
+      email: { type: String, trim: true, lowercase: true },
+    },
     hotel: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Hotel",
@@ -55,6 +69,34 @@ const orderSchema = new mongoose.Schema(
             type: String,
             maxlength: 200,
           },
+          modifiers: [
+            {
+              _id: false,
+              group: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "ModifierGroup",
+              },
+              groupName: { type: String, required: true },
+              option: { type: mongoose.Schema.Types.ObjectId, required: true },
+              name: { type: String, required: true },
+              price: { type: Number, default: 0, min: 0 },
+            },
+          ],
+          comboItems: [
+            {
+              _id: false,
+              slot: { type: mongoose.Schema.Types.ObjectId },
+              slotName: { type: String },
+              foodItem: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "FoodItem",
+              },
+              name: { type: String },
+              quantity: { type: Number, default: 1, min: 1 },
+              gstRate: { type: Number, default: 0 },
+              allocatedPrice: { type: Number, default: 0, min: 0 },
+            },
+          ],
         },
         // Cached food item details for order history
         foodItemName: { type: String, required: true },
@@ -71,6 +113,10 @@ const orderSchema = new mongoose.Schema(
           enum: ["active", "cancelled"],
           default: "active",
         },
+        // Diner who added the item to a shared table cart
+        addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // Recipe ingredients already taken out of stock for this item
+        inventoryDeducted: { type: Boolean, default: false },
       },
     ],
     status: {
@@ -84,6 +130,7 @@ const orderSchema = new mongoose.Schema(
         "completed",
         "cancelled",
         "queued",
+        "scheduled",
       ],
       default: "pending",
     },
@@ -126,9 +173,17 @@ const orderSchema = new mongoose.Schema(
     subtotal: { type: Number, required: true, min: 0 },
     taxes: { type: Number, default: 0, min: 0 },
     serviceCharge: { type: Number, default: 0, min: 0 },
+    packagingCharge: { type: Number, default: 0, min: 0 }, // Takeaway / delivery packaging
     originalPrice: { type: Number, min: 0 }, // Price before coin discount
     coinDiscount: { type: Number, default: 0, min: 0 }, // Discount from coins
     coinsUsed: { type: Number, default: 0, min: 0 }, // Number of coins used
+    offerDiscount: { type: Number, default: 0, min: 0 }, // Discount from offer code
+    appliedOffer: {
+      offerId: { type: mongoose.Schema.Types.ObjectId, ref: "Offer" },
+      code: { type: String },
+      title: { type: String },
+      discountAmount: { type: Number, min: 0 },
+    },
     totalPrice: { type: Number, required: true, min: 0 },
 
     // Payment details
@@ -249,6 +304,70 @@ const orderSchema = new mongoose.Schema(
       cashConfirmedAt: {
         type: Date,
       },
+      // Gratuity paid on top of totalPrice; shared out by the tip pool
+      tip: {
+        amount: { type: Number, min: 0, default: 0 },
+        method: { type: String, enum: ["online", "cash"] },
+        addedAt: { type: Date },
+      },
+    },
+
+    // Bill split - the order is paid once every share has settled
+    billSplit: {
+      mode: { type: String, enum: ["equal", "by_item", "custom"] },
+      splitBy: { type: mongoose.Schema.Types.ObjectId },
+      splitByRole: { type: String, enum: ["user", "staff", "manager"] },
+      splitAt: { type: Date },
+      shares: [
+        {
+          shareNumber: { type: Number, required: true },
+          amount: { type: Number, required: true, min: 0 },
+          // Fraction of the order total covered by this share
+          ratio: { type: Number, required: true, min: 0, max: 1 },
+          payer: {
+            name: { type: String, trim: true, maxlength: 100 },
+            email: { type: String, trim: true, lowercase: true },
+            phone: { type: String, trim: true },
+          },
+          // Only for by_item splits: which order items this share covers
+          items: [
+            {
+              orderItem: { type: mongoose.Schema.Types.ObjectId },
+              quantity: { type: Number, min: 1 },
+            },
+          ],
+          paymentMethod: {
+            type: String,
+            enum: ["cash", "razorpay", "phonepe", "paytm"],
+            default: "cash",
+          },
+          paymentStatus: {
+            type: String,
+            enum: ["pending", "paid", "failed"],
+            default: "pending",
+          },
+          provider: {
+            type: String,
+            enum: ["razorpay", "phonepe", "paytm", "cash"],
+          },
+          gatewayOrderId: { type: String },
+          paymentId: { type: String },
+          transactionId: { type: String },
+          gatewayResponse: { type: Object },
+          paidAt: { type: Date },
+          cashConfirmedBy: { type: mongoose.Schema.Types.ObjectId },
+          cashConfirmedByRole: {
+            type: String,
+            enum: ["staff", "manager", "admin"],
+          },
+          invoiceNumber: { type: String },
+          invoiceEmailStatus: {
+            type: String,
+            enum: ["pending", "sent", "failed", "no_email"],
+            default: "pending",
+          },
+        },
+      ],
     },
 
     // Order timing
@@ -262,6 +381,43 @@ const orderSchema = new mongoose.Schema(
       enum: ["mobile_app", "web_app", "pos", "phone", "reorder"],
       default: "mobile_app",
     },
+    // Dine-in, takeaway or delivery; decides table handling and waiter matching
+    orderType: {
+      type: String,
+      enum: ORDER_TYPES,
+      default: "dine_in",
+    },
+    // Scheduled pre-orders are held in "scheduled" until releaseAt
+    scheduledFor: { type: Date }, // When the diner wants the order ready
+    scheduledSlot: { type: Date }, // Start of the capacity slot it occupies
+    releaseAt: { type: Date }, // scheduledFor minus preparation time
+    releasedAt: { type: Date },
+    scheduledSlotFreed: { type: Boolean }, // Slot counter already given back
+    // Takeaway pickup details
+    pickup: {
+      name: { type: String, trim: true, maxlength: 100 },
+      phone: { type: String, trim: true },
+      pickupTime: { type: Date },
+    },
+    // Delivery destination
+    deliveryAddress: {
+      contactName: { type: String, trim: true, maxlength: 100 },
+      contactPhone: { type: String, trim: true },
+      addressLine1: { type: String, trim: true },
+      addressLine2: { type: String, trim: true },
+      landmark: { type: String, trim: true },
+      city: { type: String, trim: true },
+      state: { type: String, trim: true },
+      pincode: { type: String, trim: true },
+      instructions: { type: String, maxlength: 200 },
+      coordinates: {
+        latitude: { type: Number, min: -90, max: 90 },
+        longitude: { type: Number, min: -180, max: 180 },
+      },
+    },
+    // Staff member who keyed in a POS / phone order
+    enteredBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    enteredByRole: { type: String },
 
     // Cancellation details
     cancellationReason: { type: String },
@@ -290,6 +446,9 @@ const orderSchema = new mongoose.Schema(
     // Queue management
     queuePosition: { type: Number },
     queuedAt: { type: Date },
+    // Set while a waiter is being assigned from the queue; a stale claim
+    // means the assigning instance died and the order goes back in the queue
+    queueClaimedAt: { type: Date },
     priority: {
       type: String,
       enum: ["low", "normal", "high", "urgent"],
@@ -309,7 +468,13 @@ const orderSchema = new mongoose.Schema(
         assignedAt: { type: Date, default: Date.now },
         method: {
           type: String,
-          enum: ["round-robin", "load-balancing", "manual", "queue"],
+          enum: [
+            "round-robin",
+            "load-balancing",
+            "manual",
+            "queue",
+            "shift-handoff",
+          ],
           required: true,
         },
         reason: { type: String }, // manual assignment reason or system reason
@@ -330,6 +495,9 @@ const orderSchema = new mongoose.Schema(
     hasReview: { type: Boolean, default: false }, // Whether user submitted a review
     reviewId: { type: mongoose.Schema.Types.ObjectId, ref: "Review" }, // Reference to review
 
+    // Last diner tracking event published (OrderTrackingEvent.sequence)
+    trackingSequence: { type: Number, default: 0 },
+
     // Timestamps for status changes
     statusHistory: [
       {
@@ -411,6 +579,10 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ "items.foodItem": 1 });
 orderSchema.index({ table: 1 });
+orderSchema.index({ status: 1, releaseAt: 1 });
+orderSchema.index({ hotel: 1, branch: 1, scheduledSlot: 1, status: 1 });
+orderSchema.index({ hotel: 1, branch: 1, orderType: 1, createdAt: -1 });
+orderSchema.index({ branch: 1, "payment.paidAt": 1 }); // Tip pool per shift
 
 // Assignment system indexes
 orderSchema.index({ staff: 1 });
@@ -419,11 +591,13 @@ orderSchema.index({ queuePosition: 1 });
 orderSchema.index({ queuedAt: 1 });
 orderSchema.index({ status: 1, hotel: 1, branch: 1 });
 orderSchema.index({ priorityValue: -1, queuePosition: 1 });
+orderSchema.index({ status: 1, queueClaimedAt: 1 }, { sparse: true });
 orderSchema.index({ status: 1, staff: 1 }); // For counting active orders per waiter
 
 // Invoice system indexes
 orderSchema.index({ user: 1, invoiceDownloadCount: 1 });
 orderSchema.index({ invoiceEmailStatus: 1 });
+orderSchema.index({ "billSplit.shares.gatewayOrderId": 1 }, { sparse: true });
 
 // Virtual for order duration
 orderSchema.virtual("orderDuration").get(function () {
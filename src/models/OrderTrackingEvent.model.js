@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+import {
+  ORDER_TRACKING_EVENTS,
+  ORDER_TRACKING_SETTINGS,
+} from "../config/constants.js";
+
+/**
+ * One diner-facing order lifecycle event, as it was pushed on the
+ * "order:tracking" socket event. Sequences are per order and increasing, so a
+ * reconnecting app asks for everything after the last one it saw.
+ */
+const orderTrackingEventSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sequence: { type: Number, required: true },
+    event: { type: String, enum: ORDER_TRACKING_EVENTS, required: true },
+    message: { type: String },
+    // Snapshot of the order when the event happened
+    status: { type: String, required: true },
+    paymentStatus: { type: String },
+    queuePosition: { type: Number, default: null },
+    eta: {
+      readyAt: { type: Date, default: null },
+      minutesRemaining: { type: Number, default: null },
+    },
+    waiter: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+      name: { type: String },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+orderTrackingEventSchema.index({ order: 1, sequence: 1 }, { unique: true });
+orderTrackingEventSchema.index(
+  { createdAt: 1 },
+  {
+    expireAfterSeconds: ORDER_TRACKING_SETTINGS.historyRetentionDays * 86400,
+  }
+);
+
+export const OrderTrackingEvent = mongoose.model(
+  "OrderTrackingEvent",
+  orderTrackingEventSchema
+);
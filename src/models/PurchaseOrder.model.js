@@ -0,0 +1,169 @@
+/**
+ * PurchaseOrder Model
+ * Stock ordered from a supplier for one branch.
+ * Workflow: draft → sent → partially_received → received (or cancelled).
+ * Every delivery is kept in `receipts`; their value is the branch's cost of
+ * goods in the profit & loss report.
+ */
+
+import mongoose from "mongoose";
+import { getNextCounter } from "../utils/idGenerator.js";
+
+export const PURCHASE_ORDER_STATUSES = [
+  "draft",
+  "sent",
+  "partially_received",
+  "received",
+  "cancelled",
+];
+
+const purchaseOrderItemSchema = new mongoose.Schema({
+  inventory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Inventory",
+    required: [true, "Inventory item is required"],
+  },
+  // Snapshot so the PO still reads correctly if the stock item is renamed
+  itemName: { type: String, required: true },
+  unit: { type: String, required: true },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: [0.0001, "Ordered quantity must be greater than 0"],
+  },
+  quantityReceived: { type: Number, default: 0, min: 0 },
+  unitCost: { type: Number, required: true, min: 0 },
+  lineTotal: { type: Number, default: 0 },
+});
+
+const receiptLineSchema = new mongoose.Schema(
+  {
+    item: { type: mongoose.Schema.Types.ObjectId, required: true },
+    inventory: { type: mongoose.Schema.Types.ObjectId, ref: "Inventory" },
+    quantity: { type: Number, required: true },
+    unitCost: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const receiptSchema = new mongoose.Schema({
+  receivedAt: { type: Date, default: Date.now },
+  items: [receiptLineSchema],
+  amount: { type: Number, required: true },
+  note: { type: String, maxlength: 500 },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: "receipts.receivedByModel",
+  },
+  receivedByModel: {
+    type: String,
+    enum: ["Admin", "Manager"],
+  },
+});
+
+const purchaseOrderSchema = new mongoose.Schema(
+  {
+    poNumber: {
+      type: String,
+      unique: true,
+      trim: true,
+      // Auto-generated in pre-save middleware (PO-YYYYMMDD-00001)
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: [true, "Hotel is required"],
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: [true, "Branch is required"],
+    },
+    supplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: [true, "Supplier is required"],
+    },
+    status: {
+      type: String,
+      enum: PURCHASE_ORDER_STATUSES,
+      default: "draft",
+    },
+    items: {
+      type: [purchaseOrderItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "A purchase order needs at least one item",
+      },
+    },
+    totalAmount: { type: Number, default: 0 },
+    // Value of everything delivered so far
+    receivedAmount: { type: Number, default: 0 },
+    receipts: [receiptSchema],
+    expectedDeliveryDate: { type: Date },
+    notes: { type: String, maxlength: 1000 },
+
+    sentAt: { type: Date },
+    receivedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String, maxlength: 500 },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "createdByModel",
+    },
+    createdByModel: {
+      type: String,
+      enum: ["Admin", "Manager"],
+    },
+  },
+  // Two deliveries recorded at once must not both count against a line
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+purchaseOrderSchema.index({ branch: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ supplier: 1, createdAt: -1 });
+purchaseOrderSchema.index({ hotel: 1, "receipts.receivedAt": 1 });
+
+// Keep line and order totals in step with the items
+purchaseOrderSchema.pre("save", function (next) {
+  if (this.isModified("items")) {
+    let total = 0;
+    for (const item of this.items) {
+      item.lineTotal =
+        Math.round(item.quantityOrdered * item.unitCost * 100) / 100;
+      total += item.lineTotal;
+    }
+    this.totalAmount = Math.round(total * 100) / 100;
+  }
+  next();
+});
+
+// Pre-save middleware to auto-generate poNumber
+purchaseOrderSchema.pre("save", async function (next) {
+  if (!this.poNumber && this.isNew) {
+    try {
+      const today = new Date();
+      const dateStr = today.toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+      const prefix = `PO-${dateStr}`;
+      const counter = await getNextCounter(
+        this.constructor,
+        "poNumber",
+        prefix
+      );
+      this.poNumber = `${prefix}-${String(counter).padStart(5, "0")}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+export const PurchaseOrder = mongoose.model(
+  "PurchaseOrder",
+  purchaseOrderSchema
+);
+
+// Validators extracted to src/validators/purchasing.validators.js
+export { purchaseOrderValidationSchemas } from "../validators/purchasing.validators.js";
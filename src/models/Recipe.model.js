@@ -0,0 +1,54 @@
+/**
+ * Recipe Model
+ * How much of each inventory item one portion of a food item uses.
+ * Quantities are in the unit of the linked inventory item.
+ */
+
+import mongoose from "mongoose";
+
+const recipeIngredientSchema = new mongoose.Schema(
+  {
+    inventory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inventory",
+      required: [true, "Inventory item is required"],
+    },
+    quantity: {
+      type: Number,
+      required: [true, "Ingredient quantity is required"],
+      min: [0.0001, "Ingredient quantity must be greater than 0"],
+    },
+  },
+  { _id: false }
+);
+
+const recipeSchema = new mongoose.Schema(
+  {
+    foodItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FoodItem",
+      required: [true, "Food item is required"],
+      unique: true,
+    },
+    hotel: { type: mongoose.Schema.Types.ObjectId, ref: "Hotel" },
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+    ingredients: {
+      type: [recipeIngredientSchema],
+      validate: {
+        validator: (ingredients) => ingredients.length > 0,
+        message: "A recipe needs at least one ingredient",
+      },
+    },
+    notes: { type: String, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  { timestamps: true }
+);
+
+recipeSchema.index({ "ingredients.inventory": 1 });
+recipeSchema.index({ branch: 1 });
+
+export const Recipe = mongoose.model("Recipe", recipeSchema);
+
+// Validators extracted to src/validators/inventory.validators.js
+export { recipeValidationSchema } from "../validators/inventory.validators.js";
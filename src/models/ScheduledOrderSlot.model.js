@@ -0,0 +1,46 @@
+/**
+ * Scheduled order slot counter
+ *
+ * How many scheduled pre-orders a hotel/branch holds in one capacity slot.
+ * Bookings are taken with a conditional $inc so concurrent checkouts can't
+ * push a slot past its limit.
+ */
+
+import mongoose from "mongoose";
+
+const scheduledOrderSlotSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    slot: {
+      type: Date,
+      required: true,
+    },
+    booked: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+scheduledOrderSlotSchema.index(
+  { hotel: 1, branch: 1, slot: 1 },
+  { unique: true }
+);
+// Counters are only needed until the slot has passed
+scheduledOrderSlotSchema.index({ slot: 1 }, { expireAfterSeconds: 86400 });
+
+export const ScheduledOrderSlot = mongoose.model(
+  "ScheduledOrderSlot",
+  scheduledOrderSlotSchema
+);
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import { SERVICE_REQUEST_TYPES } from "../config/constants.js";
+import { getNextCounter } from "../utils/idGenerator.js";
+
+export const SERVICE_REQUEST_STATUSES = [
+  "open",
+  "acknowledged",
+  "completed",
+  "cancelled",
+];
+
+export const ACTIVE_SERVICE_REQUEST_STATUSES = ["open", "acknowledged"];
+
+const serviceRequestSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      required: true,
+    },
+    tableNumber: { type: String }, // Cached for staff screens
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: SERVICE_REQUEST_TYPES,
+      required: true,
+    },
+    message: { type: String, trim: true, maxlength: 200 },
+    status: {
+      type: String,
+      enum: SERVICE_REQUEST_STATUSES,
+      default: "open",
+    },
+    // Waiter it was routed to; null means it went to the whole branch
+    assignedStaff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      default: null,
+    },
+    acknowledgedAt: { type: Date },
+    acknowledgedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    completedAt: { type: Date },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+serviceRequestSchema.index({ branch: 1, status: 1, createdAt: -1 });
+serviceRequestSchema.index({ assignedStaff: 1, status: 1 });
+serviceRequestSchema.index({ table: 1, type: 1, status: 1 });
+serviceRequestSchema.index({ user: 1, type: 1, createdAt: -1 }); // Custom request limit
+
+serviceRequestSchema.pre("save", async function (next) {
+  if (!this.requestId && this.isNew) {
+    try {
+      const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+      const prefix = `SRQ-${dateStr}`;
+      const counter = await getNextCounter(
+        this.constructor,
+        "requestId",
+        prefix
+      );
+      this.requestId = `${prefix}-${String(counter).padStart(5, "0")}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+export const ServiceRequest = mongoose.model(
+  "ServiceRequest",
+  serviceRequestSchema
+);
+
+// Validators extracted to src/validators/serviceRequest.validators.js
+export { serviceRequestValidationSchemas } from "../validators/serviceRequest.validators.js";
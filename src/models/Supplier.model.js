@@ -0,0 +1,53 @@
+/**
+ * Supplier Model
+ * Vendors a hotel buys stock from. A supplier without a branch is shared by
+ * every branch of the hotel.
+ */
+
+import mongoose from "mongoose";
+
+const supplierSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: [true, "Hotel is required"],
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null,
+    },
+    name: {
+      type: String,
+      required: [true, "Supplier name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    contactPerson: { type: String, trim: true, maxlength: 100 },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    address: { type: String, trim: true, maxlength: 300 },
+    gstNumber: { type: String, trim: true, uppercase: true },
+    // Days of credit the supplier gives, e.g. 30 for "net 30"
+    paymentTermsDays: { type: Number, min: 0, default: 0 },
+    notes: { type: String, maxlength: 500 },
+    isActive: { type: Boolean, default: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "createdByModel",
+    },
+    createdByModel: {
+      type: String,
+      enum: ["Admin", "Manager"],
+    },
+  },
+  { timestamps: true }
+);
+
+supplierSchema.index({ hotel: 1, branch: 1, name: 1 }, { unique: true });
+
+export const Supplier = mongoose.model("Supplier", supplierSchema);
+
+// Validators extracted to src/validators/purchasing.validators.js
+export { supplierValidationSchemas } from "../validators/purchasing.validators.js";
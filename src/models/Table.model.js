@@ -65,6 +65,18 @@ const tableSchema = new mongoose.Schema(
       ref: "User",
       default: null,
     },
+    // Booking the table is being held for (set shortly before arrival)
+    currentReservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Booking",
+      default: null,
+    },
+    // Primary table of the billing group this table was merged into
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      default: null,
+    },
     // Booking and usage tracking
     lastUsed: { type: Date },
     totalOrders: { type: Number, default: 0 },
@@ -88,6 +100,7 @@ tableSchema.index({ hotel: 1, branch: 1 });
 tableSchema.index({ hotel: 1, tableNumber: 1 });
 tableSchema.index({ status: 1 });
 tableSchema.index({ "qrCode.data": 1 });
+tableSchema.index({ mergedInto: 1 });
 
 // Ensure unique table number per hotel-branch combination
 tableSchema.index(
@@ -120,6 +133,42 @@ tableSchema.pre("save", async function (next) {
   next();
 });
 
+/**
+ * Free every table merged into a primary table once the primary is released
+ * @param {ObjectId} primaryTableId - Primary table of the billing group
+ */
+const releaseMergedTables = async (primaryTableId) => {
+  await mongoose.model("Table").updateMany(
+    { mergedInto: primaryTableId },
+    {
+      status: "available",
+      mergedInto: null,
+      currentOrder: null,
+      currentCustomer: null,
+    }
+  );
+};
+
+tableSchema.pre("save", function (next) {
+  this.$locals.released =
+    !this.isNew && this.isModified("status") && this.status === "available";
+  next();
+});
+
+tableSchema.post("save", async function (doc) {
+  if (doc.$locals.released) {
+    await releaseMergedTables(doc._id);
+  }
+});
+
+tableSchema.post("findOneAndUpdate", async function (doc) {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (doc && status === "available") {
+    await releaseMergedTables(doc._id);
+  }
+});
+
 // Instance method to update table status
 tableSchema.methods.updateStatus = function (
   status,
@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+export const TIP_DISTRIBUTION_STATUSES = ["draft", "finalized"];
+
+const allocationSchema = new mongoose.Schema(
+  {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+      required: true,
+    },
+    role: { type: String },
+    directAmount: { type: Number, default: 0 }, // from orders they served
+    poolAmount: { type: Number, default: 0 }, // their share of the pool
+    amount: { type: Number, default: 0 },
+    ordersServed: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Tips collected in one branch shift and who gets what
+const tipDistributionSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+    businessDate: { type: String, required: true }, // YYYY-MM-DD, local
+    shift: { type: String, required: true },
+    shiftStart: { type: Date, required: true },
+    shiftEnd: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: TIP_DISTRIBUTION_STATUSES,
+      default: "draft",
+    },
+    // Rules in force when the shift was worked out
+    rules: {
+      directSharePercent: Number,
+      kitchenSharePercent: Number,
+    },
+    totalTips: { type: Number, default: 0 },
+    tippedOrders: { type: Number, default: 0 },
+    onlineTips: { type: Number, default: 0 },
+    cashTips: { type: Number, default: 0 },
+    // Pool money with nobody eligible to receive it
+    undistributed: { type: Number, default: 0 },
+    allocations: [allocationSchema],
+    computedAt: { type: Date },
+    finalizedAt: { type: Date },
+    finalizedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "finalizedByModel",
+    },
+    finalizedByModel: {
+      type: String,
+      enum: ["Admin", "Manager"],
+    },
+  },
+  { timestamps: true }
+);
+
+tipDistributionSchema.index(
+  { branch: 1, businessDate: 1, shift: 1 },
+  { unique: true }
+);
+tipDistributionSchema.index({ "allocations.staff": 1, businessDate: 1 });
+
+export const TipDistribution = mongoose.model(
+  "TipDistribution",
+  tipDistributionSchema
+);
+
+// Validators extracted to src/validators/tip.validators.js
+export { tipValidationSchemas } from "../validators/tip.validators.js";
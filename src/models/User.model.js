@@ -29,6 +29,10 @@ const userSchema = new mongoose.Schema(
     otpAttempts: { type: Number, default: 0 },
     otpLockedUntil: { type: Date, default: null },
     phoneOtp: { type: String, default: null },
+    // Lets staff redeem the diner's coins on a POS / phone order
+    coinRedemptionOtp: { type: String, default: null, select: false },
+    coinRedemptionOtpExpiry: { type: Date, default: null },
+    coinRedemptionOtpAttempts: { type: Number, default: 0 },
     isEmailVerified: { type: Boolean, default: false },
     isPhoneVerified: { type: Boolean, default: false },
     coins: {
@@ -47,6 +51,8 @@ const userSchema = new mongoose.Schema(
     profileImage: { type: String, default: null },
     avatar: { type: String, default: null },
     role: { type: String, enum: ["user"], default: "user" },
+    // Guests flagged for VIP service; their orders go to vip_service waiters
+    isVip: { type: Boolean, default: false },
 
     // Coin-related metadata
     totalCoinsEarned: { type: Number, default: 0 },
@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import { getNextCounter } from "../utils/idGenerator.js";
+
+export const WAITLIST_STATUSES = [
+  "waiting",
+  "notified", // a table was freed and is being held for the party
+  "seated",
+  "cancelled",
+  "no_show",
+];
+
+export const ACTIVE_WAITLIST_STATUSES = ["waiting", "notified"];
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    waitlistId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Hotel",
+      required: true,
+    },
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Branch",
+      required: true,
+    },
+    customerName: {
+      type: String,
+      required: [true, "Customer name is required"],
+      trim: true,
+      maxlength: 100,
+    },
+    phone: {
+      type: String,
+      required: [true, "Phone number is required"],
+      trim: true,
+    },
+    partySize: {
+      type: Number,
+      required: [true, "Party size is required"],
+      min: [1, "Party size must be at least 1"],
+    },
+    notes: { type: String, maxlength: 300 },
+    status: {
+      type: String,
+      enum: WAITLIST_STATUSES,
+      default: "waiting",
+    },
+    // Wait quoted to the guest when they were added
+    quotedWaitMinutes: { type: Number, min: 0 },
+    // Table held for the party and how they were told
+    heldTable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+      default: null,
+    },
+    notifiedAt: { type: Date },
+    holdExpiresAt: { type: Date },
+    notificationChannels: [{ type: String, enum: ["sms", "socket"] }],
+    seatedAt: { type: Date },
+    seatedTable: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Table",
+    },
+    removedAt: { type: Date },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+    seatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Staff" },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ branch: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 });
+
+waitlistEntrySchema.pre("save", async function (next) {
+  if (!this.waitlistId && this.isNew) {
+    try {
+      const dateStr = new Date().toISOString().slice(0, 10).replace(/-/g, ""); // YYYYMMDD
+      const prefix = `WL-${dateStr}`;
+      const counter = await getNextCounter(
+        this.constructor,
+        "waitlistId",
+        prefix
+      );
+      this.waitlistId = `${prefix}-${String(counter).padStart(5, "0")}`;
+    } catch (error) {
+      return next(error);
+    }
+  }
+  next();
+});
+
+export const WaitlistEntry = mongoose.model(
+  "WaitlistEntry",
+  waitlistEntrySchema
+);
+
+// Validators extracted to src/validators/waitlist.validators.js
+export { waitlistValidationSchemas } from "../validators/waitlist.validators.js";
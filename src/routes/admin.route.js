@@ -8,6 +8,7 @@ import userRoutes from "./admin/user.route.js";
 import managerRoutes from "./admin/manager.route.js";
 import staffRoutes from "./admin/staff.route.js";
 import menuRoutes from "./admin/menu.route.js";
+import inventoryRoutes from "./admin/inventory.route.js";
 import tableRoutes from "./admin/table.route.js";
 import offerRoutes from "./admin/offer.route.js";
 import analyticsRoutes from "./admin/analytics.route.js";
@@ -18,6 +19,14 @@ import scheduledJobsRoutes from "./admin/scheduledJobs.route.js";
 import accountingRoutes from "./admin/accounting.route.js";
 import reviewRoutes from "./admin/review.route.js";
 import dashboardRoutes from "./admin/dashboard.route.js";
+import assignmentRoutes from "./admin/assignment.route.js";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  dismissNotification,
+} from "../controllers/notification.controller.js";
 
 const router = express.Router();
 
@@ -31,6 +40,7 @@ router.use("/users", userRoutes);
 router.use("/managers", managerRoutes);
 router.use("/staff", staffRoutes);
 router.use("/menu", menuRoutes);
+router.use("/inventory", inventoryRoutes);
 router.use("/tables", tableRoutes);
 router.use("/offers", offerRoutes);
 router.use("/coins", coinRoutes);
@@ -40,6 +50,14 @@ router.use("/scheduled-jobs", scheduledJobsRoutes);
 router.use("/accounting", accountingRoutes);
 router.use("/reviews", reviewRoutes);
 router.use("/dashboard", dashboardRoutes);
+router.use("/assignment", assignmentRoutes);
+
+// Notification inbox
+router.get("/notifications", getMyNotifications("Admin"));
+router.get("/notifications/unread-count", getUnreadCount("Admin"));
+router.patch("/notifications/read", markNotificationsRead("Admin"));
+router.patch("/notifications/read-all", markAllNotificationsRead("Admin"));
+router.delete("/notifications/:notificationId", dismissNotification("Admin"));
 
 // Analytics routes use mixed prefixes (/dashboard, /reports/*, /analytics/*)
 // so mount at root level to preserve original paths
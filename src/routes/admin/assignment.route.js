@@ -0,0 +1,14 @@
+import express from "express";
+import { simulateAssignment } from "../../controllers/admin/assignmentSimulation.controller.js";
+import { rbac } from "../../middleware/roleAuth.middleware.js";
+
+const router = express.Router();
+
+// Replay past orders against assignment strategies (read-only)
+router.post(
+  "/simulate",
+  rbac({ permissions: ["viewAnalytics"] }),
+  simulateAssignment
+);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import {
+  getInventoryItems,
+  createInventoryItem,
+  getInventoryItemById,
+  updateInventoryItem,
+  deleteInventoryItem,
+  adjustInventoryStock,
+  getInventoryTransactions,
+  getRecipe,
+  upsertRecipe,
+  deleteRecipe,
+} from "../../controllers/admin/inventory.controller.js";
+import {
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  deleteSupplier,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+} from "../../controllers/admin/purchasing.controller.js";
+import { rbac } from "../../middleware/roleAuth.middleware.js";
+import {
+  requireActiveSubscription,
+  requireFeature,
+} from "../../middleware/subscriptionAuth.middleware.js";
+
+const router = express.Router();
+
+// Every inventory route needs the permission and the plan feature
+router.use(
+  rbac({ permissions: ["manageInventory"] }),
+  requireActiveSubscription,
+  requireFeature("inventoryManagement")
+);
+
+// Recipes (ingredients used per portion of a food item)
+router.get("/recipes/:foodItemId", getRecipe);
+router.put("/recipes/:foodItemId", upsertRecipe);
+router.delete("/recipes/:foodItemId", deleteRecipe);
+
+// Suppliers (no branch = shared by every branch of the hotel)
+router.get("/suppliers", getSuppliers);
+router.post("/suppliers", createSupplier);
+router.put("/suppliers/:supplierId", updateSupplier);
+router.delete("/suppliers/:supplierId", deleteSupplier);
+
+// Purchase orders: draft → sent → partially_received → received
+router.get("/purchase-orders", getPurchaseOrders);
+router.post("/purchase-orders", createPurchaseOrder);
+router.get("/purchase-orders/:purchaseOrderId", getPurchaseOrderById);
+router.put("/purchase-orders/:purchaseOrderId", updatePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/send", sendPurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/receive", receivePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/close", closePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/cancel", cancelPurchaseOrder);
+
+// Stock items
+router.get("/", getInventoryItems);
+router.post("/", createInventoryItem);
+router.get("/:inventoryId", getInventoryItemById);
+router.put("/:inventoryId", updateInventoryItem);
+router.delete("/:inventoryId", deleteInventoryItem);
+
+// Restock, count corrections and wastage
+router.post("/:inventoryId/adjust", adjustInventoryStock);
+
+// Stock movement ledger
+router.get("/:inventoryId/transactions", getInventoryTransactions);
+
+export default router;
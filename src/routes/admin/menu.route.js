@@ -15,6 +15,13 @@ import {
   updateSingleFoodItemAvailability,
   bulkUpdateGstRate,
 } from "../../controllers/admin/menu.controller.js";
+import {
+  getAllModifierGroups,
+  createModifierGroup,
+  getModifierGroupById,
+  updateModifierGroup,
+  deleteModifierGroup,
+} from "../../controllers/admin/modifierGroup.controller.js";
 import { rbac } from "../../middleware/roleAuth.middleware.js";
 import { upload } from "../../middleware/multer.middleware.js";
 
@@ -96,6 +103,37 @@ router.patch(
   updateFoodItemAvailability
 );
 
+// Modifier groups (e.g. bread choice, extra toppings)
+router.get(
+  "/modifier-groups",
+  rbac({ permissions: ["manageMenu"] }),
+  getAllModifierGroups
+);
+
+router.post(
+  "/modifier-groups",
+  rbac({ permissions: ["manageMenu"] }),
+  createModifierGroup
+);
+
+router.get(
+  "/modifier-groups/:groupId",
+  rbac({ permissions: ["manageMenu"] }),
+  getModifierGroupById
+);
+
+router.put(
+  "/modifier-groups/:groupId",
+  rbac({ permissions: ["manageMenu"] }),
+  updateModifierGroup
+);
+
+router.delete(
+  "/modifier-groups/:groupId",
+  rbac({ permissions: ["manageMenu"] }),
+  deleteModifierGroup
+);
+
 // Bulk update GST rates by category
 router.put(
   "/bulk-update-gst",
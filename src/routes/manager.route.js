@@ -4,6 +4,7 @@ import {
   authenticate,
   requireManagerOrHigher,
   requirePermission,
+  requireRole,
 } from "../middleware/roleAuth.middleware.js";
 
 // Sub-route modules
@@ -14,9 +15,26 @@ import orderRoutes from "./manager/order.route.js";
 import tableRoutes from "./manager/table.route.js";
 import reservationRoutes from "./manager/reservation.route.js";
 import complaintRoutes from "./manager/complaint.route.js";
+import inventoryRoutes from "./manager/inventory.route.js";
+import floorPlanRoutes from "./manager/floorPlan.route.js";
+import tipRoutes from "./manager/tip.route.js";
+import attendanceRoutes from "./manager/attendance.route.js";
 
 // Controller import for kitchen route (single route, kept in index)
 import { getKitchenOrders } from "../controllers/manager/order.controller.js";
+import {
+  registerDevice,
+  unregisterDevice,
+  getMyDevices,
+  getWebPushKey,
+} from "../controllers/pushDevice.controller.js";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  dismissNotification,
+} from "../controllers/notification.controller.js";
 
 const router = express.Router();
 
@@ -31,6 +49,55 @@ router.use("/orders", orderRoutes);
 router.use("/tables", tableRoutes);
 router.use("/reservations", reservationRoutes);
 router.use("/complaints", complaintRoutes);
+router.use("/inventory", inventoryRoutes);
+router.use("/floor-plan", floorPlanRoutes);
+router.use("/tips", tipRoutes);
+router.use("/attendance", attendanceRoutes);
+
+// Push notification devices (the manager's own phones / browsers)
+router.get("/devices/web-push-key", getWebPushKey);
+router.get(
+  "/devices",
+  requireRole(["branch_manager"]),
+  getMyDevices("Manager")
+);
+router.post(
+  "/devices",
+  requireRole(["branch_manager"]),
+  registerDevice("Manager")
+);
+router.delete(
+  "/devices",
+  requireRole(["branch_manager"]),
+  unregisterDevice("Manager")
+);
+
+// Notification inbox
+router.get(
+  "/notifications",
+  requireRole(["branch_manager"]),
+  getMyNotifications("Manager")
+);
+router.get(
+  "/notifications/unread-count",
+  requireRole(["branch_manager"]),
+  getUnreadCount("Manager")
+);
+router.patch(
+  "/notifications/read",
+  requireRole(["branch_manager"]),
+  markNotificationsRead("Manager")
+);
+router.patch(
+  "/notifications/read-all",
+  requireRole(["branch_manager"]),
+  markAllNotificationsRead("Manager")
+);
+router.delete(
+  "/notifications/:notificationId",
+  requireRole(["branch_manager"]),
+  dismissNotification("Manager")
+);
 
 // Kitchen route (single specialised route, kept in index)
 router.get(
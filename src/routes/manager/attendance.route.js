@@ -0,0 +1,88 @@
+// src/routes/manager/attendance.route.js - Manager Attendance & Timesheet Routes
+import express from "express";
+import {
+  requireRole,
+  requireManagerOrHigher,
+  requirePermission,
+} from "../../middleware/roleAuth.middleware.js";
+import {
+  getAttendanceSettings,
+  updateAttendanceSettings,
+  approveAttendanceDevice,
+  revokeAttendanceDevice,
+  getTimesheets,
+  adjustTimesheet,
+  reviewTimesheet,
+  getAttendanceReport,
+  exportAttendanceReport,
+} from "../../controllers/manager/attendance.controller.js";
+
+const router = express.Router();
+
+router.get(
+  "/settings",
+  requireManagerOrHigher,
+  requirePermission("manageStaff"),
+  getAttendanceSettings
+);
+
+router.put(
+  "/settings",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  updateAttendanceSettings
+);
+
+router.post(
+  "/devices",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  approveAttendanceDevice
+);
+
+router.delete(
+  "/devices/:deviceId",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  revokeAttendanceDevice
+);
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&staffId=&approvalStatus=pending|approved|rejected|all
+router.get(
+  "/timesheets",
+  requireManagerOrHigher,
+  requirePermission("manageStaff"),
+  getTimesheets
+);
+
+router.put(
+  "/timesheets/:attendanceId",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  adjustTimesheet
+);
+
+// Body: { decision: "approved"|"rejected", note }
+router.post(
+  "/timesheets/:attendanceId/review",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  reviewTimesheet
+);
+
+// Late/absent report; /export returns the same as .xlsx
+router.get(
+  "/report",
+  requireManagerOrHigher,
+  requirePermission("viewReports"),
+  getAttendanceReport
+);
+
+router.get(
+  "/report/export",
+  requireManagerOrHigher,
+  requirePermission("viewReports"),
+  exportAttendanceReport
+);
+
+export default router;
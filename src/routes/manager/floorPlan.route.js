@@ -0,0 +1,46 @@
+// src/routes/manager/floorPlan.route.js - Manager Floor Plan Routes
+import express from "express";
+import {
+  requireRole,
+  requireManagerOrHigher,
+  requirePermission,
+} from "../../middleware/roleAuth.middleware.js";
+import {
+  getFloorPlan,
+  saveFloorPlan,
+  deleteFloorPlan,
+  getLiveFloorPlan,
+} from "../../controllers/manager/floorPlan.controller.js";
+
+const router = express.Router();
+
+router.get(
+  "/",
+  requireManagerOrHigher,
+  requirePermission("manageTables"),
+  getFloorPlan
+);
+
+router.put(
+  "/",
+  requireRole(["branch_manager"]),
+  requirePermission("manageTables"),
+  saveFloorPlan
+);
+
+router.delete(
+  "/",
+  requireRole(["branch_manager"]),
+  requirePermission("manageTables"),
+  deleteFloorPlan
+);
+
+// Live overlay; sockets in floor_plan_<branchId> get "floor_plan:update"
+router.get(
+  "/live",
+  requireManagerOrHigher,
+  requirePermission("manageTables"),
+  getLiveFloorPlan
+);
+
+export default router;
@@ -0,0 +1,50 @@
+// src/routes/manager/inventory.route.js - Manager Stock & Purchasing Routes
+import express from "express";
+import {
+  requireRole,
+  requirePermission,
+} from "../../middleware/roleAuth.middleware.js";
+import { requireFeature } from "../../middleware/subscriptionAuth.middleware.js";
+import {
+  getStock,
+  getSuppliers,
+  createSupplier,
+  updateSupplier,
+  getPurchaseOrders,
+  getPurchaseOrder,
+  createPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+} from "../../controllers/manager/inventory.controller.js";
+
+const router = express.Router();
+
+// Same plan feature gate as the admin inventory routes
+router.use(
+  requireRole(["branch_manager"]),
+  requirePermission("manageInventory"),
+  requireFeature("inventoryManagement")
+);
+
+// Branch stock levels
+router.get("/", getStock);
+
+// Suppliers
+router.get("/suppliers", getSuppliers);
+router.post("/suppliers", createSupplier);
+router.put("/suppliers/:supplierId", updateSupplier);
+
+// Purchase orders: draft → sent → partially_received → received
+router.get("/purchase-orders", getPurchaseOrders);
+router.post("/purchase-orders", createPurchaseOrder);
+router.get("/purchase-orders/:purchaseOrderId", getPurchaseOrder);
+router.put("/purchase-orders/:purchaseOrderId", updatePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/send", sendPurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/receive", receivePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/close", closePurchaseOrder);
+router.post("/purchase-orders/:purchaseOrderId/cancel", cancelPurchaseOrder);
+
+export default router;
@@ -17,6 +17,11 @@ import {
   addStaffTraining,
   getStaffSchedule,
   updateStaffSchedule,
+  getShiftAssignmentSettings,
+  updateShiftAssignmentSettings,
+  getAssignmentStrategy,
+  updateAssignmentStrategy,
+  getStaffPresence,
 } from "../../controllers/manager/staff.controller.js";
 
 const router = express.Router();
@@ -36,6 +41,44 @@ router.get(
   getAllStaff
 );
 
+// Shift-aware order assignment (mode: off | schedule | clock_in)
+router.get(
+  "/shift-assignment",
+  requireRole(["branch_manager"]),
+  requirePermission("viewStaff"),
+  getShiftAssignmentSettings
+);
+
+router.put(
+  "/shift-assignment",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  updateShiftAssignmentSettings
+);
+
+// Order assignment strategy (load_balancing | section_skill)
+router.get(
+  "/assignment-strategy",
+  requireRole(["branch_manager"]),
+  requirePermission("viewStaff"),
+  getAssignmentStrategy
+);
+
+router.put(
+  "/assignment-strategy",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  updateAssignmentStrategy
+);
+
+// Staff connected to the branch right now (any server instance)
+router.get(
+  "/presence",
+  requireRole(["branch_manager"]),
+  requirePermission("viewStaff"),
+  getStaffPresence
+);
+
 router.get(
   "/:staffId",
   requireRole(["branch_manager"]),
@@ -13,6 +13,9 @@ import {
   deleteTable,
   getTableStatus,
   updateTableStatus,
+  transferTable,
+  mergeTables,
+  unmergeTables,
 } from "../../controllers/manager/table.controller.js";
 
 const router = express.Router();
@@ -67,4 +70,26 @@ router.put(
   updateTableStatus
 );
 
+// Move running orders to another table / merge tables into one bill
+router.post(
+  "/:tableId/transfer",
+  requireManagerOrHigher,
+  requirePermission("manageTables"),
+  transferTable
+);
+
+router.post(
+  "/:tableId/merge",
+  requireManagerOrHigher,
+  requirePermission("manageTables"),
+  mergeTables
+);
+
+router.post(
+  "/:tableId/unmerge",
+  requireManagerOrHigher,
+  requirePermission("manageTables"),
+  unmergeTables
+);
+
 export default router;
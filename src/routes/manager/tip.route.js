@@ -0,0 +1,63 @@
+// src/routes/manager/tip.route.js - Manager Tip Pool Routes
+import express from "express";
+import {
+  requireRole,
+  requireManagerOrHigher,
+  requirePermission,
+} from "../../middleware/roleAuth.middleware.js";
+import {
+  getTipSettings,
+  updateTipSettings,
+  getTipDistributions,
+  distributeTips,
+  finalizeTipDistribution,
+  getTipReport,
+} from "../../controllers/manager/tip.controller.js";
+
+const router = express.Router();
+
+router.get(
+  "/settings",
+  requireManagerOrHigher,
+  requirePermission("manageStaff"),
+  getTipSettings
+);
+
+router.put(
+  "/settings",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  updateTipSettings
+);
+
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&status=draft|finalized|all
+router.get(
+  "/distributions",
+  requireManagerOrHigher,
+  requirePermission("manageStaff"),
+  getTipDistributions
+);
+
+// Body: { date, shift }; recomputes the draft each time
+router.post(
+  "/distributions",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  distributeTips
+);
+
+router.post(
+  "/distributions/:distributionId/finalize",
+  requireRole(["branch_manager"]),
+  requirePermission("manageStaff"),
+  finalizeTipDistribution
+);
+
+router.get(
+  "/report",
+  requireManagerOrHigher,
+  requirePermission("viewReports"),
+  getTipReport
+);
+
+export default router;
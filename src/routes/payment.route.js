@@ -14,6 +14,8 @@ import {
   debugPaymentCallback,
   initiateSupplementaryPayment,
   verifySupplementaryPayment,
+  initiateSplitSharePayment,
+  verifySplitSharePayment,
 } from "../controllers/payment/genericPayment.controller.js";
 import {
   createRefundRequest,
@@ -288,6 +290,32 @@ router.post(
   verifySupplementaryPayment
 );
 
+// =================== SPLIT BILL PAYMENT ROUTES ===================
+
+// Initiate online payment for one share of a split bill
+router.post(
+  "/split/initiate",
+  authenticateUser,
+  [
+    body("orderId").isMongoId().withMessage("Invalid order ID"),
+    body("shareId").isMongoId().withMessage("Invalid share ID"),
+  ],
+  validateRequest,
+  initiateSplitSharePayment
+);
+
+// Verify online payment for one share of a split bill
+router.post(
+  "/split/verify",
+  authenticateUser,
+  [
+    body("paymentId").notEmpty().withMessage("paymentId is required"),
+    body("gatewayOrderId").notEmpty().withMessage("gatewayOrderId is required"),
+  ],
+  validateRequest,
+  verifySplitSharePayment
+);
+
 // Health check route for payment service
 router.get("/health", (req, res) => {
   res.status(200).json({
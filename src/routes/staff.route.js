@@ -10,10 +10,36 @@ import {
   getStaffComplaintDashboard,
 } from "../controllers/staff/complaint.controller.js";
 import staffMenuController from "../controllers/staff/menu.controller.js";
+import staffKitchenController from "../controllers/staff/kitchen.controller.js";
+import staffInventoryController from "../controllers/staff/inventory.controller.js";
+import staffWaitlistController from "../controllers/staff/waitlist.controller.js";
+import staffServiceRequestController from "../controllers/staff/serviceRequest.controller.js";
+import staffTipController from "../controllers/staff/tip.controller.js";
+import staffAttendanceController from "../controllers/staff/attendance.controller.js";
+import {
+  transferTable,
+  mergeTables,
+  unmergeTables,
+} from "../controllers/manager/table.controller.js";
+import { getLiveFloorPlan } from "../controllers/manager/floorPlan.controller.js";
+import {
+  registerDevice,
+  unregisterDevice,
+  getMyDevices,
+  getWebPushKey,
+} from "../controllers/pushDevice.controller.js";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  dismissNotification,
+} from "../controllers/notification.controller.js";
 
 // Import middleware
 import { authenticate } from "../middleware/roleAuth.middleware.js";
 import { requireRole } from "../middleware/roleAuth.middleware.js";
+import { requirePermission } from "../middleware/roleAuth.middleware.js";
 
 const router = express.Router();
 
@@ -23,10 +49,43 @@ router.use(authenticate);
 // Ensure only staff members can access these routes
 router.use(requireRole(["staff"]));
 
+/**
+ * Push Notification Devices
+ */
+router.get("/devices/web-push-key", getWebPushKey);
+router.get("/devices", getMyDevices("Staff"));
+router.post("/devices", registerDevice("Staff"));
+router.delete("/devices", unregisterDevice("Staff"));
+
+/**
+ * Notification Inbox
+ */
+router.get("/notifications", getMyNotifications("Staff"));
+router.get("/notifications/unread-count", getUnreadCount("Staff"));
+router.patch("/notifications/read", markNotificationsRead("Staff"));
+router.patch("/notifications/read-all", markAllNotificationsRead("Staff"));
+router.delete("/notifications/:notificationId", dismissNotification("Staff"));
+
 /**
  * Staff Order Management Routes
  */
 
+// Create a POS / phone order for a table, walk-in or phone customer
+router.post(
+  "/orders",
+  requireRole(["waiter", "cashier"]),
+  requirePermission("takeOrders"),
+  staffOrderController.createStaffOrder
+);
+
+// Text a registered diner the code for redeeming coins on a staff order
+router.post(
+  "/orders/coin-otp",
+  requireRole(["waiter", "cashier"]),
+  requirePermission("takeOrders"),
+  staffOrderController.sendCoinRedemptionOtp
+);
+
 // Get orders assigned to current staff member
 router.get("/orders/my-orders", staffOrderController.getMyOrders);
 
@@ -42,6 +101,29 @@ router.get("/orders/add-ons", staffOrderController.getAddOnOrders);
 // Get all tables with their status
 router.get("/tables/status", staffOrderController.getAllTablesStatus);
 
+// Floor plan with each table's live status, order age and waiter
+router.get("/tables/floor-plan", getLiveFloorPlan);
+
+// Move a table's running orders / merge tables into one bill
+router.post(
+  "/tables/:tableId/transfer",
+  requireRole(["waiter"]),
+  requirePermission("manageTableStatus"),
+  transferTable
+);
+router.post(
+  "/tables/:tableId/merge",
+  requireRole(["waiter"]),
+  requirePermission("manageTableStatus"),
+  mergeTables
+);
+router.post(
+  "/tables/:tableId/unmerge",
+  requireRole(["waiter"]),
+  requirePermission("manageTableStatus"),
+  unmergeTables
+);
+
 // Get specific order details (MUST BE AFTER all specific routes)
 router.get("/orders/:orderId", staffOrderController.getOrderDetails);
 
@@ -54,12 +136,58 @@ router.put(
   staffOrderController.acknowledgeAddOn
 );
 
-// Confirm cash payment for an order
+// Confirm cash payment for an order (pass shareId for split bills)
 router.put(
   "/orders/:orderId/confirm-payment",
   staffOrderController.confirmCashPayment
 );
 
+// Split the bill across diners / view split settlement
+router.post("/orders/:orderId/split", staffOrderController.splitBill);
+router.get("/orders/:orderId/split", staffOrderController.getBillSplit);
+
+/**
+ * Table Service Request Routes
+ * Diners call the waiter / ask for the bill from the table; requests arrive
+ * as "service_request:new" on staff_<id> (or branch_<id> when unassigned).
+ */
+
+// Get open requests for the current staff member (or the whole branch)
+router.get(
+  "/service-requests",
+  staffServiceRequestController.getServiceRequests
+);
+
+// Acknowledge / complete a request
+router.put(
+  "/service-requests/:requestId/acknowledge",
+  staffServiceRequestController.acknowledgeServiceRequest
+);
+router.put(
+  "/service-requests/:requestId/complete",
+  staffServiceRequestController.completeServiceRequest
+);
+
+/**
+ * Staff Tip Routes
+ */
+
+// Own share of each shift's tips (drafts included unless status=finalized)
+router.get("/tips", staffTipController.getMyTips);
+
+/**
+ * Staff Attendance Routes
+ */
+
+// Clock-in state, next shift and recent timesheets
+router.get("/attendance", staffAttendanceController.getMyAttendance);
+
+// Location/device are checked when the branch requires them
+router.post("/attendance/clock-in", staffAttendanceController.clockIn);
+router.post("/attendance/clock-out", staffAttendanceController.clockOut);
+router.post("/attendance/break/start", staffAttendanceController.startBreak);
+router.post("/attendance/break/end", staffAttendanceController.endBreak);
+
 /**
  * Staff Complaint Management Routes (READ-ONLY ACCESS)
  * Staff can VIEW complaints assigned to them but CANNOT update, respond, or modify
@@ -132,4 +260,117 @@ router.get("/menu/items/:itemId", staffMenuController.getFoodItemById);
 // Search menu items
 router.get("/menu/search", staffMenuController.searchMenuItems);
 
+/**
+ * Kitchen Display System Routes (KITCHEN STAFF ONLY)
+ * Orders are split into per-station tickets when confirmed.
+ * Cooks bump items; the order moves to "ready" once every station is done.
+ */
+
+// Get open ticket counts per station
+router.get(
+  "/kitchen/summary",
+  requireRole(["kitchen_staff"]),
+  requirePermission("viewKitchenOrders"),
+  staffKitchenController.getKitchenSummary
+);
+
+// Get tickets for a station
+router.get(
+  "/kitchen/stations/:station/tickets",
+  requireRole(["kitchen_staff"]),
+  requirePermission("viewKitchenOrders"),
+  staffKitchenController.getStationTickets
+);
+
+// Bump a single item on a ticket
+router.put(
+  "/kitchen/tickets/:ticketId/items/:itemId/bump",
+  requireRole(["kitchen_staff"]),
+  requirePermission("updateKitchenStatus"),
+  staffKitchenController.bumpTicketItem
+);
+
+// Bump every remaining item on a ticket
+router.put(
+  "/kitchen/tickets/:ticketId/bump",
+  requireRole(["kitchen_staff"]),
+  requirePermission("updateKitchenStatus"),
+  staffKitchenController.bumpTicket
+);
+
+/**
+ * Kitchen Inventory Routes (KITCHEN STAFF ONLY)
+ * Order deductions happen automatically; staff record restocks and wastage.
+ */
+
+// Get branch stock levels
+router.get(
+  "/inventory",
+  requireRole(["kitchen_staff"]),
+  requirePermission("manageInventory"),
+  staffInventoryController.getBranchStock
+);
+
+// Record a restock, correction or wastage
+router.post(
+  "/inventory/:inventoryId/adjust",
+  requireRole(["kitchen_staff"]),
+  requirePermission("manageInventory"),
+  staffInventoryController.adjustStock
+);
+
+/**
+ * Walk-in Waitlist Routes (RECEPTIONIST ONLY)
+ * Freed tables are held for the next party that fits; the guest gets an SMS
+ * and the host stand a "waitlist:table_ready" socket event.
+ */
+
+// Get the waitlist with live wait estimates
+router.get(
+  "/waitlist",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.getWaitlist
+);
+
+// Quote a wait before adding a party
+router.get(
+  "/waitlist/estimate",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.getWaitEstimate
+);
+
+// Add a walk-in party
+router.post(
+  "/waitlist",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.addToWaitlist
+);
+
+// Edit a waiting party
+router.put(
+  "/waitlist/:entryId",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.updateWaitlistEntry
+);
+
+// Seat a party
+router.post(
+  "/waitlist/:entryId/seat",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.seatWaitlistEntry
+);
+
+// Remove a party as cancelled / no-show
+router.post(
+  "/waitlist/:entryId/remove",
+  requireRole(["receptionist"]),
+  requirePermission("manageTableStatus"),
+  staffWaitlistController.removeWaitlistEntry
+);
+
 export default router;
@@ -12,6 +12,13 @@ import {
   getRevenueAnalytics,
   getSystemStatistics,
 } from "../../controllers/superAdmin/dashboard.controller.js";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  dismissNotification,
+} from "../../controllers/notification.controller.js";
 import {
   authenticateAdmin,
   requireSuperAdmin,
@@ -120,4 +127,44 @@ router.get("/analytics", getRevenueAnalytics);
  */
 router.get("/statistics", getSystemStatistics);
 
+/**
+ * @route   GET /api/v1/super-admin/notifications
+ * @desc    Get the super admin's notification inbox, newest first
+ * @access  Private (Super Admin)
+ * @query   { page, limit, unreadOnly, category }
+ * @returns { notifications[], unreadCount, pagination }
+ */
+router.get("/notifications", getMyNotifications("Admin"));
+
+/**
+ * @route   GET /api/v1/super-admin/notifications/unread-count
+ * @desc    Get unread notifications, in total and per category
+ * @access  Private (Super Admin)
+ * @returns { total, byCategory }
+ */
+router.get("/notifications/unread-count", getUnreadCount("Admin"));
+
+/**
+ * @route   PATCH /api/v1/super-admin/notifications/read
+ * @desc    Mark notifications as read
+ * @access  Private (Super Admin)
+ * @body    { notificationIds[] }
+ */
+router.patch("/notifications/read", markNotificationsRead("Admin"));
+
+/**
+ * @route   PATCH /api/v1/super-admin/notifications/read-all
+ * @desc    Mark every notification (or one category) as read
+ * @access  Private (Super Admin)
+ * @body    { category? }
+ */
+router.patch("/notifications/read-all", markAllNotificationsRead("Admin"));
+
+/**
+ * @route   DELETE /api/v1/super-admin/notifications/:notificationId
+ * @desc    Remove a notification from the inbox
+ * @access  Private (Super Admin)
+ */
+router.delete("/notifications/:notificationId", dismissNotification("Admin"));
+
 export default router;
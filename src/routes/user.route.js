@@ -6,12 +6,28 @@ import { authenticateUser } from "../middleware/auth.middleware.js";
 import hotelRoutes from "./user/hotel.route.js";
 import menuRoutes from "./user/menu.route.js";
 import cartRoutes from "./user/cart.route.js";
+import tableCartRoutes from "./user/tableCart.route.js";
 import orderRoutes from "./user/order.route.js";
 import refundRoutes from "./user/refund.route.js";
 import coinRoutes from "./user/coin.route.js";
 import offerRoutes from "./user/offer.route.js";
 import complaintRoutes from "./user/complaint.route.js";
 import reviewRoutes from "./user/review.route.js";
+import reservationRoutes from "./user/reservation.route.js";
+import serviceRequestRoutes from "./user/serviceRequest.route.js";
+import {
+  registerDevice,
+  unregisterDevice,
+  getMyDevices,
+  getWebPushKey,
+} from "../controllers/pushDevice.controller.js";
+import {
+  getMyNotifications,
+  getUnreadCount,
+  markNotificationsRead,
+  markAllNotificationsRead,
+  dismissNotification,
+} from "../controllers/notification.controller.js";
 
 const router = express.Router();
 
@@ -22,12 +38,44 @@ router.use("/menu", menuRoutes);
 // Mixed auth routes (auth handled inside sub-route files)
 router.use("/offers", offerRoutes);
 router.use("/reviews", reviewRoutes);
+router.use("/reservations", reservationRoutes);
 
 // Protected routes (authentication applied at mount level)
 router.use("/cart", authenticateUser, cartRoutes);
+router.use("/table-cart", authenticateUser, tableCartRoutes);
+router.use("/service-requests", authenticateUser, serviceRequestRoutes);
 router.use("/orders", authenticateUser, orderRoutes);
 router.use("/refunds", authenticateUser, refundRoutes);
 router.use("/coins", authenticateUser, coinRoutes);
 router.use("/complaints", authenticateUser, complaintRoutes);
 
+// Push notification devices
+router.get("/devices/web-push-key", getWebPushKey);
+router.get("/devices", authenticateUser, getMyDevices("User"));
+router.post("/devices", authenticateUser, registerDevice("User"));
+router.delete("/devices", authenticateUser, unregisterDevice("User"));
+
+// Notification inbox
+router.get("/notifications", authenticateUser, getMyNotifications("User"));
+router.get(
+  "/notifications/unread-count",
+  authenticateUser,
+  getUnreadCount("User")
+);
+router.patch(
+  "/notifications/read",
+  authenticateUser,
+  markNotificationsRead("User")
+);
+router.patch(
+  "/notifications/read-all",
+  authenticateUser,
+  markAllNotificationsRead("User")
+);
+router.delete(
+  "/notifications/:notificationId",
+  authenticateUser,
+  dismissNotification("User")
+);
+
 export default router;
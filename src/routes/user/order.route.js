@@ -10,12 +10,16 @@ import {
   cancelBatchItems,
   reorder,
   getOrderStatus,
+  getOrderTracking,
   getActiveOrders,
   getOrderHistory,
   getTableOrderHistory,
   downloadInvoice,
   downloadCreditNote,
   addItemsToOrder,
+  splitBill,
+  getBillSplit,
+  downloadShareInvoice,
 } from "../../controllers/user/order.controller.js";
 import { getOrderRefundStatus } from "../../controllers/user/refundStatus.controller.js";
 
@@ -45,6 +49,9 @@ router.get("/:orderId", getOrderDetails);
 // Get order status/tracking info
 router.get("/:orderId/status", getOrderStatus);
 
+// Live tracking state and missed tracking events (?after=<sequence>)
+router.get("/:orderId/tracking", getOrderTracking);
+
 // Cancel order
 router.put("/:orderId/cancel", cancelOrder);
 
@@ -63,6 +70,15 @@ router.get("/:orderId/invoice", downloadInvoice);
 // Download credit note for order
 router.get("/:orderId/credit-notes/:creditNoteNumber", downloadCreditNote);
 
+// Split the bill across diners
+router.post("/:orderId/split", splitBill);
+
+// Get bill split and settlement status
+router.get("/:orderId/split", getBillSplit);
+
+// Download the partial invoice for one share of a split bill
+router.get("/:orderId/split/shares/:shareId/invoice", downloadShareInvoice);
+
 // Refund status for a specific order
 router.get("/:orderId/refund-status", getOrderRefundStatus);
 
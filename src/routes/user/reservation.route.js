@@ -0,0 +1,25 @@
+// src/routes/user/reservation.route.js - User Reservation Routes (mixed public/protected)
+import express from "express";
+import {
+  getAvailability,
+  createReservation,
+  getMyReservations,
+  getReservation,
+  updateReservation,
+  cancelReservation,
+} from "../../controllers/user/reservation.controller.js";
+import { authenticateUser } from "../../middleware/auth.middleware.js";
+
+const router = express.Router();
+
+// Public: search free slots for a branch, date and party size
+router.get("/availability", getAvailability);
+
+// Protected: book, view, modify and cancel
+router.post("/", authenticateUser, createReservation);
+router.get("/", authenticateUser, getMyReservations);
+router.get("/:reservationId", authenticateUser, getReservation);
+router.put("/:reservationId", authenticateUser, updateReservation);
+router.post("/:reservationId/cancel", authenticateUser, cancelReservation);
+
+export default router;
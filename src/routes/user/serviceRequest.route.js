@@ -0,0 +1,18 @@
+// src/routes/user/serviceRequest.route.js - Table Service Request Routes
+// Note: authenticateUser is applied at the mount level in user.route.js
+import express from "express";
+import {
+  createServiceRequest,
+  getMyServiceRequests,
+  cancelServiceRequest,
+} from "../../controllers/user/serviceRequest.controller.js";
+
+const router = express.Router();
+
+// Call waiter / request bill, water, cutlery or something custom
+// (status changes arrive as "service_request:updated" on user_<userId>)
+router.post("/", createServiceRequest);
+router.get("/", getMyServiceRequests);
+router.post("/:requestId/cancel", cancelServiceRequest);
+
+export default router;
@@ -0,0 +1,31 @@
+// src/routes/user/tableCart.route.js - Shared Table Cart Routes
+// Note: authenticateUser is applied at the mount level in user.route.js
+import express from "express";
+import {
+  joinTableCart,
+  getTableCart,
+  addTableCartItem,
+  updateTableCartItem,
+  removeTableCartItem,
+  leaveTableCart,
+  checkoutTableCart,
+  splitTableCartBill,
+} from "../../controllers/user/tableCart.controller.js";
+
+const router = express.Router();
+
+// Join (or start) the table's shared cart
+router.post("/join", joinTableCart);
+
+// Cart items - every change is broadcast to table_cart_<cartId>
+router.get("/:cartId", getTableCart);
+router.post("/:cartId/items", addTableCartItem);
+router.put("/:cartId/items/:itemId", updateTableCartItem);
+router.delete("/:cartId/items/:itemId", removeTableCartItem);
+router.post("/:cartId/leave", leaveTableCart);
+
+// One order for the whole table, optionally split per diner afterwards
+router.post("/:cartId/checkout", checkoutTableCart);
+router.post("/:cartId/split", splitTableCartBill);
+
+export default router;
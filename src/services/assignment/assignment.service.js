@@ -7,13 +7,20 @@ import { Admin } from "../../models/Admin.model.js";
 import { Manager } from "../../models/Manager.model.js";
 import { APIError } from "../../utils/APIError.js";
 import queueService from "../queue.service.js";
+import shiftAvailabilityService from "./shiftAvailability.service.js";
+import assignmentStrategyService from "./assignmentStrategy.service.js";
+import assignmentStateService from "./assignmentState.service.js";
+import { publishOrderEvent } from "../order/orderTracking.service.js";
 import { logger } from "../../utils/logger.js";
 import {
   notifyStaffOrderAssigned,
   notifyStaffOrderFromQueue,
   notifyManagerOrderAssigned,
+  notifyShiftHandoff,
 } from "../notification.service.js";
 
+const ACTIVE_ORDER_STATUSES = ["pending", "confirmed", "preparing", "ready"];
+
 /**
  * Assignment Service for Managing Waiter-Order Assignments
  *
@@ -22,6 +29,10 @@ import {
  * 2. Load-balancing based on active order count
  * 3. Queue management when all waiters are at capacity
  * 4. Automatic assignment from queue when waiters become available
+ * 5. Shift awareness: only waiters on shift get orders, and orders are
+ *    handed over when a shift ends
+ * 6. Per-branch strategy: optionally prefer the table's section waiter and
+ *    matching specializations before load balancing
  */
 class AssignmentService {
   constructor() {
@@ -30,8 +41,8 @@ class AssignmentService {
       parseInt(process.env.MAX_ORDERS_PER_WAITER, 10) || 5;
     this.ASSIGNMENT_TIMEOUT = process.env.ASSIGNMENT_TIMEOUT || 30000; // 30 seconds
 
-    // In-memory tracking for round-robin (will persist in database)
-    this.lastAssignedWaiter = new Map(); // branchId -> waiterId
+    // Round-robin positions and stuck-handoff markers live in
+    // assignmentStateService so every instance shares them
   }
 
   /**
@@ -60,6 +71,18 @@ class AssignmentService {
         );
       }
 
+      // Scheduled pre-orders are assigned by the release job, not at payment
+      if (order.status === "scheduled") {
+        logger.info(
+          `Order ${order._id} is scheduled for ${order.scheduledFor} - assignment deferred until release`
+        );
+        return {
+          success: false,
+          scheduled: true,
+          message: "Order is scheduled and will be assigned when released",
+        };
+      }
+
       // Extract raw IDs from potentially populated fields
       // (populated objects have ._id, raw ObjectIds don't)
       const hotelId = order.hotel?._id || order.hotel;
@@ -87,17 +110,40 @@ class AssignmentService {
         return await this.addOrderToQueue(order, availableWaiters);
       }
 
-      // Assign to best available waiter
-      const selectedWaiter = await this.selectBestWaiter(
-        eligibleWaiters,
-        branchId
-      );
+      // Assign to best available waiter; if another instance filled them up
+      // in the meantime, try the next one
+      let selectedWaiter;
+      let assignmentResult;
+      while (eligibleWaiters.length > 0) {
+        const picked = await this.pickWaiter(order, eligibleWaiters, branchId);
+        selectedWaiter = picked.waiter;
+
+        try {
+          assignmentResult = await this.performAssignment(
+            order,
+            selectedWaiter,
+            false,
+            picked.reason,
+            { requireUnassigned: true }
+          );
+          break;
+        } catch (error) {
+          if (!error.atCapacity) throw error;
+          eligibleWaiters.splice(eligibleWaiters.indexOf(selectedWaiter), 1);
+        }
+      }
 
-      // Perform the assignment
-      const assignmentResult = await this.performAssignment(
-        order,
-        selectedWaiter
-      );
+      if (eligibleWaiters.length === 0) {
+        logger.info(`All waiters filled up, queuing order ${order._id}`);
+        return await this.addOrderToQueue(order, availableWaiters);
+      }
+      if (!assignmentResult) {
+        return {
+          success: false,
+          alreadyAssigned: true,
+          message: "Order was already assigned",
+        };
+      }
 
       logger.info(
         `Order ${order._id} assigned to waiter ${selectedWaiter._id} (${selectedWaiter.name})`
@@ -185,9 +231,20 @@ class AssignmentService {
         );
       });
 
+      // Only waiters on shift (and not wrapping up) take new orders
+      const shiftSettings =
+        await shiftAvailabilityService.getBranchSettings(resolvedBranchId);
+      const shiftStates = await shiftAvailabilityService.getShiftStates(
+        validWaiters,
+        shiftSettings
+      );
+      const onShiftWaiters = validWaiters.filter(
+        (waiter) => shiftStates.get(waiter._id.toString()).acceptingOrders
+      );
+
       // Calculate active orders for each valid waiter using aggregation (eliminates N+1 query problem)
       // Build a map of waiter IDs for efficient lookup
-      const waiterIds = validWaiters.map((w) => w._id);
+      const waiterIds = onShiftWaiters.map((w) => w._id);
 
       // Single aggregation query to get order counts for all waiters at once
       const orderCounts = await Order.aggregate([
@@ -211,9 +268,10 @@ class AssignmentService {
       );
 
       // Merge counts with waiter data
-      const waitersWithCounts = validWaiters.map((waiter) => ({
+      const waitersWithCounts = onShiftWaiters.map((waiter) => ({
         ...waiter,
         activeOrdersCount: orderCountMap.get(waiter._id.toString()) || 0,
+        shiftEndsAt: shiftStates.get(waiter._id.toString()).shiftEnd,
       }));
 
       logger.info(
@@ -228,13 +286,76 @@ class AssignmentService {
     }
   }
 
+  /**
+   * Choose a waiter for an order among those with spare capacity: order
+   * type preference, then the branch strategy, then load balancing
+   * @param {Object} order - Order being assigned
+   * @param {Array} eligibleWaiters - Waiters below capacity
+   * @param {String} branchId - Branch ID for rules and round-robin tracking
+   * @returns {Object} { waiter, reason } - reason is set when the strategy
+   *   decided the pool
+   */
+  async pickWaiter(order, eligibleWaiters, branchId) {
+    // Match the order type (dine_in / takeaway / delivery) to waiter preference
+    const matchedWaiters = this.filterByAssignmentType(
+      eligibleWaiters,
+      order.orderType
+    );
+
+    const rules = await assignmentStrategyService.getBranchRules(branchId);
+    const { waiters, reason } =
+      await assignmentStrategyService.narrowCandidates(
+        order,
+        matchedWaiters,
+        rules
+      );
+
+    const waiter = await this.selectBestWaiter(waiters, branchId);
+    return { waiter, reason };
+  }
+
+  /**
+   * Narrow waiters to those whose preferredAssignmentType suits the order type
+   * Waiters preferring the exact type win over "any"; if nobody matches,
+   * every eligible waiter stays in the pool so the order is not stranded
+   * @param {Array} waiters - Eligible waiters
+   * @param {String} orderType - dine_in, takeaway or delivery
+   * @returns {Array} Waiters to choose from
+   */
+  filterByAssignmentType(waiters, orderType = "dine_in") {
+    const type = orderType || "dine_in";
+
+    const exactMatches = waiters.filter(
+      (waiter) => waiter.preferredAssignmentType === type
+    );
+    if (exactMatches.length > 0) {
+      return exactMatches;
+    }
+
+    const flexibleWaiters = waiters.filter(
+      (waiter) =>
+        !waiter.preferredAssignmentType ||
+        waiter.preferredAssignmentType === "any"
+    );
+    if (flexibleWaiters.length > 0) {
+      return flexibleWaiters;
+    }
+
+    logger.info(
+      `No waiter prefers ${type} orders, falling back to all eligible waiters`
+    );
+    return waiters;
+  }
+
   /**
    * Select the best waiter using Round-Robin or Load-Balancing
    * @param {Array} eligibleWaiters - Waiters who can take orders
    * @param {String} branchId - Branch ID for round-robin tracking
+   * @param {Map|null} tracker - Private round-robin positions (the
+   *   simulator's); null uses the shared rotation
    * @returns {Object} Selected waiter
    */
-  async selectBestWaiter(eligibleWaiters, branchId) {
+  async selectBestWaiter(eligibleWaiters, branchId, tracker = null) {
     try {
       // Sort waiters by active order count (ascending) for load balancing
       const sortedWaiters = eligibleWaiters.sort(
@@ -249,21 +370,27 @@ class AssignmentService {
       );
 
       // If only one waiter has minimum orders, assign to them
+      // (simulation runs pass a tracker and stay out of the logs)
       if (leastBusyWaiters.length === 1) {
-        logger.info(
-          `Load balancing: Selected waiter with ${minOrderCount} active orders`
-        );
+        if (!tracker) {
+          logger.info(
+            `Load balancing: Selected waiter with ${minOrderCount} active orders`
+          );
+        }
         return leastBusyWaiters[0];
       }
 
       // Multiple waiters with same order count - use Round-Robin
-      logger.info(
-        `Tie case: ${leastBusyWaiters.length} waiters with ${minOrderCount} orders, using round-robin`
-      );
+      if (!tracker) {
+        logger.info(
+          `Tie case: ${leastBusyWaiters.length} waiters with ${minOrderCount} orders, using round-robin`
+        );
+      }
 
       const selectedWaiter = await this.roundRobinSelection(
         leastBusyWaiters,
-        branchId
+        branchId,
+        tracker
       );
       return selectedWaiter;
     } catch (error) {
@@ -276,39 +403,37 @@ class AssignmentService {
    * Round-Robin selection among waiters with equal load
    * @param {Array} waiters - Waiters to choose from
    * @param {String} branchId - Branch ID for tracking
+   * @param {Map|null} tracker - Private round-robin positions (the
+   *   simulator's); null uses the shared rotation
    * @returns {Object} Selected waiter
    */
-  async roundRobinSelection(waiters, branchId) {
+  async roundRobinSelection(waiters, branchId, tracker = null) {
     try {
-      const branchKey = branchId || "default";
-      const lastAssignedId = this.lastAssignedWaiter.get(branchKey);
-
-      let selectedWaiter;
-
-      if (!lastAssignedId) {
-        // First assignment - select first waiter
-        selectedWaiter = waiters[0];
+      const branchKey = (branchId || "default").toString();
+      // Same order on every instance, so the rotation means the same thing
+      const waiterIds = waiters.map((w) => w._id.toString()).sort();
+
+      let selectedId;
+      if (tracker) {
+        // Next after the last pick; the first if it is unknown or gone
+        const lastIndex = waiterIds.indexOf(tracker.get(branchKey));
+        selectedId = waiterIds[(lastIndex + 1) % waiterIds.length];
+        tracker.set(branchKey, selectedId);
       } else {
-        // Find current position of last assigned waiter
-        const lastIndex = waiters.findIndex(
-          (w) => w._id.toString() === lastAssignedId
+        selectedId = await assignmentStateService.nextInRotation(
+          branchKey,
+          waiterIds
         );
-
-        if (lastIndex === -1 || lastIndex === waiters.length - 1) {
-          // Last waiter was not found or was the last in list - start from beginning
-          selectedWaiter = waiters[0];
-        } else {
-          // Select next waiter in round-robin
-          selectedWaiter = waiters[lastIndex + 1];
-        }
       }
 
-      // Update round-robin tracking
-      this.lastAssignedWaiter.set(branchKey, selectedWaiter._id.toString());
+      const selectedWaiter =
+        waiters.find((w) => w._id.toString() === selectedId) || waiters[0];
 
-      logger.info(
-        `Round-robin selection: ${selectedWaiter.name} (${selectedWaiter._id})`
-      );
+      if (!tracker) {
+        logger.info(
+          `Round-robin selection: ${selectedWaiter.name} (${selectedWaiter._id})`
+        );
+      }
       return selectedWaiter;
     } catch (error) {
       logger.error("Error in round-robin selection:", error);
@@ -320,9 +445,24 @@ class AssignmentService {
    * Perform the actual assignment of order to waiter
    * @param {Object} order - Order to assign
    * @param {Object} waiter - Selected waiter
-   * @returns {Object} Assignment result
+   * @param {Boolean} fromQueue - Assigned from the queue
+   * @param {String} reason - Why this waiter (recorded in assignmentHistory)
+   * @param {Object} options
+   * @param {Boolean} options.requireUnassigned - Only assign if no waiter
+   *   has it yet, so two instances cannot both assign the same order
+   * @param {Boolean} options.enforceCapacity - Only assign while the waiter
+   *   is under MAX_ORDERS_PER_WAITER; throws an error with atCapacity set
+   *   otherwise
+   * @returns {Object|null} Assignment result; null if requireUnassigned and
+   *   someone else assigned it first
    */
-  async performAssignment(order, waiter, fromQueue = false) {
+  async performAssignment(
+    order,
+    waiter,
+    fromQueue = false,
+    reason = null,
+    { requireUnassigned = false, enforceCapacity = true } = {}
+  ) {
     try {
       // Determine assignment method
       const assignmentMethod = fromQueue
@@ -331,9 +471,41 @@ class AssignmentService {
           ? "round-robin"
           : "load-balancing";
 
+      // Take a slot on the waiter first. $inc with the cap in the filter, so
+      // instances assigning to the same waiter at once never lose a count
+      const assignedAt = new Date();
+      const updatedWaiter = await Staff.findOneAndUpdate(
+        enforceCapacity
+          ? {
+              _id: waiter._id,
+              activeOrdersCount: {
+                $not: { $gte: this.MAX_ORDERS_PER_WAITER },
+              },
+            }
+          : { _id: waiter._id },
+        {
+          $set: { lastAssignedAt: assignedAt },
+          $inc: {
+            activeOrdersCount: 1,
+            "assignmentStats.totalAssignments": 1,
+          },
+        },
+        { new: true }
+      );
+      if (!updatedWaiter) {
+        const error = new APIError(
+          409,
+          `${waiter.name} is at maximum capacity (${this.MAX_ORDERS_PER_WAITER} orders)`
+        );
+        error.atCapacity = true;
+        throw error;
+      }
+
       // Update order with assignment
-      const updatedOrder = await Order.findByIdAndUpdate(
-        order._id,
+      const updatedOrder = await Order.findOneAndUpdate(
+        requireUnassigned
+          ? { _id: order._id, staff: null }
+          : { _id: order._id },
         {
           staff: waiter._id,
           assignedAt: new Date(),
@@ -343,7 +515,9 @@ class AssignmentService {
               waiter: waiter._id,
               assignedAt: new Date(),
               method: assignmentMethod,
-              reason: fromQueue ? "queue-assignment" : "automatic-assignment",
+              reason:
+                reason ||
+                (fromQueue ? "queue-assignment" : "automatic-assignment"),
             },
           },
         },
@@ -351,16 +525,29 @@ class AssignmentService {
       ).populate("staff", "name staffId role");
 
       if (!updatedOrder) {
+        // Give the slot back
+        await Staff.updateOne(
+          { _id: waiter._id },
+          {
+            $inc: {
+              activeOrdersCount: -1,
+              "assignmentStats.totalAssignments": -1,
+            },
+          }
+        );
+        if (requireUnassigned) {
+          logger.info(`Order ${order._id} was already assigned elsewhere`);
+          return null;
+        }
         throw new APIError(404, "Order not found");
       }
 
-      // Update waiter's active order count in database AND memory
-      const newActiveOrdersCount = waiter.activeOrdersCount + 1;
-      await Staff.findByIdAndUpdate(waiter._id, {
-        activeOrdersCount: newActiveOrdersCount,
-        lastAssignedAt: new Date(),
-        $inc: { "assignmentStats.totalAssignments": 1 },
-      });
+      // Queue assignments are published once the order leaves "queued"
+      if (!fromQueue) {
+        await publishOrderEvent(updatedOrder._id, "assigned", {
+          message: `${waiter.name} will serve your order`,
+        });
+      }
 
       // Send socket notification to staff
       try {
@@ -393,14 +580,16 @@ class AssignmentService {
           id: waiter._id,
           name: waiter.name,
           staffId: waiter.staffId,
-          activeOrdersCount: newActiveOrdersCount,
+          activeOrdersCount: updatedWaiter.activeOrdersCount,
         },
         assignmentMethod: assignmentMethod,
         assignedAt: new Date(),
         queuePosition: null,
       };
     } catch (error) {
-      logger.error("Error performing assignment:", error);
+      if (!error.atCapacity) {
+        logger.error("Error performing assignment:", error);
+      }
       throw error;
     }
   }
@@ -473,6 +662,15 @@ class AssignmentService {
         return null;
       }
 
+      // Off shift or about to finish - leave the queue for others
+      const shiftState = await shiftAvailabilityService.getShiftState(waiter);
+      if (!shiftState.acceptingOrders) {
+        logger.info(
+          `Waiter ${waiterId} is not taking new orders (${shiftState.reason}), skipping queue assignment`
+        );
+        return null;
+      }
+
       // Check if waiter can take more orders
       const activeOrdersCount = await Order.countDocuments({
         staff: waiterId,
@@ -490,7 +688,9 @@ class AssignmentService {
       logger.info(
         `assignFromQueue: waiter ${waiterId} hotel=${waiter.hotel}, branch=${waiter.branch}`
       );
-      const nextOrder = await queueService.getNextInQueue({
+      // Taking the order off the queue is atomic, so another instance
+      // freeing a waiter at the same moment gets a different order
+      const nextOrder = await queueService.claimNextInQueue({
         hotel: waiter.hotel,
         branch: waiter.branch,
       });
@@ -500,23 +700,49 @@ class AssignmentService {
         return null;
       }
 
-      // Remove from queue
-      await queueService.removeFromQueue(nextOrder._id);
-
       // Assign the order (fromQueue = true for high-priority notification)
-      const assignmentResult = await this.performAssignment(
-        nextOrder,
-        {
-          ...waiter.toObject(),
-          activeOrdersCount,
-        },
-        true // fromQueue parameter
-      );
+      let assignmentResult;
+      try {
+        assignmentResult = await this.performAssignment(
+          nextOrder,
+          {
+            ...waiter.toObject(),
+            activeOrdersCount,
+          },
+          true // fromQueue parameter
+        );
+      } catch (error) {
+        // Put it back rather than lose it
+        await queueService.addToQueue(nextOrder, {
+          hotel: nextOrder.hotel,
+          branch: nextOrder.branch,
+          priority: queueService.PRIORITIES[nextOrder.priority]
+            ? nextOrder.priority
+            : undefined,
+        });
+        if (error.atCapacity) {
+          logger.info(
+            `Waiter ${waiterId} filled up meanwhile, order ${nextOrder._id} back in queue`
+          );
+          return null;
+        }
+        throw error;
+      }
 
       // Update order status from queued to pending
       await Order.findByIdAndUpdate(nextOrder._id, {
         status: "pending",
-        $unset: { queuePosition: 1, queuedAt: 1, estimatedAssignmentTime: 1 },
+        $unset: {
+          queuePosition: 1,
+          queuedAt: 1,
+          estimatedAssignmentTime: 1,
+          queueClaimedAt: 1,
+          priority: 1,
+          priorityValue: 1,
+        },
+      });
+      await publishOrderEvent(nextOrder._id, "assigned", {
+        message: `${waiter.name} will serve your order`,
       });
 
       // NOTE: High-priority socket notification sent by performAssignment() with method='queue'
@@ -586,6 +812,190 @@ class AssignmentService {
     }
   }
 
+  /**
+   * Hand the open orders of waiters whose shift is over to waiters still on
+   * shift. Orders nobody can take stay put and are retried on the next run.
+   * @param {Date} now
+   * @returns {Object} { waiters, handedOff, pending }
+   */
+  async handOffEndedShifts(now = new Date()) {
+    const summary = { waiters: 0, handedOff: 0, pending: 0 };
+
+    const busyWaiterIds = await Order.distinct("staff", {
+      staff: { $ne: null },
+      status: { $in: ACTIVE_ORDER_STATUSES },
+    });
+    if (busyWaiterIds.length === 0) {
+      await assignmentStateService.clearHandoffPending();
+      return summary;
+    }
+
+    const waiters = await Staff.find({
+      _id: { $in: busyWaiterIds },
+      role: "waiter",
+      status: "active",
+    })
+      .select("name staffId hotel branch manager shiftSchedule")
+      .lean();
+
+    const waitersByBranch = new Map();
+    for (const waiter of waiters) {
+      const key = waiter.branch?.toString() || "";
+      waitersByBranch.set(key, [...(waitersByBranch.get(key) || []), waiter]);
+    }
+
+    for (const [branchId, branchWaiters] of waitersByBranch) {
+      const settings = await shiftAvailabilityService.getBranchSettings(
+        branchId || null
+      );
+      if (settings.mode === "off") continue;
+
+      const states = await shiftAvailabilityService.getShiftStates(
+        branchWaiters,
+        settings,
+        now
+      );
+      for (const waiter of branchWaiters) {
+        if (states.get(waiter._id.toString()).onShift) continue;
+
+        try {
+          const result = await this.handOffOrders(waiter, "shift ended");
+          summary.waiters += 1;
+          summary.handedOff += result.handedOff.length;
+          summary.pending += result.pending;
+        } catch (error) {
+          logger.error(`Shift handoff failed for waiter ${waiter._id}:`, error);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Move a waiter's open orders to other waiters on shift, recording the
+   * handover in each order's assignmentHistory
+   * @param {Object} waiter - Staff handing over
+   * @param {String} reason - Why the orders are moving
+   * @returns {Object} { handedOff: [...], pending: Number }
+   */
+  async handOffOrders(waiter, reason) {
+    const orders = await Order.find({
+      staff: waiter._id,
+      status: { $in: ACTIVE_ORDER_STATUSES },
+    }).sort({ createdAt: 1 });
+
+    const candidates = (
+      await this.getAvailableWaiters(waiter.hotel, waiter.branch)
+    ).filter((candidate) => candidate._id.toString() !== waiter._id.toString());
+
+    const handedOff = [];
+    let pending = 0;
+    let newlyPending = 0;
+
+    for (const order of orders) {
+      const eligible = candidates.filter(
+        (candidate) => candidate.activeOrdersCount < this.MAX_ORDERS_PER_WAITER
+      );
+      if (eligible.length === 0) {
+        pending += 1;
+        if (await assignmentStateService.markHandoffPending(order._id)) {
+          newlyPending += 1;
+        }
+        continue;
+      }
+
+      const { waiter: nextWaiter } = await this.pickWaiter(
+        order,
+        eligible,
+        waiter.branch
+      );
+      const handedOffAt = new Date();
+
+      // Only if it is still theirs (not completed or reassigned meanwhile)
+      const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, staff: waiter._id },
+        {
+          $set: { staff: nextWaiter._id, assignedAt: handedOffAt },
+          $push: {
+            assignmentHistory: {
+              waiter: nextWaiter._id,
+              assignedAt: handedOffAt,
+              method: "shift-handoff",
+              reason: `Handed over from ${waiter.staffId || waiter.name}: ${reason}`,
+            },
+          },
+        },
+        { new: true }
+      );
+      if (!updatedOrder) continue;
+
+      await Order.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            "assignmentHistory.$[entry].unassignedAt": handedOffAt,
+            "assignmentHistory.$[entry].unassignReason": reason,
+          },
+        },
+        {
+          arrayFilters: [
+            { "entry.waiter": waiter._id, "entry.unassignedAt": null },
+          ],
+        }
+      );
+
+      nextWaiter.activeOrdersCount += 1;
+      await Promise.all([
+        Staff.findByIdAndUpdate(waiter._id, {
+          $inc: { activeOrdersCount: -1 },
+        }),
+        Staff.findByIdAndUpdate(nextWaiter._id, {
+          lastAssignedAt: handedOffAt,
+          $inc: {
+            activeOrdersCount: 1,
+            "assignmentStats.totalAssignments": 1,
+          },
+        }),
+      ]);
+      await assignmentStateService.clearHandoffPending(order._id);
+      await publishOrderEvent(order._id, "reassigned", {
+        message: `${nextWaiter.name} is now serving your order`,
+      });
+
+      try {
+        await notifyStaffOrderAssigned(
+          updatedOrder,
+          nextWaiter,
+          "shift-handoff",
+          reason
+        );
+      } catch (socketError) {
+        logger.error(
+          `Socket notification failed for handed-off order ${order._id}:`,
+          socketError.message
+        );
+      }
+
+      handedOff.push({
+        orderId: order._id.toString(),
+        orderNumber: order._id.toString().slice(-8).toUpperCase(),
+        tableNumber: order.tableNumber,
+        toStaffId: nextWaiter._id.toString(),
+        toStaffName: nextWaiter.name,
+      });
+    }
+
+    if (handedOff.length > 0 || newlyPending > 0) {
+      logger.info(
+        `Shift handoff for waiter ${waiter._id}: ${handedOff.length} handed over, ${pending} pending`
+      );
+      await notifyShiftHandoff(waiter, { handedOff, pending, reason });
+    }
+
+    return { handedOff, pending };
+  }
+
   /**
    * Manual assignment of order to specific waiter
    * @param {String} orderId - Order ID
@@ -633,10 +1043,14 @@ class AssignmentService {
       }
 
       // Perform assignment
-      const assignmentResult = await this.performAssignment(order, {
-        ...waiter.toObject(),
-        activeOrdersCount,
-      });
+      // Capacity was checked against live orders above
+      const assignmentResult = await this.performAssignment(
+        order,
+        { ...waiter.toObject(), activeOrdersCount },
+        false,
+        null,
+        { enforceCapacity: false }
+      );
 
       // Update assignment history with manual assignment
       await Order.findByIdAndUpdate(orderId, {
@@ -804,12 +1218,13 @@ class AssignmentService {
 
   /**
    * Reset round-robin tracking (useful for testing or daily resets)
+   * @param {String} hotelId - Hotel ID (optional, resets all its branches)
    * @param {String} branchId - Branch ID (optional, resets all if not provided)
    */
-  resetRoundRobin(hotelId, branchId = null) {
+  async resetRoundRobin(hotelId, branchId = null) {
     if (branchId) {
       // Reset for specific branch only
-      this.lastAssignedWaiter.delete(branchId);
+      await assignmentStateService.resetRotation([branchId.toString()]);
       logger.info(
         `Round-robin reset for hotel ${hotelId}, branch ${branchId}`,
         {
@@ -820,25 +1235,19 @@ class AssignmentService {
       );
     } else if (hotelId) {
       // Reset for all branches of a specific hotel
-      const keysToDelete = [];
-      for (const key of this.lastAssignedWaiter.keys()) {
-        // If we have a way to map branch to hotel, we'd use it here
-        // For now, we'll need to check each branch's hotel association
-        keysToDelete.push(key);
-      }
-
-      // Delete all entries (since we don't have hotel->branch mapping in memory)
-      // In a real implementation, you'd query branches by hotelId and delete only those
-      keysToDelete.forEach((key) => this.lastAssignedWaiter.delete(key));
+      const branchIds = await Branch.find({ hotel: hotelId }).distinct("_id");
+      const branchesReset = await assignmentStateService.resetRotation(
+        branchIds.map((id) => id.toString())
+      );
 
       logger.info(`Round-robin reset for hotel ${hotelId} (all branches)`, {
         hotelId,
         scope: "hotel",
-        branchesReset: keysToDelete.length,
+        branchesReset,
       });
     } else {
       // Reset all (fallback for backward compatibility)
-      this.lastAssignedWaiter.clear();
+      await assignmentStateService.resetRotation();
       logger.info("Round-robin reset for all hotels and branches", {
         scope: "global",
       });
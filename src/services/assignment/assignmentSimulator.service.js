@@ -0,0 +1,506 @@
+// src/services/assignment/assignmentSimulator.service.js - Offline replay of assignment strategies
+import { Order } from "../../models/Order.model.js";
+import { Staff } from "../../models/Staff.model.js";
+import { Branch } from "../../models/Branch.model.js";
+import { Table } from "../../models/Table.model.js";
+import { User } from "../../models/User.model.js";
+import { FoodItem } from "../../models/FoodItem.model.js";
+import { FloorPlan } from "../../models/FloorPlan.model.js";
+import { APIError } from "../../utils/APIError.js";
+import { fromLocalTime } from "../../utils/businessTime.js";
+import assignmentService from "./assignment.service.js";
+import assignmentStrategyService from "./assignmentStrategy.service.js";
+import shiftAvailabilityService from "./shiftAvailability.service.js";
+import { ASSIGNMENT_SIMULATION_LIMITS } from "../../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const TRACKER_KEY = "simulation";
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Summary of a list of wait times, in minutes
+ */
+const summarizeWaits = (waitsMs) => {
+  if (waitsMs.length === 0) {
+    return { average: null, p90: null, max: null };
+  }
+  const sorted = [...waitsMs].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    average: round(total / sorted.length / MINUTE_MS),
+    p90: round(sorted[Math.ceil(sorted.length * 0.9) - 1] / MINUTE_MS),
+    max: round(sorted[sorted.length - 1] / MINUTE_MS),
+  };
+};
+
+/**
+ * How evenly a quantity is spread across waiters. Jain's index is 1 when
+ * everyone gets the same and 1/n when one waiter gets everything.
+ */
+const fairnessOf = (values) => {
+  const count = values.length;
+  const sum = values.reduce((acc, value) => acc + value, 0);
+  const sumOfSquares = values.reduce((acc, value) => acc + value * value, 0);
+  const mean = count ? sum / count : 0;
+  const deviation = count
+    ? Math.sqrt(
+        values.reduce((acc, value) => acc + (value - mean) ** 2, 0) / count
+      )
+    : 0;
+
+  return {
+    jainIndex: sumOfSquares
+      ? round((sum * sum) / (count * sumOfSquares), 3)
+      : 1,
+    coefficientOfVariation: mean ? round(deviation / mean, 3) : 0,
+    spread: count ? round(Math.max(...values) - Math.min(...values)) : 0,
+  };
+};
+
+/**
+ * Assignment Simulator Service
+ *
+ * Replays a branch's past orders against a strategy and a roster of waiters,
+ * entirely in memory: nothing is written and the live round-robin state is
+ * left alone. Each order arrives when it was placed (or released, for
+ * pre-orders) and keeps its waiter busy for its prep time plus a service
+ * allowance. As in the live system, orders are queued only when every
+ * waiter is at capacity, and a waiter who frees up takes the head of the
+ * queue.
+ */
+class AssignmentSimulatorService {
+  /**
+   * Replay a window of orders under one or more strategies
+   * @param {String} branchId
+   * @param {Object} options - Validated simulate body
+   * @returns {Object} Roster, historical baseline and one result per strategy
+   */
+  async simulate(branchId, options) {
+    const {
+      from,
+      to,
+      strategies,
+      waiters: rosterIds,
+      maxOrdersPerWaiter,
+      respectShifts,
+      serviceMinutes,
+    } = options;
+
+    const windowStart = fromLocalTime(from, 0);
+    const windowEnd = fromLocalTime(to, 24 * 60);
+    if (windowEnd <= windowStart) {
+      throw new APIError(400, "'from' must not be after 'to'");
+    }
+    if (
+      (windowEnd - windowStart) / DAY_MS >
+      ASSIGNMENT_SIMULATION_LIMITS.maxWindowDays
+    ) {
+      throw new APIError(
+        400,
+        `Simulations can cover at most ${ASSIGNMENT_SIMULATION_LIMITS.maxWindowDays} days`
+      );
+    }
+
+    const branch = await Branch.findById(branchId)
+      .select("hotel assignmentRules shiftAssignment")
+      .lean();
+    if (!branch) {
+      throw new APIError(404, "Branch not found");
+    }
+
+    const [roster, orders] = await Promise.all([
+      this.loadRoster(branch, rosterIds),
+      this.loadOrders(branch, windowStart, windowEnd),
+    ]);
+    const jobs = await this.buildJobs(branch, orders, {
+      serviceMinutes,
+      needContext: strategies.includes("section_skill"),
+    });
+
+    const settings = {
+      maxOrdersPerWaiter:
+        maxOrdersPerWaiter || assignmentService.MAX_ORDERS_PER_WAITER,
+      respectShifts,
+      serviceMinutes,
+    };
+    const shiftSettings = respectShifts
+      ? {
+          mode: "schedule",
+          wrapUpMinutes:
+            shiftAvailabilityService.getSettings(branch).wrapUpMinutes,
+        }
+      : null;
+
+    const results = [];
+    for (const strategy of strategies) {
+      results.push(
+        await this.run(strategy, jobs, roster, {
+          capacity: settings.maxOrdersPerWaiter,
+          shiftSettings,
+          windowMs: windowEnd - windowStart,
+        })
+      );
+    }
+
+    return {
+      branch: branch._id,
+      window: { from, to },
+      ordersReplayed: jobs.length,
+      settings,
+      roster: roster.map((waiter) => ({
+        _id: waiter._id,
+        name: waiter.name,
+        staffId: waiter.staffId,
+      })),
+      historical: this.summarizeHistorical(orders, roster),
+      results,
+    };
+  }
+
+  /**
+   * Waiters to simulate with: the given staff, or the branch's active waiters
+   */
+  async loadRoster(branch, rosterIds) {
+    const query = { branch: branch._id, role: "waiter" };
+    if (rosterIds) {
+      query._id = { $in: rosterIds };
+    } else {
+      query.status = "active";
+    }
+
+    const roster = await Staff.find(query)
+      .select(
+        "name staffId branch preferredAssignmentType specializations shiftSchedule"
+      )
+      .sort({ name: 1 })
+      .limit(ASSIGNMENT_SIMULATION_LIMITS.maxRosterSize)
+      .lean();
+
+    if (rosterIds && roster.length !== rosterIds.length) {
+      throw new APIError(
+        400,
+        "Every roster entry must be a waiter of this branch"
+      );
+    }
+    if (roster.length === 0) {
+      throw new APIError(400, "No waiters to simulate with");
+    }
+    return roster;
+  }
+
+  /**
+   * Orders placed in the window, oldest first
+   */
+  async loadOrders(branch, windowStart, windowEnd) {
+    const orders = await Order.find({
+      branch: branch._id,
+      createdAt: { $gte: windowStart, $lt: windowEnd },
+      status: { $nin: ["cancelled", "scheduled"] },
+    })
+      .select(
+        "createdAt releasedAt actualPrepTime estimatedTime items.foodItem orderType table user staff assignmentHistory"
+      )
+      .sort({ createdAt: 1 })
+      .limit(ASSIGNMENT_SIMULATION_LIMITS.maxOrders + 1)
+      .lean();
+
+    if (orders.length > ASSIGNMENT_SIMULATION_LIMITS.maxOrders) {
+      throw new APIError(
+        400,
+        `The window holds more than ${ASSIGNMENT_SIMULATION_LIMITS.maxOrders} orders; choose a shorter one`
+      );
+    }
+    return orders;
+  }
+
+  /**
+   * Turn orders into simulation jobs: arrival, how long they keep a waiter
+   * busy and, for section_skill, the strategy context
+   * Prep time is the recorded actualPrepTime, else the estimate, else the
+   * slowest item on the menu, else a default.
+   */
+  async buildJobs(branch, orders, { serviceMinutes, needContext }) {
+    const itemIds = new Set();
+    for (const order of orders) {
+      if (!order.actualPrepTime && !order.estimatedTime) {
+        order.items.forEach((item) => itemIds.add(idOf(item.foodItem)));
+      }
+    }
+
+    const tableIds = needContext
+      ? [...new Set(orders.filter((o) => o.table).map((o) => idOf(o.table)))]
+      : [];
+    const userIds = needContext
+      ? [...new Set(orders.filter((o) => o.user).map((o) => idOf(o.user)))]
+      : [];
+
+    const [foodItems, tables, users, plan] = await Promise.all([
+      itemIds.size
+        ? FoodItem.find({ _id: { $in: [...itemIds] } })
+            .select("preparationTime")
+            .lean()
+        : [],
+      tableIds.length
+        ? Table.find({ _id: { $in: tableIds } })
+            .select("capacity")
+            .lean()
+        : [],
+      userIds.length
+        ? User.find({ _id: { $in: userIds } })
+            .select("isVip")
+            .lean()
+        : [],
+      needContext
+        ? FloorPlan.findOne({ branch: branch._id }).select("sections").lean()
+        : null,
+    ]);
+
+    const prepByItem = new Map(
+      foodItems.map((item) => [item._id.toString(), item.preparationTime])
+    );
+    const tableById = new Map(tables.map((t) => [t._id.toString(), t]));
+    const userById = new Map(users.map((u) => [u._id.toString(), u]));
+    const rules = assignmentStrategyService.getRules(branch);
+
+    return orders
+      .map((order) => {
+        const itemPrep = Math.max(
+          0,
+          ...order.items.map((item) => prepByItem.get(idOf(item.foodItem)) || 0)
+        );
+        const prepMinutes =
+          order.actualPrepTime ||
+          order.estimatedTime ||
+          itemPrep ||
+          ASSIGNMENT_SIMULATION_LIMITS.defaultPrepMinutes;
+
+        return {
+          orderId: order._id,
+          orderType: order.orderType,
+          arrival: (order.releasedAt || order.createdAt).getTime(),
+          durationMs: (prepMinutes + serviceMinutes) * MINUTE_MS,
+          context: needContext
+            ? assignmentStrategyService.buildContext(
+                order.table,
+                {
+                  table: tableById.get(idOf(order.table)),
+                  user: userById.get(idOf(order.user)),
+                  plan,
+                },
+                rules
+              )
+            : null,
+        };
+      })
+      .sort((a, b) => a.arrival - b.arrival);
+  }
+
+  /**
+   * Replay the jobs under one strategy
+   * @param {String} strategy - One of SIMULATION_STRATEGIES
+   * @param {Array} jobs - From buildJobs
+   * @param {Array} roster - Lean waiters
+   * @param {Object} options - { capacity, shiftSettings, windowMs }
+   */
+  async run(strategy, jobs, roster, { capacity, shiftSettings, windowMs }) {
+    // Private round-robin positions so live assignment is unaffected
+    const tracker = new Map();
+    const waiters = roster.map((waiter) => ({
+      ...waiter,
+      activeOrdersCount: 0,
+    }));
+    const stats = new Map(
+      waiters.map((waiter) => [
+        waiter._id.toString(),
+        { ordersAssigned: 0, busyMs: 0, peakActiveOrders: 0 },
+      ])
+    );
+    const releases = []; // { at, waiter }, soonest first
+    const queue = [];
+    const waits = [];
+    let queuedOrders = 0;
+    let maxQueueLength = 0;
+    let strategyNarrowed = 0;
+
+    const acceptingAt = async (at) => {
+      if (!shiftSettings) {
+        return null;
+      }
+      return shiftAvailabilityService.getShiftStates(
+        waiters,
+        shiftSettings,
+        new Date(at)
+      );
+    };
+    const canTake = (waiter, states) =>
+      waiter.activeOrdersCount < capacity &&
+      (!states || states.get(waiter._id.toString()).acceptingOrders);
+
+    const assign = (job, waiter, at) => {
+      waiter.activeOrdersCount += 1;
+      const waiterStats = stats.get(waiter._id.toString());
+      waiterStats.ordersAssigned += 1;
+      waiterStats.busyMs += job.durationMs;
+      waiterStats.peakActiveOrders = Math.max(
+        waiterStats.peakActiveOrders,
+        waiter.activeOrdersCount
+      );
+      waits.push(at - job.arrival);
+
+      const release = { at: at + job.durationMs, waiter };
+      const index = releases.findIndex((item) => item.at > release.at);
+      releases.splice(index === -1 ? releases.length : index, 0, release);
+    };
+
+    const choose = async (job, eligible) => {
+      const matched = assignmentService.filterByAssignmentType(
+        eligible,
+        job.orderType
+      );
+      if (strategy === "round_robin") {
+        return assignmentService.roundRobinSelection(
+          matched,
+          TRACKER_KEY,
+          tracker
+        );
+      }
+
+      let pool = matched;
+      if (strategy === "section_skill") {
+        const narrowed = assignmentStrategyService.applySectionSkill(
+          matched,
+          job.context
+        );
+        pool = narrowed.waiters;
+        if (narrowed.reason) {
+          strategyNarrowed += 1;
+        }
+      }
+      return assignmentService.selectBestWaiter(pool, TRACKER_KEY, tracker);
+    };
+
+    // Queued orders go out first whenever someone has room
+    const dispatchQueue = async (at) => {
+      while (queue.length > 0) {
+        const states = await acceptingAt(at);
+        const eligible = waiters.filter((waiter) => canTake(waiter, states));
+        if (eligible.length === 0) {
+          return;
+        }
+        const job = queue.shift();
+        assign(job, await choose(job, eligible), at);
+      }
+    };
+
+    // Finish orders up to a time; as in assignFromQueue, the waiter who
+    // frees up takes the head of the queue
+    const releaseUntil = async (until) => {
+      while (releases.length > 0 && releases[0].at <= until) {
+        const { at, waiter } = releases.shift();
+        waiter.activeOrdersCount -= 1;
+        if (queue.length > 0 && canTake(waiter, await acceptingAt(at))) {
+          assign(queue.shift(), waiter, at);
+        }
+      }
+    };
+
+    for (const job of jobs) {
+      await releaseUntil(job.arrival);
+      await dispatchQueue(job.arrival);
+
+      const states = await acceptingAt(job.arrival);
+      const eligible = waiters.filter((waiter) => canTake(waiter, states));
+      if (eligible.length === 0) {
+        queue.push(job);
+        queuedOrders += 1;
+        maxQueueLength = Math.max(maxQueueLength, queue.length);
+        continue;
+      }
+      assign(job, await choose(job, eligible), job.arrival);
+    }
+    await releaseUntil(Infinity);
+
+    const perWaiter = waiters.map((waiter) => {
+      const waiterStats = stats.get(waiter._id.toString());
+      return {
+        _id: waiter._id,
+        name: waiter.name,
+        staffId: waiter.staffId,
+        ordersAssigned: waiterStats.ordersAssigned,
+        shareOfOrders: waits.length
+          ? round((waiterStats.ordersAssigned / waits.length) * 100, 1)
+          : 0,
+        busyMinutes: round(waiterStats.busyMs / MINUTE_MS, 1),
+        averageActiveOrders: round(waiterStats.busyMs / windowMs, 3),
+        peakActiveOrders: waiterStats.peakActiveOrders,
+      };
+    });
+
+    return {
+      strategy,
+      assigned: waits.length,
+      // Still queued when the replay ended (e.g. nobody on shift)
+      unassigned: queue.length,
+      queuedOrders,
+      maxQueueLength,
+      waitBeforeAssignmentMinutes: summarizeWaits(waits),
+      ...(strategy === "section_skill" && { strategyNarrowed }),
+      fairness: {
+        orders: fairnessOf(perWaiter.map((w) => w.ordersAssigned)),
+        busyMinutes: fairnessOf(perWaiter.map((w) => w.busyMinutes)),
+      },
+      waiters: perWaiter,
+    };
+  }
+
+  /**
+   * What actually happened in the window, for comparison: orders per roster
+   * waiter and wait until the first assignment
+   */
+  summarizeHistorical(orders, roster) {
+    const counts = new Map(roster.map((waiter) => [waiter._id.toString(), 0]));
+    const waits = [];
+    let otherStaff = 0;
+    let unassigned = 0;
+
+    for (const order of orders) {
+      const staffId = idOf(order.staff);
+      if (!staffId) {
+        unassigned += 1;
+      } else if (counts.has(staffId)) {
+        counts.set(staffId, counts.get(staffId) + 1);
+      } else {
+        otherStaff += 1;
+      }
+
+      const firstAssignment = order.assignmentHistory?.[0]?.assignedAt;
+      if (firstAssignment) {
+        const arrival = order.releasedAt || order.createdAt;
+        waits.push(Math.max(0, firstAssignment - arrival));
+      }
+    }
+
+    return {
+      ordersByRoster: roster.map((waiter) => ({
+        _id: waiter._id,
+        name: waiter.name,
+        ordersAssigned: counts.get(waiter._id.toString()),
+      })),
+      ordersByOtherStaff: otherStaff,
+      unassigned,
+      waitBeforeAssignmentMinutes: summarizeWaits(waits),
+      fairness: { orders: fairnessOf([...counts.values()]) },
+    };
+  }
+}
+
+// Export singleton instance
+const assignmentSimulatorService = new AssignmentSimulatorService();
+export default assignmentSimulatorService;
@@ -0,0 +1,164 @@
+// src/services/assignment/assignmentState.service.js - Assignment state shared across instances
+import crypto from "crypto";
+import { getRedisClient, isRedisConfigured } from "../../config/redis.js";
+import { RedisStateStore } from "./stateStores/RedisStateStore.service.js";
+import { MongoStateStore } from "./stateStores/MongoStateStore.service.js";
+import { getLocalDate } from "../../utils/businessTime.js";
+import { logger } from "../../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const KEYS = {
+  rotation: "round-robin:",
+  lock: "lock:",
+  pendingHandoff: "handoff-pending:",
+  metric: "metrics:",
+};
+
+/**
+ * Assignment State Service
+ *
+ * Keeps the state assignment needs to agree on across server instances and
+ * restarts: round-robin positions per branch, locks for background cycles,
+ * "already reported" markers for stuck shift handoffs and daily counters.
+ * Uses Redis when REDIS_URL is set, otherwise the AssignmentState collection.
+ */
+class AssignmentStateService {
+  constructor() {
+    this.store = null;
+  }
+
+  getStore() {
+    if (!this.store) {
+      this.store = isRedisConfigured()
+        ? new RedisStateStore(getRedisClient())
+        : new MongoStateStore();
+      logger.info(`Assignment state store: ${this.store.name}`);
+    }
+    return this.store;
+  }
+
+  /**
+   * Next waiter in a branch's round-robin rotation
+   * If the store is unreachable the first waiter is used, so assignment
+   * keeps working without rotation rather than failing.
+   * @param {String} branchKey - Branch ID (or "default")
+   * @param {Array<String>} waiterIds - Tied waiters, in a stable order
+   * @returns {Promise<String>} Picked waiter ID
+   */
+  async nextInRotation(branchKey, waiterIds) {
+    try {
+      return await this.getStore().rotate(
+        `${KEYS.rotation}${branchKey}`,
+        waiterIds
+      );
+    } catch (error) {
+      logger.error("Round-robin state unavailable, using first waiter:", {
+        message: error.message,
+      });
+      return waiterIds[0];
+    }
+  }
+
+  /**
+   * Forget round-robin positions
+   * @param {Array<String>|null} branchKeys - Branches to reset; null for all
+   * @returns {Promise<Number>} Positions cleared
+   */
+  async resetRotation(branchKeys = null) {
+    const store = this.getStore();
+    if (!branchKeys) {
+      return store.deleteByPrefix(KEYS.rotation);
+    }
+
+    const results = await Promise.all(
+      branchKeys.map((key) => store.deleteKey(`${KEYS.rotation}${key}`))
+    );
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Take a named lock for ttlMs
+   * @returns {Promise<String|null>} Token to release with, or null if held
+   */
+  async acquireLock(name, ttlMs) {
+    const token = crypto.randomUUID();
+    const acquired = await this.getStore().setIfAbsent(
+      `${KEYS.lock}${name}`,
+      token,
+      ttlMs
+    );
+    return acquired ? token : null;
+  }
+
+  async releaseLock(name, token) {
+    await this.getStore().deleteKey(`${KEYS.lock}${name}`, token);
+  }
+
+  /**
+   * Run a task on one instance at a time
+   * @returns {Promise<*>} The task's result, or null if another instance
+   *   holds the lock
+   */
+  async withLock(name, ttlMs, task) {
+    const token = await this.acquireLock(name, ttlMs);
+    if (!token) {
+      return null;
+    }
+    try {
+      return await task();
+    } finally {
+      await this.releaseLock(name, token).catch((error) =>
+        logger.error(`Failed to release lock ${name}:`, {
+          message: error.message,
+        })
+      );
+    }
+  }
+
+  /**
+   * Record that an order's shift handoff is stuck
+   * @returns {Promise<Boolean>} True the first time, so it is reported once
+   */
+  async markHandoffPending(orderId) {
+    return this.getStore().setIfAbsent(
+      `${KEYS.pendingHandoff}${orderId}`,
+      "1",
+      DAY_MS
+    );
+  }
+
+  async clearHandoffPending(orderId = null) {
+    const store = this.getStore();
+    if (!orderId) {
+      await store.deleteByPrefix(KEYS.pendingHandoff);
+      return;
+    }
+    await store.deleteKey(`${KEYS.pendingHandoff}${orderId}`);
+  }
+
+  /**
+   * Add to one of today's counters (business date, kept for two days)
+   */
+  async incrementMetric(name, by = 1) {
+    const key = `${KEYS.metric}${getLocalDate(new Date())}:${name}`;
+    return this.getStore().increment(key, by, 2 * DAY_MS);
+  }
+
+  /**
+   * Today's values of the named counters
+   * @param {Array<String>} names
+   * @returns {Promise<Object>} name -> count
+   */
+  async getMetrics(names) {
+    const today = getLocalDate(new Date());
+    const counts = await this.getStore().getCounts(
+      names.map((name) => `${KEYS.metric}${today}:${name}`)
+    );
+    return Object.fromEntries(names.map((name, i) => [name, counts[i]]));
+  }
+}
+
+// Export singleton instance
+const assignmentStateService = new AssignmentStateService();
+export default assignmentStateService;
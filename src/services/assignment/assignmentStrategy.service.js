@@ -0,0 +1,165 @@
+// src/services/assignment/assignmentStrategy.service.js - Branch assignment strategies
+import { Branch } from "../../models/Branch.model.js";
+import { Table } from "../../models/Table.model.js";
+import { User } from "../../models/User.model.js";
+import { FloorPlan } from "../../models/FloorPlan.model.js";
+import { ASSIGNMENT_RULES } from "../../config/constants.js";
+
+/**
+ * Assignment Strategy Service
+ *
+ * Narrows the waiters who could take an order before load balancing picks
+ * one. With the "section_skill" strategy:
+ * 1. Waiters whose floor plan section holds the order's table come first
+ * 2. Among those, waiters with the specializations the order calls for
+ *    (large_groups for big tables, vip_service for VIP guests)
+ * 3. Load balancing / round-robin chooses within what is left
+ * Each step only narrows when someone qualifies, so an order is never
+ * stranded by the strategy.
+ */
+class AssignmentStrategyService {
+  /**
+   * Branch assignment rules with defaults filled in
+   * @param {Object} branch - Branch document (lean or not), or null
+   */
+  getRules(branch) {
+    const rules = branch?.assignmentRules || {};
+    return {
+      strategy: rules.strategy || ASSIGNMENT_RULES.strategy,
+      largeGroupMinSeats:
+        rules.largeGroupMinSeats ?? ASSIGNMENT_RULES.largeGroupMinSeats,
+    };
+  }
+
+  async getBranchRules(branchId) {
+    if (!branchId) {
+      return this.getRules(null);
+    }
+    const branch = await Branch.findById(branchId)
+      .select("assignmentRules")
+      .lean();
+    return this.getRules(branch);
+  }
+
+  /**
+   * What the strategy needs to know about an order: its table's section
+   * and the specializations it calls for
+   * @param {Object} order - Order (table/user may be populated)
+   * @param {Object} rules - From getRules
+   * @returns {Object} { section, sectionWaiterIds, requiredSkills }
+   */
+  async getOrderContext(order, rules) {
+    const tableId = order.table?._id || order.table;
+    const userId = order.user?._id || order.user;
+
+    const [table, user, plan] = await Promise.all([
+      tableId ? Table.findById(tableId).select("capacity").lean() : null,
+      userId ? User.findById(userId).select("isVip").lean() : null,
+      tableId
+        ? FloorPlan.findOne({
+            branch: order.branch?._id || order.branch,
+            "sections.tables": tableId,
+          })
+            .select("sections")
+            .lean()
+        : null,
+    ]);
+
+    return this.buildContext(tableId, { table, user, plan }, rules);
+  }
+
+  /**
+   * Order context from already loaded documents
+   * @param {ObjectId|null} tableId - Order's table
+   * @param {Object} docs - { table, user, plan } (lean, any may be null)
+   * @param {Object} rules - From getRules
+   */
+  buildContext(tableId, { table, user, plan }, rules) {
+    const section = tableId
+      ? plan?.sections.find((s) =>
+          s.tables.some((id) => id.toString() === tableId.toString())
+        )
+      : null;
+
+    const requiredSkills = [];
+    if (user?.isVip) {
+      requiredSkills.push("vip_service");
+    }
+    if (table?.capacity >= rules.largeGroupMinSeats) {
+      requiredSkills.push("large_groups");
+    }
+
+    return {
+      section: section?.name || null,
+      sectionWaiterIds: new Set(
+        (section?.waiters || []).map((id) => id.toString())
+      ),
+      requiredSkills,
+    };
+  }
+
+  /**
+   * Narrow candidate waiters by section, then by specializations
+   * @param {Array} waiters - Eligible waiters (with specializations)
+   * @param {Object} context - From getOrderContext
+   * @returns {Object} { waiters, reason } - reason is null when nothing
+   *   narrowed the pool
+   */
+  applySectionSkill(waiters, context) {
+    let pool = waiters;
+    const reasons = [];
+
+    const inSection = pool.filter((waiter) =>
+      context.sectionWaiterIds.has(waiter._id.toString())
+    );
+    if (inSection.length > 0) {
+      pool = inSection;
+      reasons.push(`section ${context.section}`);
+    }
+
+    if (context.requiredSkills.length > 0) {
+      const skillsOf = (waiter) => waiter.specializations || [];
+      const hasAll = pool.filter((waiter) =>
+        context.requiredSkills.every((skill) =>
+          skillsOf(waiter).includes(skill)
+        )
+      );
+      const hasAny = pool.filter((waiter) =>
+        context.requiredSkills.some((skill) => skillsOf(waiter).includes(skill))
+      );
+      if (hasAll.length > 0) {
+        pool = hasAll;
+        reasons.push(`skills ${context.requiredSkills.join(", ")}`);
+      } else if (hasAny.length > 0) {
+        pool = hasAny;
+        reasons.push(`some of ${context.requiredSkills.join(", ")}`);
+      }
+    }
+
+    return {
+      waiters: pool,
+      reason: reasons.length
+        ? `section-skill-match: ${reasons.join("; ")}`
+        : null,
+    };
+  }
+
+  /**
+   * Candidate waiters for an order under the branch's strategy
+   * @param {Object} order
+   * @param {Array} waiters - Eligible waiters
+   * @param {Object} rules - From getRules
+   * @returns {Object} { waiters, reason }
+   */
+  async narrowCandidates(order, waiters, rules) {
+    if (rules.strategy !== "section_skill") {
+      return { waiters, reason: null };
+    }
+    const context = await this.getOrderContext(order, rules);
+    return this.applySectionSkill(waiters, context);
+  }
+}
+
+// Export singleton instance
+const assignmentStrategyService = new AssignmentStrategyService();
+export default assignmentStrategyService;
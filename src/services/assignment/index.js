@@ -1,3 +1,7 @@
 // Assignment services barrel export
 export { default as assignmentService } from "./assignment.service.js";
 export { default as assignmentSystemInit } from "./init.service.js";
+export { default as shiftAvailabilityService } from "./shiftAvailability.service.js";
+export { default as assignmentStrategyService } from "./assignmentStrategy.service.js";
+export { default as assignmentSimulatorService } from "./assignmentSimulator.service.js";
+export { default as assignmentStateService } from "./assignmentState.service.js";
@@ -4,6 +4,7 @@ import { Order } from "../../models/Order.model.js";
 import assignmentService from "./assignment.service.js";
 import queueService from "../queue.service.js";
 import timeTracker from "../timeTracker.service.js";
+import { publishOrderEvent } from "../order/orderTracking.service.js";
 import { logger } from "../../utils/logger.js";
 
 /**
@@ -393,6 +394,9 @@ class AssignmentSystemInit {
               }
 
               await order.save();
+              await publishOrderEvent(order._id, "cancelled", {
+                message: order.payment.failureReason,
+              });
 
               // Create Transaction record for accounting (failed/timeout)
               try {
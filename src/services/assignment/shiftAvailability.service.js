@@ -0,0 +1,152 @@
+// src/services/assignment/shiftAvailability.service.js - Waiter shift state for assignment
+import { Attendance } from "../../models/Attendance.model.js";
+import { Branch } from "../../models/Branch.model.js";
+import attendanceService from "../attendance.service.js";
+import { SHIFT_ASSIGNMENT_SETTINGS } from "../../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+/**
+ * Shift Availability Service
+ *
+ * Decides whether a waiter is on shift, and whether they should still get
+ * new orders, using the branch's mode:
+ * - "schedule": inside a Staff.shiftSchedule window. Waiters with no
+ *   schedule at all are treated as always on shift.
+ * - "clock_in": clocked in and not on a break
+ * - "off": shifts are ignored
+ * In the last wrapUpMinutes of a shift a waiter keeps their orders but is
+ * not given new ones.
+ */
+class ShiftAvailabilityService {
+  /**
+   * Branch shift-assignment rules with defaults filled in
+   * @param {Object} branch - Branch document (lean or not), or null
+   */
+  getSettings(branch) {
+    const shiftAssignment = branch?.shiftAssignment || {};
+    return {
+      mode: shiftAssignment.mode || SHIFT_ASSIGNMENT_SETTINGS.mode,
+      wrapUpMinutes:
+        shiftAssignment.wrapUpMinutes ??
+        SHIFT_ASSIGNMENT_SETTINGS.wrapUpMinutes,
+    };
+  }
+
+  async getBranchSettings(branchId) {
+    if (!branchId) {
+      return this.getSettings(null);
+    }
+    const branch = await Branch.findById(branchId)
+      .select("shiftAssignment")
+      .lean();
+    return this.getSettings(branch);
+  }
+
+  /**
+   * Whether any day of the week has shift times set
+   */
+  hasSchedule(waiter) {
+    return WEEKDAYS.some((day) => {
+      const entry = waiter.shiftSchedule?.[day];
+      return entry?.start && entry?.end;
+    });
+  }
+
+  /**
+   * Shift state of each waiter
+   * @param {Array} waiters - Staff (lean or not) with shiftSchedule
+   * @param {Object} settings - From getSettings
+   * @param {Date} now
+   * @returns {Map<string, Object>} waiterId -> { onShift, acceptingOrders,
+   *   shiftEnd, reason }
+   */
+  async getShiftStates(waiters, settings, now = new Date()) {
+    const states = new Map();
+    const wrapUpMs = settings.wrapUpMinutes * MINUTE_MS;
+    const accepting = (shiftEnd) =>
+      !shiftEnd || now.getTime() < shiftEnd.getTime() - wrapUpMs;
+
+    if (settings.mode === "clock_in") {
+      const openRecords = await Attendance.find({
+        staff: { $in: waiters.map((waiter) => waiter._id) },
+        status: "open",
+      })
+        .select("staff breaks scheduledShift")
+        .lean();
+      const recordByStaff = new Map(
+        openRecords.map((record) => [record.staff.toString(), record])
+      );
+
+      for (const waiter of waiters) {
+        const record = recordByStaff.get(waiter._id.toString());
+        const shiftEnd = record?.scheduledShift?.end || null;
+        const onBreak = Boolean(record?.breaks.some((brk) => !brk.end));
+        states.set(waiter._id.toString(), {
+          onShift: Boolean(record),
+          acceptingOrders: Boolean(record) && !onBreak && accepting(shiftEnd),
+          shiftEnd,
+          reason: !record
+            ? "not_clocked_in"
+            : onBreak
+              ? "on_break"
+              : accepting(shiftEnd)
+                ? null
+                : "shift_ending",
+        });
+      }
+      return states;
+    }
+
+    for (const waiter of waiters) {
+      if (settings.mode === "off" || !this.hasSchedule(waiter)) {
+        states.set(waiter._id.toString(), {
+          onShift: true,
+          acceptingOrders: true,
+          shiftEnd: null,
+          reason: null,
+        });
+        continue;
+      }
+
+      const shift = attendanceService.findScheduledShift(waiter, now);
+      const onShift = Boolean(shift && shift.start <= now && now < shift.end);
+      states.set(waiter._id.toString(), {
+        onShift,
+        acceptingOrders: onShift && accepting(shift.end),
+        shiftEnd: onShift ? shift.end : null,
+        reason: !onShift
+          ? "off_shift"
+          : accepting(shift.end)
+            ? null
+            : "shift_ending",
+      });
+    }
+    return states;
+  }
+
+  /**
+   * Shift state of a single waiter under their branch's rules
+   * @param {Object} waiter - Staff with branch and shiftSchedule
+   */
+  async getShiftState(waiter, now = new Date()) {
+    const settings = await this.getBranchSettings(
+      waiter.branch?._id || waiter.branch
+    );
+    const states = await this.getShiftStates([waiter], settings, now);
+    return states.get(waiter._id.toString());
+  }
+}
+
+// Export singleton instance
+const shiftAvailabilityService = new ShiftAvailabilityService();
+export default shiftAvailabilityService;
@@ -0,0 +1,66 @@
+/**
+ * Base Assignment State Store
+ * Shared key/value state for assignment; every store must implement these
+ * so that any server instance sees the same values
+ */
+
+export class BaseStateStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Atomically move a rotation to the member after the last one picked
+   * (the first one when the last pick is unknown or gone) and return it
+   * @param {string} key
+   * @param {Array<string>} memberIds - Candidates in a stable order
+   * @returns {Promise<string>} Picked member
+   */
+  async rotate(key, memberIds) {
+    throw new Error("rotate method must be implemented");
+  }
+
+  /**
+   * Set a key only if it is not already set (a lock or a once-only marker)
+   * @param {string} key
+   * @param {string} value
+   * @param {number} ttlMs - Expiry, so a crashed holder cannot block forever
+   * @returns {Promise<boolean>} True if this call set it
+   */
+  async setIfAbsent(key, value, ttlMs) {
+    throw new Error("setIfAbsent method must be implemented");
+  }
+
+  /**
+   * Delete a key; with expectedValue, only while it still holds that value
+   * @returns {Promise<boolean>} True if a key was deleted
+   */
+  async deleteKey(key, expectedValue = null) {
+    throw new Error("deleteKey method must be implemented");
+  }
+
+  /**
+   * Delete every key starting with a prefix
+   * @returns {Promise<number>} Keys deleted
+   */
+  async deleteByPrefix(prefix) {
+    throw new Error("deleteByPrefix method must be implemented");
+  }
+
+  /**
+   * Add to a counter, creating it (with an expiry) when missing
+   * @returns {Promise<number>} New value
+   */
+  async increment(key, by = 1, ttlMs = null) {
+    throw new Error("increment method must be implemented");
+  }
+
+  /**
+   * Current counter values, 0 for missing keys
+   * @param {Array<string>} keys
+   * @returns {Promise<Array<number>>}
+   */
+  async getCounts(keys) {
+    throw new Error("getCounts method must be implemented");
+  }
+}
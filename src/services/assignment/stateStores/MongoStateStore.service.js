@@ -0,0 +1,106 @@
+/**
+ * MongoDB Assignment State Store
+ * Fallback when Redis is not configured; each step is a single atomic
+ * document update on AssignmentState
+ */
+
+import { AssignmentState } from "../../../models/AssignmentState.model.js";
+import { BaseStateStore } from "./BaseStateStore.service.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export class MongoStateStore extends BaseStateStore {
+  constructor() {
+    super("mongo");
+  }
+
+  async rotate(key, memberIds) {
+    // Pipeline update: the next member is worked out from the stored value
+    // inside the same write, so concurrent callers never get the same pick
+    const state = await AssignmentState.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            key,
+            value: {
+              $let: {
+                vars: {
+                  lastIndex: {
+                    $indexOfArray: [memberIds, { $ifNull: ["$value", null] }],
+                  },
+                },
+                in: {
+                  $arrayElemAt: [
+                    memberIds,
+                    { $mod: [{ $add: ["$$lastIndex", 1] }, memberIds.length] },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+
+    return state.value;
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const now = new Date();
+    try {
+      // Matches only an expired entry; a live one makes the upsert collide
+      // with the unique key and fail
+      const result = await AssignmentState.updateOne(
+        { key, expiresAt: { $lte: now } },
+        { $set: { value, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0 || result.modifiedCount > 0;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async deleteKey(key, expectedValue = null) {
+    const filter =
+      expectedValue === null ? { key } : { key, value: expectedValue };
+    const result = await AssignmentState.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  async deleteByPrefix(prefix) {
+    const result = await AssignmentState.deleteMany({
+      key: { $regex: `^${escapeRegex(prefix)}` },
+    });
+    return result.deletedCount;
+  }
+
+  async increment(key, by = 1, ttlMs = null) {
+    const state = await AssignmentState.findOneAndUpdate(
+      { key },
+      {
+        $inc: { count: by },
+        $setOnInsert: {
+          expiresAt: ttlMs ? new Date(Date.now() + ttlMs) : null,
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+    return state.count;
+  }
+
+  async getCounts(keys) {
+    const states = await AssignmentState.find({ key: { $in: keys } })
+      .select("key count")
+      .lean();
+    const countByKey = new Map(states.map((state) => [state.key, state.count]));
+    return keys.map((key) => countByKey.get(key) || 0);
+  }
+}
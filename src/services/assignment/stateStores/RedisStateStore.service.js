@@ -0,0 +1,94 @@
+/**
+ * Redis Assignment State Store
+ * Read-modify-write steps run as Lua scripts so they are atomic across
+ * instances
+ */
+
+import { BaseStateStore } from "./BaseStateStore.service.js";
+
+const ROTATE_SCRIPT = `
+local last = redis.call("GET", KEYS[1])
+local pick = ARGV[1]
+for i = 1, #ARGV do
+  if ARGV[i] == last then
+    pick = ARGV[(i % #ARGV) + 1]
+    break
+  end
+end
+redis.call("SET", KEYS[1], pick)
+return pick
+`;
+
+const DELETE_IF_VALUE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+const SCAN_BATCH = 100;
+
+export class RedisStateStore extends BaseStateStore {
+  constructor(client) {
+    super("redis");
+    this.client = client;
+  }
+
+  async rotate(key, memberIds) {
+    return this.client.eval(ROTATE_SCRIPT, 1, key, ...memberIds);
+  }
+
+  async setIfAbsent(key, value, ttlMs) {
+    const result = await this.client.set(key, value, "PX", ttlMs, "NX");
+    return result === "OK";
+  }
+
+  async deleteKey(key, expectedValue = null) {
+    const deleted =
+      expectedValue === null
+        ? await this.client.del(key)
+        : await this.client.eval(DELETE_IF_VALUE_SCRIPT, 1, key, expectedValue);
+    return deleted > 0;
+  }
+
+  async deleteByPrefix(prefix) {
+    // SCAN returns full key names, but commands add the client's keyPrefix
+    const keyPrefix = this.client.options.keyPrefix || "";
+    let cursor = "0";
+    let deleted = 0;
+
+    do {
+      const [nextCursor, keys] = await this.client.scan(
+        cursor,
+        "MATCH",
+        `${keyPrefix}${prefix}*`,
+        "COUNT",
+        SCAN_BATCH
+      );
+      cursor = nextCursor;
+      if (keys.length > 0) {
+        deleted += await this.client.del(
+          ...keys.map((key) => key.slice(keyPrefix.length))
+        );
+      }
+    } while (cursor !== "0");
+
+    return deleted;
+  }
+
+  async increment(key, by = 1, ttlMs = null) {
+    const value = await this.client.incrby(key, by);
+    if (ttlMs && value === by) {
+      await this.client.pexpire(key, ttlMs);
+    }
+    return value;
+  }
+
+  async getCounts(keys) {
+    if (keys.length === 0) {
+      return [];
+    }
+    const values = await this.client.mget(...keys);
+    return values.map((value) => Number(value) || 0);
+  }
+}
@@ -0,0 +1,722 @@
+/**
+ * Staff attendance: clock-in/out, breaks and timesheets
+ *
+ * Each clock-in opens an Attendance record that is tied to the staff
+ * member's scheduled shift for that day (Staff.shiftSchedule), so lateness
+ * is known straight away. A branch can require clock-ins to happen on site
+ * (within a radius of its coordinates) and/or from a device a manager has
+ * approved. Managers correct and approve the resulting timesheets and get
+ * a late/absent report comparing them with the schedule.
+ */
+
+import ExcelJS from "exceljs";
+import { Attendance } from "../models/Attendance.model.js";
+import { Branch } from "../models/Branch.model.js";
+import { Staff } from "../models/Staff.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import {
+  fromLocalTime,
+  getLocalDate,
+  toMinutes,
+} from "../utils/businessTime.js";
+import { ATTENDANCE_SETTINGS } from "../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const EARTH_RADIUS_METERS = 6371000;
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const idOf = (value) => value?._id || value;
+
+/**
+ * "YYYY-MM-DD" shifted by a number of days
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
+};
+
+const weekdayOf = (date) => {
+  const [year, month, day] = date.split("-").map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Great-circle distance between two points, in metres
+ */
+const distanceMeters = (from, to) => {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRad(to.latitude - from.latitude);
+  const dLng = toRad(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(from.latitude)) *
+      Math.cos(toRad(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+const minutesBetween = (start, end) =>
+  Math.max(0, Math.round((end - start) / MINUTE_MS));
+
+class AttendanceService {
+  /**
+   * Branch clock-in rules with defaults filled in
+   * @param {Object} branch - Branch document (lean or not)
+   */
+  getSettings(branch) {
+    const attendance = branch?.attendance || {};
+    return {
+      requireGeofence: Boolean(attendance.requireGeofence),
+      geofenceRadiusMeters:
+        attendance.geofenceRadiusMeters ??
+        ATTENDANCE_SETTINGS.geofenceRadiusMeters,
+      requireApprovedDevice: Boolean(attendance.requireApprovedDevice),
+      approvedDevices: attendance.approvedDevices || [],
+      lateGraceMinutes:
+        attendance.lateGraceMinutes ?? ATTENDANCE_SETTINGS.lateGraceMinutes,
+    };
+  }
+
+  /**
+   * The scheduled shift a moment belongs to: yesterday's when it runs past
+   * midnight and hasn't ended yet, otherwise today's
+   * @param {Object} staff - Staff document with shiftSchedule
+   * @param {Date} at
+   * @returns {Object|null} { businessDate, shift, start, end }
+   */
+  findScheduledShift(staff, at) {
+    const today = getLocalDate(at);
+    const yesterday = this.getShiftForDate(staff, addDays(today, -1));
+    if (yesterday && at < yesterday.end) {
+      return yesterday;
+    }
+    return this.getShiftForDate(staff, today);
+  }
+
+  /**
+   * Scheduled shift on a business date, from Staff.shiftSchedule
+   * @param {Object} staff
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {Object|null} { businessDate, shift, start, end }
+   */
+  getShiftForDate(staff, date) {
+    const entry = staff.shiftSchedule?.[weekdayOf(date)];
+    if (!entry?.start || !entry?.end) {
+      return null;
+    }
+
+    const startMinutes = toMinutes(entry.start);
+    let endMinutes = toMinutes(entry.end);
+    if (endMinutes <= startMinutes) {
+      endMinutes += DAY_MINUTES;
+    }
+    return {
+      businessDate: date,
+      shift: entry.shift || null,
+      start: fromLocalTime(date, startMinutes),
+      end: fromLocalTime(date, endMinutes),
+    };
+  }
+
+  /**
+   * Enforce the branch's location/device rules for a punch
+   * @param {Object} branch - Branch document
+   * @param {Object} data - Validated punch body
+   * @returns {Object} Punch fields to record
+   */
+  checkPunch(branch, data) {
+    const settings = this.getSettings(branch);
+    const punch = { at: new Date(), deviceId: data.deviceId };
+
+    if (data.latitude !== undefined) {
+      punch.location = {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        accuracy: data.accuracy,
+      };
+    }
+
+    if (settings.requireApprovedDevice) {
+      const approved = settings.approvedDevices.some(
+        (device) => device.deviceId === data.deviceId
+      );
+      if (!approved) {
+        throw new APIError(
+          403,
+          "This device isn't approved for clocking in. Ask your manager to approve it."
+        );
+      }
+    }
+
+    const branchPoint = branch.location?.coordinates;
+    const hasBranchPoint =
+      branchPoint?.latitude !== undefined &&
+      branchPoint?.longitude !== undefined;
+    if (punch.location && hasBranchPoint) {
+      punch.distanceMeters = Math.round(
+        distanceMeters(branchPoint, punch.location)
+      );
+    }
+
+    if (settings.requireGeofence) {
+      if (!hasBranchPoint) {
+        throw new APIError(
+          400,
+          "Branch location isn't set up for on-site clock-in. Contact your manager."
+        );
+      }
+      if (!punch.location) {
+        throw new APIError(400, "Location is required to clock in or out");
+      }
+      if (punch.distanceMeters > settings.geofenceRadiusMeters) {
+        throw new APIError(
+          403,
+          `You must be at the branch to clock in or out (${punch.distanceMeters}m away)`
+        );
+      }
+    }
+
+    return punch;
+  }
+
+  /**
+   * Break and worked minutes, counting anything still open up to `until`
+   */
+  computeTotals(record, until = new Date()) {
+    const end = record.clockOut?.at || until;
+    const breakMinutes = record.breaks.reduce(
+      (total, brk) => total + minutesBetween(brk.start, brk.end || end),
+      0
+    );
+    return {
+      breakMinutes,
+      workedMinutes: Math.max(
+        0,
+        minutesBetween(record.clockIn.at, end) - breakMinutes
+      ),
+    };
+  }
+
+  /**
+   * @param {Object} staff - Authenticated staff member (req.user)
+   * @param {Object} data - Validated punch body
+   */
+  async clockIn(staff, data) {
+    const branch = await Branch.findById(idOf(staff.branch)).select(
+      "location.coordinates attendance"
+    );
+    if (!branch) {
+      throw new APIError(400, "You're not assigned to a branch");
+    }
+
+    const punch = this.checkPunch(branch, data);
+    const scheduled = this.findScheduledShift(staff, punch.at);
+
+    try {
+      return await Attendance.create({
+        staff: staff._id,
+        hotel: idOf(staff.hotel),
+        branch: branch._id,
+        businessDate: scheduled?.businessDate || getLocalDate(punch.at),
+        scheduledShift: scheduled
+          ? {
+              shift: scheduled.shift,
+              start: scheduled.start,
+              end: scheduled.end,
+            }
+          : undefined,
+        clockIn: punch,
+        lateMinutes: scheduled ? minutesBetween(scheduled.start, punch.at) : 0,
+        notes: data.notes,
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new APIError(409, "You're already clocked in");
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The staff member's open record, or a 400 when not clocked in
+   */
+  async getOpenRecord(staffId) {
+    const record = await Attendance.findOne({ staff: staffId, status: "open" });
+    if (!record) {
+      throw new APIError(400, "You're not clocked in");
+    }
+    return record;
+  }
+
+  async clockOut(staff, data) {
+    const record = await this.getOpenRecord(staff._id);
+    const branch = await Branch.findById(record.branch).select(
+      "location.coordinates attendance"
+    );
+
+    const punch = this.checkPunch(branch, data);
+    const openBreak = record.breaks.find((brk) => !brk.end);
+    if (openBreak) {
+      openBreak.end = punch.at;
+    }
+
+    record.clockOut = punch;
+    record.status = "closed";
+    if (data.notes) {
+      record.notes = record.notes
+        ? `${record.notes}\n${data.notes}`
+        : data.notes;
+    }
+    Object.assign(record, this.computeTotals(record));
+    await record.save();
+    return record;
+  }
+
+  async startBreak(staff) {
+    const record = await this.getOpenRecord(staff._id);
+    if (record.breaks.some((brk) => !brk.end)) {
+      throw new APIError(400, "You're already on a break");
+    }
+
+    record.breaks.push({ start: new Date() });
+    await record.save();
+    return record;
+  }
+
+  async endBreak(staff) {
+    const record = await this.getOpenRecord(staff._id);
+    const openBreak = record.breaks.find((brk) => !brk.end);
+    if (!openBreak) {
+      throw new APIError(400, "You're not on a break");
+    }
+
+    openBreak.end = new Date();
+    Object.assign(record, this.computeTotals(record));
+    await record.save();
+    return record;
+  }
+
+  /**
+   * Current state and recent records for the staff app
+   * @param {Object} staff
+   * @param {Object} range - { from, to } ("YYYY-MM-DD"); defaults to 14 days
+   */
+  async getMyAttendance(staff, { from, to } = {}) {
+    const today = getLocalDate(new Date());
+    const rangeTo = to || today;
+    const rangeFrom = from || addDays(rangeTo, -13);
+
+    const [current, records] = await Promise.all([
+      Attendance.findOne({ staff: staff._id, status: "open" }).lean(),
+      Attendance.find({
+        staff: staff._id,
+        businessDate: { $gte: rangeFrom, $lte: rangeTo },
+      })
+        .select("-adjustments")
+        .sort({ "clockIn.at": -1 })
+        .lean(),
+    ]);
+
+    return {
+      current: current
+        ? {
+            ...current,
+            ...this.computeTotals(current),
+            onBreak: current.breaks.some((brk) => !brk.end),
+          }
+        : null,
+      nextShift: current ? null : this.findScheduledShift(staff, new Date()),
+      period: { from: rangeFrom, to: rangeTo },
+      records,
+    };
+  }
+
+  /**
+   * Correct a timesheet's punched times. Approved timesheets are locked.
+   * @param {Object} record - Attendance document
+   * @param {Object} changes - Validated adjust body
+   * @param {ObjectId} managerId
+   */
+  async adjust(record, changes, managerId) {
+    if (record.approval.status === "approved") {
+      throw new APIError(400, "Approved timesheets can't be changed");
+    }
+
+    const before = {
+      clockIn: record.clockIn.at,
+      clockOut: record.clockOut?.at,
+      breakMinutes: record.breakMinutes,
+    };
+
+    const clockInAt = changes.clockInAt || record.clockIn.at;
+    const clockOutAt = changes.clockOutAt || record.clockOut?.at || null;
+    if (clockOutAt && clockOutAt <= clockInAt) {
+      throw new APIError(400, "Clock-out must be after clock-in");
+    }
+    const breaks = changes.breaks || record.breaks;
+    const outOfShift = breaks.some(
+      (brk) =>
+        brk.start < clockInAt ||
+        (clockOutAt && (!brk.end || brk.end > clockOutAt))
+    );
+    if (outOfShift) {
+      throw new APIError(400, "Breaks must fall within the worked time");
+    }
+
+    record.clockIn.at = clockInAt;
+    if (clockOutAt) {
+      record.clockOut = { ...record.clockOut?.toObject?.(), at: clockOutAt };
+      record.status = "closed";
+    }
+    record.breaks = breaks;
+    if (record.scheduledShift?.start) {
+      record.lateMinutes = minutesBetween(
+        record.scheduledShift.start,
+        clockInAt
+      );
+    }
+    Object.assign(record, this.computeTotals(record));
+    record.adjustments.push({
+      adjustedBy: managerId,
+      reason: changes.reason,
+      before,
+    });
+    record.approval = { status: "pending" };
+
+    await record.save();
+    return record;
+  }
+
+  /**
+   * Approve or reject a closed timesheet
+   */
+  async review(record, { decision, note }, managerId) {
+    if (record.status !== "closed") {
+      throw new APIError(400, "Staff member is still clocked in");
+    }
+
+    record.approval = {
+      status: decision,
+      reviewedBy: managerId,
+      reviewedAt: new Date(),
+      note,
+    };
+    await record.save();
+    return record;
+  }
+
+  /**
+   * Close records nobody clocked out of: at the scheduled shift end when
+   * known, otherwise after ATTENDANCE_SETTINGS.maxShiftHours. They stay
+   * pending so a manager checks them.
+   * @returns {Number} Records closed
+   */
+  async closeStaleRecords(now = new Date()) {
+    const maxShiftMs = ATTENDANCE_SETTINGS.maxShiftHours * 60 * MINUTE_MS;
+    const stale = await Attendance.find({
+      status: "open",
+      "clockIn.at": { $lt: new Date(now.getTime() - maxShiftMs) },
+    });
+
+    for (const record of stale) {
+      const scheduledEnd = record.scheduledShift?.end;
+      const closeAt =
+        scheduledEnd && scheduledEnd > record.clockIn.at
+          ? scheduledEnd
+          : new Date(record.clockIn.at.getTime() + maxShiftMs);
+
+      for (const brk of record.breaks) {
+        if (!brk.end) {
+          brk.end = closeAt;
+        }
+      }
+      record.clockOut = { at: closeAt };
+      record.status = "closed";
+      record.autoClosed = true;
+      Object.assign(record, this.computeTotals(record));
+      await record.save();
+    }
+
+    if (stale.length > 0) {
+      logger.info(`Closed ${stale.length} attendance record(s) left open`);
+    }
+    return stale.length;
+  }
+
+  /**
+   * Compare worked time with the schedule for every staff member and day
+   * @param {ObjectId} branchId
+   * @param {Object} range - { from, to, staffId }
+   */
+  async getLateAbsentReport(branchId, { from, to, staffId }) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      dates.push(date);
+      if (dates.length > ATTENDANCE_SETTINGS.maxReportDays) {
+        throw new APIError(
+          400,
+          `Reports can cover at most ${ATTENDANCE_SETTINGS.maxReportDays} days`
+        );
+      }
+    }
+    if (dates.length === 0) {
+      throw new APIError(400, "'from' must not be after 'to'");
+    }
+
+    const branch = await Branch.findById(branchId).select("attendance").lean();
+    const { lateGraceMinutes } = this.getSettings(branch);
+
+    const recordQuery = {
+      branch: branchId,
+      businessDate: { $gte: from, $lte: to },
+    };
+    if (staffId) {
+      recordQuery.staff = staffId;
+    }
+    const records = await Attendance.find(recordQuery)
+      .sort({ "clockIn.at": 1 })
+      .lean();
+
+    // Current staff plus anyone who worked in the period
+    const staffQuery = staffId
+      ? { _id: staffId, branch: branchId }
+      : {
+          branch: branchId,
+          $or: [
+            { status: { $in: ["active", "on_break", "on_leave"] } },
+            { _id: { $in: records.map((record) => record.staff) } },
+          ],
+        };
+    const staffMembers = await Staff.find(staffQuery)
+      .select("name staffId role shiftSchedule")
+      .sort({ name: 1 })
+      .lean();
+
+    const recordsByKey = new Map();
+    for (const record of records) {
+      const key = `${record.staff}_${record.businessDate}`;
+      recordsByKey.set(key, [...(recordsByKey.get(key) || []), record]);
+    }
+
+    const now = new Date();
+    const rows = [];
+    const summary = [];
+
+    for (const member of staffMembers) {
+      const totals = {
+        staff: member._id,
+        name: member.name,
+        staffId: member.staffId,
+        role: member.role,
+        scheduledShifts: 0,
+        attended: 0,
+        absent: 0,
+        late: 0,
+        lateMinutes: 0,
+        earlyLeaves: 0,
+        unscheduled: 0,
+        scheduledMinutes: 0,
+        workedMinutes: 0,
+      };
+
+      for (const date of dates) {
+        const scheduled = this.getShiftForDate(member, date);
+        const worked = recordsByKey.get(`${member._id}_${date}`) || [];
+        if (!scheduled && worked.length === 0) {
+          continue;
+        }
+        if (scheduled && worked.length === 0 && scheduled.start > now) {
+          continue; // hasn't started yet
+        }
+
+        const firstIn = worked[0]?.clockIn.at || null;
+        const lastOut = worked.at(-1)?.clockOut?.at || null;
+        const workedMinutes = worked.reduce(
+          (total, record) =>
+            total +
+            (record.status === "open"
+              ? this.computeTotals(record, now).workedMinutes
+              : record.workedMinutes),
+          0
+        );
+        const lateMinutes = worked[0]?.lateMinutes || 0;
+
+        let status;
+        if (!scheduled) {
+          status = "unscheduled";
+        } else if (worked.length === 0) {
+          status = "absent";
+        } else if (lateMinutes > lateGraceMinutes) {
+          status = "late";
+        } else {
+          status = "on_time";
+        }
+        const leftEarly = Boolean(
+          scheduled &&
+          lastOut &&
+          lastOut < new Date(scheduled.end - lateGraceMinutes * MINUTE_MS)
+        );
+
+        rows.push({
+          date,
+          staff: member._id,
+          name: member.name,
+          staffId: member.staffId,
+          role: member.role,
+          shift: scheduled?.shift || null,
+          scheduledStart: scheduled?.start || null,
+          scheduledEnd: scheduled?.end || null,
+          clockIn: firstIn,
+          clockOut: lastOut,
+          status,
+          lateMinutes: status === "late" ? lateMinutes : 0,
+          leftEarly,
+          workedMinutes,
+          breakMinutes: worked.reduce(
+            (total, record) => total + (record.breakMinutes || 0),
+            0
+          ),
+          approval: worked.length
+            ? worked.every((record) => record.approval.status === "approved")
+              ? "approved"
+              : worked.some((record) => record.approval.status === "rejected")
+                ? "rejected"
+                : "pending"
+            : null,
+          autoClosed: worked.some((record) => record.autoClosed),
+        });
+
+        if (scheduled) {
+          totals.scheduledShifts += 1;
+          totals.scheduledMinutes += minutesBetween(
+            scheduled.start,
+            scheduled.end
+          );
+        }
+        if (worked.length) totals.attended += 1;
+        if (status === "absent") totals.absent += 1;
+        if (status === "late") {
+          totals.late += 1;
+          totals.lateMinutes += lateMinutes;
+        }
+        if (status === "unscheduled") totals.unscheduled += 1;
+        if (leftEarly) totals.earlyLeaves += 1;
+        totals.workedMinutes += workedMinutes;
+      }
+
+      if (totals.scheduledShifts || totals.attended) {
+        summary.push(totals);
+      }
+    }
+
+    return {
+      period: { from, to },
+      lateGraceMinutes,
+      summary,
+      rows,
+    };
+  }
+
+  /**
+   * The late/absent report as an .xlsx workbook (Summary and Daily sheets)
+   * @param {Object} report - From getLateAbsentReport
+   * @returns {Promise<Buffer>}
+   */
+  async buildReportWorkbook(report) {
+    const workbook = new ExcelJS.Workbook();
+    const formatTime = (date) =>
+      date
+        ? new Date(date).toLocaleString("en-IN", {
+            timeZone: "Asia/Kolkata",
+            dateStyle: "short",
+            timeStyle: "short",
+          })
+        : "";
+    const hours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+    const styleHeader = (worksheet) => {
+      const headerRow = worksheet.getRow(1);
+      headerRow.font = { bold: true };
+      headerRow.fill = {
+        type: "pattern",
+        pattern: "solid",
+        fgColor: { argb: "FFE0E0E0" },
+      };
+      worksheet.views = [{ state: "frozen", ySplit: 1 }];
+    };
+
+    const summarySheet = workbook.addWorksheet("Summary");
+    summarySheet.columns = [
+      { header: "Staff ID", key: "staffId", width: 18 },
+      { header: "Name", key: "name", width: 24 },
+      { header: "Role", key: "role", width: 16 },
+      { header: "Scheduled Shifts", key: "scheduledShifts", width: 16 },
+      { header: "Attended", key: "attended", width: 10 },
+      { header: "Absent", key: "absent", width: 10 },
+      { header: "Late", key: "late", width: 10 },
+      { header: "Late Minutes", key: "lateMinutes", width: 13 },
+      { header: "Left Early", key: "earlyLeaves", width: 11 },
+      { header: "Unscheduled", key: "unscheduled", width: 12 },
+      { header: "Scheduled Hours", key: "scheduledHours", width: 15 },
+      { header: "Worked Hours", key: "workedHours", width: 13 },
+    ];
+    for (const totals of report.summary) {
+      summarySheet.addRow({
+        ...totals,
+        scheduledHours: hours(totals.scheduledMinutes),
+        workedHours: hours(totals.workedMinutes),
+      });
+    }
+    styleHeader(summarySheet);
+
+    const dailySheet = workbook.addWorksheet("Daily");
+    dailySheet.columns = [
+      { header: "Date", key: "date", width: 12 },
+      { header: "Staff ID", key: "staffId", width: 18 },
+      { header: "Name", key: "name", width: 24 },
+      { header: "Shift", key: "shift", width: 12 },
+      { header: "Scheduled Start", key: "scheduledStart", width: 18 },
+      { header: "Scheduled End", key: "scheduledEnd", width: 18 },
+      { header: "Clock In", key: "clockIn", width: 18 },
+      { header: "Clock Out", key: "clockOut", width: 18 },
+      { header: "Status", key: "status", width: 12 },
+      { header: "Late Minutes", key: "lateMinutes", width: 13 },
+      { header: "Left Early", key: "leftEarly", width: 11 },
+      { header: "Break Minutes", key: "breakMinutes", width: 14 },
+      { header: "Worked Hours", key: "workedHours", width: 13 },
+      { header: "Approval", key: "approval", width: 11 },
+    ];
+    for (const row of report.rows) {
+      dailySheet.addRow({
+        ...row,
+        shift: row.shift || "",
+        scheduledStart: formatTime(row.scheduledStart),
+        scheduledEnd: formatTime(row.scheduledEnd),
+        clockIn: formatTime(row.clockIn),
+        clockOut: row.autoClosed
+          ? `${formatTime(row.clockOut)} (auto)`
+          : formatTime(row.clockOut),
+        leftEarly: row.leftEarly ? "Yes" : "",
+        workedHours: hours(row.workedMinutes),
+        approval: row.approval || "",
+      });
+    }
+    styleHeader(dailySheet);
+
+    return workbook.xlsx.writeBuffer();
+  }
+}
+
+export default new AttendanceService();
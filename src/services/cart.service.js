@@ -7,8 +7,19 @@ import { APIError } from "../utils/APIError.js";
 import { APIResponse } from "../utils/APIResponse.js";
 import { logger } from "../utils/logger.js";
 import { coinService } from "./reward.service.js";
+import offerService from "./offer.service.js";
 import assignmentService from "./assignment/assignment.service.js";
 import { calculateCommission } from "../utils/commissionCalculator.js";
+import {
+  getOrderTypePrice,
+  resolveOrderTypeSettings,
+  buildOrderTypeFields,
+} from "./order/orderType.helper.js";
+import {
+  resolveModifierSelections,
+  getModifiersPrice,
+} from "./modifier.service.js";
+import { resolveComboSelections, getItemGstRate } from "./combo.service.js";
 
 class CartService {
   /**
@@ -82,6 +93,20 @@ class CartService {
       // Get effective price (with discount if available)
       const price = foodItem.discountPrice || foodItem.price;
 
+      // Check the picked options against the item's modifier groups and price them
+      customizations = {
+        ...customizations,
+        modifiers: await resolveModifierSelections(
+          foodItem,
+          customizations.modifiers
+        ),
+        comboItems: await resolveComboSelections(
+          foodItem,
+          customizations.comboItems,
+          quantity
+        ),
+      };
+
       // Find or create cart for user
       let cart = await Cart.findOrCreateCart(userId, hotelId, branchId);
 
@@ -211,7 +236,7 @@ class CartService {
       // Calculate per-item GST and totals
       let totalGst = 0;
       const itemsWithGst = cart.items.map((item) => {
-        const gstRate = item.foodItem?.gstRate ?? 0;
+        const gstRate = getItemGstRate(item.foodItem, item.customizations) ?? 0;
         const gstAmount =
           Math.round(((item.totalPrice * gstRate) / 100) * 100) / 100;
         totalGst += gstAmount;
@@ -540,13 +565,40 @@ class CartService {
         throw new APIError(404, "Item not found in cart");
       }
 
+      // Re-check and re-price modifier and combo picks when they change
+      if (customizations.modifiers || customizations.comboItems) {
+        const foodItem = await FoodItem.findById(cartItem.foodItem);
+        if (!foodItem) {
+          throw new APIError(404, "Food item no longer exists");
+        }
+        if (customizations.modifiers) {
+          customizations = {
+            ...customizations,
+            modifiers: await resolveModifierSelections(
+              foodItem,
+              customizations.modifiers
+            ),
+          };
+        }
+        if (customizations.comboItems) {
+          customizations = {
+            ...customizations,
+            comboItems: await resolveComboSelections(
+              foodItem,
+              customizations.comboItems,
+              cartItem.quantity
+            ),
+          };
+        }
+      }
+
       // Update customizations
       cartItem.customizations = {
         ...cartItem.customizations,
         ...customizations,
       };
 
-      // Recalculate total price with add-ons
+      // Recalculate total price with add-ons and modifiers
       let totalPrice = cartItem.quantity * cartItem.price;
       if (customizations.addOns?.length) {
         const addOnPrice = customizations.addOns.reduce(
@@ -555,6 +607,8 @@ class CartService {
         );
         totalPrice += addOnPrice * cartItem.quantity;
       }
+      totalPrice +=
+        getModifiersPrice(cartItem.customizations) * cartItem.quantity;
 
       cartItem.totalPrice = totalPrice;
       cart.isValidated = false;
@@ -717,6 +771,8 @@ class CartService {
    * Enhanced checkout - Create order immediately with all details
    */
   async enhancedCheckout(userId, orderDetails) {
+    // Declared outside try so the catch block can release the cart lock
+    let cart = null;
     try {
       const {
         hotelId,
@@ -728,23 +784,29 @@ class CartService {
         coinsToUse: requestedCoins = 0,
         offerCode,
         estimatedDeliveryTime,
+        orderType = "dine_in",
+        pickup,
+        deliveryAddress,
+        cartId,
       } = orderDetails;
 
       // Import necessary models
       const { Order } = await import("../models/Order.model.js");
       const { User } = await import("../models/User.model.js");
       const { Table } = await import("../models/Table.model.js");
-      const { Offer } = await import("../models/Offer.model.js");
 
       // Normalize branchId
       const normalizedBranchId = branchId && branchId !== "" ? branchId : null;
 
       // 1. Atomically find and update cart to prevent concurrent checkouts
-      const cart = await Cart.findOneAndUpdate(
+      // (a shared table cart can be checked out by any diner who joined it)
+      const cartQuery = cartId
+        ? { _id: cartId, isShared: true, "participants.user": userId }
+        : { user: userId, hotel: hotelId, branch: normalizedBranchId };
+
+      cart = await Cart.findOneAndUpdate(
         {
-          user: userId,
-          hotel: hotelId,
-          branch: normalizedBranchId,
+          ...cartQuery,
           status: "active", // Only allow checkout if cart is still active
         },
         {
@@ -759,7 +821,7 @@ class CartService {
         {
           path: "items.foodItem",
           select:
-            "name price discountPrice effectivePrice image preparationTime category gstRate",
+            "name price discountPrice orderTypePricing effectivePrice image preparationTime category gstRate",
         },
         {
           path: "hotel",
@@ -767,7 +829,7 @@ class CartService {
         },
         {
           path: "branch",
-          select: "name address phone",
+          select: "name address phone orderTypes",
         },
       ]);
 
@@ -827,19 +889,37 @@ class CartService {
         }
       }
 
-      // 5. Get table details
-      const table = await Table.findById(tableId).select(
-        "tableNumber capacity status"
+      // 5. Get table details for dine-in orders
+      // (cart.table follows the diner across table transfers)
+      const { packagingCharge } = resolveOrderTypeSettings(
+        cart.branch,
+        orderType
       );
-      if (!table) {
-        throw new APIError(404, "Table not found");
+
+      let table = null;
+      if (orderType === "dine_in") {
+        table = await Table.findById(cart.table || tableId).select(
+          "tableNumber capacity status mergedInto"
+        );
+        if (!table) {
+          throw new APIError(404, "Table not found");
+        }
+
+        // Orders from a merged table are billed on the group's primary table
+        if (table.mergedInto) {
+          table =
+            (await Table.findById(table.mergedInto).select(
+              "tableNumber capacity status mergedInto"
+            )) || table;
+        }
       }
 
       // 6. Calculate order totals
       let subtotal = 0;
       const orderItems = cart.items.map((item) => {
-        const itemPrice = item.foodItem.effectivePrice || item.foodItem.price;
-        const itemTotal = itemPrice * item.quantity;
+        const itemPrice = getOrderTypePrice(item.foodItem, orderType);
+        const itemTotal =
+          (itemPrice + getModifiersPrice(item.customizations)) * item.quantity;
         subtotal += itemTotal;
 
         // Validate gstRate exists
@@ -861,8 +941,9 @@ class CartService {
           totalPrice: itemTotal,
           customizations: item.customizations,
           foodType: item.foodItem.foodType || "veg",
-          gstRate: item.foodItem.gstRate,
+          gstRate: getItemGstRate(item.foodItem, item.customizations),
           preparationTime: item.foodItem.preparationTime,
+          addedBy: item.addedBy || undefined,
         };
       });
 
@@ -870,75 +951,13 @@ class CartService {
       let offerDiscount = 0;
       let appliedOffer = null;
       if (offerCode) {
-        const now = new Date();
-
-        // Build flexible query based on offer scope
-        const baseQuery = {
-          code: offerCode,
-          isActive: true,
-          startDate: { $lte: now },
-          expiryDate: { $gte: now },
-        };
-
-        // Build $or conditions for different offer scopes
-        const orConditions = [
-          // Universal offers (applicable to all hotels/branches)
-          { applicableFor: "all" },
-          // Hotel-specific offers
-          {
-            applicableFor: "hotel",
-            hotelId: hotelId,
-          },
-        ];
-
-        // If branchId is provided, also check for branch-specific offers
-        if (normalizedBranchId) {
-          orConditions.push({
-            applicableFor: "branch",
-            hotelId: hotelId,
-            branchId: normalizedBranchId,
-          });
-        } else {
-          // No branchId provided - allow any branch offers under this hotel
-          orConditions.push({
-            applicableFor: "branch",
-            hotelId: hotelId,
-          });
-        }
-
-        const offer = await Offer.findOne({
-          ...baseQuery,
-          $or: orConditions,
-        });
-
-        if (!offer) {
-          throw new APIError(400, "Invalid or expired offer code");
-        }
-
-        // Check minimum order value
-        if (subtotal < (offer.minOrderValue || 0)) {
-          throw new APIError(
-            400,
-            `Minimum order value of ₹${offer.minOrderValue} required for this offer`
-          );
-        }
-
-        // Calculate discount
-        if (offer.discountType === "percent") {
-          offerDiscount = Math.min(
-            (subtotal * offer.discountValue) / 100,
-            offer.maxDiscountAmount || subtotal
-          );
-        } else {
-          offerDiscount = Math.min(offer.discountValue, subtotal);
-        }
-
-        appliedOffer = {
-          offerId: offer._id,
-          code: offer.code,
-          title: offer.title,
-          discountAmount: offerDiscount,
-        };
+        ({ offerDiscount, appliedOffer } =
+          await offerService.resolveCheckoutOffer(
+            offerCode,
+            hotelId,
+            normalizedBranchId,
+            subtotal
+          ));
       }
 
       // 8. Calculate coin discount with proper validation
@@ -987,7 +1006,10 @@ class CartService {
 
       const taxes = Math.max(0, Math.round(totalTaxes * 100) / 100); // Round to 2 decimals
       const serviceCharge = 0; // No service charge for now
-      const finalTotal = Math.max(0, baseAmount + taxes + serviceCharge); // Ensure final total is not negative
+      const finalTotal = Math.max(
+        0,
+        baseAmount + taxes + serviceCharge + packagingCharge
+      ); // Ensure final total is not negative
 
       // Update order items with GST amounts
       orderItems.forEach((item, index) => {
@@ -1014,12 +1036,14 @@ class CartService {
         user: userId,
         hotel: hotelId,
         branch: normalizedBranchId,
-        table: tableId,
-        tableNumber: table.tableNumber,
+        table: table?._id || null,
+        tableNumber: table?.tableNumber || null,
+        ...buildOrderTypeFields(orderType, { pickup, deliveryAddress }),
         items: orderItems,
         subtotal,
         taxes: Math.max(0, taxes), // Ensure taxes is not negative
         serviceCharge,
+        packagingCharge,
         totalPrice: Math.max(0, finalTotal), // Ensure total price is not negative
         originalPrice: subtotal,
         offerDiscount,
@@ -1050,7 +1074,7 @@ class CartService {
       // 11.5. Update table status to occupied
       if (table) {
         try {
-          const fullTable = await Table.findById(tableId);
+          const fullTable = await Table.findById(table._id);
           if (fullTable) {
             await fullTable.updateStatus("occupied", userId, order._id);
           }
@@ -1235,14 +1259,15 @@ class CartService {
               cgst: Math.round(taxes * 0.5 * 100) / 100, // 50% of total GST
               sgst: Math.round(taxes * 0.5 * 100) / 100, // 50% of total GST
               serviceCharge: serviceCharge,
-              totalTaxesAndCharges: taxes + serviceCharge,
+              packagingCharge,
+              totalTaxesAndCharges: taxes + serviceCharge + packagingCharge,
               currency: "₹",
             },
             step5_finalTotal: {
               description: "Final amount to be paid",
               calculation: `₹${subtotal} - ₹${offerDiscount} - ₹${coinDiscount} + ₹${taxes.toFixed(
                 2
-              )} + ₹${serviceCharge}`,
+              )} + ₹${serviceCharge} + ₹${packagingCharge}`,
               finalAmount: finalTotal,
               currency: "₹",
             },
@@ -0,0 +1,242 @@
+// src/services/combo.service.js - Combo / bundle menu items
+import { FoodItem } from "../models/FoodItem.model.js";
+import { APIError } from "../utils/APIError.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check that every item used in a combo's slots exists in the same
+ * hotel/branch and is a single dish (combos can't nest)
+ * @param {Array} comboSlots - Slots from the admin request
+ * @param {Object} scope - { hotel, branch, comboId }
+ */
+export const assertComboComponents = async (
+  comboSlots,
+  { hotel, branch, comboId = null }
+) => {
+  const componentIds = [
+    ...new Set(
+      comboSlots.flatMap((slot) => slot.foodItems.map((id) => id.toString()))
+    ),
+  ];
+
+  if (comboId && componentIds.includes(comboId.toString())) {
+    throw new APIError(400, "A combo cannot contain itself");
+  }
+
+  const components = await FoodItem.find({
+    _id: { $in: componentIds },
+    hotel,
+    branch,
+  }).select("name itemType");
+
+  if (components.length !== componentIds.length) {
+    throw new APIError(400, "One or more combo items not found in this branch");
+  }
+
+  const nested = components.filter((item) => item.itemType === "combo");
+  if (nested.length > 0) {
+    throw new APIError(
+      400,
+      `Combos cannot include other combos: ${nested.map((item) => item.name).join(", ")}`
+    );
+  }
+};
+
+/**
+ * Split a combo's price across its components in proportion to what the
+ * components would cost on their own. The split drives per-component GST
+ * on the invoice and component revenue in analytics.
+ * @param {Array} components - [{ ..., listPrice, quantity }]
+ * @param {Number} comboPrice - Price of one combo
+ * @returns {Array} Components with allocatedPrice (per combo) added
+ */
+const allocateComboPrice = (components, comboPrice) => {
+  const totalValue = components.reduce(
+    (sum, component) => sum + component.listPrice * component.quantity,
+    0
+  );
+
+  let allocated = 0;
+  return components.map(({ listPrice, ...component }, index) => {
+    let allocatedPrice;
+    if (index === components.length - 1) {
+      // Last component absorbs rounding so the parts add up to the price
+      allocatedPrice = round2(comboPrice - allocated);
+    } else {
+      const weight =
+        totalValue > 0
+          ? (listPrice * component.quantity) / totalValue
+          : 1 / components.length;
+      allocatedPrice = round2(comboPrice * weight);
+    }
+    allocated += allocatedPrice;
+
+    return { ...component, allocatedPrice };
+  });
+};
+
+/**
+ * Stock problems for the components of a combo line
+ * @param {Array} comboItems - Resolved combo components
+ * @param {Number} comboQuantity - Number of combos ordered
+ * @returns {Promise<Array<String>>} Error messages, empty when all in stock
+ */
+export const findComboStockErrors = async (comboItems, comboQuantity) => {
+  // The same dish can fill more than one slot
+  const needed = new Map();
+  for (const component of comboItems) {
+    const id = component.foodItem.toString();
+    needed.set(id, (needed.get(id) || 0) + component.quantity * comboQuantity);
+  }
+
+  const foodItems = await FoodItem.find({
+    _id: { $in: [...needed.keys()] },
+  }).select("name isAvailable isLimitedQuantity quantityAvailable");
+
+  const errors = [];
+  for (const [id, quantity] of needed) {
+    const foodItem = foodItems.find((item) => item._id.toString() === id);
+    if (!foodItem) {
+      errors.push("A combo item no longer exists");
+    } else if (!foodItem.isAvailable) {
+      errors.push(`${foodItem.name} is currently unavailable`);
+    } else if (
+      foodItem.isLimitedQuantity &&
+      foodItem.quantityAvailable !== null &&
+      quantity > foodItem.quantityAvailable
+    ) {
+      errors.push(
+        `Only ${foodItem.quantityAvailable} ${foodItem.name} available`
+      );
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Turn a diner's slot picks into the priced components of a combo
+ * @param {Object} foodItem - FoodItem document
+ * @param {Array} selections - [{ slot, foodItem }] for the choice slots
+ * @param {Number} quantity - Number of combos, for the stock check
+ * @returns {Array} Components to store on the cart/order item:
+ *   [{ slot, slotName, foodItem, name, quantity, gstRate, allocatedPrice }]
+ */
+export const resolveComboSelections = async (
+  foodItem,
+  selections = [],
+  quantity = 1
+) => {
+  if (foodItem.itemType !== "combo") {
+    if (selections.length > 0) {
+      throw new APIError(400, `${foodItem.name} is not a combo`);
+    }
+    return [];
+  }
+
+  const picks = new Map(
+    selections.map((selection) => [
+      selection.slot.toString(),
+      selection.foodItem.toString(),
+    ])
+  );
+
+  const errors = [];
+  const chosen = [];
+  for (const slot of foodItem.comboSlots) {
+    const slotItemIds = slot.foodItems.map((id) => id.toString());
+    const pick = picks.get(slot._id.toString());
+    picks.delete(slot._id.toString());
+
+    if (slot.type === "fixed") {
+      chosen.push({ slot, foodItemId: slotItemIds[0] });
+    } else if (!pick) {
+      errors.push(`${slot.name}: choose an item`);
+    } else if (!slotItemIds.includes(pick)) {
+      errors.push(`${slot.name}: item ${pick} is not an option`);
+    } else {
+      chosen.push({ slot, foodItemId: pick });
+    }
+  }
+
+  if (picks.size > 0) {
+    errors.push(`Combo slots not found in ${foodItem.name}`);
+  }
+  if (errors.length > 0) {
+    throw new APIError(400, "Invalid combo selection", errors);
+  }
+
+  const components = await FoodItem.find({
+    _id: { $in: chosen.map((choice) => choice.foodItemId) },
+  }).select("name price discountPrice gstRate");
+
+  const comboItems = allocateComboPrice(
+    chosen.map(({ slot, foodItemId }) => {
+      const component = components.find(
+        (item) => item._id.toString() === foodItemId
+      );
+      return {
+        slot: slot._id,
+        slotName: slot.name,
+        foodItem: foodItemId,
+        name: component?.name,
+        quantity: slot.quantity,
+        gstRate: component?.gstRate ?? foodItem.gstRate,
+        listPrice: component ? component.discountPrice || component.price : 0,
+      };
+    }),
+    foodItem.discountPrice || foodItem.price
+  );
+
+  const stockErrors = await findComboStockErrors(comboItems, quantity);
+  if (stockErrors.length > 0) {
+    throw new APIError(400, "Combo items unavailable", stockErrors);
+  }
+
+  return comboItems;
+};
+
+/**
+ * GST rate for a cart/order item. A combo is taxed per component, which
+ * works out to the components' rates weighted by their share of the price.
+ * @param {Object} foodItem - FoodItem (populated) of the line
+ * @param {Object} customizations - Line customizations
+ * @returns {Number|undefined}
+ */
+export const getItemGstRate = (foodItem, customizations) => {
+  const comboItems = customizations?.comboItems || [];
+  const comboValue = comboItems.reduce(
+    (sum, component) => sum + component.allocatedPrice,
+    0
+  );
+  if (comboValue <= 0) {
+    return foodItem?.gstRate;
+  }
+
+  const weightedRate = comboItems.reduce(
+    (sum, component) => sum + component.allocatedPrice * component.gstRate,
+    0
+  );
+  return round2(weightedRate / comboValue);
+};
+
+/**
+ * Printable combo component lines for the KOT
+ * e.g. ["Main: 1 x Paneer Butter Masala", "Drink: 1 x Sweet Lassi"]
+ * @param {Object} customizations - Line customizations
+ * @returns {Array<String>}
+ */
+export const formatComboLines = (customizations) =>
+  (customizations?.comboItems || []).map(
+    (component) =>
+      `${component.slotName}: ${component.quantity} x ${component.name}`
+  );
+
+export default {
+  assertComboComponents,
+  findComboStockErrors,
+  resolveComboSelections,
+  getItemGstRate,
+  formatComboLines,
+};
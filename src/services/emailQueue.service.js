@@ -1,9 +1,17 @@
 import { EmailQueue } from "../models/EmailQueue.model.js";
 import { Order } from "../models/Order.model.js";
 import { AdminSubscription } from "../models/AdminSubscription.model.js";
+import { Booking } from "../models/Booking.model.js";
 import { invoiceService } from "./invoice.service.js";
+import { sendReservationEmail } from "../utils/emailService.js";
 import { logger } from "../utils/logger.js";
 
+const RESERVATION_EMAIL_TYPES = [
+  "reservation_confirmation",
+  "reservation_reminder",
+  "reservation_cancellation",
+];
+
 /**
  * Email Queue Service
  * Handles background processing of failed email deliveries with retry logic
@@ -110,31 +118,12 @@ class EmailQueueService {
       emailItem.lastAttemptAt = new Date();
       await emailItem.save();
 
-      let invoice;
-
-      // Regenerate invoice/credit note based on type
-      if (emailItem.type === "invoice") {
-        invoice = await this.regenerateOrderInvoice(emailItem.orderId);
-      } else if (emailItem.type === "credit_note") {
-        invoice = await this.regenerateCreditNote(emailItem.orderId);
-      } else if (emailItem.type === "subscription_invoice") {
-        invoice = await this.regenerateSubscriptionInvoice(
-          emailItem.subscriptionId
-        );
-      }
-
-      if (!invoice) {
-        throw new Error("Failed to regenerate invoice/credit note");
+      if (RESERVATION_EMAIL_TYPES.includes(emailItem.type)) {
+        await this.sendReservationEmailItem(emailItem);
+      } else {
+        await this.sendInvoiceEmailItem(emailItem);
       }
 
-      // Try to send email
-      await invoiceService.sendInvoiceEmail(
-        invoice,
-        emailItem.recipientEmail,
-        emailItem.recipientName,
-        emailItem.type === "credit_note" ? "credit_note" : "invoice"
-      );
-
       // Email sent successfully
       emailItem.status = "sent";
       emailItem.sentAt = new Date();
@@ -182,6 +171,66 @@ class EmailQueueService {
     }
   }
 
+  /**
+   * Regenerate and send an invoice / credit note email
+   * @param {Object} emailItem - EmailQueue document
+   */
+  async sendInvoiceEmailItem(emailItem) {
+    let invoice;
+
+    // Regenerate invoice/credit note based on type
+    if (emailItem.type === "invoice") {
+      invoice = await this.regenerateOrderInvoice(emailItem.orderId);
+    } else if (emailItem.type === "credit_note") {
+      invoice = await this.regenerateCreditNote(emailItem.orderId);
+    } else if (emailItem.type === "subscription_invoice") {
+      invoice = await this.regenerateSubscriptionInvoice(
+        emailItem.subscriptionId
+      );
+    }
+
+    if (!invoice) {
+      throw new Error("Failed to regenerate invoice/credit note");
+    }
+
+    // Try to send email
+    await invoiceService.sendInvoiceEmail(
+      invoice,
+      emailItem.recipientEmail,
+      emailItem.recipientName,
+      emailItem.type === "credit_note" ? "credit_note" : "invoice"
+    );
+  }
+
+  /**
+   * Send a reservation confirmation, reminder or cancellation email
+   * @param {Object} emailItem - EmailQueue document
+   */
+  async sendReservationEmailItem(emailItem) {
+    const booking = await Booking.findById(emailItem.bookingId)
+      .populate("hotel", "name")
+      .populate("branch", "name location contactInfo")
+      .populate("table", "tableNumber");
+
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+
+    // No reminder for a booking that has since been cancelled or seated
+    if (
+      emailItem.type === "reservation_reminder" &&
+      booking.status !== "confirmed"
+    ) {
+      return;
+    }
+
+    await sendReservationEmail(
+      booking,
+      emailItem.type.replace("reservation_", ""),
+      emailItem.recipientEmail
+    );
+  }
+
   /**
    * Regenerate order invoice from metadata
    * @param {String} orderId - Order ID
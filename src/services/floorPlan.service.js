@@ -0,0 +1,284 @@
+/**
+ * Branch floor plans
+ *
+ * The layout (areas, table positions, waiter sections) lives in one
+ * FloorPlan document per branch. The live view lays the table status
+ * overview over it: each table's status, current order age and waiter.
+ * Rooms with viewers get a fresh snapshot on a short interval, since order
+ * ages change every minute anyway.
+ */
+
+import { FloorPlan } from "../models/FloorPlan.model.js";
+import { Table } from "../models/Table.model.js";
+import { Staff } from "../models/Staff.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+
+const MINUTE_MS = 60 * 1000;
+
+export const getFloorPlanRoom = (branchId) => `floor_plan_${branchId}`;
+
+const FLOOR_PLAN_ROOM_PREFIX = "floor_plan_";
+
+class FloorPlanService {
+  /**
+   * The branch layout; an empty one when nothing has been drawn yet
+   * @param {ObjectId} branchId
+   */
+  async getPlan(branchId) {
+    const plan = await FloorPlan.findOne({ branch: branchId }).lean();
+    return plan || { branch: branchId, areas: [], tables: [], sections: [] };
+  }
+
+  /**
+   * Replace the branch layout after checking every table, area and waiter
+   * it refers to
+   * @param {Object} scope - { hotel, branch }
+   * @param {Object} layout - Validated floorPlanValidationSchemas.save body
+   * @param {Object} actor - { id, model } (Admin or Manager)
+   */
+  async savePlan({ hotel, branch }, layout, actor) {
+    const areaNames = new Set(layout.areas.map((area) => area.name));
+
+    const tableIds = new Set([
+      ...layout.tables.map((placement) => placement.table),
+      ...layout.sections.flatMap((section) => section.tables),
+    ]);
+    const tables = await Table.find({
+      _id: { $in: [...tableIds] },
+      branch,
+      isActive: true,
+    }).select("_id");
+    if (tables.length !== tableIds.size) {
+      throw new APIError(400, "Some tables don't belong to this branch");
+    }
+
+    for (const placement of layout.tables) {
+      if (!areaNames.has(placement.area)) {
+        throw new APIError(400, `Unknown area "${placement.area}"`);
+      }
+    }
+
+    const sectionOfTable = new Map();
+    for (const section of layout.sections) {
+      if (section.area && !areaNames.has(section.area)) {
+        throw new APIError(400, `Unknown area "${section.area}"`);
+      }
+      for (const tableId of section.tables) {
+        if (sectionOfTable.has(tableId)) {
+          throw new APIError(
+            400,
+            `A table can't be in both "${sectionOfTable.get(tableId)}" and "${section.name}"`
+          );
+        }
+        sectionOfTable.set(tableId, section.name);
+      }
+    }
+
+    const waiterIds = new Set(
+      layout.sections.flatMap((section) => section.waiters)
+    );
+    if (waiterIds.size > 0) {
+      const waiters = await Staff.countDocuments({
+        _id: { $in: [...waiterIds] },
+        branch,
+        role: "waiter",
+      });
+      if (waiters !== waiterIds.size) {
+        throw new APIError(
+          400,
+          "Section waiters must be waiters of this branch"
+        );
+      }
+    }
+
+    const plan = await FloorPlan.findOneAndUpdate(
+      { branch },
+      {
+        $set: {
+          hotel,
+          areas: layout.areas,
+          tables: layout.tables,
+          sections: layout.sections,
+          updatedBy: actor.id,
+          updatedByModel: actor.model,
+        },
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    this.publishLiveFloorPlan(branch).catch((error) => {
+      logger.error("Failed to publish floor plan update:", error);
+    });
+    return plan;
+  }
+
+  /**
+   * Real-time table status overview for a branch. Also the data source for
+   * the manager's GET /tables/status.
+   * @param {ObjectId} branchId
+   * @param {Object} plan - Branch layout, loaded when not given
+   */
+  async getTableStatusOverview(branchId, plan = null) {
+    const [tables, layout] = await Promise.all([
+      Table.find({ branch: branchId, isActive: true })
+        .populate({
+          path: "currentOrder",
+          select: "orderNumber status totalPrice createdAt staff",
+          populate: { path: "staff", select: "name staffId" },
+        })
+        .populate(
+          "currentReservation",
+          "customerName reservationTime partySize"
+        )
+        .sort({ tableNumber: 1 })
+        .collation({ locale: "en", numericOrdering: true }),
+      plan || this.getPlan(branchId),
+    ]);
+
+    const areaOfTable = new Map(
+      layout.tables.map((placement) => [
+        placement.table.toString(),
+        placement.area,
+      ])
+    );
+    const sectionOfTable = new Map();
+    for (const section of layout.sections) {
+      for (const tableId of section.tables) {
+        sectionOfTable.set(tableId.toString(), section.name);
+      }
+    }
+
+    // Calculate status statistics
+    const statusCounts = tables.reduce((acc, table) => {
+      acc[table.status] = (acc[table.status] || 0) + 1;
+      return acc;
+    }, {});
+
+    // Calculate occupancy rate
+    const totalTables = tables.length;
+    const occupiedTables = statusCounts.occupied || 0;
+    const occupancyRate =
+      totalTables > 0 ? ((occupiedTables / totalTables) * 100).toFixed(1) : 0;
+
+    // Get tables needing attention
+    const needsAttention = tables.filter(
+      (table) =>
+        table.status === "needs_cleaning" ||
+        (table.currentOrder && table.currentOrder.status === "ready")
+    );
+
+    const now = Date.now();
+    return {
+      summary: {
+        total: totalTables,
+        available: statusCounts.available || 0,
+        occupied: statusCounts.occupied || 0,
+        reserved: statusCounts.reserved || 0,
+        needsCleaning: statusCounts.needs_cleaning || 0,
+        outOfOrder: statusCounts.out_of_order || 0,
+        occupancyRate: parseFloat(occupancyRate),
+      },
+      tables: tables.map((table) => {
+        const order = table.currentOrder;
+        return {
+          id: table._id,
+          tableNumber: table.tableNumber,
+          status: table.status,
+          seatingCapacity: table.capacity,
+          floor: areaOfTable.get(table._id.toString()) || null,
+          section: sectionOfTable.get(table._id.toString()) || null,
+          mergedInto: table.mergedInto,
+          currentOrder: order
+            ? {
+                orderNumber: order.orderNumber,
+                status: order.status,
+                totalPrice: order.totalPrice,
+                duration: Math.floor((now - order.createdAt) / MINUTE_MS), // minutes
+              }
+            : null,
+          waiter: order?.staff
+            ? { id: order.staff._id, name: order.staff.name }
+            : null,
+          currentReservation: table.currentReservation
+            ? {
+                customerName: table.currentReservation.customerName,
+                reservationTime: table.currentReservation.reservationTime,
+                partySize: table.currentReservation.partySize,
+              }
+            : null,
+        };
+      }),
+      needsAttention: needsAttention.length,
+    };
+  }
+
+  /**
+   * Layout with each placed table's live status; tables not yet placed on
+   * the plan are listed separately so the editor can offer them
+   * @param {ObjectId} branchId
+   */
+  async getLiveFloorPlan(branchId) {
+    const plan = await this.getPlan(branchId);
+    const overview = await this.getTableStatusOverview(branchId, plan);
+
+    const statusById = new Map(
+      overview.tables.map((table) => [table.id.toString(), table])
+    );
+    const placedIds = new Set(
+      plan.tables.map((placement) => placement.table.toString())
+    );
+
+    return {
+      areas: [...plan.areas].sort((a, b) => a.sortOrder - b.sortOrder),
+      sections: plan.sections,
+      tables: plan.tables
+        .filter((placement) => statusById.has(placement.table.toString()))
+        .map((placement) => ({
+          ...placement,
+          ...statusById.get(placement.table.toString()),
+        })),
+      unplacedTables: overview.tables.filter(
+        (table) => !placedIds.has(table.id.toString())
+      ),
+      summary: overview.summary,
+      generatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Push a fresh snapshot to everyone watching a branch's floor plan
+   */
+  async publishLiveFloorPlan(branchId) {
+    if (!isIOInitialized()) {
+      return;
+    }
+    const snapshot = await this.getLiveFloorPlan(branchId);
+    getIO()
+      .local.to(getFloorPlanRoom(branchId))
+      .emit("floor_plan:update", snapshot);
+  }
+
+  /**
+   * Refresh every floor-plan room with viewers on this instance
+   * @returns {Number} Rooms refreshed
+   */
+  async publishAllLiveFloorPlans() {
+    if (!isIOInitialized()) {
+      return 0;
+    }
+
+    const rooms = [...getIO().sockets.adapter.rooms.keys()].filter((room) =>
+      room.startsWith(FLOOR_PLAN_ROOM_PREFIX)
+    );
+    for (const room of rooms) {
+      await this.publishLiveFloorPlan(
+        room.slice(FLOOR_PLAN_ROOM_PREFIX.length)
+      );
+    }
+    return rooms.length;
+  }
+}
+
+export default new FloorPlanService();
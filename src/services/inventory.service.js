@@ -0,0 +1,352 @@
+// src/services/inventory.service.js - Stock, recipes and order deductions
+import mongoose from "mongoose";
+import { Inventory } from "../models/Inventory.model.js";
+import { InventoryTransaction } from "../models/InventoryTransaction.model.js";
+import { Recipe } from "../models/Recipe.model.js";
+import { FoodItem } from "../models/FoodItem.model.js";
+import { Order } from "../models/Order.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { notifyLowStock } from "./notification.service.js";
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+class InventoryService {
+  /**
+   * Apply a stock change and record it in the ledger
+   * @param {String} inventoryId - Inventory item ID
+   * @param {Number} change - Signed quantity (negative takes stock out)
+   * @param {Object} details - { type, order, purchaseOrder, note, performedBy, performedByModel }
+   * @returns {Object} Updated inventory item
+   */
+  async adjustStock(inventoryId, change, details = {}) {
+    const update = { $inc: { quantity: round4(change) } };
+    if (details.type === "restock") {
+      update.$set = { lastRestockedAt: new Date() };
+    }
+
+    const inventory = await Inventory.findByIdAndUpdate(inventoryId, update, {
+      new: true,
+    });
+    if (!inventory) {
+      throw new APIError(404, "Inventory item not found");
+    }
+
+    await InventoryTransaction.create({
+      inventory: inventory._id,
+      branch: inventory.branch,
+      type: details.type,
+      quantity: round4(change),
+      balanceAfter: inventory.quantity,
+      order: details.order,
+      purchaseOrder: details.purchaseOrder,
+      note: details.note,
+      performedBy: details.performedBy,
+      performedByModel: details.performedByModel,
+    });
+
+    await this.checkStockLevel(inventory);
+
+    return inventory;
+  }
+
+  /**
+   * Take recipe ingredients out of stock for an order's items.
+   * Each order item is claimed atomically before it is deducted, so calling
+   * this again (or concurrently) when an add-on batch is sent to the kitchen
+   * never deducts the same item twice. If a stock movement fails, the
+   * movements already made are reversed and the items are released again.
+   * @param {String} orderId - Order ID
+   * @returns {Number} Number of inventory items touched
+   */
+  async deductForOrder(orderId) {
+    const order = await Order.findById(orderId).select("items branch");
+    if (!order) {
+      throw new APIError(404, "Order not found");
+    }
+
+    const candidates = order.items.filter(
+      (item) => item.itemStatus !== "cancelled" && !item.inventoryDeducted
+    );
+
+    // Claim items one at a time; only the caller that flips the flag deducts
+    const items = [];
+    for (const item of candidates) {
+      const claim = await Order.updateOne(
+        {
+          _id: order._id,
+          items: {
+            $elemMatch: { _id: item._id, inventoryDeducted: { $ne: true } },
+          },
+        },
+        { $set: { "items.$.inventoryDeducted": true } }
+      );
+      if (claim.modifiedCount === 1) {
+        items.push(item);
+      }
+    }
+    if (items.length === 0) {
+      return 0;
+    }
+
+    // Combos use the recipes of their components
+    const portions = items.flatMap((item) => {
+      const comboItems = item.customizations?.comboItems || [];
+      if (comboItems.length > 0) {
+        return comboItems.map((component) => ({
+          foodItem: component.foodItem.toString(),
+          quantity: component.quantity * item.quantity,
+        }));
+      }
+      return [{ foodItem: item.foodItem.toString(), quantity: item.quantity }];
+    });
+
+    const applied = [];
+    try {
+      const recipes = await Recipe.find({
+        foodItem: { $in: [...new Set(portions.map((p) => p.foodItem))] },
+      }).lean();
+      const recipeByFoodItem = new Map(
+        recipes.map((recipe) => [recipe.foodItem.toString(), recipe])
+      );
+
+      const usage = new Map();
+      for (const portion of portions) {
+        const recipe = recipeByFoodItem.get(portion.foodItem);
+        if (!recipe) continue;
+        for (const ingredient of recipe.ingredients) {
+          const inventoryId = ingredient.inventory.toString();
+          usage.set(
+            inventoryId,
+            (usage.get(inventoryId) || 0) +
+              ingredient.quantity * portion.quantity
+          );
+        }
+      }
+
+      for (const [inventoryId, quantity] of usage) {
+        await this.adjustStock(inventoryId, -quantity, {
+          type: "order_deduction",
+          order: order._id,
+        });
+        applied.push([inventoryId, quantity]);
+      }
+
+      return usage.size;
+    } catch (error) {
+      await this.rollbackDeduction(order._id, items, applied);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo a partly applied order deduction so it can be retried later
+   * @param {String} orderId - Order ID
+   * @param {Array} items - Order items that were claimed
+   * @param {Array} applied - [inventoryId, quantity] pairs already taken out
+   */
+  async rollbackDeduction(orderId, items, applied) {
+    try {
+      for (const [inventoryId, quantity] of applied) {
+        await this.adjustStock(inventoryId, quantity, {
+          type: "order_reversal",
+          order: orderId,
+          note: "Order deduction failed",
+        });
+      }
+
+      await Order.updateOne(
+        { _id: orderId },
+        { $set: { "items.$[item].inventoryDeducted": false } },
+        { arrayFilters: [{ "item._id": { $in: items.map((i) => i._id) } }] }
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to roll back inventory deduction for order ${orderId}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Put back everything an order took from stock (order cancelled)
+   * @param {String} orderId - Order ID
+   * @param {String} note - Reason recorded on the ledger
+   * @returns {Number} Number of inventory items restored
+   */
+  async restoreForOrder(orderId, note = "Order cancelled") {
+    const movements = await InventoryTransaction.aggregate([
+      {
+        $match: {
+          order: new mongoose.Types.ObjectId(orderId.toString()),
+          type: { $in: ["order_deduction", "order_reversal"] },
+        },
+      },
+      { $group: { _id: "$inventory", net: { $sum: "$quantity" } } },
+    ]);
+
+    let restored = 0;
+    for (const movement of movements) {
+      const outstanding = round4(-movement.net);
+      if (outstanding <= 0) continue;
+
+      await this.adjustStock(movement._id, outstanding, {
+        type: "order_reversal",
+        order: orderId,
+        note,
+      });
+      restored++;
+    }
+
+    return restored;
+  }
+
+  /**
+   * Raise low-stock alerts and switch menu items off/on around stock-outs
+   * @param {Object} inventory - Inventory document after the change
+   */
+  async checkStockLevel(inventory) {
+    try {
+      let disabledItems = [];
+
+      if (inventory.quantity <= 0 && inventory.autoDisabledItems.length === 0) {
+        disabledItems = await this.disableItemsUsing(inventory);
+      } else if (
+        inventory.quantity > 0 &&
+        inventory.autoDisabledItems.length > 0
+      ) {
+        await this.restoreItemsUsing(inventory);
+      }
+
+      if (inventory.quantity <= inventory.threshold) {
+        if (!inventory.lowStockAlertedAt || disabledItems.length > 0) {
+          inventory.lowStockAlertedAt = new Date();
+          await inventory.save();
+          await notifyLowStock(inventory, {
+            outOfStock: inventory.quantity <= 0,
+            disabledItems,
+          });
+        }
+      } else if (inventory.lowStockAlertedAt) {
+        inventory.lowStockAlertedAt = null;
+        await inventory.save();
+      }
+    } catch (error) {
+      // Alerts must never undo a stock movement that already happened
+      logger.error(
+        `Failed to check stock level for inventory ${inventory._id}:`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Mark every available menu item whose recipe uses this stock unavailable
+   * @returns {Array} Items that were switched off
+   */
+  async disableItemsUsing(inventory) {
+    const recipes = await Recipe.find({
+      "ingredients.inventory": inventory._id,
+    }).select("foodItem");
+
+    const foodItems = await FoodItem.find({
+      _id: { $in: recipes.map((recipe) => recipe.foodItem) },
+      isAvailable: true,
+    }).select("name");
+    if (foodItems.length === 0) {
+      return [];
+    }
+
+    await FoodItem.updateMany(
+      { _id: { $in: foodItems.map((item) => item._id) } },
+      { $set: { isAvailable: false } }
+    );
+    inventory.autoDisabledItems = foodItems.map((item) => item._id);
+    await inventory.save();
+
+    logger.info(
+      `Out of stock: ${inventory.itemName} - marked ${foodItems.length} menu items unavailable`
+    );
+    return foodItems;
+  }
+
+  /**
+   * Switch back on the items a stock-out disabled. Items still blocked by
+   * another empty ingredient are handed over to that ingredient instead.
+   */
+  async restoreItemsUsing(inventory) {
+    const recipes = await Recipe.find({
+      foodItem: { $in: inventory.autoDisabledItems },
+    }).populate("ingredients.inventory", "quantity");
+
+    const readyIds = [];
+    for (const recipe of recipes) {
+      const emptyIngredient = recipe.ingredients.find(
+        (ingredient) => (ingredient.inventory?.quantity ?? 0) <= 0
+      );
+      if (!emptyIngredient) {
+        readyIds.push(recipe.foodItem);
+      } else if (emptyIngredient.inventory) {
+        await Inventory.updateOne(
+          { _id: emptyIngredient.inventory._id },
+          { $addToSet: { autoDisabledItems: recipe.foodItem } }
+        );
+      }
+    }
+
+    if (readyIds.length > 0) {
+      await FoodItem.updateMany(
+        { _id: { $in: readyIds } },
+        { $set: { isAvailable: true } }
+      );
+    }
+
+    inventory.autoDisabledItems = [];
+    await inventory.save();
+  }
+
+  /**
+   * Stock list for a branch
+   * @param {String} branchId - Branch ID
+   * @param {Object} filters - { lowStockOnly, search }
+   */
+  async getBranchStock(branchId, { lowStockOnly = false, search } = {}) {
+    const query = { branch: branchId, isActive: true };
+    if (search) {
+      query.itemName = new RegExp(search, "i");
+    }
+    if (lowStockOnly) {
+      query.$expr = { $lte: ["$quantity", "$threshold"] };
+    }
+
+    return Inventory.find(query).sort({ itemName: 1 });
+  }
+
+  /**
+   * Ledger entries for an inventory item, newest first
+   */
+  async getHistory(inventoryId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const [transactions, total] = await Promise.all([
+      InventoryTransaction.find({ inventory: inventoryId })
+        .populate("order", "orderNumber")
+        .populate("purchaseOrder", "poNumber")
+        .populate("performedBy", "name")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      InventoryTransaction.countDocuments({ inventory: inventoryId }),
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        total,
+      },
+    };
+  }
+}
+
+export default new InventoryService();
@@ -6,6 +6,7 @@ import { logger } from "../utils/logger.js";
 import { paymentLogger } from "../utils/paymentLogger.js";
 import { sendEmail } from "../utils/emailService.js";
 import { APIError } from "../utils/APIError.js";
+import { getModifiersPrice, formatModifierLines } from "./modifier.service.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -86,9 +87,9 @@ class InvoiceService {
               : "Dine-in",
           }
         : {
-            name: order.user?.name || "Guest",
-            email: order.user?.email || "N/A",
-            phone: order.user?.phone || "N/A",
+            name: order.user?.name || order.customer?.name || "Guest",
+            email: order.user?.email || order.customer?.email || "N/A",
+            phone: order.user?.phone || order.customer?.phone || "N/A",
             address: order.tableNumber
               ? `Table ${order.tableNumber}`
               : "Dine-in",
@@ -171,6 +172,72 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Generate a partial invoice for one share of a split bill
+   * By-item shares list the items that payer had; equal and custom shares
+   * list every item at that share's proportion of the bill.
+   * @param {Object} order - Order document with populated hotel/branch
+   * @param {Object} share - Paid share from order.billSplit.shares
+   * @returns {Object} Invoice buffer and details
+   */
+  async generateShareInvoice(order, share) {
+    const orderData = order.toObject ? order.toObject() : order;
+    const { mode, shares } = orderData.billSplit;
+    const ratio = share.ratio;
+    const billableItems = orderData.items.filter(
+      (item) => item.itemStatus !== "cancelled"
+    );
+
+    const items =
+      mode === "by_item"
+        ? share.items.map((allocation) => {
+            const item = billableItems.find(
+              (i) => i._id.toString() === allocation.orderItem.toString()
+            );
+            return {
+              ...item,
+              quantity: allocation.quantity,
+              gstAmount:
+                ((item.gstAmount || 0) * allocation.quantity) / item.quantity,
+            };
+          })
+        : billableItems.map((item) => ({
+            ...item,
+            price: item.price * ratio,
+            gstAmount: (item.gstAmount || 0) * ratio,
+          }));
+
+    const payer = share.payer || {};
+    const customerName = `${payer.name || "Guest"} (Share ${share.shareNumber} of ${shares.length})`;
+
+    return this.generateOrderInvoice({
+      ...orderData,
+      invoiceNumber: share.invoiceNumber,
+      invoiceSnapshot: orderData.invoiceSnapshot?.hotelName
+        ? {
+            ...orderData.invoiceSnapshot,
+            customerName,
+            customerEmail: payer.email || "",
+            customerPhone: payer.phone || "",
+          }
+        : undefined,
+      user: null,
+      customer: { name: customerName, email: payer.email, phone: payer.phone },
+      items,
+      serviceCharge: (orderData.serviceCharge || 0) * ratio,
+      coinDiscount: (orderData.coinDiscount || 0) * ratio,
+      offerDiscount: (orderData.offerDiscount || 0) * ratio,
+      totalPrice: share.amount,
+      rewardCoins: 0,
+      supplementaryPayments: [],
+      payment: {
+        paymentMethod: share.paymentMethod,
+        paidAt: share.paidAt,
+        paymentId: share.paymentId || share.transactionId,
+      },
+    });
+  }
+
   /**
    * Generate invoice for a subscription payment
    * @param {Object} subscription - Subscription object with populated fields
@@ -353,9 +420,9 @@ class InvoiceService {
             phone: order.invoiceSnapshot.customerPhone,
           }
         : {
-            name: order.user?.name || "Guest",
-            email: order.user?.email || "N/A",
-            phone: order.user?.phone || "N/A",
+            name: order.user?.name || order.customer?.name || "Guest",
+            email: order.user?.email || order.customer?.email || "N/A",
+            phone: order.user?.phone || order.customer?.phone || "N/A",
           };
 
       // Add seller information
@@ -746,7 +813,7 @@ class InvoiceService {
       const itemName =
         item.foodItemName || item.foodItem?.name || item.name || "Item";
       const quantity = item.quantity || 0;
-      const price = item.price || 0;
+      const price = (item.price || 0) + getModifiersPrice(item.customizations);
       const grossValue = quantity * price;
       const discount = item.discount || 0;
       const netValue = grossValue - discount;
@@ -756,6 +823,9 @@ class InvoiceService {
       const cgstAmt = gstAmount / 2;
       const sgstAmt = gstAmount / 2;
       const itemTotal = netValue + gstAmount;
+      const comboItems = item.customizations?.comboItems || [];
+      // A combo's rate is a blend; the real rates print per component below
+      const rateLabel = comboItems.length > 0 ? "-" : `${halfRate}`;
 
       sumGross += grossValue;
       sumDiscount += discount;
@@ -783,13 +853,88 @@ class InvoiceService {
       cell(discount.toFixed(2), cols.discount, currentY, colWidths.discount);
       cell(netValue.toFixed(2), cols.net, currentY, colWidths.net);
       cell(cgstAmt.toFixed(2), cols.cgstRs, currentY, colWidths.cgstRs);
-      cell(`${halfRate}`, cols.cgstPct, currentY, colWidths.cgstPct);
+      cell(rateLabel, cols.cgstPct, currentY, colWidths.cgstPct);
       cell(sgstAmt.toFixed(2), cols.sgstRs, currentY, colWidths.sgstRs);
-      cell(`${halfRate}`, cols.sgstPct, currentY, colWidths.sgstPct);
+      cell(rateLabel, cols.sgstPct, currentY, colWidths.sgstPct);
       cell(itemTotal.toFixed(2), cols.total, currentY, colWidths.total);
 
       drawRowBorders(currentY, rowHeight);
       currentY += rowHeight;
+
+      // Combo components, each taxed at its own rate. Values are the
+      // component's share of the combo line, so they don't add to the totals.
+      const comboValue = comboItems.reduce(
+        (sum, component) => sum + component.allocatedPrice,
+        0
+      );
+      const comboTaxWeight = comboItems.reduce(
+        (sum, component) => sum + component.allocatedPrice * component.gstRate,
+        0
+      );
+      comboItems.forEach((component) => {
+        const share =
+          comboValue > 0 ? component.allocatedPrice / comboValue : 0;
+        const componentNet = netValue * share;
+        const componentGst =
+          comboTaxWeight > 0
+            ? (gstAmount * component.allocatedPrice * component.gstRate) /
+              comboTaxWeight
+            : 0;
+        const componentHalfRate = component.gstRate / 2;
+
+        cell(
+          `  ${component.quantity * quantity} x ${component.name}`,
+          cols.particulars,
+          currentY,
+          colWidths.particulars,
+          { align: "left" }
+        );
+        cell(
+          (grossValue * share).toFixed(2),
+          cols.gross,
+          currentY,
+          colWidths.gross
+        );
+        cell(
+          (discount * share).toFixed(2),
+          cols.discount,
+          currentY,
+          colWidths.discount
+        );
+        cell(componentNet.toFixed(2), cols.net, currentY, colWidths.net);
+        cell(
+          (componentGst / 2).toFixed(2),
+          cols.cgstRs,
+          currentY,
+          colWidths.cgstRs
+        );
+        cell(`${componentHalfRate}`, cols.cgstPct, currentY, colWidths.cgstPct);
+        cell(
+          (componentGst / 2).toFixed(2),
+          cols.sgstRs,
+          currentY,
+          colWidths.sgstRs
+        );
+        cell(`${componentHalfRate}`, cols.sgstPct, currentY, colWidths.sgstPct);
+        cell(
+          (componentNet + componentGst).toFixed(2),
+          cols.total,
+          currentY,
+          colWidths.total
+        );
+
+        drawRowBorders(currentY, rowHeight);
+        currentY += rowHeight;
+      });
+
+      // Chosen modifiers print under the item, already priced into it
+      formatModifierLines(item.customizations).forEach((line) => {
+        cell(`  ${line}`, cols.particulars, currentY, colWidths.particulars, {
+          align: "left",
+        });
+        drawRowBorders(currentY, rowHeight);
+        currentY += rowHeight;
+      });
     });
 
     drawLine(currentY, 0.8);
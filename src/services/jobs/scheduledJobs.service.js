@@ -1,10 +1,19 @@
 // src/services/scheduledJobs.js - Scheduled Jobs Service
 import cron from "node-cron";
 import assignmentService from "../assignment/assignment.service.js";
+import queueService from "../queue.service.js";
 import { Complaint } from "../../models/Complaint.model.js";
 import { Order } from "../../models/Order.model.js";
 import { paymentService } from "../payment/payment.service.js";
+import { releaseDueScheduledOrders } from "../order/scheduledOrder.service.js";
+import waitlistService from "../waitlist.service.js";
+import reservationService from "../reservation.service.js";
+import floorPlanService from "../floorPlan.service.js";
+import attendanceService from "../attendance.service.js";
+import pushService from "../push/push.service.js";
+import notificationInboxService from "../notificationInbox.service.js";
 import { logger } from "../../utils/logger.js";
+import { BUSINESS_TIMEZONE } from "../../config/constants.js";
 
 class ScheduledJobsService {
   constructor() {
@@ -28,6 +37,33 @@ class ScheduledJobsService {
       // Schedule automatic payment sync every 5 minutes
       this.schedulePaymentSync();
 
+      // Release scheduled pre-orders to the kitchen every minute
+      this.scheduleScheduledOrderRelease();
+
+      // Hold tables for bookings starting soon, every minute
+      this.scheduleReservationTableHolds();
+
+      // Expire waitlist holds and offer freed tables every minute
+      this.scheduleWaitlistProcessing();
+
+      // Refresh live floor plans being watched every 15 seconds
+      this.scheduleFloorPlanRefresh();
+
+      // Close attendance records left open past the shift, every 15 minutes
+      this.scheduleAttendanceAutoClose();
+
+      // Hand over open orders of waiters whose shift ended, every minute
+      this.scheduleShiftHandoff();
+
+      // Put back queued orders whose assignment never finished, every minute
+      this.scheduleStaleQueueClaimSweep();
+
+      // Remove push devices that haven't checked in for months, daily at 4 AM
+      this.schedulePushDevicePrune();
+
+      // Delete expired inbox notifications, daily at 4:30 AM
+      this.scheduleNotificationCleanup();
+
       this.isInitialized = true;
       logger.info("✅ Scheduled jobs initialized successfully", {});
     } catch (error) {
@@ -106,7 +142,7 @@ class ScheduledJobsService {
   async performRoundRobinReset() {
     try {
       // Reset for all hotels and branches (null, null means global reset)
-      assignmentService.resetRoundRobin(null, null);
+      await assignmentService.resetRoundRobin(null, null);
 
       // Log the reset activity
       logger.info("🔄 Round-robin counters reset for all hotels and branches", {
@@ -338,9 +374,9 @@ class ScheduledJobsService {
 
           // Emit socket event to notify managers and admins about escalation
           try {
-            const { getIO } = await import("../utils/socketService.js");
+            const { getIO } = await import("../../utils/socketService.js");
             const { emitComplaintEscalated } =
-              await import("../socket/complaintEvents.js");
+              await import("../../socket/complaintEvents.js");
 
             const io = getIO();
             emitComplaintEscalated(io, complaint.branch, complaint.hotel, {
@@ -518,6 +554,275 @@ class ScheduledJobsService {
       throw error;
     }
   }
+
+  /**
+   * Schedule release of pre-orders whose release time (scheduledFor minus
+   * preparation time) has passed. Runs every minute.
+   */
+  scheduleScheduledOrderRelease() {
+    const cronPattern = "0 * * * * *";
+
+    logger.info("🗓️ Scheduling scheduled-order release every minute", {});
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          const summary = await releaseDueScheduledOrders(new Date());
+          if (summary.released || summary.cancelled || summary.failed) {
+            logger.info("📦 Scheduled order release summary:", summary);
+          }
+        } catch (error) {
+          logger.error("❌ Failed to release scheduled orders:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("scheduledOrderRelease", job);
+    logger.info(
+      "⏰ Scheduled-order release job scheduled (runs every minute)",
+      {}
+    );
+  }
+
+  /**
+   * Requeue orders taken off the queue by an instance that died before
+   * assigning them. Runs every minute.
+   */
+  scheduleStaleQueueClaimSweep() {
+    const cronPattern = "45 * * * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          const requeued = await queueService.requeueStaleClaims(new Date());
+          if (requeued > 0) {
+            logger.info(`🔁 Requeued ${requeued} order(s) with stale claims`);
+          }
+        } catch (error) {
+          logger.error("❌ Failed to requeue stale queue claims:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("staleQueueClaimSweep", job);
+    logger.info(
+      "⏰ Stale queue claim sweep job scheduled (runs every minute)",
+      {}
+    );
+  }
+
+  /**
+   * Mark the tables of bookings starting soon as reserved, so walk-ins and
+   * the waitlist aren't seated there. Runs every minute.
+   */
+  scheduleReservationTableHolds() {
+    const cronPattern = "15 * * * * *";
+
+    logger.info("🗓️ Scheduling reservation table holds every minute", {});
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          const held = await reservationService.holdUpcomingTables(new Date());
+          if (held > 0) {
+            logger.info(`📅 Held ${held} table(s) for upcoming reservations`);
+          }
+        } catch (error) {
+          logger.error("❌ Failed to hold tables for reservations:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("reservationTableHolds", job);
+    logger.info(
+      "⏰ Reservation table hold job scheduled (runs every minute)",
+      {}
+    );
+  }
+
+  /**
+   * Mark walk-ins who missed their held table as no-shows and hold newly
+   * freed tables for waiting parties. Runs every minute.
+   */
+  scheduleWaitlistProcessing() {
+    const cronPattern = "30 * * * * *";
+
+    logger.info("🗓️ Scheduling waitlist processing every minute", {});
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          const summary = await waitlistService.processWaitlists(new Date());
+          if (summary.expired || summary.notified) {
+            logger.info("🪑 Waitlist processing summary:", summary);
+          }
+        } catch (error) {
+          logger.error("❌ Failed to process waitlists:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("waitlistProcessing", job);
+    logger.info("⏰ Waitlist processing job scheduled (runs every minute)", {});
+  }
+
+  /**
+   * Push fresh live floor plans (table status, order age, waiter) to the
+   * branch rooms that have viewers. Runs every 15 seconds.
+   */
+  scheduleFloorPlanRefresh() {
+    const cronPattern = "*/15 * * * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          await floorPlanService.publishAllLiveFloorPlans();
+        } catch (error) {
+          logger.error("❌ Failed to refresh live floor plans:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("floorPlanRefresh", job);
+    logger.info("⏰ Floor plan refresh job scheduled (every 15 seconds)", {});
+  }
+
+  /**
+   * Clock out staff who forgot to, so their timesheets show up for
+   * approval. Runs every 15 minutes.
+   */
+  scheduleAttendanceAutoClose() {
+    const cronPattern = "0 */15 * * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          await attendanceService.closeStaleRecords(new Date());
+        } catch (error) {
+          logger.error("❌ Failed to close stale attendance records:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("attendanceAutoClose", job);
+    logger.info(
+      "⏰ Attendance auto-close job scheduled (every 15 minutes)",
+      {}
+    );
+  }
+
+  /**
+   * Move open orders from waiters whose shift is over (or who clocked out)
+   * to waiters still on shift. Runs every minute.
+   */
+  scheduleShiftHandoff() {
+    const cronPattern = "45 * * * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          const summary = await assignmentService.handOffEndedShifts(
+            new Date()
+          );
+          if (summary.handedOff || summary.pending) {
+            logger.info("🔁 Shift handoff summary:", summary);
+          }
+        } catch (error) {
+          logger.error("❌ Failed to hand off orders at shift end:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("shiftHandoff", job);
+    logger.info("⏰ Shift handoff job scheduled (runs every minute)", {});
+  }
+
+  /**
+   * Drop push devices not seen for PUSH_SETTINGS.staleAfterDays (uninstalled
+   * apps rarely get reported by the providers). Runs daily at 4:00 AM.
+   */
+  schedulePushDevicePrune() {
+    const cronPattern = "0 0 4 * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          await pushService.pruneStaleDevices(new Date());
+        } catch (error) {
+          logger.error("❌ Failed to prune stale push devices:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("pushDevicePrune", job);
+    logger.info("⏰ Push device prune job scheduled (daily at 4:00 AM)", {});
+  }
+
+  /**
+   * Delete inbox notifications past NOTIFICATION_SETTINGS retention.
+   * Runs daily at 4:30 AM.
+   */
+  scheduleNotificationCleanup() {
+    const cronPattern = "0 30 4 * * *";
+
+    const job = cron.schedule(
+      cronPattern,
+      async () => {
+        try {
+          await notificationInboxService.pruneExpired(new Date());
+        } catch (error) {
+          logger.error("❌ Failed to clean up expired notifications:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: BUSINESS_TIMEZONE,
+      }
+    );
+
+    this.jobs.set("notificationCleanup", job);
+    logger.info("⏰ Notification cleanup job scheduled (daily at 4:30 AM)", {});
+  }
 }
 
 // Export singleton instance
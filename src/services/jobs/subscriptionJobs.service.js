@@ -8,6 +8,7 @@ import {
   sendSubscriptionRenewalReminderEmail,
   sendEmail,
 } from "../../utils/emailService.js";
+import notificationInboxService from "../notificationInbox.service.js";
 
 // Job logging utility
 const logJob = (jobName, status, message, data = {}) => {
@@ -54,6 +55,14 @@ jobCallbacks.expiryCheck = async () => {
         subscription.status = "expired";
         await subscription.save();
 
+        await notificationInboxService.record("Admin", subscription.admin, {
+          type: "subscription_expired",
+          title: "Subscription expired",
+          message: `Your ${subscription.plan?.name} subscription has expired`,
+          priority: "high",
+          data: { subscriptionId: subscription._id.toString() },
+        });
+
         // Send expiry notification email
         if (subscription.admin && subscription.admin.email) {
           await sendSubscriptionExpiredEmail(
@@ -142,6 +151,17 @@ jobCallbacks.renewalReminder = async () => {
 
       for (const subscription of expiringSubscriptions) {
         try {
+          await notificationInboxService.record("Admin", subscription.admin, {
+            type: "subscription_expiring",
+            title: "Subscription expiring soon",
+            message: `Your ${subscription.plan?.name} subscription expires in ${days} day(s)`,
+            priority: days <= 1 ? "high" : "medium",
+            data: {
+              subscriptionId: subscription._id.toString(),
+              endDate: subscription.endDate,
+            },
+          });
+
           if (subscription.admin && subscription.admin.email) {
             await sendSubscriptionRenewalReminderEmail(
               subscription.admin.email,
@@ -425,6 +445,18 @@ jobCallbacks.paymentRetry = async () => {
 
           const retryLink = `${process.env.FRONTEND_URL || "http://localhost:3000"}/subscription/retry/${subscription._id}`;
 
+          await notificationInboxService.record("Admin", subscription.admin, {
+            type: "subscription_payment_failed",
+            title: "Subscription payment failed",
+            message: `Your payment of ₹${retryAmount} for ${subscription.plan.name} failed. Please retry to activate your subscription.`,
+            priority: "high",
+            data: {
+              subscriptionId: subscription._id.toString(),
+              retryAmount,
+              retryLink,
+            },
+          });
+
           // Send payment retry notification email
           try {
             await sendEmail({
@@ -0,0 +1,518 @@
+// src/services/kitchen.service.js - Kitchen Display System (KDS) Service
+import { Order } from "../models/Order.model.js";
+import { KitchenTicket } from "../models/KitchenTicket.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { publishOrderEvent } from "./order/orderTracking.service.js";
+import notificationInboxService from "./notificationInbox.service.js";
+import { formatModifierLines } from "./modifier.service.js";
+import { formatComboLines } from "./combo.service.js";
+import {
+  KITCHEN_STATIONS,
+  DEFAULT_KITCHEN_STATION,
+} from "../config/constants.js";
+
+/**
+ * Build the Socket.IO room name for a branch kitchen station
+ * @param {String} branchId - Branch ID
+ * @param {String} station - Kitchen station
+ * @returns {String} Room name (kitchen_<branchId>_<station>)
+ */
+export const getKitchenRoom = (branchId, station) =>
+  `kitchen_${branchId}_${station}`;
+
+/**
+ * Kitchen Service for routing order items to stations
+ *
+ * Features:
+ * 1. Splits confirmed orders into per-station tickets
+ * 2. Per-item bumping by cooks
+ * 3. Moves the order to "ready" once every station has bumped its part
+ * 4. Live station feeds over Socket.IO
+ */
+class KitchenService {
+  constructor() {
+    this.STATIONS = KITCHEN_STATIONS;
+    this.DEFAULT_STATION = DEFAULT_KITCHEN_STATION;
+    this.OPEN_STATUSES = ["pending", "in_progress"];
+  }
+
+  /**
+   * Resolve the station for a populated food item
+   * Item-level station overrides the category station
+   * @param {Object} foodItem - FoodItem populated with category
+   * @returns {String} Station name
+   */
+  resolveStation(foodItem) {
+    const station =
+      foodItem?.kitchenStation || foodItem?.category?.kitchenStation;
+    return this.STATIONS.includes(station) ? station : this.DEFAULT_STATION;
+  }
+
+  /**
+   * Split an order's un-routed items into station tickets
+   * Safe to call more than once - items already on a ticket are skipped,
+   * so add-on batches are routed when they are acknowledged.
+   * @param {String} orderId - Order ID
+   * @returns {Array} Newly created tickets
+   */
+  async dispatchOrder(orderId) {
+    const order = await Order.findById(orderId).populate({
+      path: "items.foodItem",
+      select: "name kitchenStation category",
+      populate: { path: "category", select: "name kitchenStation" },
+    });
+
+    if (!order) {
+      throw new APIError(404, "Order not found");
+    }
+
+    const existingTickets = await KitchenTicket.find({ order: order._id })
+      .select("items.orderItem")
+      .lean();
+    const routedItemIds = new Set(
+      existingTickets.flatMap((ticket) =>
+        ticket.items.map((item) => item.orderItem.toString())
+      )
+    );
+
+    // Group remaining active items by station and batch
+    const groups = new Map();
+    for (const item of order.items) {
+      if (item.itemStatus === "cancelled") continue;
+      if (routedItemIds.has(item._id.toString())) continue;
+
+      const station = this.resolveStation(item.foodItem);
+      const batch = item.batch || 1;
+      const key = `${station}:${batch}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { station, batch, items: [] });
+      }
+      groups.get(key).items.push({
+        orderItem: item._id,
+        foodItem: item.foodItem?._id || item.foodItem,
+        foodItemName: item.foodItemName || item.foodItem?.name,
+        quantity: item.quantity,
+        customizations: item.customizations,
+        modifierLines: formatModifierLines(item.customizations),
+        comboLines: formatComboLines(item.customizations),
+      });
+    }
+
+    if (groups.size === 0) {
+      return [];
+    }
+
+    const orderNumber =
+      order.orderNumber || order._id.toString().slice(-8).toUpperCase();
+
+    const tickets = await KitchenTicket.insertMany(
+      [...groups.values()].map((group) => ({
+        order: order._id,
+        hotel: order.hotel,
+        branch: order.branch || null,
+        station: group.station,
+        batch: group.batch,
+        orderNumber,
+        tableNumber: order.tableNumber,
+        specialInstructions: order.specialInstructions,
+        priority: order.priority,
+        items: group.items,
+      }))
+    );
+
+    for (const ticket of tickets) {
+      this.emitToStation(ticket, "kitchen:ticket:new");
+    }
+
+    logger.info(
+      `Order ${order._id} routed to kitchen: ${tickets
+        .map((t) => `${t.station}(${t.items.length})`)
+        .join(", ")}`
+    );
+
+    return tickets;
+  }
+
+  /**
+   * Get tickets for a station display
+   * @param {Object} filter - { branch, station, status, limit }
+   * @returns {Array} Tickets, oldest first
+   */
+  async getStationTickets({ branch, station, status = "open", limit = 50 }) {
+    if (!this.STATIONS.includes(station)) {
+      throw new APIError(400, `Invalid kitchen station: ${station}`);
+    }
+
+    const query = { branch: branch || null, station };
+    if (status === "open") {
+      query.status = { $in: this.OPEN_STATUSES };
+    } else if (status !== "all") {
+      query.status = status;
+    }
+
+    return KitchenTicket.find(query)
+      .sort(status === "bumped" ? { bumpedAt: -1 } : { createdAt: 1 })
+      .limit(parseInt(limit) || 50);
+  }
+
+  /**
+   * Get open ticket counts per station for a branch
+   * @param {String} branch - Branch ID
+   * @returns {Object} Station -> open ticket count
+   */
+  async getStationSummary(branch) {
+    const counts = await KitchenTicket.aggregate([
+      {
+        $match: {
+          branch: branch || null,
+          status: { $in: this.OPEN_STATUSES },
+        },
+      },
+      { $group: { _id: "$station", count: { $sum: 1 } } },
+    ]);
+
+    return this.STATIONS.reduce((summary, station) => {
+      summary[station] = counts.find((c) => c._id === station)?.count || 0;
+      return summary;
+    }, {});
+  }
+
+  /**
+   * Bump a single item on a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {String} itemId - Ticket item ID
+   * @param {String} staffId - Cook who bumped the item
+   * @returns {Object} { ticket, orderReady }
+   */
+  async bumpItem(ticketId, itemId, staffId) {
+    // Positional update, so cooks bumping items of one ticket at the same
+    // time never overwrite each other
+    const ticket = await KitchenTicket.findOneAndUpdate(
+      {
+        _id: ticketId,
+        status: { $in: this.OPEN_STATUSES },
+        items: { $elemMatch: { _id: itemId, status: "pending" } },
+      },
+      {
+        $set: {
+          "items.$.status": "bumped",
+          "items.$.bumpedAt": new Date(),
+          "items.$.bumpedBy": staffId,
+        },
+      },
+      { new: true }
+    );
+
+    if (!ticket) {
+      // Work out why for the error message
+      const current = await this.getOpenTicket(ticketId);
+      const item = current.items.id(itemId);
+      if (!item) {
+        throw new APIError(404, "Ticket item not found");
+      }
+      throw new APIError(400, `Item is already ${item.status}`);
+    }
+
+    return this.syncTicket(ticket, staffId);
+  }
+
+  /**
+   * Bump every pending item on a ticket
+   * @param {String} ticketId - Ticket ID
+   * @param {String} staffId - Cook who bumped the ticket
+   * @returns {Object} { ticket, orderReady }
+   */
+  async bumpTicket(ticketId, staffId) {
+    const ticket = await KitchenTicket.findOneAndUpdate(
+      { _id: ticketId, status: { $in: this.OPEN_STATUSES } },
+      {
+        $set: {
+          "items.$[item].status": "bumped",
+          "items.$[item].bumpedAt": new Date(),
+          "items.$[item].bumpedBy": staffId,
+        },
+      },
+      { arrayFilters: [{ "item.status": "pending" }], new: true }
+    );
+
+    if (!ticket) {
+      await this.getOpenTicket(ticketId); // 404 / already bumped
+    }
+
+    return this.syncTicket(ticket, staffId);
+  }
+
+  /**
+   * Void all open tickets for an order (e.g. order cancelled)
+   * @param {String} orderId - Order ID
+   * @param {String} reason - Void reason
+   * @returns {Number} Number of tickets voided
+   */
+  async voidOrderTickets(orderId, reason = "Order cancelled") {
+    const tickets = await KitchenTicket.find({
+      order: orderId,
+      status: { $in: this.OPEN_STATUSES },
+    });
+
+    for (const ticket of tickets) {
+      ticket.status = "void";
+      ticket.voidedAt = new Date();
+      ticket.voidReason = reason;
+      ticket.items.forEach((item) => {
+        if (item.status === "pending") item.status = "void";
+      });
+      await ticket.save();
+      this.emitToStation(ticket, "kitchen:ticket:void");
+    }
+
+    return tickets.length;
+  }
+
+  /**
+   * Close all open tickets when staff move an order past the kitchen manually
+   * @param {String} orderId - Order ID
+   * @param {String} staffId - Staff who moved the order on
+   * @returns {Number} Number of tickets closed
+   */
+  async closeOrderTickets(orderId, staffId) {
+    const tickets = await KitchenTicket.find({
+      order: orderId,
+      status: { $in: this.OPEN_STATUSES },
+    });
+
+    const now = new Date();
+    for (const ticket of tickets) {
+      ticket.items.forEach((item) => {
+        if (item.status === "pending") {
+          item.status = "bumped";
+          item.bumpedAt = now;
+          item.bumpedBy = staffId;
+        }
+      });
+      ticket.refreshStatus();
+      await ticket.save();
+      this.emitToStation(ticket, "kitchen:ticket:bumped");
+    }
+
+    return tickets.length;
+  }
+
+  /**
+   * Check whether an order still has unbumped kitchen tickets
+   * @param {String} orderId - Order ID
+   * @returns {Boolean}
+   */
+  async hasOpenTickets(orderId) {
+    const count = await KitchenTicket.countDocuments({
+      order: orderId,
+      status: { $in: this.OPEN_STATUSES },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Load a ticket that can still be bumped
+   * @param {String} ticketId - Ticket ID
+   * @returns {Object} Ticket document
+   */
+  async getOpenTicket(ticketId) {
+    const ticket = await KitchenTicket.findById(ticketId);
+    if (!ticket) {
+      throw new APIError(404, "Kitchen ticket not found");
+    }
+    if (!this.OPEN_STATUSES.includes(ticket.status)) {
+      throw new APIError(400, `Ticket is already ${ticket.status}`);
+    }
+    return ticket;
+  }
+
+  /**
+   * Write the ticket status worked out from its items. The update only
+   * applies while the items are still in the state it was computed from, so
+   * a stale result never overwrites the one from a later bump.
+   * @param {Object} ticket - Ticket document as returned by the bump
+   * @returns {Object} Latest ticket document
+   */
+  async refreshTicketStatus(ticket) {
+    const status = ticket.refreshStatus();
+
+    const itemsMatch = {
+      pending: { "items.status": { $ne: "bumped" } },
+      in_progress: {
+        $and: [{ "items.status": "pending" }, { "items.status": "bumped" }],
+      },
+      bumped: { "items.status": { $ne: "pending" } },
+      void: { "items.status": { $nin: ["pending", "bumped"] } },
+    }[status];
+
+    const update = { $set: { status } };
+    for (const field of ["startedAt", "bumpedAt", "voidedAt"]) {
+      if (ticket[field]) {
+        update.$set[field] = ticket[field];
+      } else {
+        update.$unset = { ...update.$unset, [field]: "" };
+      }
+    }
+
+    const updated = await KitchenTicket.findOneAndUpdate(
+      { _id: ticket._id, status: { $in: this.OPEN_STATUSES }, ...itemsMatch },
+      update,
+      { new: true }
+    );
+
+    // Otherwise a later bump changed the items and writes its own status
+    return updated || KitchenTicket.findById(ticket._id);
+  }
+
+  /**
+   * Update a bumped ticket's status, broadcast it and advance the order
+   * @param {Object} bumpedTicket - Ticket document as returned by the bump
+   * @param {String} staffId - Cook who made the change
+   * @returns {Object} { ticket, orderReady }
+   */
+  async syncTicket(bumpedTicket, staffId) {
+    const ticket = await this.refreshTicketStatus(bumpedTicket);
+
+    this.emitToStation(
+      ticket,
+      ticket.status === "bumped"
+        ? "kitchen:ticket:bumped"
+        : "kitchen:ticket:updated"
+    );
+
+    // First bump on a confirmed order means the kitchen has started on it
+    await this.advanceOrder(ticket.order, "confirmed", "preparing", staffId);
+
+    let orderReady = false;
+    if (
+      ticket.status === "bumped" &&
+      !(await this.hasOpenTickets(ticket.order))
+    ) {
+      orderReady = await this.advanceOrder(
+        ticket.order,
+        ["confirmed", "preparing"],
+        "ready",
+        staffId,
+        "All kitchen stations bumped"
+      );
+    }
+
+    return { ticket, orderReady };
+  }
+
+  /**
+   * Move an order between statuses if it is still in an expected state
+   * @param {String} orderId - Order ID
+   * @param {String|Array} fromStatus - Expected current status(es)
+   * @param {String} toStatus - New status
+   * @param {String} staffId - Staff responsible for the change
+   * @param {String} notes - Status history notes
+   * @returns {Boolean} True if the order was updated
+   */
+  async advanceOrder(orderId, fromStatus, toStatus, staffId, notes) {
+    const from = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: orderId, status: { $in: from } },
+      {
+        status: toStatus,
+        $push: {
+          statusHistory: {
+            status: toStatus,
+            timestamp: new Date(),
+            updatedBy: staffId,
+            notes: notes || "Updated by kitchen",
+          },
+        },
+      },
+      { new: true }
+    ).populate("staff", "name");
+
+    if (!updatedOrder) return false;
+
+    logger.info(`Kitchen moved order ${orderId} to ${toStatus}`);
+    this.emitOrderStatus(updatedOrder, toStatus);
+    await publishOrderEvent(updatedOrder._id, "status_changed");
+    return true;
+  }
+
+  /**
+   * Emit a ticket event to its station room
+   * @param {Object} ticket - Ticket document
+   * @param {String} event - Event name
+   */
+  emitToStation(ticket, event) {
+    try {
+      if (!isIOInitialized()) return;
+      const io = getIO();
+      io.to(getKitchenRoom(ticket.branch, ticket.station)).emit(event, {
+        ticket: ticket.toJSON ? ticket.toJSON() : ticket,
+        station: ticket.station,
+        timestamp: new Date(),
+      });
+    } catch (socketError) {
+      logger.error(`Kitchen socket error (${event}):`, socketError);
+    }
+  }
+
+  /**
+   * Notify diner, waiter and branch of a kitchen-driven status change
+   * @param {Object} order - Updated order (staff populated)
+   * @param {String} status - New status
+   */
+  emitOrderStatus(order, status) {
+    try {
+      if (!isIOInitialized()) return;
+      const io = getIO();
+
+      const statusPayload = {
+        orderId: order._id.toString(),
+        orderNumber:
+          order.orderNumber || order._id.toString().slice(-8).toUpperCase(),
+        status,
+        tableNumber: order.tableNumber || "N/A",
+        updatedBy: "Kitchen",
+        updatedAt: new Date(),
+        hotel: order.hotel?.toString(),
+        branch: order.branch?.toString(),
+      };
+
+      if (order.user) {
+        io.to(`user_${order.user}`).emit("order:status:updated", statusPayload);
+      }
+      if (order.branch) {
+        io.to(`branch_${order.branch}`).emit(
+          "order:status:updated",
+          statusPayload
+        );
+      }
+      if (order.staff && status === "ready") {
+        io.to(`staff_${order.staff._id || order.staff}`).emit(
+          "kitchen:order:ready",
+          {
+            ...statusPayload,
+            message: "Order is ready for pickup",
+          }
+        );
+        notificationInboxService.record("Staff", order.staff, {
+          type: "order_ready",
+          title: "Order ready for pickup",
+          message: `Order #${statusPayload.orderNumber} (table ${statusPayload.tableNumber}) is ready for pickup`,
+          priority: "high",
+          hotel: order.hotel,
+          branch: order.branch,
+          data: { orderId: statusPayload.orderId },
+        });
+      }
+    } catch (socketError) {
+      logger.error("Kitchen order status socket error:", socketError);
+    }
+  }
+}
+
+// Export singleton instance
+const kitchenService = new KitchenService();
+export default kitchenService;
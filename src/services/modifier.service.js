@@ -0,0 +1,129 @@
+// src/services/modifier.service.js - Menu item modifier groups
+import { ModifierGroup } from "../models/ModifierGroup.model.js";
+import { APIError } from "../utils/APIError.js";
+
+/**
+ * Active modifier groups that apply to a food item, either directly or
+ * through its category
+ * @param {Object} foodItem - FoodItem document (category may be populated)
+ * @returns {Array} Modifier groups in display order
+ */
+export const getModifierGroupsForItem = async (foodItem) => {
+  const hotelId = foodItem.hotel?._id || foodItem.hotel;
+  const branchId = foodItem.branch?._id || foodItem.branch;
+  const categoryId = foodItem.category?._id || foodItem.category;
+
+  return ModifierGroup.find({
+    hotel: hotelId,
+    isActive: true,
+    branch: { $in: [null, branchId] },
+    $or: [{ foodItems: foodItem._id }, { categories: categoryId }],
+  }).sort({ displayOrder: 1, createdAt: 1 });
+};
+
+/**
+ * Check a diner's modifier picks against the item's groups and price them
+ * @param {Object} foodItem - FoodItem document
+ * @param {Array} selections - [{ group, options: [optionId] }]
+ * @returns {Array} Priced modifiers to store on the cart/order item:
+ *   [{ group, groupName, option, name, price }]
+ */
+export const resolveModifierSelections = async (foodItem, selections = []) => {
+  const groups = await getModifierGroupsForItem(foodItem);
+  if (groups.length === 0 && selections.length === 0) {
+    return [];
+  }
+
+  const selectionsByGroup = new Map();
+  for (const selection of selections) {
+    const groupId = selection.group.toString();
+    if (selectionsByGroup.has(groupId)) {
+      throw new APIError(400, "Each modifier group can only be chosen once");
+    }
+    selectionsByGroup.set(groupId, selection.options.map(String));
+  }
+
+  const modifiers = [];
+  const errors = [];
+
+  for (const group of groups) {
+    const optionIds = selectionsByGroup.get(group._id.toString()) || [];
+    selectionsByGroup.delete(group._id.toString());
+
+    if (optionIds.length < group.minSelect) {
+      errors.push(
+        group.minSelect === 1
+          ? `${group.name}: choose an option`
+          : `${group.name}: choose at least ${group.minSelect} options`
+      );
+      continue;
+    }
+    if (optionIds.length > group.maxSelect) {
+      errors.push(`${group.name}: choose at most ${group.maxSelect} options`);
+      continue;
+    }
+
+    for (const optionId of optionIds) {
+      const option = group.options.id(optionId);
+      if (!option) {
+        errors.push(`${group.name}: option ${optionId} not found`);
+      } else if (!option.isAvailable) {
+        errors.push(`${group.name}: ${option.name} is currently unavailable`);
+      } else {
+        modifiers.push({
+          group: group._id,
+          groupName: group.name,
+          option: option._id,
+          name: option.name,
+          price: option.price,
+        });
+      }
+    }
+  }
+
+  // Anything left over does not belong to this item
+  if (selectionsByGroup.size > 0) {
+    errors.push(`Modifier groups not available for ${foodItem.name}`);
+  }
+
+  if (errors.length > 0) {
+    throw new APIError(400, "Invalid item options", errors);
+  }
+
+  return modifiers;
+};
+
+/**
+ * Per-unit price of the modifiers on a cart/order item
+ * @param {Object} customizations - Item customizations
+ * @returns {Number}
+ */
+export const getModifiersPrice = (customizations) =>
+  (customizations?.modifiers || []).reduce(
+    (total, modifier) => total + (modifier.price || 0),
+    0
+  );
+
+/**
+ * Printable modifier lines for the invoice and KOT, one per group
+ * e.g. ["Bread: Garlic Naan", "Extra toppings: Cheese, Olives"]
+ * @param {Object} customizations - Item customizations
+ * @returns {Array<String>}
+ */
+export const formatModifierLines = (customizations) => {
+  const byGroup = new Map();
+  for (const modifier of customizations?.modifiers || []) {
+    if (!byGroup.has(modifier.groupName)) byGroup.set(modifier.groupName, []);
+    byGroup.get(modifier.groupName).push(modifier.name);
+  }
+  return [...byGroup.entries()].map(
+    ([groupName, names]) => `${groupName}: ${names.join(", ")}`
+  );
+};
+
+export default {
+  getModifierGroupsForItem,
+  resolveModifierSelections,
+  getModifiersPrice,
+  formatModifierLines,
+};
@@ -1,6 +1,8 @@
 // src/services/notificationService.js - Notification Service for Complaints
 
 import { logger } from "../utils/logger.js";
+import pushService from "./push/push.service.js";
+import notificationInboxService from "./notificationInbox.service.js";
 
 // TODO: Import email service when ready
 // import { sendEmail } from "../utils/emailService.js";
@@ -33,6 +35,23 @@ export const notifyManagerNewComplaint = async (complaint, manager) => {
       message: `New ${complaint.priority} priority complaint submitted`,
     };
 
+    pushService.notify("Manager", manager._id, {
+      title: "New complaint",
+      body: `${complaint.title} (${complaint.priority} priority)`,
+      data: { type: "complaint:new", complaintId: complaint.complaintId },
+      priority: complaint.priority === "urgent" ? "high" : "normal",
+    });
+
+    await notificationInboxService.record("Manager", manager._id, {
+      type: "complaint_new",
+      title: "New complaint",
+      message: `${complaint.title} (${complaint.priority} priority)`,
+      priority: complaint.priority,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    });
+
     // Socket notification to manager
     if (io) {
       io.to(`manager_${manager._id}`).emit("complaint:new", notificationData);
@@ -79,6 +98,22 @@ export const notifyStaffComplaintAssigned = async (complaint, staffId) => {
       readOnly: true,
     };
 
+    pushService.notify("Staff", staffId, {
+      title: "Complaint assigned",
+      body: complaint.title,
+      data: { type: "complaint:assigned", complaintId: complaint.complaintId },
+    });
+
+    await notificationInboxService.record("Staff", staffId, {
+      type: "complaint_assigned",
+      title: "Complaint assigned",
+      message: `${complaint.title} - ${notificationData.message}`,
+      priority: complaint.priority,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    });
+
     // Socket notification to staff
     if (io) {
       io.to(`staff_${staffId}`).emit("complaint:assigned", notificationData);
@@ -135,6 +170,19 @@ export const notifyStaffComplaintUpdated = async (
       timestamp: new Date(),
     };
 
+    await notificationInboxService.record("Staff", complaint.assignedTo, {
+      type: "complaint_updated",
+      title: `Complaint ${complaint.complaintId} updated`,
+      message: notificationData.message || "Complaint updated",
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: {
+        complaintId: complaint.complaintId,
+        updateType,
+        status: complaint.status,
+      },
+    });
+
     // Socket notification to assigned staff
     if (io) {
       io.to(`staff_${complaint.assignedTo}`).emit(
@@ -181,6 +229,15 @@ export const notifyStaffComplaintReassigned = async (
       timestamp: new Date(),
     };
 
+    await notificationInboxService.record("Staff", staffId, {
+      type: "complaint_reassigned",
+      title: `Complaint ${complaint.complaintId} reassigned`,
+      message,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId, action },
+    });
+
     // Socket notification
     if (io) {
       io.to(`staff_${staffId}`).emit("complaint:reassigned", notificationData);
@@ -216,6 +273,21 @@ export const notifyUserComplaintResponse = async (
       respondedAt: response.respondedAt,
     };
 
+    pushService.notify("User", user._id, {
+      title: "Reply to your complaint",
+      body: response.message,
+      data: { type: "complaint:response", complaintId: complaint.complaintId },
+    });
+
+    await notificationInboxService.record("User", user._id, {
+      type: "complaint_response",
+      title: "Reply to your complaint",
+      message: response.message,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    });
+
     // Socket notification to user
     if (io) {
       io.to(`user_${user._id}`).emit("complaint:response", notificationData);
@@ -256,6 +328,24 @@ export const notifyUserComplaintResolved = async (complaint, user) => {
       message: "Your complaint has been resolved",
     };
 
+    const resolvedMessage = complaint.coinCompensation
+      ? `Your complaint has been resolved and ${complaint.coinCompensation} coins were added`
+      : "Your complaint has been resolved";
+    pushService.notify("User", user._id, {
+      title: "Complaint resolved",
+      body: resolvedMessage,
+      data: { type: "complaint:resolved", complaintId: complaint.complaintId },
+    });
+
+    await notificationInboxService.record("User", user._id, {
+      type: "complaint_resolved",
+      title: "Complaint resolved",
+      message: resolvedMessage,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    });
+
     // Socket notification to user
     if (io) {
       io.to(`user_${user._id}`).emit("complaint:resolved", notificationData);
@@ -296,6 +386,25 @@ export const notifyUserComplaintUpdated = async (complaint, status) => {
       timestamp: new Date(),
     };
 
+    pushService.notify("User", complaint.user?._id || complaint.user, {
+      title: "Complaint update",
+      body: notificationData.message,
+      data: {
+        type: "complaint:status_updated",
+        complaintId: complaint.complaintId,
+        status,
+      },
+    });
+
+    await notificationInboxService.record("User", complaint.user, {
+      type: "complaint_status_updated",
+      title: "Complaint update",
+      message: notificationData.message,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId, status },
+    });
+
     // Socket notification to user
     if (io) {
       io.to(`user_${complaint.user}`).emit(
@@ -337,6 +446,54 @@ export const notifyManagementComplaintEscalated = async (
       message: "URGENT: Complaint has been escalated",
     };
 
+    const escalationPush = {
+      title: "Complaint escalated",
+      body: `${complaint.title} - pending ${notificationData.daysPending} day(s)`,
+      data: { type: "complaint:escalated", complaintId: complaint.complaintId },
+      priority: "high",
+    };
+    if (manager?._id) {
+      pushService.notify("Manager", manager._id, escalationPush);
+    }
+    if (complaint.assignedTo) {
+      pushService.notify(
+        "Staff",
+        complaint.assignedTo._id || complaint.assignedTo,
+        escalationPush
+      );
+    }
+
+    const escalationInbox = {
+      type: "complaint_escalated",
+      title: "Complaint escalated",
+      message: escalationPush.body,
+      priority: "urgent",
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    };
+    if (manager?._id) {
+      await notificationInboxService.record(
+        "Manager",
+        manager._id,
+        escalationInbox
+      );
+    } else {
+      await notificationInboxService.recordForBranchManagers(
+        complaint.branch,
+        escalationInbox
+      );
+    }
+    await notificationInboxService.recordForHotelOwner(
+      complaint.hotel,
+      escalationInbox
+    );
+    await notificationInboxService.record(
+      "Staff",
+      complaint.assignedTo,
+      escalationInbox
+    );
+
     // Socket notification to managers and admins
     if (io) {
       io.to(`branch_${complaint.branch}`).emit(
@@ -353,7 +510,7 @@ export const notifyManagementComplaintEscalated = async (
     }
 
     // Also notify assigned staff
-    if (complaint.assignedTo) {
+    if (io && complaint.assignedTo) {
       io.to(`staff_${complaint.assignedTo}`).emit(
         "complaint:escalated",
         notificationData
@@ -390,6 +547,24 @@ export const notifyManagerUserFollowUp = async (complaint) => {
       timestamp: new Date(),
     };
 
+    const followUpInbox = {
+      type: "complaint_follow_up",
+      title: `Follow-up on complaint ${complaint.complaintId}`,
+      message: notificationData.message,
+      hotel: complaint.hotel,
+      branch: complaint.branch,
+      data: { complaintId: complaint.complaintId },
+    };
+    await notificationInboxService.recordForBranchManagers(
+      complaint.branch,
+      followUpInbox
+    );
+    await notificationInboxService.record(
+      "Staff",
+      complaint.assignedTo,
+      followUpInbox
+    );
+
     // Notify manager and assigned staff
     if (io) {
       io.to(`branch_${complaint.branch}`).emit(
@@ -429,6 +604,34 @@ export const notifyStaffOrderAssigned = async (
   reason = undefined
 ) => {
   try {
+    const pushOrderNumber =
+      order.orderNumber || order._id.toString().slice(-8).toUpperCase();
+    const assignedTitle =
+      assignmentMethod === "shift-handoff"
+        ? "Order handed over to you"
+        : "New order assigned";
+    const assignedBody = `Order #${pushOrderNumber} - Table ${order.tableNumber || order.table?.tableNumber || "N/A"}`;
+    pushService.notify("Staff", staff._id || staff, {
+      title: assignedTitle,
+      body: assignedBody,
+      data: {
+        type: "order:assigned",
+        orderId: order._id.toString(),
+        assignmentMethod,
+      },
+      priority: "high",
+    });
+
+    await notificationInboxService.record("Staff", staff, {
+      type: "order_assigned",
+      title: assignedTitle,
+      message: reason ? `${assignedBody} (${reason})` : assignedBody,
+      priority: "high",
+      hotel: order.hotel?._id || order.hotel,
+      branch: order.branch?._id || order.branch,
+      data: { orderId: order._id.toString(), assignmentMethod },
+    });
+
     if (!io) {
       logger.warn(
         "Socket.IO not initialized, skipping order assignment notification"
@@ -521,6 +724,24 @@ export const notifyStaffOrderFromQueue = async (
   queuePosition = null
 ) => {
   try {
+    const queuedBody = `Order #${order.orderNumber || order._id.toString().slice(-8).toUpperCase()} - Table ${order.tableNumber || order.table?.tableNumber || "N/A"}`;
+    pushService.notify("Staff", staff._id || staff, {
+      title: "Queued order assigned",
+      body: queuedBody,
+      data: { type: "order:from_queue", orderId: order._id.toString() },
+      priority: "high",
+    });
+
+    await notificationInboxService.record("Staff", staff, {
+      type: "order_from_queue",
+      title: "Queued order assigned",
+      message: queuedBody,
+      priority: "urgent",
+      hotel: order.hotel?._id || order.hotel,
+      branch: order.branch?._id || order.branch,
+      data: { orderId: order._id.toString(), queuePosition },
+    });
+
     if (!io) {
       logger.warn(
         "Socket.IO not initialized, skipping queue order notification"
@@ -612,11 +833,6 @@ export const notifyManagerOrderAssigned = async (
   assignmentDetails = {}
 ) => {
   try {
-    if (!io) {
-      logger.warn("Socket.IO not initialized, skipping manager notification");
-      return;
-    }
-
     // Handle managerId being an object, ObjectId, or string
     const managerIdString =
       managerId?._id?.toString() || managerId?.toString() || managerId;
@@ -657,6 +873,25 @@ export const notifyManagerOrderAssigned = async (
       branch: order.branch?.toString() || order.branch,
     };
 
+    await notificationInboxService.record("Manager", managerIdString, {
+      type: "order_assignment",
+      title: isManualAssignment ? "Order assigned manually" : "Order assigned",
+      message: `Order #${notificationData.orderNumber} (table ${notificationData.tableNumber}) assigned to ${staffNameString}`,
+      priority: "low",
+      hotel: order.hotel?._id || order.hotel,
+      branch: order.branch?._id || order.branch,
+      data: {
+        orderId: notificationData.orderId,
+        staffId: staffIdString,
+        assignmentMethod,
+      },
+    });
+
+    if (!io) {
+      logger.warn("Socket.IO not initialized, skipping manager notification");
+      return;
+    }
+
     // Emit to manager's personal room
     io.to(`manager_${managerIdString}`).emit(
       "order:assignment:success",
@@ -715,6 +950,29 @@ export const notifyPendingActivation = async ({
     const superAdmins = await Admin.find({ role: "super_admin" });
     const hotelData = await Hotel.findById(hotel);
 
+    await notificationInboxService.record(
+      "Admin",
+      superAdmins.map((superAdmin) => superAdmin._id),
+      {
+        recipientRole: "super_admin",
+        type: "payment_config_pending_activation",
+        title: "Payment gateway activation required",
+        message: `Production ${provider.toUpperCase()} gateway for ${hotelData?.name || "a hotel"} requires activation`,
+        priority: "high",
+        hotel,
+        paymentConfig: paymentConfig._id,
+        triggeredBy: admin._id,
+        triggeredByName: admin.name,
+        triggeredByEmail: admin.email,
+        metadata: {
+          provider,
+          isProduction: true,
+          actionRequired: true,
+          actionUrl: `/api/v1/payment-config/${hotel}/activate`,
+        },
+      }
+    );
+
     for (const superAdmin of superAdmins) {
       // Socket notification
       if (io) {
@@ -766,6 +1024,19 @@ export const notifyActivated = async ({
 
     const hotelData = await Hotel.findById(hotel);
 
+    await notificationInboxService.record("Admin", admin._id, {
+      type: "payment_config_activated",
+      title: "Payment gateway activated",
+      message: `${provider.toUpperCase()} production gateway is now ACTIVE for ${hotelData?.name || "your hotel"}`,
+      priority: "high",
+      hotel,
+      paymentConfig: paymentConfig._id,
+      triggeredBy: activatedBy._id,
+      triggeredByName: activatedBy.name,
+      triggeredByEmail: activatedBy.email,
+      metadata: { provider, isProduction: true },
+    });
+
     // Socket notification
     if (io) {
       io.to(`admin_${admin._id}`).emit("payment:activated", {
@@ -813,6 +1084,19 @@ export const notifyDeactivated = async ({
 
     const hotelData = await Hotel.findById(hotel);
 
+    await notificationInboxService.record("Admin", admin._id, {
+      type: "payment_config_deactivated",
+      title: "Payment gateway deactivated",
+      message: `${provider.toUpperCase()} gateway for ${hotelData?.name || "your hotel"} has been DEACTIVATED: ${reason || "No reason provided"}`,
+      priority: "urgent",
+      hotel,
+      paymentConfig: paymentConfig._id,
+      triggeredBy: deactivatedBy._id,
+      triggeredByName: deactivatedBy.name,
+      triggeredByEmail: deactivatedBy.email,
+      metadata: { provider },
+    });
+
     // Socket notification
     if (io) {
       io.to(`admin_${admin._id}`).emit("payment:deactivated", {
@@ -863,6 +1147,28 @@ export const notifyDeactivationRequest = async ({
     const superAdmins = await Admin.find({ role: "super_admin" });
     const hotelData = await Hotel.findById(hotel);
 
+    await notificationInboxService.record(
+      "Admin",
+      superAdmins.map((superAdmin) => superAdmin._id),
+      {
+        recipientRole: "super_admin",
+        type: "payment_config_deactivation_requested",
+        title: "Payment gateway deactivation requested",
+        message: `${admin.name} requests deactivation of the ${provider.toUpperCase()} gateway for ${hotelData?.name || "their hotel"}: ${reason}`,
+        priority: "high",
+        hotel,
+        paymentConfig: paymentConfig._id,
+        triggeredBy: admin._id,
+        triggeredByName: admin.name,
+        triggeredByEmail: admin.email,
+        metadata: {
+          provider,
+          actionRequired: true,
+          actionUrl: `/api/v1/payment-config/${hotel}/deactivate`,
+        },
+      }
+    );
+
     for (const superAdmin of superAdmins) {
       // Socket notification
       if (io) {
@@ -909,13 +1215,6 @@ export const notifyDeactivationRequest = async ({
  */
 export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
   try {
-    if (!io) {
-      logger.warn(
-        "Socket.IO not initialized, skipping timeout cancellation notifications"
-      );
-      return;
-    }
-
     const orderId = order._id.toString();
     const orderNumber = order.orderNumber || orderId.slice(-8).toUpperCase();
     const cancellationReason = `Auto-cancelled: Order exceeded ${maxPrepTime} minutes without being served`;
@@ -938,8 +1237,63 @@ export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
       branch: order.branch?._id?.toString() || order.branch?.toString(),
     };
 
-    // 1. Notify the user who placed the order
+    // Everyone involved: the user who placed the order, the assigned staff,
+    // the branch's managers and the admin who owns the hotel
     const userId = order.user?._id?.toString() || order.user?.toString();
+    const staffId = order.staff?._id?.toString() || order.staff?.toString();
+    const hotelId = notificationData.hotel;
+    const branchId = notificationData.branch;
+
+    const { Manager } = await import("../models/Manager.model.js");
+    const managerQuery = { hotel: hotelId, status: "active" };
+    if (branchId) {
+      managerQuery.branch = branchId;
+    }
+    const managers = await Manager.find(managerQuery).select("_id name").lean();
+    const { Hotel } = await import("../models/Hotel.model.js");
+    const hotel = await Hotel.findById(hotelId).select("createdBy").lean();
+    const adminId = hotel?.createdBy?.toString();
+
+    const timeoutPush = {
+      title: "Order cancelled",
+      body: `Order #${orderNumber} was cancelled after ${maxPrepTime} minutes`,
+      data: { type: "order:timeout_cancelled", orderId },
+      priority: "high",
+    };
+    pushService.notify("User", userId, timeoutPush);
+    pushService.notify("Staff", staffId, timeoutPush);
+    pushService.notify(
+      "Manager",
+      managers.map((manager) => manager._id),
+      timeoutPush
+    );
+
+    const timeoutInbox = {
+      type: "order_timeout_cancelled",
+      title: "Order cancelled",
+      message: `Order #${orderNumber}: ${cancellationReason}`,
+      priority: "high",
+      hotel: hotelId,
+      branch: branchId,
+      data: { orderId },
+    };
+    await notificationInboxService.record("User", userId, timeoutInbox);
+    await notificationInboxService.record("Staff", staffId, timeoutInbox);
+    await notificationInboxService.record(
+      "Manager",
+      managers.map((manager) => manager._id),
+      timeoutInbox
+    );
+    await notificationInboxService.record("Admin", adminId, timeoutInbox);
+
+    if (!io) {
+      logger.warn(
+        "Socket.IO not initialized, skipping timeout cancellation notifications"
+      );
+      return;
+    }
+
+    // 1. Notify the user who placed the order
     if (userId) {
       io.to(`user_${userId}`).emit("order:timeout_cancelled", {
         ...notificationData,
@@ -951,7 +1305,6 @@ export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
     }
 
     // 2. Notify the assigned staff
-    const staffId = order.staff?._id?.toString() || order.staff?.toString();
     if (staffId) {
       io.to(`staff_${staffId}`).emit("order:timeout_cancelled", {
         ...notificationData,
@@ -963,16 +1316,6 @@ export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
     }
 
     // 3. Notify managers of the hotel/branch
-    const { Manager } = await import("../models/Manager.model.js");
-    const hotelId = order.hotel?._id?.toString() || order.hotel?.toString();
-    const branchId = order.branch?._id?.toString() || order.branch?.toString();
-
-    const managerQuery = { hotel: hotelId, status: "active" };
-    if (branchId) {
-      managerQuery.branch = branchId;
-    }
-    const managers = await Manager.find(managerQuery).select("_id name").lean();
-
     for (const manager of managers) {
       io.to(`manager_${manager._id}`).emit("order:timeout_cancelled", {
         ...notificationData,
@@ -986,10 +1329,7 @@ export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
     }
 
     // 4. Notify the admin who owns the hotel
-    const { Hotel } = await import("../models/Hotel.model.js");
-    const hotel = await Hotel.findById(hotelId).select("createdBy").lean();
-    if (hotel?.createdBy) {
-      const adminId = hotel.createdBy.toString();
+    if (adminId) {
       io.to(`admin_${adminId}`).emit("order:timeout_cancelled", {
         ...notificationData,
         staffName: order.staff?.name || "Unknown",
@@ -1023,8 +1363,281 @@ export const notifyOrderTimeoutCancelled = async (order, maxPrepTime) => {
   }
 };
 
+// ==================== INVENTORY NOTIFICATIONS ====================
+
+/**
+ * Alert the branch's managers, kitchen and owning admin that an inventory
+ * item fell to (or below) its threshold
+ * @param {Object} inventory - Inventory document
+ * @param {Object} details - { outOfStock, disabledItems: [{ _id, name }] }
+ */
+export const notifyLowStock = async (
+  inventory,
+  { outOfStock = false, disabledItems = [] } = {}
+) => {
+  try {
+    const branchId = inventory.branch?.toString();
+    const hotelId = inventory.hotel?.toString();
+
+    const notificationData = {
+      inventoryId: inventory._id.toString(),
+      itemName: inventory.itemName,
+      quantity: inventory.quantity,
+      unit: inventory.unit,
+      threshold: inventory.threshold,
+      outOfStock,
+      disabledItems: disabledItems.map((item) => ({
+        id: item._id.toString(),
+        name: item.name,
+      })),
+      message: outOfStock
+        ? `${inventory.itemName} is out of stock`
+        : `${inventory.itemName} is running low (${inventory.quantity} ${inventory.unit} left)`,
+      priority: outOfStock ? "high" : "medium",
+      branch: branchId,
+      hotel: hotelId,
+      alertedAt: new Date(),
+    };
+
+    // Managers of the branch
+    const { Manager } = await import("../models/Manager.model.js");
+    const managers = await Manager.find({ branch: branchId, status: "active" })
+      .select("_id")
+      .lean();
+    pushService.notify(
+      "Manager",
+      managers.map((manager) => manager._id),
+      {
+        title: outOfStock ? "Out of stock" : "Low stock",
+        body: notificationData.message,
+        data: {
+          type: "inventory:low_stock",
+          inventoryId: notificationData.inventoryId,
+        },
+        priority: outOfStock ? "high" : "normal",
+      }
+    );
+    const { Hotel } = await import("../models/Hotel.model.js");
+    const hotel = hotelId
+      ? await Hotel.findById(hotelId).select("createdBy").lean()
+      : null;
+    const ownerId = hotel?.createdBy;
+
+    const lowStockInbox = {
+      type: "low_stock",
+      title: outOfStock ? "Out of stock" : "Low stock",
+      message: notificationData.message,
+      priority: outOfStock ? "high" : "medium",
+      hotel: hotelId,
+      branch: branchId,
+      data: {
+        inventoryId: notificationData.inventoryId,
+        disabledItems: notificationData.disabledItems,
+      },
+    };
+    await notificationInboxService.record(
+      "Manager",
+      managers.map((manager) => manager._id),
+      lowStockInbox
+    );
+    await notificationInboxService.record("Admin", ownerId, lowStockInbox);
+
+    if (!io) {
+      logger.warn("Socket.IO not initialized, skipping low stock alert");
+      return;
+    }
+
+    for (const manager of managers) {
+      io.to(`manager_${manager._id}`).emit(
+        "inventory:low_stock",
+        notificationData
+      );
+    }
+
+    // Admin who owns the hotel
+    if (ownerId) {
+      io.to(`admin_${ownerId}`).emit("inventory:low_stock", notificationData);
+    }
+
+    // Branch room for kitchen displays and dashboards
+    if (branchId) {
+      io.to(`branch_${branchId}`).emit("inventory:low_stock", notificationData);
+    }
+
+    logger.info(
+      `Low stock alert sent for ${inventory.itemName} (${inventory._id}) in branch ${branchId}`
+    );
+    return { success: true };
+  } catch (error) {
+    logger.error("Error sending low stock alert:", {
+      error: error.message,
+      inventoryId: inventory?._id,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
+// ==================== WAITLIST NOTIFICATIONS ====================
+
+/**
+ * Tell the host stand that a freed table is being held for a waiting party
+ * @param {Object} entry - WaitlistEntry document (status "notified")
+ * @param {Object} table - The held table
+ */
+export const notifyWaitlistTableReady = async (entry, table) => {
+  try {
+    const branchId = entry.branch.toString();
+    const notificationData = {
+      waitlistEntryId: entry._id.toString(),
+      waitlistId: entry.waitlistId,
+      customerName: entry.customerName,
+      partySize: entry.partySize,
+      tableId: table._id.toString(),
+      tableNumber: table.tableNumber,
+      holdExpiresAt: entry.holdExpiresAt,
+      message: `Table ${table.tableNumber} is ready for ${entry.customerName} (party of ${entry.partySize})`,
+      branch: branchId,
+      notifiedAt: entry.notifiedAt,
+    };
+
+    // Receptionists on shift and the branch room (host stand / pager screens)
+    const { Staff } = await import("../models/Staff.model.js");
+    const receptionists = await Staff.find({
+      branch: branchId,
+      role: "receptionist",
+      status: "active",
+    })
+      .select("_id")
+      .lean();
+    pushService.notify(
+      "Staff",
+      receptionists.map((staff) => staff._id),
+      {
+        title: "Table ready",
+        body: notificationData.message,
+        data: {
+          type: "waitlist:table_ready",
+          waitlistEntryId: notificationData.waitlistEntryId,
+        },
+        priority: "high",
+      }
+    );
+    await notificationInboxService.record(
+      "Staff",
+      receptionists.map((staff) => staff._id),
+      {
+        type: "waitlist_table_ready",
+        title: "Table ready",
+        message: notificationData.message,
+        priority: "high",
+        branch: branchId,
+        data: {
+          waitlistEntryId: notificationData.waitlistEntryId,
+          tableId: notificationData.tableId,
+        },
+      }
+    );
+
+    if (!io) {
+      logger.warn("Socket.IO not initialized, skipping waitlist alert");
+      return;
+    }
+
+    for (const staff of receptionists) {
+      io.to(`staff_${staff._id}`).emit(
+        "waitlist:table_ready",
+        notificationData
+      );
+    }
+    io.to(`branch_${branchId}`).emit("waitlist:table_ready", notificationData);
+
+    return { success: true };
+  } catch (error) {
+    logger.error("Error sending waitlist table-ready alert:", {
+      error: error.message,
+      waitlistEntryId: entry?._id,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
 // ==================== EXPORTS ====================
 
+/**
+ * Tell a waiter whose shift is over which of their orders went to whom,
+ * and let their manager know too
+ * @param {Object} waiter - Staff whose shift ended
+ * @param {Object} summary - { handedOff: [{ orderId, orderNumber, tableNumber,
+ *   toStaffId, toStaffName }], pending: Number, reason }
+ */
+export const notifyShiftHandoff = async (waiter, summary) => {
+  try {
+    const handoffMessage =
+      summary.pending > 0
+        ? `${summary.handedOff.length} order(s) handed over; ${summary.pending} still with you until another waiter is free`
+        : `${summary.handedOff.length} order(s) handed over to other waiters`;
+    pushService.notify("Staff", waiter._id, {
+      title: "Shift handoff",
+      body: handoffMessage,
+      data: { type: "orders:handed_off" },
+    });
+
+    const handoffData = {
+      staffId: waiter._id.toString(),
+      handedOff: summary.handedOff,
+      pending: summary.pending,
+    };
+    await notificationInboxService.record("Staff", waiter._id, {
+      type: "orders_handed_off",
+      title: "Shift handoff",
+      message: handoffMessage,
+      hotel: waiter.hotel,
+      branch: waiter.branch,
+      data: handoffData,
+    });
+    await notificationInboxService.record("Manager", waiter.manager, {
+      type: "staff_shift_handoff",
+      title: `${waiter.name}'s shift handoff`,
+      message: `${waiter.name}: ${handoffMessage}`,
+      hotel: waiter.hotel,
+      branch: waiter.branch,
+      data: handoffData,
+    });
+
+    if (!io) {
+      logger.warn("Socket.IO not initialized, skipping shift handoff notice");
+      return;
+    }
+
+    const notificationData = {
+      staffId: waiter._id.toString(),
+      staffName: waiter.name,
+      reason: summary.reason,
+      handedOff: summary.handedOff,
+      pending: summary.pending,
+      message: handoffMessage,
+      timestamp: new Date(),
+    };
+
+    io.to(`staff_${waiter._id}`).emit("orders:handed_off", notificationData);
+    if (waiter.manager) {
+      const managerId = waiter.manager._id || waiter.manager;
+      io.to(`manager_${managerId}`).emit(
+        "staff:shift_handoff",
+        notificationData
+      );
+    }
+
+    return { success: true };
+  } catch (error) {
+    logger.error("Error sending shift handoff notice:", {
+      error: error.message,
+      staffId: waiter?._id,
+    });
+    return { success: false, error: error.message };
+  }
+};
+
 export default {
   setSocketIO,
   notifyManagerNewComplaint,
@@ -1046,4 +1659,10 @@ export default {
   notifyDeactivationRequest,
   // Order timeout notifications
   notifyOrderTimeoutCancelled,
+  // Inventory notifications
+  notifyLowStock,
+  // Waitlist notifications
+  notifyWaitlistTableReady,
+  // Shift notifications
+  notifyShiftHandoff,
 };
@@ -0,0 +1,339 @@
+// src/services/notificationInbox.service.js - Persistent in-app notifications
+import mongoose from "mongoose";
+import { Notification } from "../models/Notification.model.js";
+import { Manager } from "../models/Manager.model.js";
+import { Hotel } from "../models/Hotel.model.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_SETTINGS,
+} from "../config/constants.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Personal room prefix and default role per recipient model
+const RECIPIENTS = {
+  User: { room: "user_", role: "user" },
+  Staff: { room: "staff_", role: "staff" },
+  Manager: { room: "manager_", role: "manager" },
+  Admin: { room: "admin_", role: "admin" },
+};
+
+const INBOX_FIELDS =
+  "type category title message priority hotel branch paymentConfig metadata data read readAt createdAt";
+
+/**
+ * Notification Inbox Service
+ *
+ * Every notification sent over a socket is also stored here, so whoever
+ * was offline finds it in their inbox. Branch / hotel room broadcasts are
+ * stored for the people behind them (the branch's managers, the hotel's
+ * admin); live state streams such as floor plans are not notifications.
+ */
+class NotificationInboxService {
+  /**
+   * Store a notification for each recipient and announce it on their
+   * personal room as "notification:new"
+   * Never throws: the inbox must not fail the event that triggered it.
+   * @param {String} recipientModel - "User" | "Staff" | "Manager" | "Admin"
+   * @param {ObjectId|String|Array} recipientIds - Duplicates and nulls are skipped
+   * @param {Object} notification - { type, title, message, priority, hotel,
+   *   branch, data, recipientRole, paymentConfig, triggeredBy, metadata }
+   * @returns {Promise<Array>} Stored notifications
+   */
+  async record(recipientModel, recipientIds, notification) {
+    try {
+      const recipient = RECIPIENTS[recipientModel];
+      if (!recipient || !NOTIFICATION_TYPES[notification.type]) {
+        throw new Error(
+          `Unknown notification ${recipientModel}/${notification.type}`
+        );
+      }
+
+      const ids = [
+        ...new Set(
+          []
+            .concat(recipientIds)
+            .filter(Boolean)
+            .map((id) => (id._id || id).toString())
+        ),
+      ];
+      if (ids.length === 0) {
+        return [];
+      }
+
+      const { recipientRole = recipient.role, ...details } = notification;
+      const socketSent = isIOInitialized();
+      const stored = await Notification.insertMany(
+        ids.map((id) => ({
+          ...details,
+          recipient: id,
+          recipientModel,
+          recipientRole,
+          socketSent,
+          socketSentAt: socketSent ? new Date() : undefined,
+        }))
+      );
+
+      if (socketSent) {
+        const io = getIO();
+        for (const doc of stored) {
+          io.to(`${recipient.room}${doc.recipient}`).emit(
+            "notification:new",
+            this.format(doc)
+          );
+        }
+      }
+      return stored;
+    } catch (error) {
+      logger.error(`Failed to store ${notification?.type} notification:`, {
+        message: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Store a notification for the active managers of a branch (the people
+   * behind a "branch_<id>" broadcast)
+   * @returns {Promise<Array>} Stored notifications
+   */
+  async recordForBranchManagers(branchId, notification) {
+    try {
+      return this.record(
+        "Manager",
+        await this.getBranchManagerIds(branchId),
+        notification
+      );
+    } catch (error) {
+      logger.error(`Failed to store ${notification?.type} notification:`, {
+        message: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * IDs of a branch's active managers
+   * @returns {Promise<Array<ObjectId>>}
+   */
+  async getBranchManagerIds(branchId) {
+    if (!branchId) {
+      return [];
+    }
+    const managers = await Manager.find({
+      branch: branchId._id || branchId,
+      status: "active",
+    })
+      .select("_id")
+      .lean();
+    return managers.map((manager) => manager._id);
+  }
+
+  /**
+   * Store a notification for the admin who owns a hotel (the person behind
+   * a "hotel_<id>" broadcast)
+   * @returns {Promise<Array>} Stored notifications
+   */
+  async recordForHotelOwner(hotelId, notification) {
+    try {
+      if (!hotelId) {
+        return [];
+      }
+      const hotel = await Hotel.findById(hotelId._id || hotelId)
+        .select("createdBy")
+        .lean();
+      return this.record("Admin", hotel?.createdBy, notification);
+    } catch (error) {
+      logger.error(`Failed to store ${notification?.type} notification:`, {
+        message: error.message,
+      });
+      return [];
+    }
+  }
+
+  format(notification) {
+    return {
+      id: notification._id,
+      type: notification.type,
+      category: notification.category,
+      title: notification.title,
+      message: notification.message,
+      priority: notification.priority,
+      hotel: notification.hotel,
+      branch: notification.branch,
+      data: notification.data || {},
+      metadata: notification.metadata,
+      read: notification.read,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt,
+    };
+  }
+
+  ownerFilter(recipientModel, recipientId) {
+    return {
+      recipientModel,
+      recipient: new mongoose.Types.ObjectId(recipientId.toString()),
+      dismissed: false,
+    };
+  }
+
+  /**
+   * A page of the inbox, newest first
+   * @param {Object} options - { page, limit, unreadOnly, category }
+   * @returns {Promise<Object>} { notifications, unreadCount, pagination }
+   */
+  async list(
+    recipientModel,
+    recipientId,
+    {
+      page = 1,
+      limit = NOTIFICATION_SETTINGS.defaultPageSize,
+      unreadOnly = false,
+      category,
+    } = {}
+  ) {
+    const owner = this.ownerFilter(recipientModel, recipientId);
+    const filter = { ...owner };
+    if (unreadOnly) {
+      filter.read = false;
+    }
+    if (category) {
+      filter.category = category;
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .select(INBOX_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ ...owner, read: false }),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+    return {
+      notifications: notifications.map((notification) =>
+        this.format(notification)
+      ),
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotifications: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Unread notifications, in total and per category
+   * @returns {Promise<Object>} { total, byCategory }
+   */
+  async getUnreadCount(recipientModel, recipientId) {
+    const counts = await Notification.aggregate([
+      {
+        $match: {
+          ...this.ownerFilter(recipientModel, recipientId),
+          read: false,
+        },
+      },
+      { $group: { _id: "$category", count: { $sum: 1 } } },
+    ]);
+
+    const byCategory = Object.fromEntries(
+      counts.map(({ _id, count }) => [_id, count])
+    );
+    return {
+      total: counts.reduce((sum, { count }) => sum + count, 0),
+      byCategory,
+    };
+  }
+
+  /**
+   * Mark some of the recipient's notifications read
+   * @param {Array<String>} notificationIds
+   * @returns {Promise<Number>} Notifications newly marked
+   */
+  async markRead(recipientModel, recipientId, notificationIds) {
+    const { modifiedCount } = await Notification.updateMany(
+      {
+        ...this.ownerFilter(recipientModel, recipientId),
+        _id: { $in: notificationIds },
+        read: false,
+      },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Mark the whole inbox (or one category of it) read
+   * @returns {Promise<Number>} Notifications newly marked
+   */
+  async markAllRead(recipientModel, recipientId, { category } = {}) {
+    const filter = {
+      ...this.ownerFilter(recipientModel, recipientId),
+      read: false,
+    };
+    if (category) {
+      filter.category = category;
+    }
+
+    const { modifiedCount } = await Notification.updateMany(filter, {
+      $set: { read: true, readAt: new Date() },
+    });
+    return modifiedCount;
+  }
+
+  /**
+   * Remove a notification from the inbox
+   */
+  async dismiss(recipientModel, recipientId, notificationId) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        ...this.ownerFilter(recipientModel, recipientId),
+        _id: notificationId,
+      },
+      { $set: { dismissed: true, dismissedAt: new Date() } }
+    );
+    if (!notification) {
+      throw new APIError(404, "Notification not found");
+    }
+  }
+
+  /**
+   * Delete read (or dismissed) notifications older than readRetentionDays
+   * and everything older than retentionDays
+   * @returns {Promise<Number>} Notifications deleted
+   */
+  async pruneExpired(now = new Date()) {
+    const readCutoff = new Date(
+      now.getTime() - NOTIFICATION_SETTINGS.readRetentionDays * DAY_MS
+    );
+    const cutoff = new Date(
+      now.getTime() - NOTIFICATION_SETTINGS.retentionDays * DAY_MS
+    );
+
+    const { deletedCount } = await Notification.deleteMany({
+      $or: [
+        { createdAt: { $lt: cutoff } },
+        { read: true, createdAt: { $lt: readCutoff } },
+        { dismissed: true, createdAt: { $lt: readCutoff } },
+      ],
+    });
+    if (deletedCount > 0) {
+      logger.info(`Pruned ${deletedCount} expired notifications`);
+    }
+    return deletedCount;
+  }
+}
+
+// Export singleton instance
+const notificationInboxService = new NotificationInboxService();
+export default notificationInboxService;
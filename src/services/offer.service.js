@@ -364,6 +364,64 @@ class OfferService {
     }
   }
 
+  /**
+   * Resolve an offer code entered at checkout and calculate its discount
+   * Universal, hotel-wide and branch offers all apply; without a branch,
+   * any branch offer of the hotel does.
+   * @param {String} offerCode - Offer code entered at checkout
+   * @param {String} hotelId - Hotel ID
+   * @param {String|null} branchId - Branch ID
+   * @param {Number} subtotal - Items subtotal before discounts
+   * @returns {Promise<Object>} { offerDiscount, appliedOffer }
+   */
+  async resolveCheckoutOffer(offerCode, hotelId, branchId, subtotal) {
+    const now = new Date();
+
+    const offer = await Offer.findOne({
+      code: offerCode,
+      isActive: true,
+      startDate: { $lte: now },
+      expiryDate: { $gte: now },
+      $or: [
+        { applicableFor: "all" },
+        { applicableFor: "hotel", hotelId },
+        branchId
+          ? { applicableFor: "branch", hotelId, branchId }
+          : { applicableFor: "branch", hotelId },
+      ],
+    });
+
+    if (!offer) {
+      throw new APIError(400, "Invalid or expired offer code");
+    }
+
+    if (subtotal < (offer.minOrderValue || 0)) {
+      throw new APIError(
+        400,
+        `Minimum order value of ₹${offer.minOrderValue} required for this offer`
+      );
+    }
+
+    const discount =
+      offer.discountType === "percent"
+        ? Math.min(
+            (subtotal * offer.discountValue) / 100,
+            offer.maxDiscountAmount || subtotal
+          )
+        : Math.min(offer.discountValue, subtotal);
+    const offerDiscount = Math.round(discount * 100) / 100;
+
+    return {
+      offerDiscount,
+      appliedOffer: {
+        offerId: offer._id,
+        code: offer.code,
+        title: offer.title,
+        discountAmount: offerDiscount,
+      },
+    };
+  }
+
   /**
    * Get offer by code (for admin - with admin restriction)
    * @param {String} code - Offer code
@@ -0,0 +1,536 @@
+/**
+ * Bill splitting for orders.
+ *
+ * A split divides the order total into N shares (equally, by item or by custom
+ * amounts). Each share is paid on its own - cash shares are confirmed by staff,
+ * online shares go through the hotel's payment gateway - and the order only
+ * becomes "paid" once every share has settled. Each payer gets a partial invoice.
+ */
+
+import { Order } from "../../models/Order.model.js";
+import { APIError } from "../../utils/APIError.js";
+import { logger } from "../../utils/logger.js";
+import { generateTransactionId } from "../../utils/idGenerator.js";
+import { invoiceService } from "../invoice.service.js";
+import assignmentService from "../assignment/assignment.service.js";
+import coinService from "../reward.service.js";
+import { publishOrderEvent } from "./orderTracking.service.js";
+import {
+  clearCartAfterPayment,
+  createTransactionRecord,
+} from "../payment/postProcess.service.js";
+
+const MAX_SHARES = 20;
+
+/**
+ * Work in paise so shares always add up to the order total exactly
+ */
+const toPaise = (amount) => Math.round(amount * 100);
+const toRupees = (paise) => paise / 100;
+
+/**
+ * Shares that block a re-split: paid ones, and ones with a gateway payment
+ * in flight (replacing them would orphan the gateway order)
+ */
+const LOCKED_SHARE = {
+  $or: [
+    { paymentStatus: "paid" },
+    { paymentStatus: "pending", gatewayOrderId: { $nin: [null, ""] } },
+  ],
+};
+
+/**
+ * Items that still count towards the bill (cancelled add-ons are excluded)
+ */
+const getBillableItems = (order) =>
+  order.items.filter((item) => item.itemStatus !== "cancelled");
+
+/**
+ * Load an order and make sure its bill can still be (re-)split
+ */
+const getSplittableOrder = async (orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new APIError(404, "Order not found");
+  }
+
+  if (order.status === "cancelled") {
+    throw new APIError(400, "Cannot split the bill of a cancelled order");
+  }
+
+  if (order.payment?.paymentStatus !== "pending") {
+    throw new APIError(
+      400,
+      `Cannot split the bill when payment status is "${order.payment?.paymentStatus}"`
+    );
+  }
+
+  if (order.pendingAddOnPayment) {
+    throw new APIError(
+      400,
+      "Settle the pending add-on payment before splitting the bill"
+    );
+  }
+
+  const shares = order.billSplit?.shares || [];
+  if (shares.some((share) => share.paymentStatus === "paid")) {
+    throw new APIError(
+      400,
+      "Bill split cannot be changed after a share has been paid"
+    );
+  }
+  if (
+    shares.some(
+      (share) => share.paymentStatus === "pending" && share.gatewayOrderId
+    )
+  ) {
+    throw new APIError(
+      409,
+      "A share payment is in progress. Wait for it to finish before changing the split"
+    );
+  }
+
+  return order;
+};
+
+/**
+ * Split the total into equal amounts; the last share absorbs rounding
+ */
+const buildEqualShares = (totalPaise, numberOfShares) => {
+  const basePaise = Math.floor(totalPaise / numberOfShares);
+
+  return Array.from({ length: numberOfShares }, (_, index) =>
+    index === numberOfShares - 1
+      ? totalPaise - basePaise * (numberOfShares - 1)
+      : basePaise
+  );
+};
+
+/**
+ * Allocate order items to shares and price each share by its share of the
+ * items subtotal. Every billable item quantity must be allocated exactly once.
+ */
+const buildItemShares = (order, totalPaise, shareInputs) => {
+  const billableItems = getBillableItems(order);
+  const remaining = new Map(
+    billableItems.map((item) => [item._id.toString(), item.quantity])
+  );
+
+  const shareGross = shareInputs.map((shareInput, shareIndex) => {
+    if (!shareInput.items?.length) {
+      throw new APIError(400, `Share ${shareIndex + 1} has no items`);
+    }
+
+    return shareInput.items.reduce((gross, allocation) => {
+      const itemId = allocation.orderItemId.toString();
+      const item = billableItems.find((i) => i._id.toString() === itemId);
+      if (!item) {
+        throw new APIError(400, `Order item ${itemId} not found on this bill`);
+      }
+
+      const left = remaining.get(itemId) - allocation.quantity;
+      if (left < 0) {
+        throw new APIError(
+          400,
+          `${item.foodItemName} is allocated more than the ${item.quantity} ordered`
+        );
+      }
+      remaining.set(itemId, left);
+
+      return gross + item.price * allocation.quantity;
+    }, 0);
+  });
+
+  const unallocated = billableItems.filter(
+    (item) => remaining.get(item._id.toString()) > 0
+  );
+  if (unallocated.length > 0) {
+    throw new APIError(
+      400,
+      "Every item on the bill must be allocated to a share",
+      unallocated.map(
+        (item) =>
+          `${item.foodItemName}: ${remaining.get(item._id.toString())} unallocated`
+      )
+    );
+  }
+
+  // Taxes, service charge and discounts are spread in proportion to item value
+  const itemsGross = shareGross.reduce((sum, gross) => sum + gross, 0);
+  let allocatedPaise = 0;
+
+  return shareGross.map((gross, index) => {
+    if (index === shareGross.length - 1) {
+      return totalPaise - allocatedPaise;
+    }
+    const paise = Math.round((totalPaise * gross) / itemsGross);
+    allocatedPaise += paise;
+    return paise;
+  });
+};
+
+/**
+ * Use the amounts entered by the diners; they must add up to the total
+ */
+const buildCustomShares = (totalPaise, shareInputs) => {
+  const amounts = shareInputs.map((shareInput) => toPaise(shareInput.amount));
+  const sum = amounts.reduce((total, paise) => total + paise, 0);
+
+  if (sum !== totalPaise) {
+    throw new APIError(
+      400,
+      `Share amounts add up to ₹${toRupees(sum)} but the bill is ₹${toRupees(totalPaise)}`
+    );
+  }
+
+  return amounts;
+};
+
+/**
+ * Split an order's bill into shares
+ * @param {string} orderId - Order ID
+ * @param {Object} splitDetails - { mode, numberOfShares, shares }
+ * @param {Object} splitBy - { id, role } of whoever split the bill
+ * @returns {Object} - Updated order
+ */
+export const createBillSplit = async (orderId, splitDetails, splitBy) => {
+  const { mode, numberOfShares, shares: shareInputs = [] } = splitDetails;
+
+  const order = await getSplittableOrder(orderId);
+  const totalPaise = toPaise(order.totalPrice);
+
+  let amounts;
+  if (mode === "equal") {
+    if (shareInputs.length > numberOfShares) {
+      throw new APIError(400, "More share details than number of shares");
+    }
+    amounts = buildEqualShares(totalPaise, numberOfShares);
+  } else if (mode === "by_item") {
+    amounts = buildItemShares(order, totalPaise, shareInputs);
+  } else {
+    amounts = buildCustomShares(totalPaise, shareInputs);
+  }
+
+  if (amounts.length < 2 || amounts.length > MAX_SHARES) {
+    throw new APIError(
+      400,
+      `A bill can be split into 2 to ${MAX_SHARES} shares`
+    );
+  }
+
+  if (amounts.some((paise) => paise <= 0)) {
+    throw new APIError(400, "Every share must have an amount to pay");
+  }
+
+  const billSplit = {
+    mode,
+    splitBy: splitBy.id,
+    splitByRole: splitBy.role,
+    splitAt: new Date(),
+    shares: amounts.map((paise, index) => {
+      const shareInput = shareInputs[index] || {};
+      return {
+        shareNumber: index + 1,
+        amount: toRupees(paise),
+        ratio: totalPaise > 0 ? paise / totalPaise : 0,
+        payer: shareInput.payer,
+        items:
+          mode === "by_item"
+            ? shareInput.items.map((allocation) => ({
+                orderItem: allocation.orderItemId,
+                quantity: allocation.quantity,
+              }))
+            : [],
+        paymentMethod: shareInput.paymentMethod || "cash",
+        paymentStatus: "pending",
+      };
+    }),
+  };
+
+  // Conditional write: a share payment started, or an add-on changing the
+  // total, since the order was loaded makes this split stale
+  const updated = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      totalPrice: order.totalPrice,
+      "payment.paymentStatus": "pending",
+      "billSplit.shares": { $not: { $elemMatch: LOCKED_SHARE } },
+    },
+    { $set: { billSplit } },
+    { new: true }
+  );
+  if (!updated) {
+    throw new APIError(
+      409,
+      "This bill was just updated. Please reload and try again"
+    );
+  }
+
+  logger.info(
+    `Bill for order ${orderId} split ${mode} into ${amounts.length} shares by ${splitBy.role} ${splitBy.id}`
+  );
+
+  return updated;
+};
+
+/**
+ * Get the bill split of an order with a settlement summary
+ * @param {Object} order - Order document
+ * @returns {Object} - Split details
+ */
+export const getBillSplitSummary = (order) => {
+  const shares = order.billSplit?.shares || [];
+  const totalPaise = toPaise(order.totalPrice);
+  const paidAmount = shares
+    .filter((share) => share.paymentStatus === "paid")
+    .reduce((sum, share) => sum + toPaise(share.amount), 0);
+
+  return {
+    orderId: order._id,
+    mode: order.billSplit?.mode || null,
+    totalPrice: order.totalPrice,
+    paidAmount: toRupees(paidAmount),
+    remainingAmount: toRupees(totalPaise - paidAmount),
+    // Against the live total, so shares split before an add-on never settle it
+    isSettled:
+      shares.length > 0 &&
+      shares.every((share) => share.paymentStatus === "paid") &&
+      paidAmount === totalPaise,
+    shares,
+  };
+};
+
+/**
+ * Find a share on a split order
+ * @param {Object} order - Order document
+ * @param {string} shareId - Share subdocument ID
+ * @returns {Object} - Share subdocument
+ */
+export const findSplitShare = (order, shareId) => {
+  if (!order.billSplit?.shares?.length) {
+    throw new APIError(400, "This order's bill has not been split");
+  }
+
+  const share = order.billSplit.shares.id(shareId);
+  if (!share) {
+    throw new APIError(404, "Bill share not found");
+  }
+
+  return share;
+};
+
+/**
+ * Mark a share as paid; once every share is paid, mark the order paid
+ * Both steps are conditional updates, so when two shares are paid at the
+ * same time exactly one of them settles the order.
+ * @param {string} orderId - Order ID
+ * @param {string} shareId - Share subdocument ID
+ * @param {Object} paymentDetails - provider, paymentId, gatewayResponse, cashConfirmedBy, cashConfirmedByRole
+ * @returns {Object} - { order, share, isSettled }
+ */
+export const settleSplitShare = async (orderId, shareId, paymentDetails) => {
+  const current = await Order.findById(orderId);
+  if (!current) {
+    throw new APIError(404, "Order not found");
+  }
+
+  const pendingShare = findSplitShare(current, shareId);
+  if (pendingShare.paymentStatus === "paid") {
+    return {
+      order: current,
+      share: pendingShare,
+      isSettled: current.payment.paymentStatus === "paid",
+    };
+  }
+
+  const now = new Date();
+  let order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      "billSplit.shares": {
+        $elemMatch: { _id: shareId, paymentStatus: { $ne: "paid" } },
+      },
+    },
+    {
+      $set: {
+        "billSplit.shares.$.paymentStatus": "paid",
+        "billSplit.shares.$.paidAt": now,
+        "billSplit.shares.$.provider": paymentDetails.provider,
+        "billSplit.shares.$.paymentId": paymentDetails.paymentId,
+        "billSplit.shares.$.transactionId":
+          paymentDetails.paymentId || generateTransactionId(),
+        "billSplit.shares.$.gatewayResponse": paymentDetails.gatewayResponse,
+        "billSplit.shares.$.cashConfirmedBy": paymentDetails.cashConfirmedBy,
+        "billSplit.shares.$.cashConfirmedByRole":
+          paymentDetails.cashConfirmedByRole,
+        "billSplit.shares.$.invoiceNumber": `${invoiceService.generateInvoiceNumber(
+          "INV",
+          current._id
+        )}-S${pendingShare.shareNumber}`,
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    // Paid by a concurrent request in the meantime
+    const latest = await Order.findById(orderId);
+    return {
+      order: latest,
+      share: findSplitShare(latest, shareId),
+      isSettled: latest.payment.paymentStatus === "paid",
+    };
+  }
+
+  const share = findSplitShare(order, shareId);
+  let settledHere = false;
+
+  if (getBillSplitSummary(order).isSettled) {
+    // Record the provider of the online shares, or cash if all were cash
+    const onlineShare = order.billSplit.shares.find(
+      (s) => s.provider && s.provider !== "cash"
+    );
+
+    const paymentUpdate = {
+      "payment.paymentStatus": "paid",
+      "payment.paidAt": now,
+      "payment.provider": onlineShare?.provider || "cash",
+      "payment.transactionId": generateTransactionId(),
+    };
+    if (order.payment.commissionStatus === "pending") {
+      paymentUpdate["payment.commissionStatus"] = "due";
+    }
+
+    const settled = await Order.findOneAndUpdate(
+      {
+        _id: orderId,
+        totalPrice: order.totalPrice,
+        "payment.paymentStatus": { $ne: "paid" },
+      },
+      { $set: paymentUpdate },
+      { new: true }
+    );
+    if (settled) {
+      order = settled;
+      settledHere = true;
+    }
+  }
+
+  const isSettled = settledHere || order.payment.paymentStatus === "paid";
+
+  logger.info(
+    `Share ${share.shareNumber} of order ${orderId} paid via ${share.provider}${
+      settledHere ? " - bill fully settled" : ""
+    }`
+  );
+
+  await sendShareInvoice(order, share);
+  await publishOrderEvent(order._id, "payment_updated", {
+    message: settledHere
+      ? "Bill fully paid"
+      : `Share ${share.shareNumber} of the bill paid`,
+  });
+
+  if (settledHere) {
+    await completeSettledOrder(order);
+  }
+
+  return { order, share, isSettled };
+};
+
+/**
+ * Post-payment actions once every share has been paid
+ */
+const completeSettledOrder = async (order) => {
+  if (!order.staff) {
+    try {
+      await assignmentService.assignOrder(order._id.toString());
+    } catch (assignmentError) {
+      logger.error(
+        `Assignment after split settlement failed for order ${order._id}: ${assignmentError.message}`
+      );
+    }
+  }
+
+  if (order.user) {
+    try {
+      await clearCartAfterPayment(order);
+    } catch (cartError) {
+      logger.error(
+        `Cart clearing after split settlement failed for order ${order._id}: ${cartError.message}`
+      );
+    }
+  }
+
+  await createTransactionRecord(order);
+
+  // POS / phone orders earn coins once paid
+  try {
+    await coinService.awardCoinsForPaidOrder(order);
+  } catch (coinError) {
+    logger.error(
+      `Coin award after split settlement failed for order ${order._id}: ${coinError.message}`
+    );
+  }
+};
+
+/**
+ * Generate the partial invoice for a share
+ * @param {string} orderId - Order ID
+ * @param {string} shareId - Share subdocument ID
+ * @returns {Object} - Invoice buffer and details
+ */
+export const generateShareInvoice = async (orderId, shareId) => {
+  const order = await Order.findById(orderId)
+    .populate("hotel", "name email contactNumber gstin")
+    .populate("branch", "name email contactNumber address");
+  if (!order) {
+    throw new APIError(404, "Order not found");
+  }
+
+  const share = findSplitShare(order, shareId);
+  if (share.paymentStatus !== "paid") {
+    throw new APIError(400, "Invoice is available once the share is paid");
+  }
+
+  return invoiceService.generateShareInvoice(order, share);
+};
+
+/**
+ * Email the partial invoice to the payer of a share (never fails the payment)
+ */
+const sendShareInvoice = async (order, share) => {
+  let invoiceEmailStatus = "no_email";
+
+  if (share.payer?.email) {
+    try {
+      const invoice = await generateShareInvoice(order._id, share._id);
+      await invoiceService.sendInvoiceEmail(
+        invoice,
+        share.payer.email,
+        share.payer.name || "Guest",
+        "invoice"
+      );
+      invoiceEmailStatus = "sent";
+    } catch (error) {
+      invoiceEmailStatus = "failed";
+      logger.error(
+        `Failed to send share ${share.shareNumber} invoice for order ${order._id}: ${error.message}`
+      );
+    }
+  }
+
+  share.invoiceEmailStatus = invoiceEmailStatus;
+  await Order.updateOne(
+    { _id: order._id, "billSplit.shares._id": share._id },
+    { $set: { "billSplit.shares.$.invoiceEmailStatus": invoiceEmailStatus } }
+  );
+};
+
+export default {
+  createBillSplit,
+  getBillSplitSummary,
+  findSplitShare,
+  settleSplitShare,
+  generateShareInvoice,
+};
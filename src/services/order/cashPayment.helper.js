@@ -9,6 +9,7 @@ import { Order } from "../../models/Order.model.js";
 import { User } from "../../models/User.model.js";
 import { EmailQueue } from "../../models/EmailQueue.model.js";
 import { logger } from "../../utils/logger.js";
+import notificationInboxService from "../notificationInbox.service.js";
 import { getIO, isIOInitialized } from "../../utils/socketService.js";
 import { sendReviewInvitationEmail } from "../../utils/emailService.js";
 import { invoiceService } from "../invoice.service.js";
@@ -25,6 +26,9 @@ export async function sendReviewEmailIfReady(updatedOrder, orderId) {
     return;
   }
 
+  // Walk-in POS / phone orders have no account to review from
+  if (!updatedOrder.user) return;
+
   try {
     const user = await User.findById(
       updatedOrder.user._id || updatedOrder.user
@@ -79,7 +83,10 @@ export async function sendInvoiceEmailIfReady(updatedOrder, orderId) {
 
     if (!populatedOrder) return;
 
-    const userEmail = populatedOrder.user?.email;
+    const userEmail =
+      populatedOrder.user?.email || populatedOrder.customer?.email;
+    const userName =
+      populatedOrder.user?.name || populatedOrder.customer?.name || "Guest";
     if (!userEmail) {
       await Order.findByIdAndUpdate(orderId, {
         invoiceEmailStatus: "no_email",
@@ -105,9 +112,10 @@ export async function sendInvoiceEmailIfReady(updatedOrder, orderId) {
         branchAddress: populatedOrder.branch?.address || "",
         branchPhone: populatedOrder.branch?.contactNumber || "",
         branchEmail: populatedOrder.branch?.email || "",
-        customerName: populatedOrder.user?.name || "Guest",
-        customerEmail: populatedOrder.user?.email || "",
-        customerPhone: populatedOrder.user?.phone || "",
+        customerName: userName,
+        customerEmail: userEmail,
+        customerPhone:
+          populatedOrder.user?.phone || populatedOrder.customer?.phone || "",
         tableNumber: populatedOrder.tableNumber || "",
       };
     }
@@ -122,7 +130,7 @@ export async function sendInvoiceEmailIfReady(updatedOrder, orderId) {
       await invoiceService.sendInvoiceEmail(
         invoice,
         userEmail,
-        populatedOrder.user.name,
+        userName,
         "invoice"
       );
       populatedOrder.invoiceEmailStatus = "sent";
@@ -142,7 +150,7 @@ export async function sendInvoiceEmailIfReady(updatedOrder, orderId) {
         type: "invoice",
         orderId: populatedOrder._id,
         recipientEmail: userEmail,
-        recipientName: populatedOrder.user.name,
+        recipientName: userName,
         status: "pending",
         emailData: {
           subject: `Invoice ${populatedOrder.invoiceNumber} - TableTop`,
@@ -172,16 +180,34 @@ export async function sendInvoiceEmailIfReady(updatedOrder, orderId) {
  */
 export function emitPaymentConfirmed(updatedOrder, confirmedBy) {
   try {
-    if (!isIOInitialized()) return;
+    if (!updatedOrder.user) return;
 
-    const io = getIO();
     const userId = updatedOrder.user._id || updatedOrder.user;
-    io.to(`user_${userId}`).emit("payment:confirmed", {
+    // Split bills stay pending until the last share is confirmed
+    const isPaid = updatedOrder.payment?.paymentStatus === "paid";
+    const message = isPaid
+      ? "Your cash payment has been confirmed"
+      : "Cash payment for a share of your bill has been confirmed";
+
+    notificationInboxService.record("User", userId, {
+      type: "payment_confirmed",
+      title: "Payment confirmed",
+      message,
+      hotel: updatedOrder.hotel?._id || updatedOrder.hotel,
+      branch: updatedOrder.branch?._id || updatedOrder.branch,
+      data: {
+        orderId: updatedOrder._id.toString(),
+        paymentStatus: updatedOrder.payment?.paymentStatus,
+      },
+    });
+
+    if (!isIOInitialized()) return;
+    getIO().to(`user_${userId}`).emit("payment:confirmed", {
       orderId: updatedOrder._id,
-      paymentStatus: "paid",
+      paymentStatus: updatedOrder.payment?.paymentStatus,
       paymentMethod: "cash",
       confirmedBy,
-      message: "Your cash payment has been confirmed",
+      message,
     });
   } catch (socketError) {
     logger.error("Socket notification error:", socketError);
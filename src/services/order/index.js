@@ -8,9 +8,18 @@ export {
   placeDirectOrder,
   addItemsToOrder,
   confirmCashPayment,
+  dispatchOrderToKitchen,
+  placeStaffOrder,
   default as orderService,
 } from "./order.service.js";
 
+export {
+  getOrderEta,
+  publishOrderEvent,
+  publishOrderEvents,
+  getOrderTracking,
+} from "./orderTracking.service.js";
+
 export { getOrderAnalytics } from "./analytics.service.js";
 
 export {
@@ -5,13 +5,35 @@ import { Hotel } from "../../models/Hotel.model.js";
 import { Branch } from "../../models/Branch.model.js";
 import { Table } from "../../models/Table.model.js";
 import { User } from "../../models/User.model.js";
+import { Offer } from "../../models/Offer.model.js";
 import { APIError } from "../../utils/APIError.js";
 import coinService from "../reward.service.js";
+import offerService from "../offer.service.js";
 import assignmentService from "../assignment/assignment.service.js";
+import kitchenService from "../kitchen.service.js";
+import inventoryService from "../inventory.service.js";
 import { createTransactionRecord } from "../payment/postProcess.service.js";
 import { generateTransactionId } from "../../utils/idGenerator.js";
 import { calculateCommission } from "../../utils/commissionCalculator.js";
 import { getIO } from "../../utils/socketService.js";
+import { findSplitShare, settleSplitShare } from "./billSplit.service.js";
+import {
+  getOrderTypePrice,
+  resolveOrderTypeSettings,
+  buildOrderTypeFields,
+  priceCartItemsForOrderType,
+} from "./orderType.helper.js";
+import {
+  resolveSchedule,
+  releaseScheduledSlot,
+} from "./scheduledOrder.service.js";
+import { publishOrderEvent } from "./orderTracking.service.js";
+import notificationInboxService from "../notificationInbox.service.js";
+import {
+  resolveModifierSelections,
+  getModifiersPrice,
+} from "../modifier.service.js";
+import { resolveComboSelections, getItemGstRate } from "../combo.service.js";
 
 /**
  * Place order from user's cart
@@ -34,8 +56,21 @@ export const placeOrderFromCart = async (
       specialInstructions,
       estimatedDeliveryTime,
       coinsToUse = 0,
+      orderType = "dine_in",
+      pickup,
+      deliveryAddress,
+      scheduledFor,
     } = orderDetails;
 
+    // Scheduled pre-orders are paid up front and held until their release time
+    const isScheduled = Boolean(scheduledFor);
+    if (isScheduled && (!paymentMethod || paymentMethod === "cash")) {
+      throw new APIError(
+        400,
+        "Scheduled orders must be paid online in advance"
+      );
+    }
+
     // 1. Get user's checkout cart
     // Normalize branchId - convert empty string or null to null
     const normalizedBranchId = branchId && branchId !== "" ? branchId : null;
@@ -48,7 +83,7 @@ export const placeOrderFromCart = async (
     }).populate({
       path: "items.foodItem",
       select:
-        "name price discountPrice isAvailable preparationTime foodType category gstRate",
+        "name price discountPrice orderTypePricing isAvailable availableTimings preparationTime foodType category gstRate",
       populate: {
         path: "category",
         select: "name",
@@ -88,9 +123,11 @@ export const placeOrderFromCart = async (
       }
     }
 
-    // 4. Validate table if provided
+    const { packagingCharge } = resolveOrderTypeSettings(branch, orderType);
+
+    // 4. Validate table if provided (takeaway / delivery orders have none)
     let table = null;
-    if (tableId) {
+    if (tableId && orderType === "dine_in") {
       // Build table query - include branch only if provided
       const tableQuery = { _id: tableId, hotel: hotelId };
       if (branch) {
@@ -111,8 +148,9 @@ export const placeOrderFromCart = async (
       }
     }
 
-    // 5. Calculate order totals
-    const orderCalculation = calculateOrderTotals(cart);
+    // 5. Calculate order totals (takeaway / delivery may use their own prices)
+    const pricedCart = priceCartItemsForOrderType(cart.items, orderType);
+    const orderCalculation = calculateOrderTotals(pricedCart, packagingCharge);
 
     // 6. Apply coins if specified
     let coinDiscount = 0;
@@ -140,8 +178,24 @@ export const placeOrderFromCart = async (
     // 7. Calculate estimated preparation time
     const estimatedTime = calculateEstimatedTime(cart.items);
 
+    const orderTypeFields = buildOrderTypeFields(orderType, {
+      pickup,
+      deliveryAddress,
+    });
+
+    // Validate and book the requested slot for scheduled orders
+    const schedule = isScheduled
+      ? await resolveSchedule({
+          scheduledFor,
+          branch,
+          hotelId,
+          items: cart.items,
+          preparationTime: estimatedTime,
+        })
+      : null;
+
     // 7. Transform cart items to order items format (include per-item GST)
-    const orderItems = cart.items.map((item, index) => ({
+    const orderItems = pricedCart.items.map((item, index) => ({
       foodItem: item.foodItem._id,
       quantity: item.quantity,
       price: item.price,
@@ -150,7 +204,7 @@ export const placeOrderFromCart = async (
       foodItemName: item.foodItem.name, // For order history
       foodType: item.foodItem.foodType,
       category: item.foodItem.category?.name,
-      gstRate: item.foodItem.gstRate ?? 0,
+      gstRate: getItemGstRate(item.foodItem, item.customizations) ?? 0,
       gstAmount:
         orderCalculation.breakdown?.itemDetails?.[index]?.gstAmount ?? 0,
     }));
@@ -160,11 +214,14 @@ export const placeOrderFromCart = async (
       user: userId,
       hotel: hotelId,
       branch: branch ? branchId : null, // Only set branch if it exists
-      table: tableId || null,
+      table: table ? table._id : null,
       tableNumber: table ? table.tableNumber : null,
+      ...orderTypeFields,
       items: orderItems,
       subtotal: orderCalculation.subtotal,
       taxes: orderCalculation.taxes,
+      serviceCharge: orderCalculation.serviceCharge,
+      packagingCharge,
       totalPrice: finalTotal, // Use final total after coin discount
       originalPrice: orderCalculation.total, // Store original price
       coinDiscount: coinDiscount,
@@ -173,14 +230,22 @@ export const placeOrderFromCart = async (
         paymentMethod: paymentMethod || "cash",
         paymentStatus: "pending", // All orders start as pending until payment is confirmed
       },
-      status: "pending",
+      status: isScheduled ? "scheduled" : "pending",
+      ...schedule,
       estimatedTime,
       specialInstructions: specialInstructions || "",
       orderSource: "mobile_app",
     };
 
     const order = new Order(orderData);
-    await order.save();
+    try {
+      await order.save();
+    } catch (saveError) {
+      // Hand back the slot booked by resolveSchedule
+      await releaseScheduledSlot(order);
+      throw saveError;
+    }
+    await publishOrderEvent(order._id, isScheduled ? "scheduled" : "placed");
 
     // 9. Process coin transactions
     if (coinsToUse > 0) {
@@ -189,7 +254,8 @@ export const placeOrderFromCart = async (
         userId,
         order._id,
         coinsToUse,
-        orderCalculation.total
+        orderCalculation.total,
+        hotelId
       );
     }
 
@@ -207,7 +273,8 @@ export const placeOrderFromCart = async (
     await cart.save();
 
     // 11. Update table status if table was selected
-    if (table) {
+    // (scheduled orders occupy their table when released)
+    if (table && !isScheduled) {
       await table.updateStatus("occupied", userId, order._id);
     }
 
@@ -225,8 +292,9 @@ export const placeOrderFromCart = async (
     // 12.5. Automatically assign order to a waiter (only for cash orders)
     // For digital payments (razorpay, phonepe, etc.), assignment happens AFTER payment verification
     const isCashOrder =
-      options.paymentMethod === "cash" ||
-      order.payment?.paymentMethod === "cash";
+      !isScheduled &&
+      (options.paymentMethod === "cash" ||
+        order.payment?.paymentMethod === "cash");
     if (isCashOrder) {
       try {
         const assignmentResult = await assignmentService.assignOrder(
@@ -401,8 +469,10 @@ export const cancelOrder = async (
       );
     }
 
-    // User can only cancel at "pending" — once staff confirms, cancellation is blocked
-    if (order.status !== "pending") {
+    // User can only cancel at "pending" (or while a pre-order is still held)
+    // — once staff confirms, cancellation is blocked
+    const wasScheduled = order.status === "scheduled";
+    if (order.status !== "pending" && !wasScheduled) {
       throw new APIError(
         400,
         "Order cannot be cancelled after staff confirmation"
@@ -438,9 +508,13 @@ export const cancelOrder = async (
     }
 
     await order.save();
+    await publishOrderEvent(order._id, "cancelled", { message: reason });
+    if (wasScheduled) {
+      await releaseScheduledSlot(order);
+    }
 
-    // Update table status if applicable
-    if (order.table) {
+    // Update table status if applicable (held pre-orders never occupied it)
+    if (order.table && !wasScheduled) {
       await Table.findByIdAndUpdate(order.table, {
         status: "available",
         currentOrder: null,
@@ -515,6 +589,26 @@ export const autoCancelTimedOutOrder = async (orderId, maxPrepTime) => {
     }
 
     await order.save();
+    await publishOrderEvent(order._id, "timed_out", { message: reason });
+
+    // Pull any open tickets off the kitchen displays
+    try {
+      await kitchenService.voidOrderTickets(order._id, reason);
+    } catch (kitchenError) {
+      console.warn(
+        `Failed to void kitchen tickets for timed out order ${orderId}:`,
+        kitchenError.message
+      );
+    }
+
+    try {
+      await inventoryService.restoreForOrder(order._id, reason);
+    } catch (inventoryError) {
+      console.warn(
+        `Failed to restore inventory for timed out order ${orderId}:`,
+        inventoryError.message
+      );
+    }
 
     // Free up the table if applicable
     if (order.table) {
@@ -691,6 +785,9 @@ export const cancelBatchItems = async (
     });
 
     await order.save();
+    await publishOrderEvent(order._id, "batch_cancelled", {
+      message: `Batch ${batch} cancelled`,
+    });
 
     // Socket notification to staff
     try {
@@ -715,6 +812,14 @@ export const cancelBatchItems = async (
           "order:batch-cancelled",
           notificationData
         );
+        notificationInboxService.record("Staff", order.staff, {
+          type: "order_items_cancelled",
+          title: "Add-on items cancelled",
+          message: `Order #${order.orderNumber}: ${notificationData.message}`,
+          hotel: order.hotel,
+          branch: order.branch,
+          data: { orderId: order._id.toString(), batch },
+        });
       }
       if (order.branch) {
         io.to(`branch_${order.branch}`).emit(
@@ -868,7 +973,9 @@ const reorderToCart = async (originalOrder, userId, orderDetails) => {
             foodItem: item.foodItem._id,
             quantity: item.quantity,
             price: currentPrice,
-            totalPrice: currentPrice * item.quantity,
+            totalPrice:
+              (currentPrice + getModifiersPrice(item.customizations)) *
+              item.quantity,
             customizations: item.customizations || {},
             addedFrom: "reorder",
           });
@@ -950,13 +1057,15 @@ const reorderToCart = async (originalOrder, userId, orderDetails) => {
 /**
  * Calculate order totals including taxes and discounts
  * @param {Object} cart - Cart object with items
+ * @param {number} packagingCharge - Takeaway / delivery packaging charge
  * @returns {Object} - Order calculation breakdown
  */
-const calculateOrderTotals = (cart) => {
+const calculateOrderTotals = (cart, packagingCharge = 0) => {
   const subtotal = cart.subtotal;
   const taxCalculation = calculateTaxes(cart.items, subtotal, subtotal);
   const serviceCharge = calculateServiceCharge(subtotal);
-  const total = subtotal + taxCalculation.total + serviceCharge;
+  const total =
+    subtotal + taxCalculation.total + serviceCharge + packagingCharge;
 
   return {
     subtotal,
@@ -968,6 +1077,7 @@ const calculateOrderTotals = (cart) => {
       cgst: taxCalculation.cgst,
       sgst: taxCalculation.sgst,
       serviceCharge,
+      packagingCharge,
       grandTotal: total,
       itemDetails: taxCalculation.itemDetails,
     },
@@ -990,7 +1100,8 @@ const calculateTaxes = (items, baseAmount, subtotal) => {
 
   items.forEach((item) => {
     // Support both cart items (foodItem.gstRate) and order items (item.gstRate)
-    const gstRate = item.gstRate ?? item.foodItem?.gstRate ?? 0;
+    const gstRate =
+      item.gstRate ?? getItemGstRate(item.foodItem, item.customizations) ?? 0;
     const itemBaseAmount = item.totalPrice * discountRatio;
     const itemGstAmount = (itemBaseAmount * gstRate) / 100;
     totalTaxes += itemGstAmount;
@@ -1044,7 +1155,8 @@ const calculateEstimatedTime = (items) => {
  * @param {string} userId - User ID
  * @param {string} hotelId - Hotel ID
  * @param {string} branchId - Branch ID
- * @param {Object} orderDetails - Order details with items array
+ * @param {Object} orderDetails - Order details with items array and orderType
+ *   (dine-in needs a table, delivery a delivery address)
  * @returns {Object} - Created order
  */
 export const placeDirectOrder = async (
@@ -1061,6 +1173,9 @@ export const placeDirectOrder = async (
       specialInstructions,
       customerNote,
       estimatedDeliveryTime,
+      orderType = "dine_in",
+      pickup,
+      deliveryAddress,
     } = orderDetails;
 
     // 1. Validate user exists
@@ -1083,9 +1198,20 @@ export const placeDirectOrder = async (
       }
     }
 
-    // 3. Validate table if provided
+    // Check the branch takes this order type and it has the details it needs
+    resolveOrderTypeSettings(branch, orderType);
+    const orderTypeFields = buildOrderTypeFields(orderType, {
+      pickup,
+      deliveryAddress,
+      customer: { name: user.name, phone: user.phone },
+    });
+
+    // 3. Validate table (dine-in only; takeaway / delivery orders have none)
     let table = null;
-    if (tableId) {
+    if (orderType === "dine_in") {
+      if (!tableId) {
+        throw new APIError(400, "Table is required for dine-in orders");
+      }
       table = await Table.findById(tableId);
       if (!table) {
         throw new APIError(404, "Table not found");
@@ -1143,7 +1269,7 @@ export const placeDirectOrder = async (
 
     // 5. Calculate pricing with per-item GST
     const taxCalculation = calculateTaxes(orderItems, subtotal, subtotal);
-    const deliveryFee = table ? 0 : 50; // Free delivery for table orders
+    const deliveryFee = orderType === "delivery" ? 50 : 0;
     const total = subtotal + taxCalculation.total + deliveryFee;
 
     // Add gstAmount to each order item
@@ -1168,7 +1294,7 @@ export const placeDirectOrder = async (
       user: userId,
       hotel: hotelId,
       branch: branchId,
-      table: tableId,
+      table: table?._id,
       items: orderItems,
       pricing: {
         subtotal,
@@ -1182,19 +1308,22 @@ export const placeDirectOrder = async (
       customerNote,
       estimatedPreparationTime: estimatedPrepTime,
       estimatedDeliveryTime: estimatedDelivery,
-      orderType: "direct", // Mark as direct order
+      ...orderTypeFields,
       timeline: [
         {
           status: "pending",
           timestamp: new Date(),
           note: `Order placed ${
-            table ? `from Table ${table.tableNumber}` : "for delivery"
+            table
+              ? `from Table ${table.tableNumber}`
+              : `for ${orderType === "delivery" ? "delivery" : "takeaway"}`
           }`,
         },
       ],
     });
 
     await newOrder.save();
+    await publishOrderEvent(newOrder._id, "placed");
 
     // 9. Update table status if applicable
     if (
@@ -1228,6 +1357,286 @@ export const placeDirectOrder = async (
   }
 };
 
+/**
+ * Place an order keyed in by staff (POS terminal or phone call)
+ * The guest does not need a User account; if their phone number matches a
+ * registered user the order is linked to them so coins can be used and earned.
+ * @param {Object} staff - Authenticated staff member (req.user)
+ * @param {Object} orderDetails - Items, table, customer and payment details
+ * @returns {Object} - Created order with pricing breakdown
+ */
+export const placeStaffOrder = async (staff, orderDetails) => {
+  try {
+    const {
+      items,
+      tableId,
+      orderSource = "pos",
+      customer = {},
+      paymentMethod = "cash",
+      offerCode,
+      coinsToUse = 0,
+      coinOtp,
+      specialInstructions,
+      orderType = "dine_in",
+      pickup,
+      deliveryAddress,
+    } = orderDetails;
+
+    const hotelId = (staff.hotel?._id || staff.hotel)?.toString();
+    const branchId = (staff.branch?._id || staff.branch)?.toString() || null;
+
+    // 1. Validate hotel and branch are active
+    const hotel = await Hotel.findById(hotelId);
+    if (!hotel || hotel.status !== "active") {
+      throw new APIError(400, "Hotel is currently inactive");
+    }
+
+    let branch = null;
+    if (branchId) {
+      branch = await Branch.findById(branchId);
+      if (!branch || branch.status !== "active") {
+        throw new APIError(400, "Branch is currently inactive");
+      }
+    }
+
+    const { packagingCharge } = resolveOrderTypeSettings(branch, orderType);
+
+    // 2. Validate table for dine-in (walk-in / phone orders may have none)
+    let table = null;
+    if (tableId && orderType === "dine_in") {
+      table = await Table.findOne({
+        _id: tableId,
+        hotel: hotelId,
+        ...(branchId && { branch: branchId }),
+      });
+      if (!table) {
+        throw new APIError(400, "Table not found in this branch");
+      }
+      // Merged tables bill onto the group's primary table
+      if (table.mergedInto) {
+        table = (await Table.findById(table.mergedInto)) || table;
+      }
+      if (table.status !== "available" && table.status !== "occupied") {
+        throw new APIError(400, "Table is not available for orders");
+      }
+    }
+
+    // 3. Link a registered user by phone number, if there is one
+    let user = null;
+    if (customer.phone) {
+      user = await User.findOne({ phone: customer.phone }).select(
+        "name email phone coins"
+      );
+    }
+
+    if (coinsToUse > 0 && !user) {
+      throw new APIError(
+        400,
+        "Coins can only be used by customers with a registered account"
+      );
+    }
+
+    // 4. Validate and prepare food items
+    const orderItems = [];
+    let subtotal = 0;
+
+    for (const item of items) {
+      const foodItem = await FoodItem.findById(item.foodItemId).populate(
+        "category",
+        "name"
+      );
+
+      if (!foodItem || foodItem.hotel.toString() !== hotelId) {
+        throw new APIError(404, `Food item ${item.foodItemId} not found`);
+      }
+
+      if (!foodItem.isAvailable) {
+        throw new APIError(400, `${foodItem.name} is currently unavailable`);
+      }
+
+      if (foodItem.gstRate === undefined || foodItem.gstRate === null) {
+        throw new APIError(
+          400,
+          `GST rate not configured for item: ${foodItem.name}. Please contact admin.`
+        );
+      }
+
+      const customizations = {
+        ...item.customizations,
+        modifiers: await resolveModifierSelections(
+          foodItem,
+          item.customizations?.modifiers
+        ),
+        comboItems: await resolveComboSelections(
+          foodItem,
+          item.customizations?.comboItems,
+          item.quantity
+        ),
+      };
+
+      const itemPrice = getOrderTypePrice(foodItem, orderType);
+      const itemTotal =
+        (itemPrice + getModifiersPrice(customizations)) * item.quantity;
+      subtotal += itemTotal;
+
+      orderItems.push({
+        foodItem: foodItem._id,
+        foodItemName: foodItem.name,
+        foodType: foodItem.foodType,
+        category: foodItem.category?.name,
+        quantity: item.quantity,
+        price: itemPrice,
+        totalPrice: itemTotal,
+        customizations,
+        preparationTime: foodItem.preparationTime,
+        gstRate: getItemGstRate(foodItem, customizations),
+      });
+    }
+
+    // 5. Apply offer code
+    let offerDiscount = 0;
+    let appliedOffer = null;
+    if (offerCode) {
+      ({ offerDiscount, appliedOffer } =
+        await offerService.resolveCheckoutOffer(
+          offerCode,
+          hotelId,
+          branchId,
+          subtotal
+        ));
+    }
+
+    // 6. Apply coins on the amount left after the offer; redeeming them
+    // needs the code texted to the diner
+    let coinDiscount = 0;
+    if (coinsToUse > 0) {
+      await coinService.verifyRedemptionOtp(user._id, coinOtp);
+      const coinApplication = await coinService.applyCoinsToOrder(
+        user._id,
+        coinsToUse,
+        subtotal - offerDiscount,
+        hotelId
+      );
+      coinDiscount = coinApplication.discount;
+    }
+
+    // 7. Calculate GST on the discounted amount, plus service and packaging charges
+    const baseAmount = Math.max(0, subtotal - offerDiscount - coinDiscount);
+    const taxCalculation = calculateTaxes(orderItems, baseAmount, subtotal);
+    const serviceCharge = calculateServiceCharge(baseAmount);
+    const totalPrice =
+      Math.round(
+        (baseAmount + taxCalculation.total + serviceCharge + packagingCharge) *
+          100
+      ) / 100;
+
+    orderItems.forEach((item, index) => {
+      item.gstAmount = taxCalculation.itemDetails[index].gstAmount;
+    });
+
+    const commissionResult = calculateCommission(hotel, totalPrice);
+
+    // 8. Create order
+    const order = new Order({
+      user: user?._id,
+      customer: {
+        name: customer.name || user?.name,
+        phone: customer.phone,
+        email: customer.email || user?.email,
+      },
+      hotel: hotelId,
+      branch: branchId,
+      table: table?._id || null,
+      tableNumber: table ? table.tableNumber : null,
+      ...buildOrderTypeFields(orderType, { pickup, deliveryAddress, customer }),
+      items: orderItems,
+      subtotal,
+      taxes: taxCalculation.total,
+      serviceCharge,
+      packagingCharge,
+      totalPrice,
+      originalPrice: subtotal,
+      offerDiscount,
+      appliedOffer,
+      coinDiscount,
+      coinsUsed: coinDiscount > 0 ? coinsToUse : 0,
+      payment: {
+        paymentMethod,
+        paymentStatus: "pending",
+        commissionAmount: commissionResult.amount,
+        commissionRate: commissionResult.rate,
+        commissionStatus: commissionResult.applicable
+          ? "pending"
+          : "not_applicable",
+      },
+      status: "pending",
+      estimatedTime: calculateEstimatedTime(orderItems),
+      specialInstructions: specialInstructions || "",
+      orderSource,
+      enteredBy: staff._id,
+      enteredByRole: staff.role,
+    });
+
+    await order.save();
+    // Only reaches the diner when the order is linked to their account
+    await publishOrderEvent(order._id, "placed");
+
+    // 9. Redeem coins for the linked user (coins are earned once paid)
+    if (user && coinDiscount > 0) {
+      await coinService.processCoinsUsage(
+        user._id,
+        order._id,
+        coinsToUse,
+        subtotal - offerDiscount,
+        hotelId
+      );
+    }
+
+    // 10. Mark the table occupied
+    if (table) {
+      await table.updateStatus("occupied", user?._id || null, order._id);
+    }
+
+    // 11. Staff-entered orders go straight into waiter assignment
+    try {
+      await assignmentService.assignOrder(order._id.toString());
+    } catch (assignmentError) {
+      // The order is still valid - it can be assigned manually later
+      console.error(
+        `[STAFF-ORDER] Assignment failed for order ${order._id}:`,
+        assignmentError.message
+      );
+    }
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate("user", "name email phone coins")
+      .populate("hotel", "name hotelId")
+      .populate("branch", "name branchId")
+      .populate("table", "tableNumber capacity")
+      .populate("staff", "name staffId role")
+      .populate("enteredBy", "name staffId role");
+
+    populatedOrder._doc.pricingBreakdown = {
+      subtotal,
+      offerDiscount,
+      coinDiscount,
+      cgst: taxCalculation.cgst,
+      sgst: taxCalculation.sgst,
+      totalGst: taxCalculation.total,
+      serviceCharge,
+      packagingCharge,
+      totalPrice,
+    };
+
+    return populatedOrder;
+  } catch (error) {
+    if (error instanceof APIError) {
+      throw error;
+    }
+    throw new APIError(500, "Failed to place staff order", error.message);
+  }
+};
+
 /**
  * Add extra items to an existing served order (add-on / supplementary items)
  * @param {string} orderId - Order ID
@@ -1256,6 +1665,13 @@ export const addItemsToOrder = async (orderId, userId) => {
         "A previous add-on payment is still pending. Please complete the payment before adding more items."
       );
     }
+    if (order.billSplit?.shares?.length) {
+      // The shares cover the current total; an add-on would go uncollected
+      throw new APIError(
+        400,
+        "This bill has been split. Please settle it before adding more items."
+      );
+    }
 
     // 2. Fetch user's active cart for the same hotel/branch
     const normalizedBranchId =
@@ -1307,6 +1723,7 @@ export const addItemsToOrder = async (orderId, userId) => {
         );
         itemTotal += addOnPrice * item.quantity;
       }
+      itemTotal += getModifiersPrice(item.customizations) * item.quantity;
 
       addOnSubtotal += itemTotal;
 
@@ -1328,7 +1745,7 @@ export const addItemsToOrder = async (orderId, userId) => {
         totalPrice: itemTotal,
         customizations: item.customizations,
         foodType: item.foodItem.foodType || "veg",
-        gstRate: item.foodItem.gstRate,
+        gstRate: getItemGstRate(item.foodItem, item.customizations),
         gstAmount: 0, // Will be calculated below
         batch: newBatch,
       };
@@ -1462,6 +1879,9 @@ export const addItemsToOrder = async (orderId, userId) => {
 
     // 10. Save order
     await order.save();
+    await publishOrderEvent(order._id, "items_added", {
+      message: `Batch ${newBatch} added`,
+    });
 
     // 11. Socket notification for cash orders (immediate)
     // For digital orders, notification is sent after supplementary payment is verified
@@ -1487,6 +1907,15 @@ export const addItemsToOrder = async (orderId, userId) => {
           "order:items-added",
           notificationData
         );
+        notificationInboxService.record("Staff", order.staff, {
+          type: "order_items_added",
+          title: "Items added to order",
+          message: `Order #${order.orderNumber}: ${notificationData.message}`,
+          priority: "high",
+          hotel: order.hotel,
+          branch: order.branch,
+          data: { orderId: order._id.toString(), batch: newBatch },
+        });
         if (order.branch) {
           io.to(`branch_${order.branch}`).emit(
             "order:items-added",
@@ -1521,25 +1950,83 @@ export const addItemsToOrder = async (orderId, userId) => {
   }
 };
 
+/**
+ * Route a confirmed order's items to the kitchen station displays and take
+ * their recipe ingredients out of stock
+ * Only items that are not already on a ticket are routed, so this is also
+ * used when an add-on batch is acknowledged
+ * @param {string} orderId - Order ID
+ * @returns {Array} - Newly created kitchen tickets (empty on failure)
+ */
+export const dispatchOrderToKitchen = async (orderId) => {
+  try {
+    await inventoryService.deductForOrder(orderId);
+  } catch (error) {
+    console.error(
+      `[INVENTORY] Failed to deduct stock for order ${orderId}:`,
+      error.message
+    );
+  }
+
+  try {
+    return await kitchenService.dispatchOrder(orderId);
+  } catch (error) {
+    // Kitchen routing must never block the status change itself
+    console.error(
+      `[KITCHEN] Failed to route order ${orderId} to kitchen:`,
+      error.message
+    );
+    return [];
+  }
+};
+
 /**
  * Confirm cash payment for an order (mark as paid)
+ * For split bills a shareId is required and only that share is confirmed;
+ * the order is marked paid once every share has settled.
  * @param {string} orderId - Order ID
  * @param {string} confirmedBy - User ID of the person confirming
  * @param {string} confirmedByRole - Role of the confirmer (staff, manager, admin)
+ * @param {string} [shareId] - Bill share ID (split bills only)
+ * @param {number} [tipAmount] - Cash tip left with the bill (whole bills only)
  * @returns {Object} - Updated order
  */
 export const confirmCashPayment = async (
   orderId,
   confirmedBy,
-  confirmedByRole
+  confirmedByRole,
+  shareId = null,
+  tipAmount = 0
 ) => {
   try {
+    tipAmount = Number(tipAmount || 0);
+    if (!Number.isFinite(tipAmount) || tipAmount < 0) {
+      throw new APIError(400, "Tip amount must be a positive number");
+    }
+
     const order = await Order.findById(orderId);
 
     if (!order) {
       throw new APIError(404, "Order not found");
     }
 
+    if (order.billSplit?.shares?.length > 0) {
+      if (tipAmount > 0) {
+        throw new APIError(400, "Tips can't be added to split bill shares");
+      }
+      return await confirmCashShare(
+        order,
+        shareId,
+        confirmedBy,
+        confirmedByRole
+      );
+    }
+
+    // Same cap as an online tip
+    if (tipAmount > order.totalPrice) {
+      throw new APIError(400, "Tip must be between 0 and the bill amount");
+    }
+
     // Only cash payments can be manually confirmed
     if (order.payment?.paymentMethod !== "cash") {
       throw new APIError(
@@ -1578,6 +2065,13 @@ export const confirmCashPayment = async (
       updateFields["payment.commissionStatus"] = "due";
     }
 
+    // Cash tip left with the bill. Always overwritten: a tip from an
+    // abandoned online payment attempt was never paid.
+    updateFields["payment.tip"] =
+      tipAmount > 0
+        ? { amount: tipAmount, method: "cash", addedAt: new Date() }
+        : { amount: 0 };
+
     const updatedOrder = await Order.findByIdAndUpdate(orderId, updateFields, {
       new: true,
     })
@@ -1589,6 +2083,19 @@ export const confirmCashPayment = async (
 
     // Create Transaction record for cash payment (same as online payments)
     await createTransactionRecord(updatedOrder);
+    await publishOrderEvent(updatedOrder._id, "payment_updated", {
+      message: "Cash payment received",
+    });
+
+    // POS / phone orders earn coins once paid
+    try {
+      await coinService.awardCoinsForPaidOrder(updatedOrder);
+    } catch (coinError) {
+      console.error(
+        `[CASH-PAYMENT] Coin award failed for order ${orderId}:`,
+        coinError.message
+      );
+    }
 
     return updatedOrder;
   } catch (error) {
@@ -1599,6 +2106,54 @@ export const confirmCashPayment = async (
   }
 };
 
+/**
+ * Confirm the cash payment of one share of a split bill
+ * @param {Object} order - Order document with billSplit
+ * @param {string} shareId - Bill share ID
+ * @param {string} confirmedBy - User ID of the person confirming
+ * @param {string} confirmedByRole - Role of the confirmer
+ * @returns {Object} - Updated order
+ */
+const confirmCashShare = async (
+  order,
+  shareId,
+  confirmedBy,
+  confirmedByRole
+) => {
+  if (!shareId) {
+    throw new APIError(
+      400,
+      "This bill is split - specify which share (shareId) was paid in cash"
+    );
+  }
+
+  const share = findSplitShare(order, shareId);
+
+  if (share.paymentMethod !== "cash") {
+    throw new APIError(
+      400,
+      `Share ${share.shareNumber} is paid online via ${share.paymentMethod}`
+    );
+  }
+
+  if (share.paymentStatus === "paid") {
+    throw new APIError(400, `Share ${share.shareNumber} is already paid`);
+  }
+
+  await settleSplitShare(order._id, share._id, {
+    provider: "cash",
+    cashConfirmedBy: confirmedBy,
+    cashConfirmedByRole: confirmedByRole,
+  });
+
+  return Order.findById(order._id)
+    .populate("user", "name phone email")
+    .populate("hotel", "name hotelId")
+    .populate("branch", "name branchId")
+    .populate("table", "tableNumber")
+    .populate("staff", "name staffId");
+};
+
 export default {
   placeOrderFromCart,
   getUserOrders,
@@ -1609,4 +2164,6 @@ export default {
   addItemsToOrder,
   confirmCashPayment,
   autoCancelTimedOutOrder,
+  dispatchOrderToKitchen,
+  placeStaffOrder,
 };
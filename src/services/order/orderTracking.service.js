@@ -0,0 +1,294 @@
+/**
+ * Diner order tracking
+ *
+ * Every lifecycle transition of an order (placed, queued, assigned, status
+ * changes, add-ons, payments, cancellation, refunds) is published to the diner on
+ * "order:tracking" with a snapshot of the status, ETA, queue position and
+ * assigned waiter. Each event is also stored with a per-order sequence so
+ * an app that was offline can replay what it missed.
+ */
+
+import { Order } from "../../models/Order.model.js";
+import { OrderTrackingEvent } from "../../models/OrderTrackingEvent.model.js";
+import { APIError } from "../../utils/APIError.js";
+import { logger } from "../../utils/logger.js";
+import notificationInboxService from "../notificationInbox.service.js";
+import { getIO, isIOInitialized } from "../../utils/socketService.js";
+import { ORDER_TRACKING_SETTINGS } from "../../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses the kitchen is still working towards "ready" in
+const PREPARING_STATUSES = ["pending", "confirmed", "preparing", "queued"];
+
+const TRACKING_FIELDS =
+  "user hotel branch status payment.paymentStatus estimatedTime estimatedAssignmentTime queuePosition scheduledFor staff statusHistory trackingSequence createdAt";
+
+const getOrderNumber = (order) =>
+  order.orderNumber || order._id.toString().slice(-8).toUpperCase();
+
+/**
+ * Inbox notification for the events a diner would want to find later
+ * (timeouts are stored by the timeout notifier itself)
+ * @returns {Object|null} { type, title, message }
+ */
+const getInboxNotification = (event, status, orderNumber) => {
+  if (event === "cancelled") {
+    return {
+      type: "order_cancelled",
+      title: "Order cancelled",
+      message: `Order #${orderNumber} was cancelled`,
+    };
+  }
+  if (event === "refund_updated") {
+    return {
+      type: "refund_updated",
+      title: "Refund update",
+      message: `Refund for order #${orderNumber} updated`,
+    };
+  }
+  if (event === "status_changed" && status === "ready") {
+    return {
+      type: "order_status_updated",
+      title: "Order ready",
+      message: `Order #${orderNumber} is ready`,
+    };
+  }
+  return null;
+};
+
+/**
+ * When the order should be ready
+ * Preparation restarts when add-ons arrive after serving, so the estimate
+ * runs from the start of the current stretch of preparing statuses.
+ * @param {Object} order - Needs status, estimatedTime, statusHistory,
+ *   createdAt, scheduledFor, estimatedAssignmentTime
+ * @param {Date} now
+ * @returns {Object} { readyAt, minutesRemaining } (nulls when not applicable)
+ */
+export const getOrderEta = (order, now = new Date()) => {
+  const minutesUntil = (date) =>
+    Math.max(0, Math.ceil((date.getTime() - now.getTime()) / MINUTE_MS));
+
+  if (order.status === "scheduled" && order.scheduledFor) {
+    const readyAt = new Date(order.scheduledFor);
+    return { readyAt, minutesRemaining: minutesUntil(readyAt) };
+  }
+
+  if (order.status === "ready") {
+    const readyEntry = [...(order.statusHistory || [])]
+      .reverse()
+      .find((entry) => entry.status === "ready");
+    return { readyAt: readyEntry?.timestamp || null, minutesRemaining: 0 };
+  }
+
+  if (!PREPARING_STATUSES.includes(order.status) || !order.estimatedTime) {
+    return { readyAt: null, minutesRemaining: null };
+  }
+
+  const history = order.statusHistory || [];
+  let startedAt = new Date(order.createdAt || now);
+  for (
+    let i = history.length - 1;
+    i >= 0 && PREPARING_STATUSES.includes(history[i].status);
+    i--
+  ) {
+    startedAt = new Date(history[i].timestamp);
+  }
+
+  let readyAt = new Date(startedAt.getTime() + order.estimatedTime * MINUTE_MS);
+  // A queued order can't be ready before a waiter is expected to pick it up
+  if (
+    order.status === "queued" &&
+    order.estimatedAssignmentTime &&
+    new Date(order.estimatedAssignmentTime) > readyAt
+  ) {
+    readyAt = new Date(order.estimatedAssignmentTime);
+  }
+
+  return { readyAt, minutesRemaining: minutesUntil(readyAt) };
+};
+
+/**
+ * Tracking snapshot of an order (staff populated with name, or an ID)
+ */
+const buildSnapshot = (order) => ({
+  status: order.status,
+  paymentStatus: order.payment?.paymentStatus,
+  queuePosition: order.status === "queued" ? order.queuePosition || null : null,
+  eta: getOrderEta(order),
+  waiter: order.staff?._id
+    ? { id: order.staff._id, name: order.staff.name }
+    : null,
+});
+
+const formatEvent = (orderId, event) => ({
+  orderId: orderId.toString(),
+  orderNumber: getOrderNumber({ _id: orderId }),
+  sequence: event.sequence,
+  event: event.event,
+  message: event.message || null,
+  status: event.status,
+  paymentStatus: event.paymentStatus,
+  queuePosition: event.queuePosition ?? null,
+  eta: {
+    readyAt: event.eta?.readyAt || null,
+    minutesRemaining: event.eta?.minutesRemaining ?? null,
+  },
+  waiter: event.waiter?.id
+    ? { id: event.waiter.id, name: event.waiter.name }
+    : null,
+  timestamp: event.createdAt,
+});
+
+/**
+ * Record a lifecycle event and push it to the diner
+ * Never throws: tracking must not fail the operation that triggered it.
+ * Call it after the change is saved. Orders without a diner (POS / phone)
+ * are skipped.
+ * @param {String|ObjectId} orderId
+ * @param {String} event - One of ORDER_TRACKING_EVENTS
+ * @param {Object} options - { message }
+ * @returns {Promise<Object|null>} The published event
+ */
+export const publishOrderEvent = async (orderId, event, { message } = {}) => {
+  try {
+    // Taking the next sequence also reads the snapshot in the same step
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, user: { $ne: null } },
+      { $inc: { trackingSequence: 1 } },
+      { new: true, projection: TRACKING_FIELDS, timestamps: false }
+    )
+      .populate("staff", "name")
+      .lean();
+    if (!order) {
+      return null;
+    }
+
+    const snapshot = buildSnapshot(order);
+    let trackingEvent;
+    try {
+      trackingEvent = await OrderTrackingEvent.create({
+        order: order._id,
+        user: order.user,
+        sequence: order.trackingSequence,
+        event,
+        message,
+        ...snapshot,
+        waiter: snapshot.waiter || undefined,
+      });
+    } catch (error) {
+      // Hand the sequence back unless a later event already took the next one
+      await Order.updateOne(
+        { _id: order._id, trackingSequence: order.trackingSequence },
+        { $inc: { trackingSequence: -1 } },
+        { timestamps: false }
+      ).catch(() => {});
+      throw error;
+    }
+
+    const payload = formatEvent(order._id, trackingEvent);
+    if (isIOInitialized()) {
+      getIO().to(`user_${order.user}`).emit("order:tracking", payload);
+    }
+
+    const inbox = getInboxNotification(
+      event,
+      snapshot.status,
+      getOrderNumber(order)
+    );
+    if (inbox) {
+      await notificationInboxService.record("User", order.user, {
+        ...inbox,
+        message: message ? `${inbox.message}: ${message}` : inbox.message,
+        hotel: order.hotel,
+        branch: order.branch,
+        data: { orderId: payload.orderId, status: snapshot.status },
+      });
+    }
+    return payload;
+  } catch (error) {
+    logger.error(`Order tracking event ${event} failed for ${orderId}:`, {
+      message: error.message,
+    });
+    return null;
+  }
+};
+
+/**
+ * Publish the same event for several orders (e.g. everyone behind a
+ * removed queue entry moved up)
+ * @param {Array<String|ObjectId>} orderIds
+ */
+export const publishOrderEvents = async (orderIds, event, options = {}) => {
+  for (const orderId of orderIds) {
+    await publishOrderEvent(orderId, event, options);
+  }
+};
+
+/**
+ * Current tracking state plus the events after a sequence, for an app
+ * catching up after a reconnect
+ * @param {String} orderId
+ * @param {String} userId - Must own the order
+ * @param {Object} options - { after, limit }
+ * @returns {Promise<Object>} { current, events, hasMore, truncated }
+ *   truncated means older events have expired; rely on current. Expiry
+ *   removes the oldest events first, so a sequence missing from the middle
+ *   (an event that failed to save) does not count as truncated.
+ */
+export const getOrderTracking = async (
+  orderId,
+  userId,
+  { after = 0, limit = ORDER_TRACKING_SETTINGS.maxReplayEvents } = {}
+) => {
+  const order = await Order.findOne({ _id: orderId, user: userId })
+    .select(TRACKING_FIELDS)
+    .populate("staff", "name")
+    .lean();
+  if (!order) {
+    throw new APIError(404, "Order not found");
+  }
+
+  const events = await OrderTrackingEvent.find({
+    order: order._id,
+    sequence: { $gt: after },
+  })
+    .sort({ sequence: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = events.length > limit;
+  const page = events.slice(0, limit);
+
+  let truncated = false;
+  if (
+    order.trackingSequence > after &&
+    (page.length === 0 || page[0].sequence > after + 1)
+  ) {
+    const oldest = await OrderTrackingEvent.findOne({ order: order._id })
+      .sort({ sequence: 1 })
+      .select("sequence")
+      .lean();
+    truncated = !oldest || oldest.sequence > after + 1;
+  }
+
+  return {
+    current: {
+      orderId: order._id.toString(),
+      orderNumber: getOrderNumber(order),
+      sequence: order.trackingSequence || 0,
+      ...buildSnapshot(order),
+    },
+    events: page.map((event) => formatEvent(order._id, event)),
+    hasMore,
+    truncated,
+  };
+};
+
+export default {
+  getOrderEta,
+  publishOrderEvent,
+  publishOrderEvents,
+  getOrderTracking,
+};
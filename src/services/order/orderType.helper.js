@@ -0,0 +1,131 @@
+/**
+ * Order-type helpers shared by cart checkout, app orders and staff POS orders.
+ *
+ * Dine-in orders are tied to a table. Takeaway and delivery orders skip the
+ * table, carry a packaging charge and may use their own item prices.
+ */
+
+import {
+  ORDER_TYPES,
+  DEFAULT_PACKAGING_CHARGES,
+} from "../../config/constants.js";
+import { APIError } from "../../utils/APIError.js";
+
+const ORDER_TYPE_LABELS = {
+  dine_in: "Dine-in",
+  takeaway: "Takeaway",
+  delivery: "Delivery",
+};
+
+/**
+ * Unit price of a food item for an order type.
+ * Falls back to the dine-in price (discountPrice or price) when the item has
+ * no takeaway/delivery price of its own.
+ *
+ * @param {Object} foodItem – FoodItem document or lean object
+ * @param {string} orderType – dine_in | takeaway | delivery
+ * @returns {number}
+ */
+export function getOrderTypePrice(foodItem, orderType = "dine_in") {
+  const override = foodItem.orderTypePricing?.[orderType];
+  if (orderType !== "dine_in" && override !== undefined && override !== null) {
+    return override;
+  }
+  return foodItem.discountPrice || foodItem.price;
+}
+
+/**
+ * Check the branch accepts the order type and work out its packaging charge.
+ *
+ * @param {Object|null} branch – Branch document (null for hotels without branches)
+ * @param {string} orderType – dine_in | takeaway | delivery
+ * @returns {{ packagingCharge: number }}
+ */
+export function resolveOrderTypeSettings(branch, orderType = "dine_in") {
+  if (!ORDER_TYPES.includes(orderType)) {
+    throw new APIError(400, `Invalid order type: ${orderType}`);
+  }
+
+  if (orderType === "dine_in") {
+    return { packagingCharge: 0 };
+  }
+
+  const settings = branch?.orderTypes?.[orderType];
+  if (settings?.enabled === false) {
+    throw new APIError(
+      400,
+      `${ORDER_TYPE_LABELS[orderType]} orders are not available at this branch`
+    );
+  }
+
+  return {
+    packagingCharge:
+      settings?.packagingCharge ?? DEFAULT_PACKAGING_CHARGES[orderType],
+  };
+}
+
+/**
+ * Order document fields for the order type's own flow.
+ * Takeaway pickup details default to the POS/phone customer when omitted.
+ *
+ * @param {string} orderType – dine_in | takeaway | delivery
+ * @param {Object} details – { pickup, deliveryAddress, customer }
+ * @returns {Object}
+ */
+export function buildOrderTypeFields(
+  orderType = "dine_in",
+  { pickup, deliveryAddress, customer } = {}
+) {
+  if (orderType === "takeaway") {
+    const name = pickup?.name || customer?.name;
+    if (!name) {
+      throw new APIError(400, "Pickup name is required for takeaway orders");
+    }
+    return {
+      orderType,
+      pickup: {
+        name,
+        phone: pickup?.phone || customer?.phone,
+        pickupTime: pickup?.pickupTime,
+      },
+    };
+  }
+
+  if (orderType === "delivery") {
+    if (!deliveryAddress) {
+      throw new APIError(400, "Delivery address is required");
+    }
+    return { orderType, deliveryAddress };
+  }
+
+  return { orderType: "dine_in" };
+}
+
+/**
+ * Re-price cart items for an order type, keeping add-on charges intact.
+ *
+ * @param {Array} cartItems – Cart items with populated foodItem
+ * @param {string} orderType – dine_in | takeaway | delivery
+ * @returns {{ items: Array, subtotal: number }}
+ */
+export function priceCartItemsForOrderType(cartItems, orderType = "dine_in") {
+  let subtotal = 0;
+  const items = cartItems.map((item) => {
+    const price = getOrderTypePrice(item.foodItem, orderType);
+    const totalPrice =
+      Math.round(
+        (item.totalPrice + (price - item.price) * item.quantity) * 100
+      ) / 100;
+    subtotal += totalPrice;
+
+    return {
+      foodItem: item.foodItem,
+      quantity: item.quantity,
+      customizations: item.customizations,
+      price,
+      totalPrice,
+    };
+  });
+
+  return { items, subtotal: Math.round(subtotal * 100) / 100 };
+}
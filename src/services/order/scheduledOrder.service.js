@@ -0,0 +1,419 @@
+/**
+ * Scheduled pre-orders
+ *
+ * Diners can order ahead for a future time. The order is paid up front and
+ * held in the "scheduled" state; the release job moves it to "confirmed",
+ * fires kitchen tickets and queues waiter assignment at
+ * scheduledFor - preparation time.
+ */
+
+import { Order } from "../../models/Order.model.js";
+import { ScheduledOrderSlot } from "../../models/ScheduledOrderSlot.model.js";
+import { Table } from "../../models/Table.model.js";
+import { APIError } from "../../utils/APIError.js";
+import { logger } from "../../utils/logger.js";
+import { getIO, isIOInitialized } from "../../utils/socketService.js";
+import {
+  MEAL_PERIODS,
+  SCHEDULED_ORDER_SETTINGS,
+} from "../../config/constants.js";
+import { getLocalMinutes, isWithinWindow } from "../../utils/businessTime.js";
+import assignmentService from "../assignment/assignment.service.js";
+import kitchenService from "../kitchen.service.js";
+import inventoryService from "../inventory.service.js";
+import coinService from "../reward.service.js";
+import { publishOrderEvent } from "./orderTracking.service.js";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Meal period (breakfast/lunch/snacks/dinner) a time falls in
+ * @param {Date} date
+ * @returns {string|null}
+ */
+export const getMealPeriod = (date) => {
+  const minutes = getLocalMinutes(date);
+  const match = Object.entries(MEAL_PERIODS).find(([, window]) =>
+    isWithinWindow(minutes, window.start, window.end)
+  );
+  return match ? match[0] : null;
+};
+
+const getMaxOrdersPerSlot = () =>
+  parseInt(process.env.SCHEDULED_ORDERS_PER_SLOT, 10) ||
+  SCHEDULED_ORDER_SETTINGS.maxOrdersPerSlot;
+
+/**
+ * Take one booking in a slot. The counter is seeded from the orders already
+ * held in the slot the first time it is used, then only moves through
+ * conditional $inc updates, so concurrent checkouts can't overbook it.
+ *
+ * @returns {Promise<boolean>} false when the slot is full
+ */
+const reserveSlot = async ({ hotelId, branchId, scheduledSlot }) => {
+  const key = { hotel: hotelId, branch: branchId, slot: scheduledSlot };
+
+  if (!(await ScheduledOrderSlot.exists(key))) {
+    const booked = await Order.countDocuments({
+      hotel: hotelId,
+      branch: branchId,
+      status: "scheduled",
+      scheduledSlot,
+    });
+    try {
+      await ScheduledOrderSlot.create({ ...key, booked });
+    } catch (error) {
+      // Another checkout seeded it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const slot = await ScheduledOrderSlot.findOneAndUpdate(
+    { ...key, booked: { $lt: getMaxOrdersPerSlot() } },
+    { $inc: { booked: 1 } },
+    { new: true }
+  );
+  return Boolean(slot);
+};
+
+/**
+ * Give back the slot booking held by a scheduled order. Safe to call from
+ * every path that takes an order out of "scheduled" — only the first call
+ * for an order frees the slot. An order that failed to save (still isNew)
+ * has nothing to claim and frees its slot directly.
+ *
+ * @param {Object} order - Order with _id, hotel, branch and scheduledSlot
+ */
+export const releaseScheduledSlot = async (order) => {
+  if (!order?.scheduledSlot) return;
+
+  try {
+    if (!order.isNew) {
+      const claimed = await Order.updateOne(
+        { _id: order._id, scheduledSlotFreed: { $ne: true } },
+        { $set: { scheduledSlotFreed: true } }
+      );
+      if (claimed.modifiedCount === 0) return;
+    }
+
+    await ScheduledOrderSlot.updateOne(
+      {
+        hotel: order.hotel?._id || order.hotel,
+        branch: order.branch?._id || order.branch || null,
+        slot: order.scheduledSlot,
+        booked: { $gt: 0 },
+      },
+      { $inc: { booked: -1 } }
+    );
+  } catch (error) {
+    logger.error(
+      `Failed to free scheduled slot for order ${order._id}: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Start of the capacity slot a time falls in
+ * @param {Date} date
+ * @returns {Date}
+ */
+export const getSlotStart = (date) => {
+  const slotMs = SCHEDULED_ORDER_SETTINGS.slotMinutes * MINUTE_MS;
+  return new Date(Math.floor(date.getTime() / slotMs) * slotMs);
+};
+
+/**
+ * Validate a requested pre-order time and work out its slot and release time.
+ * Checks lead time, branch operating hours and item meal-period availability,
+ * then books the slot. Callers must hand the slot back with
+ * releaseScheduledSlot if the order is not saved.
+ *
+ * @param {Object} params
+ * @param {Date|string} params.scheduledFor – When the diner wants the order ready
+ * @param {Object|null} params.branch – Branch document (null for hotels without branches)
+ * @param {string} params.hotelId – Hotel ID
+ * @param {Array} params.items – Items with populated foodItem (name, availableTimings)
+ * @param {number} params.preparationTime – Estimated preparation time in minutes
+ * @returns {{ scheduledFor: Date, scheduledSlot: Date, releaseAt: Date }}
+ */
+export const resolveSchedule = async ({
+  scheduledFor,
+  branch,
+  hotelId,
+  items,
+  preparationTime,
+}) => {
+  const readyAt = new Date(scheduledFor);
+  if (Number.isNaN(readyAt.getTime())) {
+    throw new APIError(400, "Invalid scheduled time");
+  }
+
+  const now = Date.now();
+  const leadMinutes = Math.max(
+    SCHEDULED_ORDER_SETTINGS.minLeadMinutes,
+    preparationTime
+  );
+  if (readyAt.getTime() < now + leadMinutes * MINUTE_MS) {
+    throw new APIError(
+      400,
+      `Scheduled orders must be placed at least ${leadMinutes} minutes ahead`
+    );
+  }
+  if (
+    readyAt.getTime() >
+    now + SCHEDULED_ORDER_SETTINGS.maxAdvanceDays * 24 * 60 * MINUTE_MS
+  ) {
+    throw new APIError(
+      400,
+      `Orders can be scheduled up to ${SCHEDULED_ORDER_SETTINGS.maxAdvanceDays} days ahead`
+    );
+  }
+
+  // Branch must be open when the order is due
+  const hours = branch?.operatingHours;
+  if (hours && !hours.isOpen24Hours && hours.openTime && hours.closeTime) {
+    if (
+      !isWithinWindow(getLocalMinutes(readyAt), hours.openTime, hours.closeTime)
+    ) {
+      throw new APIError(
+        400,
+        `The branch is open from ${hours.openTime} to ${hours.closeTime}`
+      );
+    }
+  }
+
+  // Every item must be served in the meal period the order is due in
+  const mealPeriod = getMealPeriod(readyAt);
+  if (mealPeriod) {
+    const unavailable = items
+      .filter((item) => item.foodItem?.availableTimings?.[mealPeriod] === false)
+      .map((item) => item.foodItem.name);
+    if (unavailable.length > 0) {
+      throw new APIError(
+        400,
+        `Not available for ${mealPeriod}: ${unavailable.join(", ")}`
+      );
+    }
+  }
+
+  // Per-slot capacity
+  const scheduledSlot = getSlotStart(readyAt);
+  const reserved = await reserveSlot({
+    hotelId,
+    branchId: branch?._id || null,
+    scheduledSlot,
+  });
+  if (!reserved) {
+    throw new APIError(
+      409,
+      "This time slot is fully booked. Please choose another time."
+    );
+  }
+
+  return {
+    scheduledFor: readyAt,
+    scheduledSlot,
+    releaseAt: new Date(readyAt.getTime() - preparationTime * MINUTE_MS),
+  };
+};
+
+/**
+ * Release every scheduled order whose release time has passed.
+ * Paid orders go to the kitchen and assignment queue; orders still unpaid
+ * are cancelled so their slot is freed.
+ *
+ * @param {Date} now
+ * @returns {{ released: number, cancelled: number, failed: number }}
+ */
+export const releaseDueScheduledOrders = async (now = new Date()) => {
+  const dueOrders = await Order.find({
+    status: "scheduled",
+    releaseAt: { $lte: now },
+  })
+    .select("_id payment.paymentStatus")
+    .sort({ releaseAt: 1 })
+    .limit(100);
+
+  const summary = { released: 0, cancelled: 0, failed: 0 };
+
+  for (const dueOrder of dueOrders) {
+    try {
+      const isPaid = dueOrder.payment?.paymentStatus === "paid";
+      const result = isPaid
+        ? await releaseScheduledOrder(dueOrder._id, now)
+        : await cancelUnpaidScheduledOrder(dueOrder._id, now);
+      if (result) {
+        summary[isPaid ? "released" : "cancelled"] += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.error(
+        `Failed to release scheduled order ${dueOrder._id}: ${error.message}`
+      );
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Move a paid scheduled order to "confirmed", fire kitchen tickets and
+ * queue waiter assignment
+ */
+const releaseScheduledOrder = async (orderId, now) => {
+  // Conditional update so two instances never release the same order
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, status: "scheduled" },
+    {
+      $set: { status: "confirmed", releasedAt: now },
+      $push: {
+        statusHistory: {
+          status: "confirmed",
+          timestamp: now,
+          notes: "Scheduled order released to kitchen",
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+  await releaseScheduledSlot(order);
+  await publishOrderEvent(order._id, "status_changed", {
+    message: "Your scheduled order is being prepared",
+  });
+
+  if (order.table) {
+    try {
+      const table = await Table.findById(order.table);
+      if (table && ["available", "occupied"].includes(table.status)) {
+        await table.updateStatus("occupied", order.user, order._id);
+      }
+    } catch (tableError) {
+      logger.error(
+        `Failed to occupy table for scheduled order ${order._id}:`,
+        tableError
+      );
+    }
+  }
+
+  try {
+    await kitchenService.dispatchOrder(order._id);
+  } catch (kitchenError) {
+    logger.error(
+      `Failed to dispatch scheduled order ${order._id} to kitchen:`,
+      kitchenError
+    );
+  }
+
+  try {
+    await inventoryService.deductForOrder(order._id);
+  } catch (inventoryError) {
+    logger.error(
+      `Failed to deduct inventory for scheduled order ${order._id}:`,
+      inventoryError
+    );
+  }
+
+  try {
+    await assignmentService.assignOrder(order._id.toString());
+  } catch (assignmentError) {
+    // Picked up by the time tracker / manual assignment
+    logger.error(
+      `Failed to assign scheduled order ${order._id}: ${assignmentError.message}`
+    );
+  }
+
+  emitScheduledStatus(order, "confirmed");
+  logger.info(`Scheduled order ${order._id} released to kitchen`);
+
+  return order;
+};
+
+/**
+ * Cancel a scheduled order that was never paid for
+ */
+const cancelUnpaidScheduledOrder = async (orderId, now) => {
+  // Conditional update so a payment landing since the due orders were read
+  // is never overwritten; the order is then released on the next run
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      status: "scheduled",
+      "payment.paymentStatus": { $ne: "paid" },
+    },
+    {
+      $set: {
+        status: "cancelled",
+        cancellationReason: "Scheduled order was not paid before release",
+        cancelledAt: now,
+        "payment.paymentStatus": "cancelled",
+        "payment.commissionStatus": "not_applicable",
+        "payment.commissionAmount": 0,
+      },
+      $push: {
+        statusHistory: {
+          status: "cancelled",
+          timestamp: now,
+          notes: "Scheduled order was not paid before release",
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!order) return null;
+  await releaseScheduledSlot(order);
+  await publishOrderEvent(order._id, "cancelled", {
+    message: order.cancellationReason,
+  });
+
+  if (order.user && order.coinsUsed > 0) {
+    try {
+      await coinService.handleCoinRefund(order.user, order._id);
+    } catch (coinError) {
+      logger.error(
+        `Coin refund failed for unpaid scheduled order ${order._id}: ${coinError.message}`
+      );
+    }
+  }
+
+  emitScheduledStatus(order, "cancelled");
+  logger.info(`Unpaid scheduled order ${order._id} cancelled`);
+
+  return order;
+};
+
+const emitScheduledStatus = (order, status) => {
+  try {
+    if (!isIOInitialized()) return;
+    const io = getIO();
+    const payload = {
+      orderId: order._id.toString(),
+      orderNumber:
+        order.orderNumber || order._id.toString().slice(-8).toUpperCase(),
+      status,
+      tableNumber: order.tableNumber || "N/A",
+      scheduledFor: order.scheduledFor,
+      updatedBy: "System",
+      updatedAt: new Date(),
+      hotel: order.hotel?.toString(),
+      branch: order.branch?.toString(),
+    };
+
+    if (order.user) {
+      io.to(`user_${order.user}`).emit("order:status:updated", payload);
+    }
+    if (order.branch) {
+      io.to(`branch_${order.branch}`).emit("order:status:updated", payload);
+    }
+  } catch (socketError) {
+    logger.error("Socket notification error for scheduled order:", socketError);
+  }
+};
+
+export default {
+  getMealPeriod,
+  getSlotStart,
+  resolveSchedule,
+  releaseScheduledSlot,
+  releaseDueScheduledOrders,
+};
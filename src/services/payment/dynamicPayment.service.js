@@ -12,6 +12,13 @@ import { Transaction } from "../../models/Transaction.model.js";
 import * as commissionCalculator from "../../utils/commissionCalculator.js";
 import assignmentService from "../assignment/assignment.service.js";
 import { paymentService } from "./payment.service.js";
+import { publishOrderEvent } from "../order/orderTracking.service.js";
+import notificationInboxService from "../notificationInbox.service.js";
+import { APIError } from "../../utils/APIError.js";
+import {
+  findSplitShare,
+  settleSplitShare,
+} from "../order/billSplit.service.js";
 
 class DynamicPaymentService {
   /**
@@ -81,6 +88,7 @@ class DynamicPaymentService {
    * @param {String} orderData.currency - Currency code (default: INR)
    * @param {Object} orderData.customerInfo - Customer details
    * @param {Object} orderData.metadata - Additional metadata
+   * @param {Number} orderData.tipAmount - Gratuity charged on top of amount
    * @returns {Object} Payment order response with gateway-specific details
    */
   async createOrder(orderData) {
@@ -92,6 +100,7 @@ class DynamicPaymentService {
         currency = "INR",
         customerInfo,
         metadata = {},
+        tipAmount = 0,
       } = orderData;
 
       // Validate required fields
@@ -105,16 +114,32 @@ class DynamicPaymentService {
         throw new Error("Order amount must be greater than 0");
       }
 
+      if (!(tipAmount >= 0) || tipAmount > amount) {
+        throw new Error("Tip must be between 0 and the bill amount");
+      }
+
+      // Split bills are paid share by share, never as a whole
+      const isSplitBill = await Order.exists({
+        _id: orderId,
+        "billSplit.shares.0": { $exists: true },
+      });
+      if (isSplitBill) {
+        throw new Error("This bill is split - pay each share separately");
+      }
+
       // Get payment config for the hotel
       const { provider, credentials, hotel } =
         await this.getPaymentConfig(hotelId);
 
-      // Calculate commission for this order
+      // Calculate commission for this order (the tip is not commissionable)
       const commissionResult = commissionCalculator.calculateCommission(
         hotel,
         amount
       );
 
+      // The diner is charged the bill plus any tip in one payment
+      const chargeAmount = Math.round((amount + tipAmount) * 100) / 100;
+
       // Create payment gateway instance
       const gateway = PaymentGatewayFactory.createGateway(
         provider,
@@ -124,11 +149,12 @@ class DynamicPaymentService {
       // Prepare order data for gateway
       const gatewayOrderData = {
         orderId,
-        amount,
+        amount: chargeAmount,
         currency,
         customerInfo,
         metadata: {
           ...metadata,
+          tipAmount,
           hotelId: hotel._id.toString(),
           hotelName: hotel.name,
           commissionAmount: commissionResult.amount,
@@ -154,11 +180,14 @@ class DynamicPaymentService {
       order.payment.paymentMethod = provider; // Set paymentMethod to match the provider (e.g., "razorpay")
       order.payment.gatewayResponse = {
         orderId: gatewayResponse.orderId,
-        amount,
+        amount: chargeAmount,
         currency,
         createdAt: new Date(),
         metadata: gatewayResponse.metadata || {},
       };
+      order.payment.tip = tipAmount
+        ? { amount: tipAmount, method: "online", addedAt: new Date() }
+        : { amount: 0 };
 
       // Add commission information to payment object
       order.payment.commissionAmount = commissionResult.amount;
@@ -174,7 +203,8 @@ class DynamicPaymentService {
         provider,
         orderId: order._id,
         gatewayOrderId: gatewayResponse.orderId,
-        amount,
+        amount: chargeAmount,
+        tipAmount,
         currency,
         commission: {
           amount: commissionResult.amount,
@@ -345,6 +375,9 @@ class DynamicPaymentService {
       // Payment status (paid/failed) is tracked separately in order.payment.paymentStatus
 
       await order.save();
+      await publishOrderEvent(order._id, "payment_updated", {
+        message: isPaymentSuccessful ? "Payment received" : "Payment failed",
+      });
 
       // === POST-PAYMENT SUCCESS ACTIONS ===
       if (isPaymentSuccessful) {
@@ -432,6 +465,7 @@ class DynamicPaymentService {
         paymentStatus: order.payment.paymentStatus,
         orderStatus: order.status,
         amount: order.totalPrice,
+        tipAmount: order.payment.tip?.amount || 0,
         commission: {
           amount: order.payment.commissionAmount,
           status: order.payment.commissionStatus,
@@ -495,6 +529,10 @@ class DynamicPaymentService {
           order.payment.paidAt = new Date();
         }
         await order.save();
+        await publishOrderEvent(order._id, "payment_updated", {
+          message:
+            mappedStatus === "paid" ? "Payment received" : "Payment failed",
+        });
       }
 
       return {
@@ -617,6 +655,9 @@ class DynamicPaymentService {
       }
 
       await order.save();
+      await publishOrderEvent(order._id, "refund_updated", {
+        message: `Refund of ₹${refundAmount} initiated`,
+      });
 
       return {
         success: true,
@@ -801,6 +842,18 @@ class DynamicPaymentService {
                 "order:items-added",
                 notificationData
               );
+              notificationInboxService.record("Staff", order.staff, {
+                type: "order_items_added",
+                title: "Add-on items paid",
+                message: `Order #${order.orderNumber}: ${notificationData.message}`,
+                priority: "high",
+                hotel: order.hotel,
+                branch: order.branch,
+                data: {
+                  orderId: order._id.toString(),
+                  batch: suppPayment.batch,
+                },
+              });
             }
             if (order.branch) {
               io.to(`branch_${order.branch}`).emit(
@@ -859,6 +912,14 @@ class DynamicPaymentService {
       }
 
       await order.save();
+      if (["completed", "failed"].includes(paymentInfo.status)) {
+        await publishOrderEvent(order._id, "payment_updated", {
+          message:
+            paymentInfo.status === "completed"
+              ? "Payment received"
+              : "Payment failed",
+        });
+      }
 
       // Create transaction record for accounting (for all payment outcomes)
       if (
@@ -1195,6 +1256,18 @@ class DynamicPaymentService {
               "order:items-added",
               notificationData
             );
+            notificationInboxService.record("Staff", order.staff, {
+              type: "order_items_added",
+              title: "Add-on items paid",
+              message: `Order #${order.orderNumber}: ${notificationData.message}`,
+              priority: "high",
+              hotel: order.hotel,
+              branch: order.branch,
+              data: {
+                orderId: order._id.toString(),
+                batch: suppPayment.batch,
+              },
+            });
           }
           if (order.branch) {
             io.to(`branch_${order.branch}`).emit(
@@ -1289,6 +1362,9 @@ class DynamicPaymentService {
       suppPayment.refundResponse = refundResponse;
 
       await order.save();
+      await publishOrderEvent(order._id, "refund_updated", {
+        message: `Refund of ₹${suppPayment.amount} for batch ${batch} initiated`,
+      });
 
       console.log(
         `Supplementary payment refund processed for order ${orderId} batch ${batch}, amount: ${suppPayment.amount}`
@@ -1310,6 +1386,261 @@ class DynamicPaymentService {
       throw error;
     }
   }
+
+  /**
+   * Initiate online payment for one share of a split bill
+   * Creates a gateway order for the share amount only. Only the diner who
+   * placed the order or added items to it (shared table cart) may pay.
+   * @param {Object} data - { orderId, shareId, customerInfo: { userId } }
+   * @returns {Object} Payment initiation response
+   */
+  async initiateSplitSharePayment(data) {
+    try {
+      const { orderId, shareId, customerInfo = {} } = data;
+
+      if (!orderId || !shareId) {
+        throw new Error("Missing required fields: orderId and shareId");
+      }
+
+      const order = await Order.findById(orderId).populate("hotel");
+      if (!order) {
+        throw new Error(`Order not found: ${orderId}`);
+      }
+
+      const userId = customerInfo.userId?.toString();
+      const isParticipant =
+        userId &&
+        (order.user?.toString() === userId ||
+          order.items.some((item) => item.addedBy?.toString() === userId));
+      if (!isParticipant) {
+        throw new APIError(403, "You can only pay a share of your own order");
+      }
+
+      const share = findSplitShare(order, shareId);
+      if (share.paymentStatus === "paid") {
+        throw new Error(`Share ${share.shareNumber} is already paid`);
+      }
+      if (share.paymentMethod === "cash") {
+        throw new Error(
+          `Share ${share.shareNumber} is to be paid in cash at the table`
+        );
+      }
+
+      // Get payment config for the hotel
+      const { provider, credentials, hotel } = await this.getPaymentConfig(
+        order.hotel._id
+      );
+
+      const gateway = PaymentGatewayFactory.createGateway(
+        provider,
+        credentials
+      );
+
+      const gatewayOrderData = {
+        orderId: `${orderId}_share${share.shareNumber}`,
+        amount: share.amount,
+        currency: "INR",
+        customerInfo,
+        metadata: {
+          hotelId: hotel._id.toString(),
+          hotelName: hotel.name,
+          originalOrderId: orderId,
+          shareNumber: share.shareNumber,
+          type: "split_share",
+          commissionAmount: 0,
+          commissionRate: 0,
+        },
+      };
+
+      const gatewayResponse = await gateway.createOrder(gatewayOrderData);
+
+      // The hotel's configured gateway is the one the share is paid through.
+      // Written to this share id only, so a re-split in the meantime fails
+      // here instead of attaching the gateway order to a different share.
+      const recorded = await Order.updateOne(
+        {
+          _id: order._id,
+          "billSplit.shares": {
+            $elemMatch: { _id: share._id, paymentStatus: { $ne: "paid" } },
+          },
+        },
+        {
+          $set: {
+            "billSplit.shares.$.paymentMethod": provider,
+            "billSplit.shares.$.provider": provider,
+            "billSplit.shares.$.paymentStatus": "pending",
+            "billSplit.shares.$.gatewayOrderId": gatewayResponse.orderId,
+            "billSplit.shares.$.gatewayResponse": {
+              orderId: gatewayResponse.orderId,
+              amount: share.amount,
+              currency: "INR",
+              createdAt: new Date(),
+              metadata: gatewayResponse.metadata || {},
+            },
+          },
+        }
+      );
+      if (recorded.matchedCount === 0) {
+        throw new APIError(
+          409,
+          "This bill was just updated. Please reload and try again"
+        );
+      }
+
+      return {
+        success: true,
+        provider,
+        orderId: order._id,
+        shareId: share._id,
+        shareNumber: share.shareNumber,
+        gatewayOrderId: gatewayResponse.orderId,
+        amount: share.amount,
+        currency: "INR",
+        type: "split_share",
+        paymentDetails: gatewayResponse,
+        message: "Share payment order created successfully",
+      };
+    } catch (error) {
+      console.error("Error creating share payment order:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify online payment for one share of a split bill
+   * @param {Object} paymentData - { orderId, paymentId, signature, gatewayOrderId, additionalData }
+   * @returns {Object} Verification result
+   */
+  async verifySplitSharePayment(paymentData) {
+    try {
+      const {
+        orderId,
+        paymentId,
+        signature,
+        gatewayOrderId,
+        additionalData = {},
+      } = paymentData;
+
+      if (!paymentId || !gatewayOrderId) {
+        throw new Error(
+          "Missing required fields: paymentId and gatewayOrderId"
+        );
+      }
+
+      const order = await Order.findOne({
+        ...(orderId && { _id: orderId }),
+        "billSplit.shares.gatewayOrderId": gatewayOrderId,
+      }).populate("hotel");
+      if (!order) {
+        throw new Error("Order not found for share payment");
+      }
+
+      const share = order.billSplit.shares.find(
+        (s) => s.gatewayOrderId === gatewayOrderId
+      );
+
+      if (share.paymentStatus === "paid") {
+        return {
+          success: true,
+          verified: true,
+          orderId: order._id,
+          shareId: share._id,
+          paymentStatus: "paid",
+          orderPaymentStatus: order.payment.paymentStatus,
+          message: "Share payment already verified",
+        };
+      }
+
+      const { provider, credentials } = await this.getPaymentConfig(
+        order.hotel._id
+      );
+
+      const gateway = PaymentGatewayFactory.createGateway(
+        provider,
+        credentials
+      );
+
+      // Prepare verification data based on provider
+      let verificationData = {
+        orderId: share.gatewayOrderId,
+        paymentId,
+        signature,
+      };
+
+      if (provider === "phonepe") {
+        verificationData = { ...additionalData, transactionId: paymentId };
+      } else if (provider === "paytm") {
+        verificationData = {
+          ...additionalData,
+          orderId: share.gatewayOrderId,
+          txnId: paymentId,
+        };
+      }
+
+      const verifyResult = await gateway.verifyPayment(verificationData);
+
+      if (!verifyResult || !verifyResult.verified) {
+        // Conditional, so a webhook that already settled the share wins
+        await Order.updateOne(
+          {
+            _id: order._id,
+            "billSplit.shares": {
+              $elemMatch: { _id: share._id, paymentStatus: { $ne: "paid" } },
+            },
+          },
+          { $set: { "billSplit.shares.$.paymentStatus": "failed" } }
+        );
+        return {
+          success: false,
+          verified: false,
+          orderId: order._id,
+          shareId: share._id,
+          message: verifyResult?.error || "Share payment verification failed",
+        };
+      }
+
+      const paymentStatus = await gateway.getPaymentStatus(
+        paymentId,
+        share.gatewayOrderId
+      );
+
+      const isPaymentSuccessful =
+        paymentStatus.status === "captured" ||
+        paymentStatus.status === "authorized" ||
+        paymentStatus.status === "success";
+
+      let isSettled = false;
+      if (isPaymentSuccessful) {
+        ({ isSettled } = await settleSplitShare(order._id, share._id, {
+          provider,
+          paymentId,
+          gatewayResponse: paymentStatus,
+        }));
+      } else {
+        share.paymentStatus = "failed";
+        share.gatewayResponse = paymentStatus;
+        await order.save();
+      }
+
+      return {
+        success: isPaymentSuccessful,
+        verified: true,
+        orderId: order._id,
+        shareId: share._id,
+        shareNumber: share.shareNumber,
+        paymentId,
+        paymentStatus: isPaymentSuccessful ? "paid" : "failed",
+        orderPaymentStatus: isSettled ? "paid" : "pending",
+        amount: share.amount,
+        message: isPaymentSuccessful
+          ? "Share payment verified successfully"
+          : "Share payment failed",
+      };
+    } catch (error) {
+      console.error("Error verifying share payment:", error.message);
+      throw error;
+    }
+  }
 }
 
 // Export singleton instance
@@ -13,6 +13,7 @@ import { APIError } from "../../utils/APIError.js";
 import { logger } from "../../utils/logger.js";
 import { generateTransactionId } from "../../utils/idGenerator.js";
 import assignmentService from "../assignment/assignment.service.js";
+import { publishOrderEvent } from "../order/orderTracking.service.js";
 
 // Delegated modules
 import {
@@ -216,6 +217,9 @@ class PaymentService {
             new: true,
           }
         );
+        await publishOrderEvent(order._id, "payment_updated", {
+          message: "Payment received",
+        });
 
         // Create transaction record for successful payment
         try {
@@ -246,6 +250,9 @@ class PaymentService {
           updateData,
           { new: true }
         );
+        await publishOrderEvent(order._id, "payment_updated", {
+          message: "Payment failed",
+        });
 
         // Create transaction record for failed payment
         try {
@@ -584,6 +591,9 @@ class PaymentService {
     const updatedOrder = await Order.findByIdAndUpdate(order._id, updateData, {
       new: true,
     });
+    await publishOrderEvent(order._id, "payment_updated", {
+      message: "Payment received",
+    });
 
     logger.info("Standard Razorpay callback processed successfully", {
       orderId: order._id,
@@ -841,6 +851,9 @@ class PaymentService {
     const updatedOrder = await Order.findByIdAndUpdate(order._id, updateData, {
       new: true,
     });
+    await publishOrderEvent(order._id, "payment_updated", {
+      message: "Payment received",
+    });
 
     logger.info("Success callback processed successfully", {
       orderId: order._id,
@@ -960,6 +973,9 @@ class PaymentService {
           new: true,
         }
       );
+      await publishOrderEvent(order._id, "payment_updated", {
+        message: "Payment received",
+      });
 
       logger.info(
         "Custom callback processed successfully - payment confirmed",
@@ -1469,6 +1485,9 @@ class PaymentService {
               new: true,
             }
           );
+          await publishOrderEvent(orderId, "payment_updated", {
+            message: "Payment received",
+          });
 
           // Create transaction record for accounting
           try {
@@ -0,0 +1,113 @@
+// src/services/presence.service.js - Who is connected, across all instances
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { logger } from "../utils/logger.js";
+
+// Personal room prefix per socket.data.user.userModel
+const PERSONAL_ROOM_PREFIX = {
+  User: "user_",
+  Staff: "staff_",
+  Manager: "manager_",
+  Admin: "admin_",
+};
+
+/**
+ * Presence Service
+ *
+ * Answers "is this person connected?" from the Socket.IO rooms rather than
+ * a separate registry: every authenticated socket sits in its personal
+ * room, and with the cluster adapter fetchSockets() asks every instance.
+ * Nothing goes stale when an instance dies, since its sockets go with it.
+ */
+class PresenceService {
+  /**
+   * Personal room of a socket's user, e.g. "staff_<id>"
+   * @param {Object} user - socket.data.user
+   * @returns {String|null}
+   */
+  personalRoom(user) {
+    const prefix = PERSONAL_ROOM_PREFIX[user?.userModel];
+    return prefix ? `${prefix}${user.id}` : null;
+  }
+
+  /**
+   * Rooms a socket joins as soon as it connects, so a client that
+   * reconnects to another instance is back in them without re-emitting
+   * join events
+   * @param {Object} user - socket.data.user
+   * @returns {Array<String>}
+   */
+  identityRooms(user) {
+    const rooms = [this.personalRoom(user)];
+    if (["Staff", "Manager"].includes(user?.userModel) && user.branch) {
+      rooms.push(`branch_${user.branch}`);
+    }
+    return rooms.filter(Boolean);
+  }
+
+  /**
+   * Connected users in a room, one entry per user
+   * @param {String} room - e.g. "branch_<id>"
+   * @returns {Promise<Array>} [{ id, userModel, role, name, connections }]
+   */
+  async getOnline(room) {
+    if (!isIOInitialized()) {
+      return [];
+    }
+
+    const sockets = await getIO().in(room).fetchSockets();
+    const users = new Map();
+    for (const socket of sockets) {
+      const user = socket.data.user;
+      if (!user) continue;
+      const key = `${user.userModel}:${user.id}`;
+      const entry = users.get(key) || {
+        id: user.id,
+        userModel: user.userModel,
+        role: user.role,
+        name: user.name,
+        connections: 0,
+      };
+      entry.connections += 1;
+      users.set(key, entry);
+    }
+    return [...users.values()];
+  }
+
+  /**
+   * Whether a user has at least one connected socket
+   * @param {String} userModel - "Staff", "Manager", "Admin" or "User"
+   * @param {String} id
+   */
+  async isOnline(userModel, id) {
+    const room = this.personalRoom({ userModel, id });
+    if (!room || !isIOInitialized()) {
+      return false;
+    }
+    try {
+      const sockets = await getIO().in(room).fetchSockets();
+      return sockets.length > 0;
+    } catch (error) {
+      logger.error(`Presence lookup failed for ${room}:`, {
+        message: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Staff and managers connected to a branch
+   * @param {String} branchId
+   * @returns {Promise<Object>} { staff, managers }
+   */
+  async getBranchPresence(branchId) {
+    const online = await this.getOnline(`branch_${branchId}`);
+    return {
+      staff: online.filter((user) => user.userModel === "Staff"),
+      managers: online.filter((user) => user.userModel === "Manager"),
+    };
+  }
+}
+
+// Export singleton instance
+const presenceService = new PresenceService();
+export default presenceService;
@@ -0,0 +1,312 @@
+// src/services/purchaseOrder.service.js - Supplier purchase orders and goods receiving
+import { PurchaseOrder } from "../models/PurchaseOrder.model.js";
+import { Supplier } from "../models/Supplier.model.js";
+import { Inventory } from "../models/Inventory.model.js";
+import inventoryService from "./inventory.service.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PurchaseOrderService {
+  /**
+   * Check a supplier can be used for a branch
+   * (same hotel, active, and either hotel-wide or for that branch)
+   */
+  async assertSupplierForBranch(supplierId, { hotel, branch }) {
+    const supplier = await Supplier.findOne({
+      _id: supplierId,
+      hotel,
+      $or: [{ branch: null }, { branch }],
+    }).select("name isActive");
+
+    if (!supplier) {
+      throw new APIError(404, "Supplier not found for this branch");
+    }
+    if (!supplier.isActive) {
+      throw new APIError(400, `${supplier.name} is no longer active`);
+    }
+
+    return supplier;
+  }
+
+  /**
+   * Snapshot the branch's stock items onto PO lines
+   * @param {Array} items - [{ inventory, quantityOrdered, unitCost }]
+   * @param {String} branch - Branch ID
+   */
+  async buildLines(items, branch) {
+    const stockItems = await Inventory.find({
+      _id: { $in: items.map((item) => item.inventory) },
+      branch,
+    }).select("itemName unit");
+
+    if (stockItems.length !== items.length) {
+      throw new APIError(
+        400,
+        "One or more items are not inventory items of this branch"
+      );
+    }
+
+    return items.map((item) => {
+      const stock = stockItems.find(
+        (s) => s._id.toString() === item.inventory.toString()
+      );
+      return {
+        inventory: stock._id,
+        itemName: stock.itemName,
+        unit: stock.unit,
+        quantityOrdered: item.quantityOrdered,
+        unitCost: item.unitCost,
+      };
+    });
+  }
+
+  /**
+   * Create a draft purchase order
+   * @param {Object} data - { hotel, branch, supplierId, items, expectedDeliveryDate, notes }
+   * @param {Object} actor - { id, model } of the admin/manager creating it
+   */
+  async createPurchaseOrder(data, actor) {
+    const { hotel, branch, supplierId, items, expectedDeliveryDate, notes } =
+      data;
+
+    await this.assertSupplierForBranch(supplierId, { hotel, branch });
+
+    const purchaseOrder = await PurchaseOrder.create({
+      hotel,
+      branch,
+      supplier: supplierId,
+      items: await this.buildLines(items, branch),
+      expectedDeliveryDate,
+      notes,
+      createdBy: actor.id,
+      createdByModel: actor.model,
+    });
+
+    logger.info(
+      `Purchase order ${purchaseOrder.poNumber} created for branch ${branch}`
+    );
+    return purchaseOrder;
+  }
+
+  /**
+   * Edit a purchase order that has not been sent yet
+   */
+  async updateDraft(purchaseOrder, { supplierId, items, ...fields }) {
+    if (purchaseOrder.status !== "draft") {
+      throw new APIError(400, "Only draft purchase orders can be edited");
+    }
+
+    const scope = { hotel: purchaseOrder.hotel, branch: purchaseOrder.branch };
+    if (supplierId) {
+      await this.assertSupplierForBranch(supplierId, scope);
+      purchaseOrder.supplier = supplierId;
+    }
+    if (items) {
+      purchaseOrder.items = await this.buildLines(items, scope.branch);
+    }
+    purchaseOrder.set(fields);
+
+    await purchaseOrder.save();
+    return purchaseOrder;
+  }
+
+  /**
+   * Mark a draft as placed with the supplier
+   */
+  async markSent(purchaseOrder) {
+    if (purchaseOrder.status !== "draft") {
+      throw new APIError(
+        400,
+        `Cannot send a purchase order that is ${purchaseOrder.status}`
+      );
+    }
+
+    purchaseOrder.status = "sent";
+    purchaseOrder.sentAt = new Date();
+    await purchaseOrder.save();
+    return purchaseOrder;
+  }
+
+  /**
+   * Book a delivery against a purchase order. Received quantities go into
+   * stock and the delivery's value is recorded as cost of goods.
+   * @param {Object} purchaseOrder - PurchaseOrder document
+   * @param {Object} delivery - { items: [{ itemId, quantity, unitCost }], note }
+   * @param {Object} actor - { id, model } of the admin/manager receiving it
+   */
+  async receiveItems(purchaseOrder, { items, note }, actor) {
+    if (!["sent", "partially_received"].includes(purchaseOrder.status)) {
+      throw new APIError(
+        400,
+        `Cannot receive against a purchase order that is ${purchaseOrder.status}`
+      );
+    }
+
+    const errors = [];
+    const lines = items.map((received) => {
+      const line = purchaseOrder.items.id(received.itemId);
+      if (!line) {
+        errors.push(`Item ${received.itemId} is not on this purchase order`);
+        return null;
+      }
+
+      const outstanding = line.quantityOrdered - line.quantityReceived;
+      if (received.quantity > outstanding + 1e-6) {
+        errors.push(
+          `${line.itemName}: only ${outstanding} ${line.unit} outstanding`
+        );
+      }
+      return { line, ...received };
+    });
+    if (errors.length > 0) {
+      throw new APIError(400, "Invalid delivery", errors);
+    }
+
+    const receiptLines = lines.map(
+      ({ line, quantity, unitCost = line.unitCost }) => {
+        line.quantityReceived += quantity;
+        return {
+          item: line._id,
+          inventory: line.inventory,
+          quantity,
+          unitCost,
+          amount: round2(quantity * unitCost),
+        };
+      }
+    );
+
+    const amount = round2(
+      receiptLines.reduce((sum, line) => sum + line.amount, 0)
+    );
+    purchaseOrder.receipts.push({
+      items: receiptLines,
+      amount,
+      note,
+      receivedBy: actor.id,
+      receivedByModel: actor.model,
+    });
+    purchaseOrder.receivedAmount = round2(
+      purchaseOrder.receivedAmount + amount
+    );
+
+    const fullyReceived = purchaseOrder.items.every(
+      (line) => line.quantityReceived >= line.quantityOrdered - 1e-6
+    );
+    purchaseOrder.status = fullyReceived ? "received" : "partially_received";
+    if (fullyReceived) {
+      purchaseOrder.receivedAt = new Date();
+    }
+
+    // Record the delivery before touching stock; the version check rejects
+    // a delivery saved against an order someone else just received against
+    try {
+      await purchaseOrder.save();
+    } catch (error) {
+      if (error.name === "VersionError") {
+        throw new APIError(
+          409,
+          "This purchase order was just updated. Please reload and try again"
+        );
+      }
+      throw error;
+    }
+
+    for (const line of receiptLines) {
+      await inventoryService.adjustStock(line.inventory, line.quantity, {
+        type: "restock",
+        purchaseOrder: purchaseOrder._id,
+        note: `Received against ${purchaseOrder.poNumber}`,
+        performedBy: actor.id,
+        performedByModel: actor.model,
+      });
+      // Latest purchase price becomes the stock item's cost
+      await Inventory.updateOne(
+        { _id: line.inventory },
+        { $set: { costPerUnit: line.unitCost } }
+      );
+    }
+
+    logger.info(
+      `Purchase order ${purchaseOrder.poNumber}: received ${receiptLines.length} items worth ${amount}`
+    );
+    return purchaseOrder;
+  }
+
+  /**
+   * Close a partially received order when the rest will never arrive
+   */
+  async closeShort(purchaseOrder, reason) {
+    if (purchaseOrder.status !== "partially_received") {
+      throw new APIError(
+        400,
+        "Only partially received purchase orders can be closed"
+      );
+    }
+
+    purchaseOrder.status = "received";
+    purchaseOrder.receivedAt = new Date();
+    if (reason) {
+      purchaseOrder.notes = [purchaseOrder.notes, `Closed short: ${reason}`]
+        .filter(Boolean)
+        .join("\n");
+    }
+    await purchaseOrder.save();
+    return purchaseOrder;
+  }
+
+  /**
+   * Cancel an order before anything has been delivered
+   */
+  async cancel(purchaseOrder, reason) {
+    if (!["draft", "sent"].includes(purchaseOrder.status)) {
+      throw new APIError(
+        400,
+        `Cannot cancel a purchase order that is ${purchaseOrder.status}`
+      );
+    }
+
+    purchaseOrder.status = "cancelled";
+    purchaseOrder.cancelledAt = new Date();
+    purchaseOrder.cancellationReason = reason;
+    await purchaseOrder.save();
+    return purchaseOrder;
+  }
+
+  /**
+   * Cost of goods received in a period, by month
+   * @param {Object} scope - hotel/branch match (as used for Order reports)
+   * @param {Date} start - Period start
+   * @param {Date} end - Period end
+   * @returns {Object} { total, byMonth: { "YYYY-MM": amount } }
+   */
+  async getCostOfGoods(scope, start, end) {
+    const receivedInPeriod = { $gte: start, $lte: end };
+
+    const months = await PurchaseOrder.aggregate([
+      { $match: { ...scope, "receipts.receivedAt": receivedInPeriod } },
+      { $unwind: "$receipts" },
+      { $match: { "receipts.receivedAt": receivedInPeriod } },
+      {
+        $group: {
+          _id: {
+            $dateToString: { format: "%Y-%m", date: "$receipts.receivedAt" },
+          },
+          amount: { $sum: "$receipts.amount" },
+        },
+      },
+    ]);
+
+    const byMonth = {};
+    let total = 0;
+    for (const month of months) {
+      byMonth[month._id] = round2(month.amount);
+      total += month.amount;
+    }
+
+    return { total: round2(total), byMonth };
+  }
+}
+
+export default new PurchaseOrderService();
@@ -0,0 +1,155 @@
+/**
+ * Apple Push Notification service Provider (token-based auth, HTTP/2)
+ *
+ * Credentials: APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY (.p8 contents),
+ * APNS_BUNDLE_ID; APNS_PRODUCTION=true targets the production gateway.
+ */
+
+import http2 from "http2";
+import jwt from "jsonwebtoken";
+import { BasePushProvider } from "./BasePushProvider.service.js";
+
+// Apple wants a fresh provider token at most every 60 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// Reasons that mean the device token will never work again
+const INVALID_TOKEN_REASONS = [
+  "BadDeviceToken",
+  "Unregistered",
+  "DeviceTokenNotForTopic",
+];
+
+// Reasons caused by our configuration rather than the device
+const PROVIDER_ERROR_REASONS = ["BadTopic", "MissingTopic", "TopicDisallowed"];
+
+export class ApnsPushProvider extends BasePushProvider {
+  constructor(env = process.env) {
+    super("apns");
+    this.keyId = env.APNS_KEY_ID;
+    this.teamId = env.APNS_TEAM_ID;
+    this.privateKey = env.APNS_PRIVATE_KEY?.replace(/\\n/g, "\n");
+    this.bundleId = env.APNS_BUNDLE_ID;
+    this.host =
+      env.APNS_PRODUCTION === "true"
+        ? "https://api.push.apple.com"
+        : "https://api.sandbox.push.apple.com";
+    this.session = null;
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  isConfigured() {
+    return this.hasCredentials(
+      this.keyId,
+      this.teamId,
+      this.privateKey,
+      this.bundleId
+    );
+  }
+
+  getProviderToken() {
+    if (
+      !this.providerToken ||
+      Date.now() - this.providerTokenIssuedAt > PROVIDER_TOKEN_TTL_MS
+    ) {
+      this.providerTokenIssuedAt = Date.now();
+      this.providerToken = jwt.sign(
+        {
+          iss: this.teamId,
+          iat: Math.floor(this.providerTokenIssuedAt / 1000),
+        },
+        this.privateKey,
+        { algorithm: "ES256", header: { alg: "ES256", kid: this.keyId } }
+      );
+    }
+    return this.providerToken;
+  }
+
+  getSession() {
+    if (!this.session || this.session.closed || this.session.destroyed) {
+      this.session = http2.connect(this.host);
+      // Don't keep the process alive just for an idle APNs connection
+      this.session.unref();
+      this.session.on("error", () => {
+        this.session = null;
+      });
+      this.session.on("goaway", () => {
+        this.session = null;
+      });
+    }
+    return this.session;
+  }
+
+  async send(token, message) {
+    const body = JSON.stringify({
+      aps: {
+        alert: { title: message.title, body: message.body },
+        sound: "default",
+      },
+      ...this.stringifyData(message.data),
+    });
+
+    return new Promise((resolve) => {
+      let request;
+      try {
+        request = this.getSession().request({
+          ":method": "POST",
+          ":path": `/3/device/${token}`,
+          authorization: `bearer ${this.getProviderToken()}`,
+          "apns-topic": this.bundleId,
+          "apns-push-type": "alert",
+          "apns-priority": message.priority === "high" ? "10" : "5",
+          "apns-expiration": String(
+            Math.floor(Date.now() / 1000) + message.ttlSeconds
+          ),
+          "content-type": "application/json",
+        });
+      } catch (error) {
+        resolve({ success: false, providerError: true, error: error.message });
+        return;
+      }
+
+      let status = 0;
+      let responseBody = "";
+      request.setEncoding("utf8");
+      request.on("response", (headers) => {
+        status = headers[":status"];
+      });
+      request.on("data", (chunk) => {
+        responseBody += chunk;
+      });
+      request.on("end", () => {
+        if (status === 200) {
+          resolve({ success: true });
+          return;
+        }
+
+        let reason = null;
+        try {
+          reason = JSON.parse(responseBody).reason;
+        } catch {
+          // Empty or non-JSON body
+        }
+        const invalidToken =
+          status === 410 || INVALID_TOKEN_REASONS.includes(reason);
+        resolve({
+          success: false,
+          invalidToken,
+          // Provider token, topic, rate limit and server errors hit every device
+          providerError:
+            !invalidToken &&
+            (status === 403 ||
+              status === 429 ||
+              status >= 500 ||
+              PROVIDER_ERROR_REASONS.includes(reason)),
+          error: reason || `APNs responded with ${status}`,
+        });
+      });
+      request.on("error", (error) => {
+        resolve({ success: false, providerError: true, error: error.message });
+      });
+
+      request.end(body);
+    });
+  }
+}
@@ -0,0 +1,71 @@
+/**
+ * Base Push Provider Class
+ * All push provider implementations should extend this
+ *
+ * send() resolves to a result instead of throwing for delivery problems:
+ *   { success: true }
+ *   { success: false, invalidToken: true, error }  token must be dropped
+ *   { success: false, invalidToken: false, error } worth retrying later
+ *   { success: false, providerError: true, error } the provider itself failed
+ *     (credentials, rate limit, outage); says nothing about the device
+ */
+
+// .env.example ships values like SET_YOUR_FCM_PROJECT_ID_HERE
+const PLACEHOLDER = /SET_YOUR_\w*_HERE/;
+
+export class BasePushProvider {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Send one message to one device
+   * Must be implemented by child class
+   * @param {String} token - Device token (PushSubscription JSON for web push)
+   * @param {Object} message - { title, body, data, priority, ttlSeconds }
+   */
+  async send(token, message) {
+    throw new Error("send method must be implemented");
+  }
+
+  /**
+   * Whether the credentials this provider needs are present
+   * Must be implemented by child class
+   */
+  isConfigured() {
+    throw new Error("isConfigured method must be implemented");
+  }
+
+  /**
+   * Every credential is set and isn't an .env.example placeholder
+   */
+  hasCredentials(...values) {
+    return values.every(
+      (value) =>
+        typeof value === "string" &&
+        value.trim() !== "" &&
+        !PLACEHOLDER.test(value)
+    );
+  }
+
+  /**
+   * Get provider name
+   */
+  getProvider() {
+    return this.provider;
+  }
+
+  /**
+   * Data payloads must be string -> string for FCM and APNs custom keys
+   */
+  stringifyData(data = {}) {
+    return Object.fromEntries(
+      Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => [
+          key,
+          typeof value === "string" ? value : JSON.stringify(value),
+        ])
+    );
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Firebase Cloud Messaging (HTTP v1) Push Provider
+ *
+ * Credentials (service account): FCM_PROJECT_ID, FCM_CLIENT_EMAIL,
+ * FCM_PRIVATE_KEY. An OAuth access token is minted from a signed JWT and
+ * reused until shortly before it expires.
+ */
+
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import { BasePushProvider } from "./BasePushProvider.service.js";
+
+const TOKEN_URL = "https://oauth2.googleapis.com/token";
+const SCOPE = "https://www.googleapis.com/auth/firebase.messaging";
+
+// FCM error codes that mean the token will never work again
+const INVALID_TOKEN_CODES = ["UNREGISTERED", "NOT_FOUND"];
+
+export class FcmPushProvider extends BasePushProvider {
+  constructor(env = process.env) {
+    super("fcm");
+    this.projectId = env.FCM_PROJECT_ID;
+    this.clientEmail = env.FCM_CLIENT_EMAIL;
+    // Keys pasted into .env usually carry literal "\n"
+    this.privateKey = env.FCM_PRIVATE_KEY?.replace(/\\n/g, "\n");
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  isConfigured() {
+    return this.hasCredentials(
+      this.projectId,
+      this.clientEmail,
+      this.privateKey
+    );
+  }
+
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: "RS256" }
+    );
+
+    const response = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+        assertion,
+      }).toString(),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+
+    this.accessToken = response.data.access_token;
+    // Refresh a minute early
+    this.accessTokenExpiresAt =
+      Date.now() + (response.data.expires_in - 60) * 1000;
+    return this.accessToken;
+  }
+
+  async send(token, message) {
+    let accessToken;
+    try {
+      accessToken = await this.getAccessToken();
+    } catch (error) {
+      return {
+        success: false,
+        providerError: true,
+        error: `FCM authentication failed: ${error.message}`,
+      };
+    }
+
+    try {
+      const highPriority = message.priority === "high";
+
+      await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        {
+          message: {
+            token,
+            notification: { title: message.title, body: message.body },
+            data: this.stringifyData(message.data),
+            android: {
+              priority: highPriority ? "HIGH" : "NORMAL",
+              ttl: `${message.ttlSeconds}s`,
+            },
+            apns: {
+              headers: {
+                "apns-priority": highPriority ? "10" : "5",
+                "apns-expiration": String(
+                  Math.floor(Date.now() / 1000) + message.ttlSeconds
+                ),
+              },
+            },
+          },
+        },
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+
+      return { success: true };
+    } catch (error) {
+      const details = error.response?.data?.error;
+      const codes = [
+        details?.status,
+        ...(details?.details || []).map((detail) => detail.errorCode),
+      ].filter(Boolean);
+
+      const status = error.response?.status;
+      if (status === 401) {
+        this.accessToken = null;
+      }
+
+      // INVALID_ARGUMENT is also used for bad payloads; only a malformed
+      // token should cost the device its registration
+      const malformedToken =
+        codes.includes("INVALID_ARGUMENT") &&
+        /registration token/i.test(details?.message || "");
+      const invalidToken =
+        malformedToken ||
+        codes.some((code) => INVALID_TOKEN_CODES.includes(code));
+
+      return {
+        success: false,
+        invalidToken,
+        // Network failures, auth, quota and server errors hit every device
+        providerError:
+          !invalidToken &&
+          (!status ||
+            status === 401 ||
+            status === 403 ||
+            status === 429 ||
+            status >= 500 ||
+            codes.includes("INVALID_ARGUMENT")),
+        error: details?.message || error.message,
+      };
+    }
+  }
+}
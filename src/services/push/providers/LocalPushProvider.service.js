@@ -0,0 +1,51 @@
+/**
+ * Local Push Provider (development stand-in)
+ *
+ * Appends each message it would have delivered to PUSH_LOG_FILE (default
+ * logs/push-notifications.log) as one JSON line. Tokens starting with
+ * "invalid" are reported as unregistered so token pruning can be tried
+ * without a real provider.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { BasePushProvider } from "./BasePushProvider.service.js";
+
+export class LocalPushProvider extends BasePushProvider {
+  constructor(env = process.env, provider = "local") {
+    super(provider);
+    this.logFile = path.resolve(
+      env.PUSH_LOG_FILE || "logs/push-notifications.log"
+    );
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(token, message) {
+    if (token.startsWith("invalid")) {
+      return {
+        success: false,
+        invalidToken: true,
+        error: "Unregistered (local provider)",
+      };
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.appendFile(
+        this.logFile,
+        `${JSON.stringify({
+          timestamp: new Date().toISOString(),
+          provider: this.provider,
+          token: token.length > 64 ? `${token.slice(0, 64)}…` : token,
+          ...message,
+        })}\n`
+      );
+      return { success: true };
+    } catch (error) {
+      return { success: false, providerError: true, error: error.message };
+    }
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Push Provider Factory
+ *
+ * Picks the provider for a device's push service. Providers without
+ * credentials, or every provider when PUSH_DELIVERY=local, fall back to
+ * the local file-logging stand-in so development and staging never need
+ * real keys.
+ */
+
+import { FcmPushProvider } from "./FcmPushProvider.service.js";
+import { ApnsPushProvider } from "./ApnsPushProvider.service.js";
+import { WebPushProvider } from "./WebPushProvider.service.js";
+import { LocalPushProvider } from "./LocalPushProvider.service.js";
+import { logger } from "../../../utils/logger.js";
+
+/**
+ * Push Provider Interface (all providers must implement these methods)
+ *
+ * send(token, message)
+ * isConfigured()
+ */
+
+const instances = new Map();
+
+export class PushProviderFactory {
+  /**
+   * Provider for a push service, created once
+   * @param {string} provider - fcm, apns or webpush
+   * @returns {Object} Push provider instance
+   */
+  static getProvider(provider) {
+    if (!this.isProviderSupported(provider)) {
+      throw new Error(`Unsupported push provider: ${provider}`);
+    }
+
+    if (!instances.has(provider)) {
+      instances.set(provider, this.createProvider(provider));
+    }
+    return instances.get(provider);
+  }
+
+  static createProvider(provider) {
+    const live = {
+      fcm: () => new FcmPushProvider(),
+      apns: () => new ApnsPushProvider(),
+      webpush: () => new WebPushProvider(),
+    }[provider]();
+
+    if (process.env.PUSH_DELIVERY === "local" || !live.isConfigured()) {
+      logger.info(
+        `Push provider ${provider} not configured, logging to file instead`
+      );
+      return new LocalPushProvider(process.env, provider);
+    }
+    return live;
+  }
+
+  /**
+   * Get list of supported push providers
+   * @returns {Array<string>} List of supported providers
+   */
+  static getSupportedProviders() {
+    return ["fcm", "apns", "webpush"];
+  }
+
+  static isProviderSupported(provider) {
+    return this.getSupportedProviders().includes(provider);
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Web Push Provider (VAPID, RFC 8030 / 8291 / 8292)
+ *
+ * Credentials: VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (base64url, as
+ * generated by any web-push tool) and VAPID_SUBJECT (mailto: or https: URL).
+ * The device token is the browser's PushSubscription serialized as JSON.
+ * Payloads are encrypted with aes128gcm so only the browser can read them.
+ */
+
+import crypto from "crypto";
+import axios from "axios";
+import jwt from "jsonwebtoken";
+import { BasePushProvider } from "./BasePushProvider.service.js";
+
+const RECORD_SIZE = 4096;
+
+// Browser push services; the server only ever POSTs to these hosts
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "updates.push.services.mozilla.com",
+  "web.push.apple.com",
+];
+const PUSH_SERVICE_HOST_SUFFIXES = [".notify.windows.com"];
+
+/**
+ * Whether an endpoint is an https URL on a known push service
+ */
+export const isPushServiceEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== "https:" || url.port || url.username || url.password) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return (
+    PUSH_SERVICE_HOSTS.includes(host) ||
+    PUSH_SERVICE_HOST_SUFFIXES.some((suffix) => host.endsWith(suffix))
+  );
+};
+
+/**
+ * Parse and check a PushSubscription JSON string
+ * @returns {Object|null} { endpoint, p256dh, auth } or null when unusable
+ */
+export const parseSubscription = (token) => {
+  try {
+    const subscription = JSON.parse(token);
+    const { endpoint, keys = {} } = subscription;
+    if (!isPushServiceEndpoint(endpoint) || !keys.p256dh || !keys.auth) {
+      return null;
+    }
+    return {
+      endpoint,
+      p256dh: Buffer.from(keys.p256dh, "base64url"),
+      auth: Buffer.from(keys.auth, "base64url"),
+    };
+  } catch {
+    return null;
+  }
+};
+
+export class WebPushProvider extends BasePushProvider {
+  constructor(env = process.env) {
+    super("webpush");
+    this.publicKey = env.VAPID_PUBLIC_KEY;
+    this.privateKey = env.VAPID_PRIVATE_KEY;
+    this.subject = env.VAPID_SUBJECT;
+    this.signingKey = null;
+  }
+
+  isConfigured() {
+    return this.hasCredentials(this.publicKey, this.privateKey, this.subject);
+  }
+
+  getSigningKey() {
+    if (!this.signingKey) {
+      // Uncompressed P-256 point: 0x04 || x || y
+      const publicKey = Buffer.from(this.publicKey, "base64url");
+      this.signingKey = crypto.createPrivateKey({
+        key: {
+          kty: "EC",
+          crv: "P-256",
+          d: this.privateKey,
+          x: publicKey.subarray(1, 33).toString("base64url"),
+          y: publicKey.subarray(33, 65).toString("base64url"),
+        },
+        format: "jwk",
+      });
+    }
+    return this.signingKey;
+  }
+
+  /**
+   * VAPID Authorization header for a push service origin
+   */
+  getAuthorization(endpoint) {
+    const token = jwt.sign(
+      {
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: this.subject,
+      },
+      this.getSigningKey(),
+      { algorithm: "ES256" }
+    );
+    return `vapid t=${token}, k=${this.publicKey}`;
+  }
+
+  /**
+   * Encrypt a payload for one subscription (aes128gcm, single record)
+   */
+  encrypt(subscription, payload) {
+    const ecdh = crypto.createECDH("prime256v1");
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(subscription.p256dh);
+    const salt = crypto.randomBytes(16);
+
+    const hkdf = (ikm, hkdfSalt, info, length) =>
+      Buffer.from(crypto.hkdfSync("sha256", ikm, hkdfSalt, info, length));
+
+    const keyInfo = Buffer.concat([
+      Buffer.from("WebPush: info\0"),
+      subscription.p256dh,
+      serverPublicKey,
+    ]);
+    const inputKey = hkdf(sharedSecret, subscription.auth, keyInfo, 32);
+    const contentKey = hkdf(
+      inputKey,
+      salt,
+      Buffer.from("Content-Encoding: aes128gcm\0"),
+      16
+    );
+    const nonce = hkdf(
+      inputKey,
+      salt,
+      Buffer.from("Content-Encoding: nonce\0"),
+      12
+    );
+
+    const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+    const ciphertext = Buffer.concat([
+      cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+  }
+
+  async send(token, message) {
+    const subscription = parseSubscription(token);
+    if (!subscription) {
+      return {
+        success: false,
+        invalidToken: true,
+        error: "Malformed push subscription",
+      };
+    }
+
+    try {
+      const body = this.encrypt(
+        subscription,
+        JSON.stringify({
+          title: message.title,
+          body: message.body,
+          data: message.data || {},
+        })
+      );
+
+      await axios.post(subscription.endpoint, body, {
+        headers: {
+          Authorization: this.getAuthorization(subscription.endpoint),
+          "Content-Encoding": "aes128gcm",
+          "Content-Type": "application/octet-stream",
+          TTL: String(message.ttlSeconds),
+          Urgency: message.priority === "high" ? "high" : "normal",
+        },
+        // A redirect could lead anywhere; push services don't use them
+        maxRedirects: 0,
+      });
+
+      return { success: true };
+    } catch (error) {
+      const status = error.response?.status;
+      // Gone / not found: the browser unsubscribed or the endpoint expired
+      const invalidToken = status === 404 || status === 410;
+      return {
+        success: false,
+        invalidToken,
+        // Unreachable service, rejected VAPID keys, rate limit or server error
+        providerError:
+          !invalidToken &&
+          (!status ||
+            status === 401 ||
+            status === 403 ||
+            status === 429 ||
+            status >= 500),
+        error: status ? `Push service responded with ${status}` : error.message,
+      };
+    }
+  }
+}
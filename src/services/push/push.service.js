@@ -0,0 +1,239 @@
+// src/services/push/push.service.js - Push notifications to registered devices
+import { DeviceToken } from "../../models/DeviceToken.model.js";
+import { APIError } from "../../utils/APIError.js";
+import { logger } from "../../utils/logger.js";
+import { PUSH_SETTINGS } from "../../config/constants.js";
+import { PushProviderFactory } from "./providers/PushProviderFactory.service.js";
+import { parseSubscription } from "./providers/WebPushProvider.service.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Push Service
+ *
+ * Keeps the devices diners, staff and managers registered and sends them
+ * notifications through each device's provider (FCM, APNs or Web Push).
+ * Tokens a provider rejects as invalid are deleted straight away; tokens
+ * that keep failing on their own or go unused are pruned as well. Failures
+ * of the provider itself (bad credentials, outages) never count against
+ * a device.
+ */
+class PushService {
+  /**
+   * Register (or refresh) a device for an account
+   * @param {String} ownerType - "User", "Staff" or "Manager"
+   * @param {String} ownerId
+   * @param {Object} data - { token, provider, platform, deviceName, appVersion }
+   * @returns {Promise<Object>} Device
+   */
+  async registerDevice(ownerType, ownerId, data) {
+    if (data.provider === "webpush" && !parseSubscription(data.token)) {
+      throw new APIError(
+        400,
+        "Web push token must be a PushSubscription with keys and an endpoint on a known push service"
+      );
+    }
+
+    const device = await DeviceToken.findOneAndUpdate(
+      { token: data.token },
+      {
+        $set: {
+          ownerType,
+          owner: ownerId,
+          provider: data.provider,
+          platform: data.platform,
+          deviceName: data.deviceName,
+          appVersion: data.appVersion,
+          lastSeenAt: new Date(),
+          failureCount: 0,
+        },
+        $unset: { lastError: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    // Keep only the most recently seen devices
+    const surplus = await DeviceToken.find({ ownerType, owner: ownerId })
+      .sort({ lastSeenAt: -1 })
+      .skip(PUSH_SETTINGS.maxDevicesPerOwner)
+      .select("_id")
+      .lean();
+    if (surplus.length > 0) {
+      await DeviceToken.deleteMany({
+        _id: { $in: surplus.map((entry) => entry._id) },
+      });
+    }
+
+    return device;
+  }
+
+  /**
+   * Remove a device (logout / notifications turned off)
+   * @returns {Promise<Boolean>} Whether the device was registered
+   */
+  async unregisterDevice(ownerType, ownerId, token) {
+    const result = await DeviceToken.deleteOne({
+      token,
+      ownerType,
+      owner: ownerId,
+    });
+    return result.deletedCount > 0;
+  }
+
+  async listDevices(ownerType, ownerId) {
+    return DeviceToken.find({ ownerType, owner: ownerId })
+      .select("provider platform deviceName appVersion lastSeenAt lastSentAt")
+      .sort({ lastSeenAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Send a notification to every device of the given accounts
+   * Never throws; delivery problems are logged and reflected in the result.
+   * @param {String} ownerType - "User", "Staff" or "Manager"
+   * @param {String|Array<String>} ownerIds
+   * @param {Object} message - { title, body, data, priority: "high"|"normal" }
+   * @returns {Promise<Object>} { sent, failed, pruned }
+   */
+  async send(ownerType, ownerIds, message) {
+    const summary = { sent: 0, failed: 0, pruned: 0 };
+    try {
+      const ids = [].concat(ownerIds).filter(Boolean);
+      if (ids.length === 0) {
+        return summary;
+      }
+
+      const devices = await DeviceToken.find({
+        ownerType,
+        owner: { $in: ids },
+      }).lean();
+      if (devices.length === 0) {
+        return summary;
+      }
+
+      const payload = {
+        priority: "normal",
+        ttlSeconds: PUSH_SETTINGS.ttlSeconds,
+        ...message,
+        data: message.data || {},
+      };
+
+      const results = await Promise.all(
+        devices.map(async (device) => {
+          try {
+            const provider = PushProviderFactory.getProvider(device.provider);
+            return { device, ...(await provider.send(device.token, payload)) };
+          } catch (error) {
+            return {
+              device,
+              success: false,
+              providerError: true,
+              error: error.message,
+            };
+          }
+        })
+      );
+
+      summary.pruned = await this.recordResults(results);
+      summary.sent = results.filter((result) => result.success).length;
+      summary.failed = results.length - summary.sent;
+      return summary;
+    } catch (error) {
+      logger.error(`Push notification to ${ownerType} failed:`, {
+        message: error.message,
+      });
+      return summary;
+    }
+  }
+
+  /**
+   * Fire-and-forget send, for callers that must not wait on providers
+   */
+  notify(ownerType, ownerIds, message) {
+    this.send(ownerType, ownerIds, message);
+  }
+
+  /**
+   * Update device bookkeeping after a send and prune dead tokens
+   * @returns {Promise<Number>} Devices removed
+   */
+  async recordResults(results) {
+    const idsOf = (filter) =>
+      results.filter(filter).map((result) => result.device._id);
+
+    const delivered = idsOf((result) => result.success);
+    const invalid = idsOf((result) => !result.success && result.invalidToken);
+    const failed = results.filter(
+      (result) =>
+        !result.success && !result.invalidToken && !result.providerError
+    );
+    const providerErrors = results.filter((result) => result.providerError);
+
+    if (delivered.length > 0) {
+      await DeviceToken.updateMany(
+        { _id: { $in: delivered } },
+        { $set: { lastSentAt: new Date(), failureCount: 0 } }
+      );
+    }
+
+    if (providerErrors.length > 0) {
+      const providers = [
+        ...new Set(providerErrors.map((result) => result.device.provider)),
+      ];
+      logger.warn(
+        `Push provider error for ${providerErrors.length} device(s) (${providers.join(", ")}): ${providerErrors[0].error}`
+      );
+    }
+
+    for (const result of failed) {
+      await DeviceToken.updateOne(
+        { _id: result.device._id },
+        { $inc: { failureCount: 1 }, $set: { lastError: result.error } }
+      );
+    }
+
+    let pruned = 0;
+    if (invalid.length > 0) {
+      const { deletedCount } = await DeviceToken.deleteMany({
+        _id: { $in: invalid },
+      });
+      pruned += deletedCount;
+      logger.info(`Pruned ${deletedCount} invalid push tokens`);
+    }
+    if (failed.length > 0) {
+      const { deletedCount } = await DeviceToken.deleteMany({
+        _id: { $in: failed.map((result) => result.device._id) },
+        failureCount: { $gte: PUSH_SETTINGS.maxConsecutiveFailures },
+      });
+      pruned += deletedCount;
+    }
+    return pruned;
+  }
+
+  /**
+   * Remove devices that have not checked in for staleAfterDays
+   * @returns {Promise<Number>} Devices removed
+   */
+  async pruneStaleDevices(now = new Date()) {
+    const { deletedCount } = await DeviceToken.deleteMany({
+      lastSeenAt: {
+        $lt: new Date(now.getTime() - PUSH_SETTINGS.staleAfterDays * DAY_MS),
+      },
+    });
+    if (deletedCount > 0) {
+      logger.info(`Pruned ${deletedCount} stale push devices`);
+    }
+    return deletedCount;
+  }
+
+  /**
+   * VAPID public key browsers need to subscribe, or null if web push is off
+   */
+  getWebPushPublicKey() {
+    return process.env.VAPID_PUBLIC_KEY || null;
+  }
+}
+
+// Export singleton instance
+const pushService = new PushService();
+export default pushService;
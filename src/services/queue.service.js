@@ -1,6 +1,10 @@
 // src/services/queueService.js - Order Queue Management Service
 import { Order } from "../models/Order.model.js";
 import { APIError } from "../utils/APIError.js";
+import {
+  publishOrderEvent,
+  publishOrderEvents,
+} from "./order/orderTracking.service.js";
 import { logger } from "../utils/logger.js";
 
 /**
@@ -16,6 +20,7 @@ class QueueService {
   constructor() {
     // Configuration
     this.MAX_QUEUE_SIZE = process.env.MAX_QUEUE_SIZE || 100;
+    this.CLAIM_TIMEOUT_MINUTES = 5;
     this.DEFAULT_PRIORITY = "normal";
     this.PRIORITIES = {
       high: 3,
@@ -52,8 +57,9 @@ class QueueService {
         throw new APIError(503, "Queue is full. Please try again later.");
       }
 
-      // Calculate queue position
-      const position = await this.calculateQueuePosition({
+      // Provisional position; the renumbering below settles the real one
+      // from what is actually queued, so concurrent adds can't share a slot
+      const provisionalPosition = await this.calculateQueuePosition({
         hotel,
         branch,
         priority,
@@ -62,20 +68,31 @@ class QueueService {
       // Create queue entry in database
       const queueEntry = {
         queuedAt: new Date(),
-        queuePosition: position,
+        queuePosition: provisionalPosition,
         priority: priority,
         priorityValue: this.PRIORITIES[priority],
         estimatedWaitTime: estimatedWaitTime,
+        estimatedAssignmentTime: new Date(
+          Date.now() + estimatedWaitTime * 60000
+        ),
         hotel: hotel,
         branch: branch,
         status: "queued",
       };
 
       // Update order with queue information
-      await Order.findByIdAndUpdate(order._id, queueEntry);
+      await Order.findByIdAndUpdate(order._id, {
+        ...queueEntry,
+        $unset: { queueClaimedAt: 1 },
+      });
 
       // Update positions of other orders if necessary
-      await this.updateQueuePositions({ hotel, branch });
+      await this.updateQueuePositions({ hotel, branch }, order._id);
+      const queued = await Order.findById(order._id)
+        .select("queuePosition")
+        .lean();
+      const position = queued?.queuePosition ?? provisionalPosition;
+      await publishOrderEvent(order._id, "queued");
 
       logger.info(
         `Order ${order._id} queued at position ${position} with priority ${priority}`
@@ -103,22 +120,7 @@ class QueueService {
   async getNextInQueue(filter = {}) {
     try {
       const { hotel, branch } = filter;
-
-      // Build query filter
-      const queryFilter = {
-        status: "queued",
-        queuePosition: { $exists: true, $ne: null },
-      };
-
-      if (hotel) queryFilter.hotel = hotel;
-      // Match orders for this branch OR orders with no branch (hotel-level orders)
-      if (branch) {
-        queryFilter.$or = [
-          { branch: branch },
-          { branch: null },
-          { branch: { $exists: false } },
-        ];
-      }
+      const queryFilter = this.buildNextInQueueFilter(filter);
 
       logger.info(
         `getNextInQueue filter: ${JSON.stringify({ hotel: hotel?.toString(), branch: branch?.toString() })}`
@@ -168,6 +170,125 @@ class QueueService {
     }
   }
 
+  /**
+   * Take the next order off the queue in one atomic step, so two instances
+   * can never both get it. The order keeps its priority and is stamped with
+   * queueClaimedAt until the assignment clears it, so requeueStaleClaims
+   * can put it back if the claiming instance dies.
+   * @param {Object} filter - Filter criteria (hotel, branch)
+   * @returns {Object|null} The order as it was queued, or null if none
+   */
+  async claimNextInQueue(filter = {}) {
+    try {
+      const claimedOrder = await Order.findOneAndUpdate(
+        this.buildNextInQueueFilter(filter),
+        {
+          $set: { queueClaimedAt: new Date() },
+          $unset: {
+            queuePosition: 1,
+            queuedAt: 1,
+            estimatedWaitTime: 1,
+          },
+        },
+        {
+          sort: { priorityValue: -1, queuedAt: 1, _id: 1 },
+          new: false,
+        }
+      )
+        .populate("user", "name phone")
+        .populate("table", "tableNumber")
+        .lean();
+
+      if (!claimedOrder) {
+        return null;
+      }
+
+      await this.updateQueuePositionsAfterRemoval(claimedOrder.queuePosition, {
+        hotel: claimedOrder.hotel,
+        branch: claimedOrder.branch,
+      });
+
+      logger.info(
+        `Claimed order ${claimedOrder._id} from queue position ${claimedOrder.queuePosition}`
+      );
+      return claimedOrder;
+    } catch (error) {
+      logger.error("Error claiming next order from queue:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put back orders whose claim was never finished (the instance assigning
+   * them crashed or lost its connection)
+   * @param {Date} now
+   * @returns {Number} Orders requeued
+   */
+  async requeueStaleClaims(now = new Date()) {
+    const cutoff = new Date(
+      now.getTime() - this.CLAIM_TIMEOUT_MINUTES * 60 * 1000
+    );
+
+    const stale = await Order.find({
+      status: "queued",
+      queueClaimedAt: { $lte: cutoff },
+    })
+      .select("_id")
+      .lean();
+
+    let requeued = 0;
+    for (const { _id } of stale) {
+      // Take the stale claim over atomically so two sweepers can't both
+      // requeue it; if requeueing fails it goes stale again and is retried
+      const order = await Order.findOneAndUpdate(
+        { _id, status: "queued", queueClaimedAt: { $lte: cutoff } },
+        { $set: { queueClaimedAt: now } }
+      )
+        .select("hotel branch priority")
+        .lean();
+      if (!order) {
+        continue;
+      }
+
+      try {
+        await this.addToQueue(order, {
+          hotel: order.hotel,
+          branch: order.branch,
+          priority: this.PRIORITIES[order.priority]
+            ? order.priority
+            : undefined,
+        });
+        requeued++;
+        logger.warn(`Requeued order ${order._id} after a stale queue claim`);
+      } catch (error) {
+        logger.error(`Failed to requeue order ${order._id}:`, error);
+      }
+    }
+    return requeued;
+  }
+
+  /**
+   * Query for queued orders a hotel/branch's waiters can take
+   * @param {Object} filter - Filter criteria (hotel, branch)
+   */
+  buildNextInQueueFilter({ hotel, branch } = {}) {
+    const queryFilter = {
+      status: "queued",
+      queuePosition: { $exists: true, $ne: null },
+    };
+
+    if (hotel) queryFilter.hotel = hotel;
+    // Match orders for this branch OR orders with no branch (hotel-level orders)
+    if (branch) {
+      queryFilter.$or = [
+        { branch: branch },
+        { branch: null },
+        { branch: { $exists: false } },
+      ];
+    }
+    return queryFilter;
+  }
+
   /**
    * Remove order from queue
    * @param {String} orderId - Order ID to remove
@@ -440,10 +561,13 @@ class QueueService {
 
   /**
    * Update queue positions after changes
+   * Diners whose position changed get a tracking event.
    * @param {Object} filter - Filter criteria
+   * @param {String} [justQueuedId] - Order being queued (it gets its own
+   *   "queued" event)
    * @returns {Boolean} Success status
    */
-  async updateQueuePositions(filter = {}) {
+  async updateQueuePositions(filter = {}, justQueuedId = null) {
     try {
       const { hotel, branch } = filter;
 
@@ -460,8 +584,9 @@ class QueueService {
         .sort({
           priorityValue: -1,
           queuedAt: 1,
+          _id: 1,
         })
-        .select("_id");
+        .select("_id queuePosition");
 
       // Update positions
       const updatePromises = queuedOrders.map((order, index) =>
@@ -470,6 +595,15 @@ class QueueService {
 
       await Promise.all(updatePromises);
 
+      const movedIds = queuedOrders
+        .filter(
+          (order, index) =>
+            order.queuePosition !== index + 1 &&
+            order._id.toString() !== justQueuedId?.toString()
+        )
+        .map((order) => order._id);
+      await publishOrderEvents(movedIds, "queue_moved");
+
       logger.info(`Updated ${queuedOrders.length} queue positions`);
       return true;
     } catch (error) {
@@ -496,11 +630,18 @@ class QueueService {
       if (hotel) queryFilter.hotel = hotel;
       if (branch) queryFilter.branch = branch;
 
+      const movedOrders = await Order.find(queryFilter).select("_id").lean();
+
       // Decrement positions for all orders after the removed position
       await Order.updateMany(queryFilter, {
         $inc: { queuePosition: -1 },
       });
 
+      await publishOrderEvents(
+        movedOrders.map((order) => order._id),
+        "queue_moved"
+      );
+
       logger.info(
         `Updated queue positions after removing position ${removedPosition}`
       );
@@ -0,0 +1,612 @@
+/**
+ * Table reservations
+ *
+ * A booking holds one table from reservationTime until endTime
+ * (reservationTime + the branch's dining duration). Availability for a day
+ * is worked out slot by slot from the branch's operating hours, the tables
+ * big enough for the party and the bookings already holding them.
+ */
+
+import { Booking, ACTIVE_BOOKING_STATUSES } from "../models/Booking.model.js";
+import { Branch } from "../models/Branch.model.js";
+import { Table } from "../models/Table.model.js";
+import { EmailQueue } from "../models/EmailQueue.model.js";
+import { emailQueueService } from "./emailQueue.service.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { RESERVATION_SETTINGS } from "../config/constants.js";
+import {
+  fromLocalTime,
+  getLocalDate,
+  toMinutes,
+} from "../utils/businessTime.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+class ReservationService {
+  /**
+   * Branch reservation settings with defaults filled in
+   * @param {Object} branch - Branch document
+   */
+  getSettings(branch) {
+    const overrides = branch?.reservationSettings || {};
+    return {
+      ...RESERVATION_SETTINGS,
+      enabled: overrides.enabled !== false,
+      slotMinutes: overrides.slotMinutes || RESERVATION_SETTINGS.slotMinutes,
+      diningDurationMinutes:
+        overrides.diningDurationMinutes ||
+        RESERVATION_SETTINGS.diningDurationMinutes,
+      maxPartySize: overrides.maxPartySize || RESERVATION_SETTINGS.maxPartySize,
+    };
+  }
+
+  /**
+   * Load a branch that takes reservations
+   * @param {String} branchId - Branch ID
+   */
+  async getBookableBranch(branchId) {
+    const branch = await Branch.findById(branchId).select(
+      "name hotel status operatingHours reservationSettings"
+    );
+    if (!branch || branch.status !== "active") {
+      throw new APIError(404, "Branch not found");
+    }
+    if (!this.getSettings(branch).enabled) {
+      throw new APIError(400, "This branch is not taking reservations");
+    }
+    return branch;
+  }
+
+  /**
+   * Seating window of a business day: first and last time a party can be
+   * seated so that it finishes by closing. Closing may be after midnight.
+   * @param {Object} branch - Branch document
+   * @param {String} date - Local date "YYYY-MM-DD"
+   * @returns {{ firstSeating: Date, lastSeating: Date } | null}
+   */
+  getSeatingWindow(branch, date) {
+    const { diningDurationMinutes } = this.getSettings(branch);
+    const hours = branch.operatingHours;
+
+    let open = 0;
+    let close = DAY_MINUTES;
+    if (hours && !hours.isOpen24Hours && hours.openTime && hours.closeTime) {
+      open = toMinutes(hours.openTime);
+      close = toMinutes(hours.closeTime);
+      if (close <= open) close += DAY_MINUTES;
+    }
+
+    const lastSeatingMinutes = close - diningDurationMinutes;
+    if (lastSeatingMinutes < open) {
+      return null;
+    }
+
+    return {
+      firstSeating: fromLocalTime(date, open),
+      lastSeating: fromLocalTime(date, lastSeatingMinutes),
+    };
+  }
+
+  /**
+   * Check a requested time against lead time, advance limit, party size and
+   * the seating window (today's, or yesterday's if it runs past midnight)
+   */
+  assertBookable(branch, start, partySize) {
+    const settings = this.getSettings(branch);
+    const now = Date.now();
+
+    if (partySize > settings.maxPartySize) {
+      throw new APIError(
+        400,
+        `Online bookings are for up to ${settings.maxPartySize} guests. Please call the restaurant for larger groups.`
+      );
+    }
+    if (start.getTime() < now + settings.minAdvanceMinutes * MINUTE_MS) {
+      throw new APIError(
+        400,
+        `Reservations must be made at least ${settings.minAdvanceMinutes} minutes ahead`
+      );
+    }
+    if (
+      start.getTime() >
+      now + settings.maxAdvanceDays * DAY_MINUTES * MINUTE_MS
+    ) {
+      throw new APIError(
+        400,
+        `Reservations can be made up to ${settings.maxAdvanceDays} days ahead`
+      );
+    }
+
+    const today = getLocalDate(start);
+    const yesterday = getLocalDate(
+      new Date(start.getTime() - DAY_MINUTES * MINUTE_MS)
+    );
+    const inWindow = [today, yesterday].some((date) => {
+      const window = this.getSeatingWindow(branch, date);
+      return (
+        window && start >= window.firstSeating && start <= window.lastSeating
+      );
+    });
+    if (!inWindow) {
+      const hours = branch.operatingHours;
+      throw new APIError(
+        400,
+        `The branch seats guests between ${hours.openTime} and ${hours.closeTime}, finishing by closing time`
+      );
+    }
+  }
+
+  /**
+   * Tables that can seat the party, smallest first so big tables stay free
+   */
+  async getCandidateTables(branchId, partySize) {
+    return Table.find({
+      branch: branchId,
+      isActive: true,
+      status: { $nin: ["maintenance", "inactive"] },
+      capacity: { $gte: partySize },
+    })
+      .select("tableNumber capacity")
+      .sort({ capacity: 1, tableNumber: 1 })
+      .collation({ locale: "en", numericOrdering: true });
+  }
+
+  /**
+   * Active bookings on the tables that overlap [from, to)
+   */
+  async getHoldingBookings(tableIds, from, to, excludeBookingId = null) {
+    const query = {
+      table: { $in: tableIds },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      reservationTime: { $lt: to },
+      endTime: { $gt: from },
+    };
+    if (excludeBookingId) {
+      query._id = { $ne: excludeBookingId };
+    }
+    return Booking.find(query).select("table reservationTime endTime").lean();
+  }
+
+  /**
+   * Tables from the list that are free for the whole of [start, end)
+   */
+  filterFreeTables(tables, bookings, start, end) {
+    return tables.filter(
+      (table) =>
+        !bookings.some(
+          (booking) =>
+            booking.table.toString() === table._id.toString() &&
+            booking.reservationTime < end &&
+            booking.endTime > start
+        )
+    );
+  }
+
+  /**
+   * Whether a single table is free for a window (manager bookings)
+   */
+  async isTableAvailable(tableId, start, end, excludeBookingId = null) {
+    const bookings = await this.getHoldingBookings(
+      [tableId],
+      start,
+      end,
+      excludeBookingId
+    );
+    return bookings.length === 0;
+  }
+
+  /**
+   * Bookable slots for a party on a given day
+   * @param {String} branchId - Branch ID
+   * @param {String} date - Local date "YYYY-MM-DD"
+   * @param {Number} partySize - Number of guests
+   */
+  async getAvailability(branchId, date, partySize) {
+    const branch = await this.getBookableBranch(branchId);
+    const settings = this.getSettings(branch);
+
+    if (partySize > settings.maxPartySize) {
+      throw new APIError(
+        400,
+        `Online bookings are for up to ${settings.maxPartySize} guests. Please call the restaurant for larger groups.`
+      );
+    }
+
+    const result = {
+      branch: { _id: branch._id, name: branch.name },
+      date,
+      partySize,
+      durationMinutes: settings.diningDurationMinutes,
+      slots: [],
+    };
+
+    const window = this.getSeatingWindow(branch, date);
+    if (!window) {
+      return result;
+    }
+
+    const durationMs = settings.diningDurationMinutes * MINUTE_MS;
+    const windowEnd = new Date(window.lastSeating.getTime() + durationMs);
+    const tables = await this.getCandidateTables(branch._id, partySize);
+    const bookings = await this.getHoldingBookings(
+      tables.map((table) => table._id),
+      window.firstSeating,
+      windowEnd
+    );
+
+    const earliest = Date.now() + settings.minAdvanceMinutes * MINUTE_MS;
+    const latest =
+      Date.now() + settings.maxAdvanceDays * DAY_MINUTES * MINUTE_MS;
+
+    for (
+      let time = window.firstSeating.getTime();
+      time <= window.lastSeating.getTime();
+      time += settings.slotMinutes * MINUTE_MS
+    ) {
+      if (time < earliest || time > latest) continue;
+
+      const start = new Date(time);
+      const free = this.filterFreeTables(
+        tables,
+        bookings,
+        start,
+        new Date(time + durationMs)
+      );
+      result.slots.push({
+        time: start,
+        available: free.length > 0,
+        tablesLeft: free.length,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Another active booking on the same table overlaps this one.
+   * With olderOnly, only bookings created before it count, so of two
+   * requests racing for a table the later one backs off.
+   */
+  async hasConflict(booking, { olderOnly = false } = {}) {
+    const idFilter = olderOnly ? { $lt: booking._id } : { $ne: booking._id };
+    return Booking.exists({
+      _id: idFilter,
+      table: booking.table,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      reservationTime: { $lt: booking.endTime },
+      endTime: { $gt: booking.reservationTime },
+    });
+  }
+
+  /**
+   * Book a table for a diner
+   * @param {Object} user - Authenticated user
+   * @param {Object} data - Validated request body
+   */
+  async createReservation(user, data) {
+    const branch = await this.getBookableBranch(data.branchId);
+    const settings = this.getSettings(branch);
+    const start = new Date(data.reservationTime);
+    const end = new Date(
+      start.getTime() + settings.diningDurationMinutes * MINUTE_MS
+    );
+
+    this.assertBookable(branch, start, data.partySize);
+
+    const overlapping = await Booking.exists({
+      user: user._id,
+      branch: branch._id,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      reservationTime: { $lt: end },
+      endTime: { $gt: start },
+    });
+    if (overlapping) {
+      throw new APIError(
+        409,
+        "You already have a reservation at this branch around this time"
+      );
+    }
+
+    const tables = await this.getCandidateTables(branch._id, data.partySize);
+    const bookings = await this.getHoldingBookings(
+      tables.map((table) => table._id),
+      start,
+      end
+    );
+    const freeTables = this.filterFreeTables(tables, bookings, start, end);
+
+    for (const table of freeTables) {
+      const booking = await Booking.create({
+        user: user._id,
+        hotel: branch.hotel,
+        branch: branch._id,
+        table: table._id,
+        customerName: data.customerName || user.name,
+        contactNumber: data.contactNumber || user.phone,
+        email: data.email || user.email,
+        partySize: data.partySize,
+        reservationTime: start,
+        durationMinutes: settings.diningDurationMinutes,
+        specialRequests: data.specialRequests,
+        status: "confirmed",
+        source: "customer",
+        createdBy: user._id,
+      });
+
+      if (await this.hasConflict(booking, { olderOnly: true })) {
+        // Someone else took this table a moment ago; try the next one
+        await booking.deleteOne();
+        continue;
+      }
+
+      logger.info(
+        `Reservation ${booking.bookingId} for ${booking.partySize} at table ${table.tableNumber}`
+      );
+      await this.holdTableForBooking(booking);
+      await this.queueBookingEmails(booking);
+      return booking;
+    }
+
+    throw new APIError(
+      409,
+      `No table for ${data.partySize} is free at this time. Please pick another slot.`
+    );
+  }
+
+  /**
+   * Diners can only change their own, still-upcoming bookings
+   */
+  assertCustomerCanChange(booking) {
+    if (booking.status !== "confirmed") {
+      throw new APIError(
+        400,
+        `This reservation is ${booking.status} and can no longer be changed`
+      );
+    }
+
+    const cutoff = RESERVATION_SETTINGS.cancellationCutoffMinutes;
+    if (booking.reservationTime.getTime() - Date.now() < cutoff * MINUTE_MS) {
+      throw new APIError(
+        400,
+        `Reservations can't be changed within ${cutoff} minutes of the booking. Please call the restaurant.`
+      );
+    }
+  }
+
+  /**
+   * Move a diner's booking to a new time and/or party size, keeping the
+   * same table when it still fits
+   * @param {Object} booking - Booking document
+   * @param {Object} changes - { reservationTime, partySize, specialRequests }
+   */
+  async updateReservation(booking, changes) {
+    this.assertCustomerCanChange(booking);
+
+    if (changes.specialRequests !== undefined) {
+      booking.specialRequests = changes.specialRequests;
+    }
+
+    const start = changes.reservationTime
+      ? new Date(changes.reservationTime)
+      : booking.reservationTime;
+    const partySize = changes.partySize || booking.partySize;
+    const moved =
+      start.getTime() !== booking.reservationTime.getTime() ||
+      partySize !== booking.partySize;
+
+    if (!moved) {
+      await booking.save();
+      return booking;
+    }
+
+    const branch = await this.getBookableBranch(booking.branch);
+    const settings = this.getSettings(branch);
+    const end = new Date(
+      start.getTime() + settings.diningDurationMinutes * MINUTE_MS
+    );
+    this.assertBookable(branch, start, partySize);
+
+    const tables = await this.getCandidateTables(branch._id, partySize);
+    const bookings = await this.getHoldingBookings(
+      tables.map((table) => table._id),
+      start,
+      end,
+      booking._id
+    );
+    const freeTables = this.filterFreeTables(tables, bookings, start, end);
+
+    // Prefer staying on the same table
+    freeTables.sort(
+      (a, b) =>
+        (b._id.toString() === booking.table?.toString()) -
+        (a._id.toString() === booking.table?.toString())
+    );
+
+    const original = {
+      table: booking.table,
+      reservationTime: booking.reservationTime,
+      partySize: booking.partySize,
+      durationMinutes: booking.durationMinutes,
+    };
+
+    for (const table of freeTables) {
+      booking.set({
+        table: table._id,
+        reservationTime: start,
+        partySize,
+        durationMinutes: settings.diningDurationMinutes,
+      });
+      await booking.save();
+
+      if (!(await this.hasConflict(booking))) {
+        await this.releaseTableHold(original.table, booking._id);
+        await this.holdTableForBooking(booking);
+        await this.queueBookingEmails(booking);
+        return booking;
+      }
+    }
+
+    booking.set(original);
+    await booking.save();
+    throw new APIError(
+      409,
+      `No table for ${partySize} is free at this time. Please pick another slot.`
+    );
+  }
+
+  /**
+   * Cancel a booking and release its table
+   * @param {Object} booking - Booking document
+   * @param {Object} details - { cancelledBy, cancelledByModel, reason }
+   */
+  async cancelReservation(booking, { cancelledBy, cancelledByModel, reason }) {
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      throw new APIError(400, `Reservation is already ${booking.status}`);
+    }
+
+    booking.status = "cancelled";
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = cancelledBy;
+    booking.cancelledByModel = cancelledByModel;
+    booking.cancellationReason = reason;
+    await booking.save();
+
+    await this.releaseTableHold(booking.table, booking._id);
+
+    await this.clearPendingReminders(booking);
+    await this.queueEmail(booking, "reservation_cancellation");
+
+    return booking;
+  }
+
+  /**
+   * Mark the booking's table reserved once the booking is close. Only a free
+   * table is taken; a table still in use is left for the host to turn.
+   * @param {Object} booking - Booking document
+   * @param {Date} now
+   * @returns {Boolean} Whether the table was held
+   */
+  async holdTableForBooking(booking, now = new Date()) {
+    const leadMs = RESERVATION_SETTINGS.tableHoldLeadMinutes * MINUTE_MS;
+    if (
+      !booking.table ||
+      booking.status !== "confirmed" ||
+      booking.reservationTime.getTime() - now.getTime() > leadMs
+    ) {
+      return false;
+    }
+
+    const result = await Table.updateOne(
+      { _id: booking.table, status: "available", currentReservation: null },
+      { $set: { status: "reserved", currentReservation: booking._id } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Free a table held for a booking (cancelled or moved elsewhere)
+   */
+  async releaseTableHold(tableId, bookingId) {
+    if (!tableId) {
+      return;
+    }
+    await Table.updateOne(
+      { _id: tableId, currentReservation: bookingId },
+      { $set: { status: "available", currentReservation: null } }
+    );
+  }
+
+  /**
+   * Scheduled sweep: hold tables for bookings starting soon, whichever way
+   * they were made
+   * @returns {Number} Tables held
+   */
+  async holdUpcomingTables(now = new Date()) {
+    const bookings = await Booking.find({
+      status: "confirmed",
+      table: { $ne: null },
+      reservationTime: {
+        $gt: new Date(
+          now.getTime() - RESERVATION_SETTINGS.tableHoldLeadMinutes * MINUTE_MS
+        ),
+        $lte: new Date(
+          now.getTime() + RESERVATION_SETTINGS.tableHoldLeadMinutes * MINUTE_MS
+        ),
+      },
+    }).select("table status reservationTime");
+
+    let held = 0;
+    for (const booking of bookings) {
+      try {
+        if (await this.holdTableForBooking(booking, now)) {
+          held++;
+        }
+      } catch (error) {
+        logger.error(`Failed to hold table for booking ${booking._id}:`, error);
+      }
+    }
+    return held;
+  }
+
+  /**
+   * Confirmation now, reminder before the booking. Called again after a
+   * change, which replaces any reminder still waiting.
+   */
+  async queueBookingEmails(booking) {
+    await this.clearPendingReminders(booking);
+    await this.queueEmail(booking, "reservation_confirmation");
+
+    const remindAt = new Date(
+      booking.reservationTime.getTime() -
+        RESERVATION_SETTINGS.reminderLeadMinutes * MINUTE_MS
+    );
+    if (remindAt.getTime() > Date.now()) {
+      await this.queueEmail(booking, "reservation_reminder", remindAt);
+    }
+  }
+
+  async clearPendingReminders(booking) {
+    await EmailQueue.deleteMany({
+      bookingId: booking._id,
+      type: "reservation_reminder",
+      status: "pending",
+    });
+  }
+
+  /**
+   * Put a reservation email on the queue; immediate ones are attempted
+   * straight away and left to the queue's retries if that fails
+   */
+  async queueEmail(booking, type, scheduledFor = null) {
+    if (!booking.email) {
+      return;
+    }
+
+    try {
+      const emailItem = await EmailQueue.create({
+        type,
+        bookingId: booking._id,
+        recipientEmail: booking.email,
+        recipientName: booking.customerName || "Guest",
+        emailData: { metadata: { bookingId: booking.bookingId } },
+        scheduledFor: scheduledFor || new Date(),
+      });
+
+      if (!scheduledFor) {
+        emailQueueService.processEmailItem(emailItem).catch((error) => {
+          logger.error(`Failed to send ${type} email:`, error);
+        });
+      }
+    } catch (error) {
+      // Email problems must not undo the booking itself
+      logger.error(
+        `Failed to queue ${type} email for booking ${booking._id}:`,
+        error
+      );
+    }
+  }
+}
+
+export default new ReservationService();
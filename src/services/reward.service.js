@@ -5,6 +5,11 @@ import { Order } from "../models/Order.model.js";
 import { Hotel } from "../models/Hotel.model.js";
 import { APIError } from "../utils/APIError.js";
 import { logger } from "../utils/logger.js";
+import { generateOtp, hashOtp, verifyOtp } from "../utils/otpGenerator.js";
+import { sendCoinRedemptionOtpSms } from "../utils/smsService.js";
+
+const COIN_OTP_TTL_MS = 10 * 60 * 1000;
+const COIN_OTP_MAX_ATTEMPTS = 5;
 
 class CoinService {
   /**
@@ -145,6 +150,138 @@ class CoinService {
     }
   }
 
+  /**
+   * Award coins for a staff-entered (POS / phone) order once it is paid
+   * App orders earn their coins when placed; these only count once the
+   * diner has actually paid. Safe to call more than once per order.
+   * @param {Object} order - Paid order (user may be populated)
+   * @returns {Object} { coinsEarned }
+   */
+  async awardCoinsForPaidOrder(order) {
+    const userId = order.user?._id || order.user;
+    if (!userId || !["pos", "phone"].includes(order.orderSource)) {
+      return { coinsEarned: 0 };
+    }
+
+    const alreadyAwarded = await CoinTransaction.exists({
+      user: userId,
+      order: order._id,
+      type: "earned",
+    });
+    if (alreadyAwarded) {
+      return { coinsEarned: 0 };
+    }
+
+    const hotel = await Hotel.findById(order.hotel?._id || order.hotel).select(
+      "createdBy"
+    );
+    if (!hotel) {
+      return { coinsEarned: 0 };
+    }
+
+    const { coinsEarned } = await this.awardCoinsForOrder(
+      userId,
+      order._id,
+      order.totalPrice,
+      hotel.createdBy
+    );
+    return { coinsEarned };
+  }
+
+  /**
+   * Text a registered diner a one-time code that lets staff redeem their
+   * coins on a POS / phone order
+   * @param {string} phone - Diner's phone number
+   * @returns {Object} { expiresAt }
+   */
+  async sendRedemptionOtp(phone) {
+    const user = await User.findOne({ phone }).select("_id coins");
+    if (!user) {
+      throw new APIError(404, "No registered customer with this phone number");
+    }
+    if (user.coins <= 0) {
+      throw new APIError(400, "This customer has no coins to redeem");
+    }
+
+    const otp = generateOtp();
+    const expiresAt = new Date(Date.now() + COIN_OTP_TTL_MS);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          coinRedemptionOtp: hashOtp(otp),
+          coinRedemptionOtpExpiry: expiresAt,
+          coinRedemptionOtpAttempts: 0,
+        },
+      }
+    );
+
+    try {
+      await sendCoinRedemptionOtpSms(phone, otp);
+    } catch (error) {
+      logger.error(`Failed to send coin redemption code to ${phone}:`, {
+        message: error.message,
+      });
+      throw new APIError(502, "Could not send the code to the customer");
+    }
+
+    return { expiresAt };
+  }
+
+  /**
+   * Check and consume a diner's coin redemption code
+   * A code works once; too many wrong tries void it.
+   * @param {string} userId - User ID
+   * @param {string} otp - Code the diner read out
+   */
+  async verifyRedemptionOtp(userId, otp) {
+    const user = await User.findById(userId).select(
+      "+coinRedemptionOtp coinRedemptionOtpExpiry coinRedemptionOtpAttempts"
+    );
+    if (
+      !user?.coinRedemptionOtp ||
+      !user.coinRedemptionOtpExpiry ||
+      user.coinRedemptionOtpExpiry < new Date()
+    ) {
+      throw new APIError(
+        400,
+        "Coin redemption code has expired. Please request a new one."
+      );
+    }
+
+    if (!verifyOtp(otp, user.coinRedemptionOtp)) {
+      const attempts = (user.coinRedemptionOtpAttempts || 0) + 1;
+      await User.updateOne(
+        { _id: userId },
+        attempts >= COIN_OTP_MAX_ATTEMPTS
+          ? {
+              $set: {
+                coinRedemptionOtp: null,
+                coinRedemptionOtpExpiry: null,
+                coinRedemptionOtpAttempts: 0,
+              },
+            }
+          : { $set: { coinRedemptionOtpAttempts: attempts } }
+      );
+      throw new APIError(400, "Invalid coin redemption code");
+    }
+
+    // Consume the code; a concurrent order with the same code loses here
+    const consumed = await User.updateOne(
+      { _id: userId, coinRedemptionOtp: user.coinRedemptionOtp },
+      {
+        $set: {
+          coinRedemptionOtp: null,
+          coinRedemptionOtpExpiry: null,
+          coinRedemptionOtpAttempts: 0,
+        },
+      }
+    );
+    if (consumed.modifiedCount === 0) {
+      throw new APIError(400, "Coin redemption code has already been used");
+    }
+  }
+
   /**
    * Apply coins to an order payment
    * @param {string} userId - User ID
@@ -253,14 +390,16 @@ class CoinService {
    * @param {string} orderId - Order ID
    * @param {number} coinsToUse - Coins to use
    * @param {number} orderValue - Order value
+   * @param {string} hotelId - Hotel ID (used to look up coin settings)
    * @returns {Object} Transaction details
    */
-  async processCoinsUsage(userId, orderId, coinsToUse, orderValue) {
+  async processCoinsUsage(userId, orderId, coinsToUse, orderValue, hotelId) {
     try {
       const { discount, coinValue } = await this.applyCoinsToOrder(
         userId,
         coinsToUse,
-        orderValue
+        orderValue,
+        hotelId
       );
 
       if (coinsToUse <= 0) {
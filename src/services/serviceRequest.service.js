@@ -0,0 +1,388 @@
+/**
+ * Table service requests (call waiter, bill, water, cutlery, custom)
+ *
+ * A request goes to the waiter looking after the table: the one serving
+ * its running order, otherwise an available waiter of the table's floor
+ * plan section. With nobody to route to it goes to the whole branch room.
+ * Staff acknowledge and then complete it; the diner sees each step.
+ */
+
+import mongoose from "mongoose";
+import {
+  ServiceRequest,
+  ACTIVE_SERVICE_REQUEST_STATUSES,
+} from "../models/ServiceRequest.model.js";
+import { Order } from "../models/Order.model.js";
+import { Staff } from "../models/Staff.model.js";
+import { FloorPlan } from "../models/FloorPlan.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { SERVICE_REQUEST_SETTINGS } from "../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const REQUEST_LABELS = {
+  call_waiter: "Waiter requested",
+  request_bill: "Bill requested",
+  request_water: "Water requested",
+  request_cutlery: "Cutlery requested",
+  custom: "Request",
+};
+
+class ServiceRequestService {
+  /**
+   * Waiter to route a table's requests to, or null for the branch room
+   * @param {Object} table - Table document
+   * @returns {{ staffId: ObjectId|null, orderId: ObjectId|null }}
+   */
+  async resolveWaiter(table) {
+    const order = await Order.findOne({
+      table: table._id,
+      status: { $nin: ["completed", "cancelled", "scheduled"] },
+    })
+      .sort({ createdAt: -1 })
+      .select("staff");
+
+    if (order?.staff) {
+      return { staffId: order.staff, orderId: order._id };
+    }
+
+    const plan = await FloorPlan.findOne({
+      branch: table.branch?._id || table.branch,
+      "sections.tables": table._id,
+    })
+      .select("sections")
+      .lean();
+    const section = plan?.sections.find((s) =>
+      s.tables.some((id) => id.toString() === table._id.toString())
+    );
+
+    if (section?.waiters.length) {
+      const waiter = await Staff.findOne({
+        _id: { $in: section.waiters },
+        status: "active",
+        isAvailable: true,
+      })
+        .sort({ activeOrdersCount: 1 })
+        .select("_id");
+      if (waiter) {
+        return { staffId: waiter._id, orderId: order?._id || null };
+      }
+    }
+
+    return { staffId: null, orderId: order?._id || null };
+  }
+
+  /**
+   * Raise a request from the table. Asking again for something still
+   * pending returns the pending request instead of a duplicate; for custom
+   * requests that means the same message, and a diner can only send a few
+   * of them in a short window.
+   * @param {Object} user - Diner (req.user)
+   * @param {Object} table - Table document (hotel/branch may be populated)
+   * @param {Object} data - { type, message }
+   */
+  async createRequest(user, table, { type, message }) {
+    const pending = await ServiceRequest.find({
+      table: table._id,
+      type,
+      status: { $in: ACTIVE_SERVICE_REQUEST_STATUSES },
+    });
+    const normalize = (text) =>
+      (text || "").trim().replace(/\s+/g, " ").toLowerCase();
+    const duplicateOf =
+      type === "custom"
+        ? pending.find(
+            (request) => normalize(request.message) === normalize(message)
+          )
+        : pending[0];
+    if (duplicateOf) {
+      return { request: duplicateOf, duplicate: true };
+    }
+
+    if (type === "custom") {
+      const recent = await ServiceRequest.countDocuments({
+        user: user._id,
+        type: "custom",
+        createdAt: {
+          $gte: new Date(
+            Date.now() -
+              SERVICE_REQUEST_SETTINGS.customWindowMinutes * MINUTE_MS
+          ),
+        },
+      });
+      if (recent >= SERVICE_REQUEST_SETTINGS.maxCustomPerWindow) {
+        throw new APIError(
+          429,
+          "You've sent several requests already. Staff will be with you shortly"
+        );
+      }
+    }
+
+    const { staffId, orderId } = await this.resolveWaiter(table);
+
+    const request = await ServiceRequest.create({
+      hotel: table.hotel?._id || table.hotel,
+      branch: table.branch?._id || table.branch || null,
+      table: table._id,
+      tableNumber: table.tableNumber,
+      user: user._id,
+      order: orderId,
+      type,
+      message,
+      assignedStaff: staffId,
+    });
+
+    this.emitToStaff(request, "service_request:new");
+    return { request, duplicate: false };
+  }
+
+  /**
+   * Staff member picks the request up
+   */
+  async acknowledge(request, staffId) {
+    // Conditional update: only one waiter can claim a branch-wide request,
+    // and nobody can take over one assigned to someone else
+    const updated = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: "open",
+        assignedStaff: { $in: [null, staffId] },
+      },
+      {
+        $set: {
+          status: "acknowledged",
+          acknowledgedAt: new Date(),
+          acknowledgedBy: staffId,
+          assignedStaff: staffId,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) {
+      throw await this.claimConflict(request._id, staffId);
+    }
+
+    this.emitUpdate(updated);
+    return updated;
+  }
+
+  /**
+   * Request handled; acknowledging first is optional
+   */
+  async complete(request, staffId) {
+    const now = new Date();
+    const updated = await ServiceRequest.findOneAndUpdate(
+      {
+        _id: request._id,
+        status: { $in: ACTIVE_SERVICE_REQUEST_STATUSES },
+        assignedStaff: { $in: [null, staffId] },
+      },
+      [
+        {
+          $set: {
+            acknowledgedAt: { $ifNull: ["$acknowledgedAt", now] },
+            acknowledgedBy: { $ifNull: ["$acknowledgedBy", staffId] },
+            status: "completed",
+            completedAt: now,
+            completedBy: staffId,
+            assignedStaff: staffId,
+          },
+        },
+      ],
+      { new: true }
+    );
+    if (!updated) {
+      throw await this.claimConflict(request._id, staffId);
+    }
+
+    this.emitUpdate(updated);
+    return updated;
+  }
+
+  /**
+   * Error for a request another staff member acted on or owns
+   */
+  async claimConflict(requestId, staffId) {
+    const latest = await ServiceRequest.findById(requestId)
+      .select("status assignedStaff")
+      .lean();
+
+    const ownedByOther =
+      latest?.assignedStaff &&
+      latest.assignedStaff.toString() !== staffId.toString();
+    if (
+      ownedByOther &&
+      ACTIVE_SERVICE_REQUEST_STATUSES.includes(latest.status)
+    ) {
+      return new APIError(409, "Request is assigned to another staff member");
+    }
+    return new APIError(409, `Request is already ${latest?.status}`);
+  }
+
+  /**
+   * Diner withdraws a request nobody has acted on yet
+   */
+  async cancel(request) {
+    if (!ACTIVE_SERVICE_REQUEST_STATUSES.includes(request.status)) {
+      throw new APIError(400, `Request is already ${request.status}`);
+    }
+
+    request.status = "cancelled";
+    request.cancelledAt = new Date();
+    await request.save();
+
+    this.emitUpdate(request);
+    return request;
+  }
+
+  /**
+   * Response times for a branch since a given date, in minutes
+   * @param {ObjectId|Object} branchId - Branch ID or populated branch
+   * @param {Date} since
+   */
+  async getResponseMetrics(branchId, since) {
+    const branch = new mongoose.Types.ObjectId(
+      (branchId._id || branchId).toString()
+    );
+
+    const [totals, byType, pending] = await Promise.all([
+      ServiceRequest.aggregate([
+        { $match: { branch, createdAt: { $gte: since } } },
+        {
+          $project: {
+            status: 1,
+            acknowledgeMinutes: {
+              $cond: [
+                { $ifNull: ["$acknowledgedAt", false] },
+                {
+                  $divide: [
+                    { $subtract: ["$acknowledgedAt", "$createdAt"] },
+                    MINUTE_MS,
+                  ],
+                },
+                null,
+              ],
+            },
+            completeMinutes: {
+              $cond: [
+                { $ifNull: ["$completedAt", false] },
+                {
+                  $divide: [
+                    { $subtract: ["$completedAt", "$createdAt"] },
+                    MINUTE_MS,
+                  ],
+                },
+                null,
+              ],
+            },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            total: { $sum: 1 },
+            completed: {
+              $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+            },
+            avgAcknowledgeMinutes: { $avg: "$acknowledgeMinutes" },
+            maxAcknowledgeMinutes: { $max: "$acknowledgeMinutes" },
+            avgCompleteMinutes: { $avg: "$completeMinutes" },
+          },
+        },
+      ]),
+      ServiceRequest.aggregate([
+        { $match: { branch, createdAt: { $gte: since } } },
+        { $group: { _id: "$type", count: { $sum: 1 } } },
+      ]),
+      ServiceRequest.find({
+        branch,
+        status: { $in: ACTIVE_SERVICE_REQUEST_STATUSES },
+      })
+        .select("createdAt")
+        .lean(),
+    ]);
+
+    const stats = totals[0] || {};
+    const round = (value) =>
+      value === null || value === undefined
+        ? null
+        : Math.round(value * 10) / 10;
+    const now = Date.now();
+
+    return {
+      total: stats.total || 0,
+      completed: stats.completed || 0,
+      avgAcknowledgeMinutes: round(stats.avgAcknowledgeMinutes),
+      maxAcknowledgeMinutes: round(stats.maxAcknowledgeMinutes),
+      avgCompleteMinutes: round(stats.avgCompleteMinutes),
+      byType: byType.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {}),
+      pending: pending.length,
+      oldestPendingMinutes: pending.length
+        ? Math.floor(
+            (now - Math.min(...pending.map((r) => r.createdAt.getTime()))) /
+              MINUTE_MS
+          )
+        : null,
+    };
+  }
+
+  /**
+   * Payload shared by staff and diner events
+   */
+  toEventPayload(request) {
+    return {
+      requestId: request._id.toString(),
+      requestNumber: request.requestId,
+      type: request.type,
+      label: REQUEST_LABELS[request.type],
+      message: request.message,
+      status: request.status,
+      tableId: request.table.toString(),
+      tableNumber: request.tableNumber,
+      assignedStaff: request.assignedStaff?.toString() || null,
+      createdAt: request.createdAt,
+      acknowledgedAt: request.acknowledgedAt,
+      completedAt: request.completedAt,
+    };
+  }
+
+  /**
+   * The assigned waiter's room, or the branch room when unassigned
+   */
+  emitToStaff(request, event) {
+    if (!isIOInitialized()) {
+      logger.warn("Socket.IO not initialized, skipping service request event");
+      return;
+    }
+
+    const room = request.assignedStaff
+      ? `staff_${request.assignedStaff}`
+      : `branch_${request.branch}`;
+    getIO().to(room).emit(event, this.toEventPayload(request));
+  }
+
+  /**
+   * Status change: the diner, the assigned waiter and the branch room (in
+   * case it was first sent to everyone) all hear about it
+   */
+  emitUpdate(request) {
+    if (!isIOInitialized()) {
+      return;
+    }
+
+    const rooms = [`user_${request.user}`, `branch_${request.branch}`];
+    if (request.assignedStaff) {
+      rooms.push(`staff_${request.assignedStaff}`);
+    }
+    getIO()
+      .to(rooms)
+      .emit("service_request:updated", this.toEventPayload(request));
+  }
+}
+
+export default new ServiceRequestService();
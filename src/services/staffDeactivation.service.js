@@ -4,6 +4,8 @@ import { Order } from "../models/Order.model.js";
 import { Staff } from "../models/Staff.model.js";
 import { logger } from "../utils/logger.js";
 import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { publishOrderEvent } from "./order/orderTracking.service.js";
+import notificationInboxService from "./notificationInbox.service.js";
 
 /**
  * Handle all side effects when a staff member is deactivated.
@@ -146,7 +148,16 @@ async function handleActiveOrders(staff) {
           $inc: { activeOrdersCount: 1 },
         });
 
-        // Notify the new waiter via socket
+        // Notify the new waiter
+        await notificationInboxService.record("Staff", availableWaiter._id, {
+          type: "order_reassigned",
+          title: "Order reassigned to you",
+          message: "Order reassigned to you due to staff deactivation",
+          priority: "high",
+          hotel: order.hotel,
+          branch: order.branch,
+          data: { orderId: order._id.toString() },
+        });
         if (isIOInitialized()) {
           const io = getIO();
           io.to(`staff_${availableWaiter._id}`).emit("order:reassigned", {
@@ -156,6 +167,10 @@ async function handleActiveOrders(staff) {
           });
         }
 
+        await publishOrderEvent(order._id, "reassigned", {
+          message: `${availableWaiter.name} is now serving your order`,
+        });
+
         result.reassigned++;
       } else {
         // No waiter available - unassign so it goes back to the pool
@@ -170,6 +185,9 @@ async function handleActiveOrders(staff) {
             },
           },
         });
+        await publishOrderEvent(order._id, "reassigned", {
+          message: "Finding a new waiter for your order",
+        });
         result.unassigned++;
       }
     } catch (error) {
@@ -181,6 +199,22 @@ async function handleActiveOrders(staff) {
   }
 
   // Notify manager about order reassignment
+  if (staff.manager) {
+    await notificationInboxService.record("Manager", staff.manager, {
+      type: "staff_orders_reassigned",
+      title: `${staff.name}'s orders reassigned`,
+      message: availableWaiter
+        ? `${result.reassigned} order(s) moved to ${availableWaiter.name}, ${result.unassigned} unassigned`
+        : `${result.unassigned} order(s) unassigned`,
+      hotel: staff.hotel,
+      branch: staff.branch,
+      data: {
+        staffId: staff._id.toString(),
+        ordersReassigned: result.reassigned,
+        ordersUnassigned: result.unassigned,
+      },
+    });
+  }
   if (isIOInitialized() && staff.manager) {
     const io = getIO();
     io.to(`manager_${staff.manager}`).emit("staff:orders_reassigned", {
@@ -261,6 +295,15 @@ async function notifyStaffDeactivated(staff, { deactivatedBy, deactivatedById, r
  */
 async function notifyManagerStaffDeactivated(staff) {
   try {
+    await notificationInboxService.record("Manager", staff.manager, {
+      type: "staff_self_deactivated",
+      title: "Staff account deactivated",
+      message: `Staff member ${staff.name} (${staff.role}) has self-deactivated their account`,
+      hotel: staff.hotel,
+      branch: staff.branch,
+      data: { staffId: staff._id.toString() },
+    });
+
     if (!isIOInitialized()) return false;
 
     const io = getIO();
@@ -0,0 +1,486 @@
+// src/services/tableCart.service.js - Shared Table Cart Service
+import { Cart } from "../models/Cart.model.js";
+import { FoodItem } from "../models/FoodItem.model.js";
+import { Order } from "../models/Order.model.js";
+import { User } from "../models/User.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import cartService from "./cart.service.js";
+import billSplitService from "./order/billSplit.service.js";
+import { resolveModifierSelections } from "./modifier.service.js";
+import { resolveComboSelections } from "./combo.service.js";
+
+/**
+ * Socket.IO room for a shared table cart
+ * @param {String} cartId - Shared cart ID
+ * @returns {String} Room name (table_cart_<cartId>)
+ */
+export const getTableCartRoom = (cartId) => `table_cart_${cartId}`;
+
+/**
+ * Table Cart Service
+ *
+ * Features:
+ * 1. Everyone who scans the same table QR joins one shared cart
+ * 2. Each item records the diner who added it
+ * 3. Every change is pushed live to the table_cart_<cartId> room
+ * 4. One checkout (through cartService.enhancedCheckout) places a single order,
+ *    whose bill can then be split per diner
+ */
+class TableCartService {
+  constructor() {
+    // A table's cart stays "open" until its order is paid for, so diners who
+    // scan during payment see the locked cart instead of starting a new one
+    this.OPEN_STATUSES = ["active", "processing", "checkout"];
+    this.POPULATE = [
+      {
+        path: "items.foodItem",
+        select:
+          "name price discountPrice image isAvailable quantityAvailable foodType spiceLevel category gstRate",
+        populate: { path: "category", select: "name" },
+      },
+      { path: "items.addedBy", select: "name" },
+      { path: "participants.user", select: "name" },
+      { path: "host", select: "name" },
+      { path: "table", select: "tableNumber capacity" },
+    ];
+  }
+
+  /**
+   * Join (or start) the shared cart of the scanned table
+   * @param {String} userId - Diner scanning the QR code
+   * @param {Object} table - Table document from the QR scan
+   * @returns {Object} Populated shared cart
+   */
+  async joinTableCart(userId, table) {
+    // Diners at a merged table share the primary table's cart
+    const tableId = table.mergedInto || table._id;
+    const hotelId = table.hotel?._id || table.hotel;
+    const branchId = table.branch?._id || table.branch || null;
+
+    let cart = await Cart.findOne({
+      table: tableId,
+      isShared: true,
+      status: { $in: this.OPEN_STATUSES },
+    });
+
+    if (!cart) {
+      try {
+        cart = await Cart.create({
+          host: userId,
+          hotel: hotelId,
+          branch: branchId,
+          table: tableId,
+          isShared: true,
+          participants: [{ user: userId }],
+          items: [],
+        });
+        logger.info(`Diner ${userId} opened shared cart for table ${tableId}`);
+        return this.getPopulatedCart(cart._id);
+      } catch (error) {
+        // Another diner at the table opened the cart at the same moment
+        if (error.code !== 11000) throw error;
+        cart = await Cart.findOne({
+          table: tableId,
+          isShared: true,
+          status: "active",
+        });
+        if (!cart) {
+          logger.error(
+            `Shared cart for table ${tableId} could not be opened: ${error.message}`
+          );
+          throw new APIError(
+            409,
+            "Could not open the table's shared cart, please try again"
+          );
+        }
+      }
+    }
+
+    if (!cart.isParticipant(userId)) {
+      await Cart.updateOne(
+        { _id: cart._id, "participants.user": { $ne: userId } },
+        { $push: { participants: { user: userId, joinedAt: new Date() } } }
+      );
+
+      const user = await User.findById(userId).select("name");
+      this.emitCartEvent(cart._id, "table_cart:participant_joined", {
+        participant: { id: userId, name: user?.name },
+      });
+      logger.info(`Diner ${userId} joined shared cart ${cart._id}`);
+    }
+
+    return this.getPopulatedCart(cart._id);
+  }
+
+  /**
+   * Get a shared cart for one of its participants
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Requesting diner
+   * @returns {Object} Populated shared cart
+   */
+  async getTableCart(cartId, userId) {
+    await this.getParticipantCart(cartId, userId);
+    return this.getPopulatedCart(cartId);
+  }
+
+  /**
+   * Add an item to the shared cart on behalf of a diner
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Diner adding the item
+   * @param {Object} itemData - { foodItem, quantity, customizations }
+   * @returns {Object} Populated shared cart
+   */
+  async addItem(
+    cartId,
+    userId,
+    { foodItem: foodItemId, quantity, customizations = {} }
+  ) {
+    const cart = await this.getParticipantCart(cartId, userId, {
+      requireActive: true,
+    });
+
+    const foodItem = await FoodItem.findById(foodItemId);
+    if (!foodItem) {
+      throw new APIError(404, "Food item not found");
+    }
+    if (!foodItem.isAvailable) {
+      throw new APIError(400, "Food item is currently unavailable");
+    }
+    if (foodItem.hotel.toString() !== cart.hotel.toString()) {
+      throw new APIError(400, "Food item does not belong to this hotel");
+    }
+    if (
+      cart.branch &&
+      foodItem.branch &&
+      foodItem.branch.toString() !== cart.branch.toString()
+    ) {
+      throw new APIError(400, "Food item does not belong to this branch");
+    }
+
+    customizations = {
+      ...customizations,
+      modifiers: await resolveModifierSelections(
+        foodItem,
+        customizations.modifiers
+      ),
+      comboItems: await resolveComboSelections(
+        foodItem,
+        customizations.comboItems,
+        quantity
+      ),
+    };
+
+    // Quantity limits apply to the diner's own line for the item
+    const existingItem = cart.items.find(
+      (item) =>
+        item.foodItem.toString() === foodItemId.toString() &&
+        JSON.stringify(item.customizations) ===
+          JSON.stringify(customizations) &&
+        item.addedBy?.toString() === userId.toString()
+    );
+    const newQuantity = (existingItem?.quantity || 0) + quantity;
+    if (newQuantity > 20) {
+      throw new APIError(400, "Maximum 20 items allowed per food item");
+    }
+    if (
+      foodItem.isLimitedQuantity &&
+      foodItem.quantityAvailable !== null &&
+      newQuantity > foodItem.quantityAvailable
+    ) {
+      throw new APIError(
+        400,
+        `Only ${foodItem.quantityAvailable} items available`
+      );
+    }
+
+    const price = foodItem.discountPrice || foodItem.price;
+    cart.addItem(foodItemId, quantity, price, customizations, userId);
+    await cart.save();
+
+    return this.publishCartUpdate(cart._id, "item_added", userId);
+  }
+
+  /**
+   * Change the quantity of a shared cart item (0 removes it).
+   * Only the diner who added the item or the host can change it.
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Requesting diner
+   * @param {String} itemId - Cart item ID
+   * @param {Number} quantity - New quantity
+   * @returns {Object} Populated shared cart
+   */
+  async updateItemQuantity(cartId, userId, itemId, quantity) {
+    const cart = await this.getParticipantCart(cartId, userId, {
+      requireActive: true,
+    });
+    const item = this.getEditableItem(cart, itemId, userId);
+
+    if (quantity > 0) {
+      const foodItem = await FoodItem.findById(item.foodItem);
+      if (!foodItem || !foodItem.isAvailable) {
+        throw new APIError(400, "Food item is currently unavailable");
+      }
+      if (
+        foodItem.isLimitedQuantity &&
+        foodItem.quantityAvailable !== null &&
+        quantity > foodItem.quantityAvailable
+      ) {
+        throw new APIError(
+          400,
+          `Only ${foodItem.quantityAvailable} items available`
+        );
+      }
+    }
+
+    cart.updateItemQuantity(itemId, quantity);
+    await cart.save();
+
+    return this.publishCartUpdate(
+      cart._id,
+      quantity > 0 ? "item_updated" : "item_removed",
+      userId
+    );
+  }
+
+  /**
+   * Remove an item from the shared cart
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Requesting diner
+   * @param {String} itemId - Cart item ID
+   * @returns {Object} Populated shared cart
+   */
+  async removeItem(cartId, userId, itemId) {
+    const cart = await this.getParticipantCart(cartId, userId, {
+      requireActive: true,
+    });
+    this.getEditableItem(cart, itemId, userId);
+
+    cart.removeItem(itemId);
+    await cart.save();
+
+    return this.publishCartUpdate(cart._id, "item_removed", userId);
+  }
+
+  /**
+   * Leave a shared cart. Items the diner added stay on the table's order.
+   * If the host leaves, the longest-seated remaining diner becomes host;
+   * the last diner to leave closes the cart.
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Leaving diner
+   * @returns {Object} { cartId, closed }
+   */
+  async leaveTableCart(cartId, userId) {
+    const cart = await this.getParticipantCart(cartId, userId, {
+      requireActive: true,
+    });
+
+    cart.participants = cart.participants.filter(
+      (participant) => participant.user.toString() !== userId.toString()
+    );
+
+    const closed = cart.participants.length === 0;
+    if (closed) {
+      cart.status = "abandoned";
+    } else if (cart.host.toString() === userId.toString()) {
+      cart.host = cart.participants[0].user;
+    }
+    await cart.save();
+
+    this.emitCartEvent(cart._id, "table_cart:participant_left", {
+      participantId: userId,
+      hostId: cart.host,
+      closed,
+    });
+
+    return { cartId: cart._id, closed };
+  }
+
+  /**
+   * Check out the whole table in one order through the regular checkout.
+   * The diner who checks out owns (and pays for) the order.
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Diner checking out
+   * @param {Object} orderDetails - Payment method, notes, coins, offer code
+   * @returns {Object} APIResponse from cartService.enhancedCheckout
+   */
+  async checkout(cartId, userId, orderDetails) {
+    const cart = await this.getParticipantCart(cartId, userId, {
+      requireActive: true,
+    });
+
+    const result = await cartService.enhancedCheckout(userId, {
+      ...orderDetails,
+      cartId: cart._id,
+      hotelId: cart.hotel.toString(),
+      branchId: cart.branch ? cart.branch.toString() : null,
+      tableId: cart.table,
+      orderType: "dine_in",
+    });
+
+    const { order } = result.data;
+    this.emitCartEvent(cart._id, "table_cart:checked_out", {
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      totalPrice: order.totalPrice,
+      checkedOutBy: userId,
+    });
+    logger.info(
+      `Shared cart ${cart._id} checked out as order ${order._id} by diner ${userId}`
+    );
+
+    return result;
+  }
+
+  /**
+   * Split the table's order so each diner pays for the items they added.
+   * Items without a recorded diner are billed to the diner who checked out.
+   * @param {String} cartId - Shared cart ID
+   * @param {String} userId - Diner who checked out (order owner)
+   * @param {Object} options - { paymentMethods: { [userId]: method } }
+   * @returns {Object} Bill split summary
+   */
+  async splitByParticipant(cartId, userId, { paymentMethods = {} } = {}) {
+    const cart = await this.getParticipantCart(cartId, userId);
+    if (!cart.checkoutOrderId) {
+      throw new APIError(400, "This table cart has not been checked out yet");
+    }
+
+    const order = await Order.findOne({
+      _id: cart.checkoutOrderId,
+      user: userId,
+    }).select("items");
+    if (!order) {
+      throw new APIError(
+        403,
+        "Only the diner who checked out can split the bill"
+      );
+    }
+
+    const itemsByDiner = new Map();
+    for (const item of order.items) {
+      if (item.itemStatus === "cancelled") continue;
+      const dinerId = (item.addedBy || userId).toString();
+      if (!itemsByDiner.has(dinerId)) itemsByDiner.set(dinerId, []);
+      itemsByDiner
+        .get(dinerId)
+        .push({ orderItemId: item._id, quantity: item.quantity });
+    }
+
+    if (itemsByDiner.size < 2) {
+      throw new APIError(
+        400,
+        "Only one diner added items to this order; there is nothing to split"
+      );
+    }
+
+    const diners = await User.find({
+      _id: { $in: [...itemsByDiner.keys()] },
+    }).select("name email phone");
+    const dinerById = new Map(
+      diners.map((diner) => [diner._id.toString(), diner])
+    );
+
+    const shares = [...itemsByDiner.entries()].map(([dinerId, items]) => {
+      const diner = dinerById.get(dinerId);
+      return {
+        payer: diner
+          ? { name: diner.name, email: diner.email, phone: diner.phone }
+          : undefined,
+        items,
+        paymentMethod: paymentMethods[dinerId],
+      };
+    });
+
+    const splitOrder = await billSplitService.createBillSplit(
+      order._id,
+      { mode: "by_item", shares },
+      { id: userId, role: "user" }
+    );
+    const summary = billSplitService.getBillSplitSummary(splitOrder);
+
+    this.emitCartEvent(cart._id, "table_cart:bill_split", {
+      orderId: order._id,
+      split: summary,
+    });
+
+    return summary;
+  }
+
+  /**
+   * Load a shared cart and make sure the diner has joined it
+   */
+  async getParticipantCart(cartId, userId, { requireActive = false } = {}) {
+    const cart = await Cart.findOne({ _id: cartId, isShared: true });
+    if (!cart) {
+      throw new APIError(404, "Table cart not found");
+    }
+    if (!cart.isParticipant(userId)) {
+      throw new APIError(
+        403,
+        "Scan the table QR code to join this table's cart"
+      );
+    }
+    if (requireActive && cart.status !== "active") {
+      throw new APIError(
+        400,
+        cart.status === "abandoned"
+          ? "This table cart has been closed"
+          : "This table cart is being checked out and can no longer be changed"
+      );
+    }
+    return cart;
+  }
+
+  /**
+   * Diners may only change their own items; the host can change any item
+   */
+  getEditableItem(cart, itemId, userId) {
+    const item = cart.items.id(itemId);
+    if (!item) {
+      throw new APIError(404, "Item not found in cart");
+    }
+
+    const isOwner =
+      !item.addedBy || item.addedBy.toString() === userId.toString();
+    const isHost = cart.host.toString() === userId.toString();
+    if (!isOwner && !isHost) {
+      throw new APIError(
+        403,
+        "You can only change items you added to the table cart"
+      );
+    }
+    return item;
+  }
+
+  async getPopulatedCart(cartId) {
+    return Cart.findById(cartId).populate(this.POPULATE);
+  }
+
+  /**
+   * Reload the cart and push it to everyone at the table
+   */
+  async publishCartUpdate(cartId, action, userId) {
+    const cart = await this.getPopulatedCart(cartId);
+    this.emitCartEvent(cartId, "table_cart:updated", {
+      action,
+      updatedBy: userId,
+      cart,
+    });
+    return cart;
+  }
+
+  emitCartEvent(cartId, event, payload) {
+    try {
+      if (!isIOInitialized()) return;
+      getIO()
+        .to(getTableCartRoom(cartId))
+        .emit(event, { cartId, ...payload, timestamp: new Date() });
+    } catch (error) {
+      logger.error(`Failed to emit ${event} for table cart ${cartId}:`, error);
+    }
+  }
+}
+
+export default new TableCartService();
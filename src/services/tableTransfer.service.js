@@ -0,0 +1,639 @@
+// src/services/tableTransfer.service.js - Table Transfer & Merge Service
+import mongoose from "mongoose";
+import { Table } from "../models/Table.model.js";
+import { Order } from "../models/Order.model.js";
+import { Cart } from "../models/Cart.model.js";
+import { Staff } from "../models/Staff.model.js";
+import { KitchenTicket } from "../models/KitchenTicket.model.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { getIO, isIOInitialized } from "../utils/socketService.js";
+import { publishOrderEvent } from "./order/orderTracking.service.js";
+import notificationInboxService from "./notificationInbox.service.js";
+
+/**
+ * Table Transfer Service
+ *
+ * Features:
+ * 1. Moves running orders, the current diner and their carts to another table
+ * 2. Merges several tables into one billing group on a primary table
+ * 3. Optionally hands the moved orders to a different waiter
+ * 4. Applies every write in a single transaction, then notifies the branch room
+ */
+class TableTransferService {
+  constructor() {
+    this.ACTIVE_ORDER_STATUSES = [
+      "pending",
+      "confirmed",
+      "preparing",
+      "ready",
+      "served",
+      "queued",
+    ];
+    this.OPEN_CART_STATUSES = ["active", "checkout"];
+  }
+
+  /**
+   * Move everything running on one table to another
+   * @param {Object} params
+   * @param {String} params.sourceTableId - Table the diners are leaving
+   * @param {String} params.targetTableId - Table the diners move to
+   * @param {String} params.branchId - Branch of the requesting manager/staff
+   * @param {String} [params.waiterId] - Waiter to hand the moved orders to
+   * @param {String} [params.reason] - Reason recorded in assignment history
+   * @param {Object} params.performedBy - { id, role } of the requester
+   * @returns {Object} Updated tables and moved order IDs
+   */
+  async transferTable({
+    sourceTableId,
+    targetTableId,
+    branchId,
+    waiterId = null,
+    reason = null,
+    performedBy,
+  }) {
+    if (sourceTableId.toString() === targetTableId.toString()) {
+      throw new APIError(400, "Source and target tables must be different");
+    }
+
+    const [source, target] = await Promise.all([
+      this.getBranchTable(sourceTableId, branchId),
+      this.getBranchTable(targetTableId, branchId),
+    ]);
+
+    if (source.mergedInto) {
+      throw new APIError(
+        400,
+        `Table ${source.tableNumber} is part of a merged group; transfer the primary table instead`
+      );
+    }
+    if (target.status !== "available" || target.mergedInto) {
+      throw new APIError(
+        400,
+        `Table ${target.tableNumber} is not available (status: ${target.status})`
+      );
+    }
+
+    const orders = await Order.find({
+      table: source._id,
+      status: { $in: this.ACTIVE_ORDER_STATUSES },
+    });
+
+    if (orders.length === 0 && !source.currentOrder) {
+      throw new APIError(
+        400,
+        `Table ${source.tableNumber} has no running orders to transfer`
+      );
+    }
+
+    const waiter = waiterId
+      ? await this.getBranchWaiter(waiterId, branchId)
+      : null;
+    const diners = this.collectDiners(orders, [source]);
+    const assignmentReason =
+      reason || `Table transfer ${source.tableNumber} -> ${target.tableNumber}`;
+
+    const session = await mongoose.startSession();
+    let reassignments = [];
+    try {
+      await session.withTransaction(async () => {
+        reassignments = await this.moveOrders(orders, target, {
+          waiter,
+          reason: assignmentReason,
+          session,
+        });
+
+        await this.moveCarts([source._id], diners, target, session);
+
+        // Only while still free, so two transfers can't both claim it
+        const claimed = await Table.updateOne(
+          { _id: target._id, status: "available", mergedInto: null },
+          {
+            status: "occupied",
+            currentOrder: source.currentOrder || orders[0]?._id || null,
+            currentCustomer: source.currentCustomer,
+            lastUsed: new Date(),
+          },
+          { session }
+        );
+        if (claimed.matchedCount === 0) {
+          throw new APIError(
+            409,
+            `Table ${target.tableNumber} was just taken. Please choose another table`
+          );
+        }
+
+        // Tables merged into the source now belong to the target's group
+        await Table.updateMany(
+          { mergedInto: source._id },
+          { mergedInto: target._id },
+          { session }
+        );
+
+        await Table.updateOne(
+          { _id: source._id },
+          { status: "available", currentOrder: null, currentCustomer: null },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const result = {
+      sourceTable: await Table.findById(source._id),
+      targetTable: await Table.findById(target._id),
+      movedOrders: orders.map((order) => order._id),
+      reassignments,
+    };
+
+    logger.info(
+      `Table ${source.tableNumber} transferred to ${target.tableNumber} (${orders.length} orders) by ${performedBy.role} ${performedBy.id}`
+    );
+
+    this.emitTableUpdate(branchId, "table:transferred", {
+      sourceTable: { id: source._id, tableNumber: source.tableNumber },
+      targetTable: { id: target._id, tableNumber: target.tableNumber },
+      orders: result.movedOrders,
+      waiter: waiter ? { id: waiter._id, name: waiter.name } : null,
+      performedBy,
+    });
+    this.notifyParticipants(orders, diners, reassignments, target);
+    await this.trackMovedOrders(orders, reassignments, target);
+
+    return result;
+  }
+
+  /**
+   * Merge tables into one billing group on a primary table
+   * @param {Object} params
+   * @param {String} params.primaryTableId - Table the group is billed on
+   * @param {String[]} params.tableIds - Tables merged into the primary
+   * @param {String} params.branchId - Branch of the requesting manager/staff
+   * @param {String} [params.waiterId] - Waiter for the whole group
+   * @param {String} [params.reason] - Reason recorded in assignment history
+   * @param {Object} params.performedBy - { id, role } of the requester
+   * @returns {Object} Primary table, merged tables and moved order IDs
+   */
+  async mergeTables({
+    primaryTableId,
+    tableIds,
+    branchId,
+    waiterId = null,
+    reason = null,
+    performedBy,
+  }) {
+    const secondaryIds = [...new Set(tableIds.map((id) => id.toString()))];
+    if (secondaryIds.includes(primaryTableId.toString())) {
+      throw new APIError(400, "Primary table cannot be merged into itself");
+    }
+
+    const primary = await this.getBranchTable(primaryTableId, branchId);
+    const secondaries = await Promise.all(
+      secondaryIds.map((id) => this.getBranchTable(id, branchId))
+    );
+
+    if (primary.mergedInto) {
+      throw new APIError(
+        400,
+        `Table ${primary.tableNumber} is already merged into another table`
+      );
+    }
+    for (const table of [primary, ...secondaries]) {
+      if (!["available", "occupied"].includes(table.status)) {
+        throw new APIError(
+          400,
+          `Table ${table.tableNumber} cannot be merged (status: ${table.status})`
+        );
+      }
+    }
+    const alreadyMerged = secondaries.find(
+      (table) =>
+        table.mergedInto &&
+        table.mergedInto.toString() !== primary._id.toString()
+    );
+    if (alreadyMerged) {
+      throw new APIError(
+        400,
+        `Table ${alreadyMerged.tableNumber} is already merged into another table`
+      );
+    }
+
+    const orders = await Order.find({
+      table: { $in: secondaries.map((table) => table._id) },
+      status: { $in: this.ACTIVE_ORDER_STATUSES },
+    });
+
+    // Default the group's waiter to whoever serves the primary table
+    let waiter = null;
+    if (waiterId) {
+      waiter = await this.getBranchWaiter(waiterId, branchId);
+    } else {
+      const primaryOrder = await Order.findOne({
+        table: primary._id,
+        status: { $in: this.ACTIVE_ORDER_STATUSES },
+        staff: { $ne: null },
+      }).select("staff");
+      if (primaryOrder) {
+        waiter = await Staff.findById(primaryOrder.staff).select("name");
+      }
+    }
+
+    const diners = this.collectDiners(orders, secondaries);
+    const firstOrder =
+      orders[0]?._id || secondaries.find((t) => t.currentOrder)?.currentOrder;
+    const firstCustomer = secondaries.find(
+      (t) => t.currentCustomer
+    )?.currentCustomer;
+    const assignmentReason =
+      reason || `Tables merged into ${primary.tableNumber}`;
+
+    const session = await mongoose.startSession();
+    let reassignments = [];
+    try {
+      await session.withTransaction(async () => {
+        reassignments = await this.moveOrders(orders, primary, {
+          waiter,
+          reason: assignmentReason,
+          session,
+        });
+
+        await this.moveCarts(
+          secondaries.map((table) => table._id),
+          diners,
+          primary,
+          session
+        );
+
+        // Every table must still be as checked above, otherwise another
+        // transfer or merge got to it first
+        const claimedPrimary = await Table.updateOne(
+          { _id: primary._id, status: primary.status, mergedInto: null },
+          {
+            status: "occupied",
+            currentOrder: primary.currentOrder || firstOrder || null,
+            currentCustomer: primary.currentCustomer || firstCustomer || null,
+            lastUsed: new Date(),
+          },
+          { session }
+        );
+        const claimedSecondaries = await Table.updateMany(
+          {
+            $or: secondaries.map((table) => ({
+              _id: table._id,
+              status: table.status,
+              mergedInto: table.mergedInto || null,
+            })),
+          },
+          {
+            status: "occupied",
+            mergedInto: primary._id,
+            currentOrder: null,
+            currentCustomer: null,
+            lastUsed: new Date(),
+          },
+          { session }
+        );
+        if (
+          claimedPrimary.matchedCount === 0 ||
+          claimedSecondaries.matchedCount !== secondaries.length
+        ) {
+          throw new APIError(
+            409,
+            "These tables were just changed. Please reload and try again"
+          );
+        }
+
+        // Fold any groups the secondaries were leading into the primary
+        await Table.updateMany(
+          { mergedInto: { $in: secondaries.map((table) => table._id) } },
+          { mergedInto: primary._id },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const result = {
+      primaryTable: await Table.findById(primary._id),
+      mergedTables: await Table.find({ mergedInto: primary._id }).sort({
+        tableNumber: 1,
+      }),
+      movedOrders: orders.map((order) => order._id),
+      reassignments,
+    };
+
+    logger.info(
+      `Tables ${secondaries.map((t) => t.tableNumber).join(", ")} merged into ${primary.tableNumber} by ${performedBy.role} ${performedBy.id}`
+    );
+
+    this.emitTableUpdate(branchId, "table:merged", {
+      primaryTable: { id: primary._id, tableNumber: primary.tableNumber },
+      mergedTables: result.mergedTables.map((table) => ({
+        id: table._id,
+        tableNumber: table.tableNumber,
+      })),
+      orders: result.movedOrders,
+      waiter: waiter ? { id: waiter._id, name: waiter.name } : null,
+      performedBy,
+    });
+    this.notifyParticipants(orders, diners, reassignments, primary);
+    await this.trackMovedOrders(orders, reassignments, primary);
+
+    return result;
+  }
+
+  /**
+   * Split tables off a merged group. Orders stay billed on the primary table.
+   * @param {Object} params
+   * @param {String} params.primaryTableId - Primary table of the group
+   * @param {String[]} [params.tableIds] - Tables to release (defaults to all)
+   * @param {String} params.branchId - Branch of the requesting manager/staff
+   * @param {Object} params.performedBy - { id, role } of the requester
+   * @returns {Object} Primary table and released tables
+   */
+  async unmergeTables({ primaryTableId, tableIds, branchId, performedBy }) {
+    const primary = await this.getBranchTable(primaryTableId, branchId);
+
+    const filter = { mergedInto: primary._id };
+    if (tableIds?.length) {
+      filter._id = { $in: tableIds };
+    }
+
+    const released = await Table.find(filter).select("tableNumber");
+    if (released.length === 0) {
+      throw new APIError(
+        400,
+        `No tables are merged into table ${primary.tableNumber}`
+      );
+    }
+
+    await Table.updateMany(
+      { _id: { $in: released.map((table) => table._id) } },
+      {
+        status: "available",
+        mergedInto: null,
+        currentOrder: null,
+        currentCustomer: null,
+      }
+    );
+
+    logger.info(
+      `Tables ${released.map((t) => t.tableNumber).join(", ")} released from ${primary.tableNumber} by ${performedBy.role} ${performedBy.id}`
+    );
+
+    this.emitTableUpdate(branchId, "table:unmerged", {
+      primaryTable: { id: primary._id, tableNumber: primary.tableNumber },
+      releasedTables: released.map((table) => ({
+        id: table._id,
+        tableNumber: table.tableNumber,
+      })),
+      performedBy,
+    });
+
+    return {
+      primaryTable: primary,
+      releasedTables: released.map((table) => table._id),
+    };
+  }
+
+  /**
+   * Load an active table and verify it belongs to the branch
+   * @param {String} tableId - Table ID
+   * @param {String} branchId - Requester's branch ID
+   * @returns {Object} Table document
+   */
+  async getBranchTable(tableId, branchId) {
+    const table = await Table.findById(tableId);
+    if (!table || !table.isActive) {
+      throw new APIError(404, `Table ${tableId} not found`);
+    }
+    if (table.branch?.toString() !== branchId?.toString()) {
+      throw new APIError(403, "You can only manage tables from your branch");
+    }
+    return table;
+  }
+
+  /**
+   * Load an active waiter from the branch
+   * @param {String} waiterId - Staff ID
+   * @param {String} branchId - Branch ID
+   * @returns {Object} Staff document
+   */
+  async getBranchWaiter(waiterId, branchId) {
+    const waiter = await Staff.findOne({
+      _id: waiterId,
+      branch: branchId,
+      role: "waiter",
+    }).select("name status");
+    if (!waiter) {
+      throw new APIError(404, "Waiter not found in this branch");
+    }
+    if (waiter.status !== "active") {
+      throw new APIError(400, `Waiter ${waiter.name} is ${waiter.status}`);
+    }
+    return waiter;
+  }
+
+  /**
+   * Collect the users seated at the given tables
+   * @param {Array} orders - Running orders on the tables
+   * @param {Array} tables - Table documents
+   * @returns {Array} Unique user IDs
+   */
+  collectDiners(orders, tables) {
+    const ids = [
+      ...orders.map((order) => order.user),
+      ...tables.map((table) => table.currentCustomer),
+    ].filter(Boolean);
+    return [...new Map(ids.map((id) => [id.toString(), id])).values()];
+  }
+
+  /**
+   * Point orders (and their open kitchen tickets) at a new table,
+   * handing them to a new waiter when one is given
+   * @returns {Array} Reassignments made ({ orderId, from, to })
+   */
+  async moveOrders(orders, table, { waiter, reason, session }) {
+    const reassignments = [];
+    const released = new Map();
+
+    for (const order of orders) {
+      order.table = table._id;
+      order.tableNumber = table.tableNumber;
+
+      // Queued/unassigned orders stay with the assignment queue
+      if (
+        waiter &&
+        order.staff &&
+        order.staff.toString() !== waiter._id.toString()
+      ) {
+        const previous = order.staff.toString();
+        released.set(previous, (released.get(previous) || 0) + 1);
+        order.addAssignmentHistory(waiter._id, "manual", reason);
+        reassignments.push({
+          orderId: order._id,
+          from: previous,
+          to: waiter._id,
+        });
+      }
+
+      await order.save({ session });
+    }
+
+    for (const [staffId, count] of released) {
+      await Staff.updateOne(
+        { _id: staffId },
+        [
+          {
+            $set: {
+              activeOrdersCount: {
+                $max: [{ $subtract: ["$activeOrdersCount", count] }, 0],
+              },
+            },
+          },
+        ],
+        { session }
+      );
+    }
+    if (reassignments.length > 0) {
+      await Staff.updateOne(
+        { _id: waiter._id },
+        {
+          $inc: { activeOrdersCount: reassignments.length },
+          lastAssignedAt: new Date(),
+        },
+        { session }
+      );
+    }
+
+    if (orders.length > 0) {
+      await KitchenTicket.updateMany(
+        {
+          order: { $in: orders.map((order) => order._id) },
+          status: { $in: ["pending", "in_progress"] },
+        },
+        { tableNumber: table.tableNumber },
+        { session }
+      );
+    }
+
+    return reassignments;
+  }
+
+  /**
+   * Move open carts tied to the old tables, or owned by their diners, to a table
+   */
+  async moveCarts(fromTableIds, diners, table, session) {
+    await Cart.updateMany(
+      {
+        hotel: table.hotel,
+        status: { $in: this.OPEN_CART_STATUSES },
+        $or: [{ table: { $in: fromTableIds } }, { user: { $in: diners } }],
+      },
+      { table: table._id },
+      { session }
+    );
+  }
+
+  /**
+   * Broadcast a table change to the branch room
+   */
+  emitTableUpdate(branchId, event, payload) {
+    try {
+      if (!isIOInitialized()) return;
+      getIO()
+        .to(`branch_${branchId}`)
+        .emit(event, { ...payload, timestamp: new Date() });
+    } catch (error) {
+      logger.error(`Failed to emit ${event} for branch ${branchId}:`, error);
+    }
+  }
+
+  /**
+   * Publish the move on each diner's order tracking channel
+   */
+  async trackMovedOrders(orders, reassignments, table) {
+    const reassigned = new Set(
+      reassignments.map(({ orderId }) => orderId.toString())
+    );
+    for (const order of orders) {
+      await publishOrderEvent(
+        order._id,
+        reassigned.has(order._id.toString()) ? "reassigned" : "table_changed",
+        { message: `Moved to table ${table.tableNumber}` }
+      );
+    }
+  }
+
+  /**
+   * Tell diners their orders moved and waiters about handed-over orders
+   */
+  notifyParticipants(orders, diners, reassignments, table) {
+    try {
+      const notification = {
+        hotel: table.hotel,
+        branch: table.branch,
+        data: { tableId: table._id.toString() },
+      };
+      notificationInboxService.record("User", diners, {
+        ...notification,
+        type: "order_table_changed",
+        title: "Table changed",
+        message: `Your order has moved to table ${table.tableNumber}`,
+      });
+      for (const { orderId, from, to } of reassignments) {
+        notificationInboxService.record("Staff", from, {
+          ...notification,
+          type: "order_reassigned",
+          title: "Order handed over",
+          message: `An order moved to table ${table.tableNumber} and was handed to another waiter`,
+          data: { ...notification.data, orderId: orderId.toString() },
+        });
+        notificationInboxService.record("Staff", to, {
+          ...notification,
+          type: "order_reassigned",
+          title: "Order handed over to you",
+          message: `An order moved to your table ${table.tableNumber}`,
+          priority: "high",
+          data: { ...notification.data, orderId: orderId.toString() },
+        });
+      }
+
+      if (!isIOInitialized()) return;
+      const io = getIO();
+      const tablePayload = { id: table._id, tableNumber: table.tableNumber };
+
+      for (const userId of diners) {
+        io.to(`user_${userId}`).emit("order:table_changed", {
+          table: tablePayload,
+          orders: orders
+            .filter((order) => order.user?.toString() === userId.toString())
+            .map((order) => order._id),
+          timestamp: new Date(),
+        });
+      }
+
+      for (const { orderId, from, to } of reassignments) {
+        io.to(`staff_${from}`).emit("order:reassigned", {
+          orderId,
+          reassignedTo: to,
+          table: tablePayload,
+          timestamp: new Date(),
+        });
+        io.to(`staff_${to}`).emit("order:reassigned", {
+          orderId,
+          reassignedFrom: from,
+          table: tablePayload,
+          timestamp: new Date(),
+        });
+      }
+    } catch (error) {
+      logger.error("Failed to notify table transfer participants:", error);
+    }
+  }
+}
+
+const tableTransferService = new TableTransferService();
+export default tableTransferService;
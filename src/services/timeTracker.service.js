@@ -3,6 +3,7 @@ import { Order } from "../models/Order.model.js";
 import { Staff } from "../models/Staff.model.js";
 import assignmentService from "./assignment/assignment.service.js";
 import queueService from "./queue.service.js";
+import assignmentStateService from "./assignment/assignmentState.service.js";
 import { logger } from "../utils/logger.js";
 
 import { autoCancelTimedOutOrder } from "./order/order.service.js";
@@ -17,6 +18,10 @@ import { notifyOrderTimeoutCancelled } from "./notification.service.js";
  * 3. Order timeout detection and handling
  * 4. Performance metrics collection
  * 5. Automated cleanup of stale data
+ *
+ * With several instances running, each monitoring and cleanup cycle runs on
+ * one instance at a time (shared lock), and the queue/timeout counters are
+ * shared daily counters in assignmentStateService.
  */
 class TimeTracker {
   constructor() {
@@ -32,11 +37,10 @@ class TimeTracker {
     this.isRunning = false;
     this.lastCleanup = new Date();
 
-    // Performance metrics
+    // Performance metrics (queueAssignments and timeoutHandled are shared
+    // counters, see getMetrics)
     this.metrics = {
       totalAssignments: 0,
-      queueAssignments: 0,
-      timeoutHandled: 0,
       averageAssignmentTime: 0,
       lastReset: new Date(),
     };
@@ -103,19 +107,30 @@ class TimeTracker {
    */
   async monitorActiveOrders() {
     try {
-      logger.debug("Monitoring active orders for reassignments");
+      // Another instance may already be running this cycle
+      const ran = await assignmentStateService.withLock(
+        "time-tracker:monitor",
+        Number(this.MONITORING_INTERVAL),
+        async () => {
+          logger.debug("Monitoring active orders for reassignments");
 
-      // Check for completed orders that might free up waiters
-      await this.checkCompletedOrders();
+          // Check for completed orders that might free up waiters
+          await this.checkCompletedOrders();
 
-      // Check for timeout orders
-      await this.checkTimeoutOrders();
+          // Check for timeout orders
+          await this.checkTimeoutOrders();
 
-      // Process queue assignments for available waiters
-      await this.processQueueAssignments();
+          // Process queue assignments for available waiters
+          await this.processQueueAssignments();
 
-      // Update performance metrics
-      await this.updateMetrics();
+          // Update performance metrics
+          await this.updateMetrics();
+          return true;
+        }
+      );
+      if (!ran) {
+        logger.debug("Monitoring cycle running on another instance");
+      }
     } catch (error) {
       logger.error("Error monitoring active orders:", error);
       throw error;
@@ -149,7 +164,7 @@ class TimeTracker {
             );
 
             if (queueAssignment) {
-              this.metrics.queueAssignments += 1;
+              await assignmentStateService.incrementMetric("queueAssignments");
               logger.info(
                 `Assigned queued order to waiter ${completedOrder.staff.name} after completion`
               );
@@ -207,7 +222,7 @@ class TimeTracker {
             );
           }
 
-          this.metrics.timeoutHandled += 1;
+          await assignmentStateService.incrementMetric("timeoutHandled");
         } catch (error) {
           logger.error(`Error handling timeout for order ${order._id}:`, error);
         }
@@ -247,7 +262,7 @@ class TimeTracker {
             );
 
             if (queueAssignment) {
-              this.metrics.queueAssignments += 1;
+              await assignmentStateService.incrementMetric("queueAssignments");
               logger.info(
                 `Queue assignment: ${queueAssignment.order._id} -> ${waiter.name}`
               );
@@ -298,6 +313,17 @@ class TimeTracker {
    */
   async performCleanup() {
     try {
+      // Held for the whole interval (not released), so only one instance
+      // cleans up per interval
+      const token = await assignmentStateService.acquireLock(
+        "time-tracker:cleanup",
+        Number(this.CLEANUP_INTERVAL) * 0.9
+      );
+      if (!token) {
+        logger.debug("Cleanup already done by another instance");
+        return;
+      }
+
       logger.info("Performing cleanup operations");
 
       // Clean expired queue entries
@@ -340,8 +366,6 @@ class TimeTracker {
 
     this.metrics = {
       totalAssignments: 0,
-      queueAssignments: 0,
-      timeoutHandled: 0,
       averageAssignmentTime: 0,
       lastReset: new Date(),
     };
@@ -358,7 +382,7 @@ class TimeTracker {
       const result = await assignmentService.handleOrderCompletion(orderId);
 
       if (result && result.newOrderAssigned) {
-        this.metrics.queueAssignments += 1;
+        await assignmentStateService.incrementMetric("queueAssignments");
         logger.info(
           `Automatically assigned queued order after completion of ${orderId}`
         );
@@ -387,7 +411,7 @@ class TimeTracker {
         );
 
         if (queueAssignment) {
-          this.metrics.queueAssignments += 1;
+          await assignmentStateService.incrementMetric("queueAssignments");
           logger.info(`Assigned queued order after cancellation of ${orderId}`);
           return queueAssignment;
         }
@@ -404,9 +428,14 @@ class TimeTracker {
    * Get current performance metrics
    * @returns {Object} Performance metrics
    */
-  getMetrics() {
+  async getMetrics() {
+    const sharedCounts = await assignmentStateService.getMetrics([
+      "queueAssignments",
+      "timeoutHandled",
+    ]);
     return {
       ...this.metrics,
+      ...sharedCounts,
       isRunning: this.isRunning,
       lastCleanup: this.lastCleanup,
       uptime: this.isRunning
@@ -445,7 +474,7 @@ class TimeTracker {
           assignmentService: true,
           queueService: true,
         },
-        metrics: this.getMetrics(),
+        metrics: await this.getMetrics(),
         lastHealthCheck: new Date(),
       };
     } catch (error) {
@@ -0,0 +1,503 @@
+/**
+ * Tip pooling and per-shift distribution
+ *
+ * Tips are recorded on the order (payment.tip) when it is paid. For each
+ * branch shift, every tip is split three ways by the branch rules:
+ *   - the direct share goes to the waiter(s) who served the order
+ *   - the kitchen share goes to the kitchen pool
+ *   - the remainder goes to the waiter pool
+ * Pools are shared evenly among the staff who worked the shift (served or
+ * prepared an order in it, or are rostered on it in their shiftSchedule).
+ * A distribution stays a draft, recomputed on demand, until a manager
+ * finalizes it after the shift has ended.
+ */
+
+import mongoose from "mongoose";
+import { TipDistribution } from "../models/TipDistribution.model.js";
+import { Order } from "../models/Order.model.js";
+import { Staff } from "../models/Staff.model.js";
+import { Branch } from "../models/Branch.model.js";
+import { APIError } from "../utils/APIError.js";
+import { fromLocalTime, toMinutes } from "../utils/businessTime.js";
+import { TIP_POOL_SETTINGS } from "../config/constants.js";
+
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+// Amounts are split in paise so shares always add back up to the total
+const toPaise = (amount) => Math.round(amount * 100);
+const toRupees = (paise) => paise / 100;
+
+/**
+ * Split an amount evenly; leftover paise go to the first recipients
+ * @param {number} paise
+ * @param {string[]} recipients - Staff IDs, sorted for stable results
+ * @returns {Map<string, number>}
+ */
+const splitEvenly = (paise, recipients) => {
+  const shares = new Map();
+  if (recipients.length === 0) {
+    return shares;
+  }
+  const base = Math.floor(paise / recipients.length);
+  const remainder = paise - base * recipients.length;
+  recipients.forEach((staffId, index) => {
+    shares.set(staffId, base + (index < remainder ? 1 : 0));
+  });
+  return shares;
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+class TipPoolService {
+  /**
+   * Branch tip rules with defaults filled in
+   * @param {Object} branch - Branch document (lean or not)
+   */
+  getSettings(branch) {
+    const tipPool = branch?.tipPool || {};
+    return {
+      directSharePercent:
+        tipPool.directSharePercent ?? TIP_POOL_SETTINGS.directSharePercent,
+      kitchenSharePercent:
+        tipPool.kitchenSharePercent ?? TIP_POOL_SETTINGS.kitchenSharePercent,
+      shifts: tipPool.shifts?.length
+        ? tipPool.shifts.map(({ name, start, end }) => ({ name, start, end }))
+        : TIP_POOL_SETTINGS.shifts,
+    };
+  }
+
+  /**
+   * Change a branch's tip rules
+   * @param {ObjectId} branchId
+   * @param {Object} updates - Validated tipValidationSchemas.settings body
+   */
+  async updateSettings(branchId, updates) {
+    const branch = await Branch.findById(branchId).select("tipPool");
+    if (!branch) {
+      throw new APIError(404, "Branch not found");
+    }
+
+    const merged = { ...this.getSettings(branch), ...updates };
+    if (merged.directSharePercent + merged.kitchenSharePercent > 100) {
+      throw new APIError(
+        400,
+        "Direct and kitchen shares together cannot exceed 100%"
+      );
+    }
+
+    branch.tipPool = merged;
+    await branch.save();
+    return this.getSettings(branch);
+  }
+
+  /**
+   * Start and end of a named shift on a business date. A shift ending at
+   * or before its start time runs into the next day.
+   * @param {Object} settings - From getSettings
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} shiftName
+   */
+  getShiftWindow(settings, date, shiftName) {
+    const shift = settings.shifts.find((s) => s.name === shiftName);
+    if (!shift) {
+      throw new APIError(
+        400,
+        `Unknown shift "${shiftName}". Shifts: ${settings.shifts
+          .map((s) => s.name)
+          .join(", ")}`
+      );
+    }
+
+    const startMinutes = toMinutes(shift.start);
+    let endMinutes = toMinutes(shift.end);
+    if (endMinutes <= startMinutes) {
+      endMinutes += DAY_MINUTES;
+    }
+    return {
+      start: fromLocalTime(date, startMinutes),
+      end: fromLocalTime(date, endMinutes),
+    };
+  }
+
+  /**
+   * Work out who gets what for one shift, without saving anything
+   * @param {Object} branch - Branch document
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} shiftName
+   */
+  async computeShift(branch, date, shiftName) {
+    const settings = this.getSettings(branch);
+    const window = this.getShiftWindow(settings, date, shiftName);
+    const [year, month, day] = date.split("-").map(Number);
+    const weekday =
+      WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+
+    const [orders, rostered] = await Promise.all([
+      Order.find({
+        branch: branch._id,
+        "payment.paymentStatus": "paid",
+        "payment.paidAt": { $gte: window.start, $lt: window.end },
+      })
+        .select("staff servedBy preparedBy payment.tip")
+        .lean(),
+      Staff.find({
+        branch: branch._id,
+        status: "active",
+        role: { $in: ["waiter", "kitchen_staff"] },
+        [`shiftSchedule.${weekday}.shift`]: shiftName,
+      })
+        .select("_id role")
+        .lean(),
+    ]);
+
+    const waiterPool = new Set();
+    const kitchenPool = new Set();
+    for (const member of rostered) {
+      (member.role === "waiter" ? waiterPool : kitchenPool).add(
+        member._id.toString()
+      );
+    }
+
+    const direct = new Map(); // staffId -> paise
+    const ordersServed = new Map();
+    let totalPaise = 0;
+    let onlinePaise = 0;
+    let waiterPoolPaise = 0;
+    let kitchenPoolPaise = 0;
+    let tippedOrders = 0;
+
+    for (const order of orders) {
+      const servers = [
+        ...new Set([idOf(order.servedBy), idOf(order.staff)].filter(Boolean)),
+      ].sort();
+      servers.forEach((staffId) => {
+        waiterPool.add(staffId);
+        ordersServed.set(staffId, (ordersServed.get(staffId) || 0) + 1);
+      });
+      if (order.preparedBy) {
+        kitchenPool.add(idOf(order.preparedBy));
+      }
+
+      const tipPaise = toPaise(order.payment?.tip?.amount || 0);
+      if (tipPaise <= 0) {
+        continue;
+      }
+      tippedOrders += 1;
+      totalPaise += tipPaise;
+      if (order.payment.tip.method === "online") {
+        onlinePaise += tipPaise;
+      }
+
+      const directPaise = Math.floor(
+        (tipPaise * settings.directSharePercent) / 100
+      );
+      const kitchenPaise = Math.floor(
+        (tipPaise * settings.kitchenSharePercent) / 100
+      );
+      kitchenPoolPaise += kitchenPaise;
+
+      if (servers.length > 0) {
+        for (const [staffId, share] of splitEvenly(directPaise, servers)) {
+          direct.set(staffId, (direct.get(staffId) || 0) + share);
+        }
+        waiterPoolPaise += tipPaise - directPaise - kitchenPaise;
+      } else {
+        // Nobody to credit directly, so it all goes in the waiter pool
+        waiterPoolPaise += tipPaise - kitchenPaise;
+      }
+    }
+
+    const pooled = new Map();
+    let undistributedPaise = 0;
+    for (const [pool, paise] of [
+      [waiterPool, waiterPoolPaise],
+      [kitchenPool, kitchenPoolPaise],
+    ]) {
+      if (pool.size === 0) {
+        undistributedPaise += paise;
+        continue;
+      }
+      for (const [staffId, share] of splitEvenly(paise, [...pool].sort())) {
+        pooled.set(staffId, (pooled.get(staffId) || 0) + share);
+      }
+    }
+
+    const staffIds = [...new Set([...direct.keys(), ...pooled.keys()])];
+    const roles = new Map(
+      (
+        await Staff.find({ _id: { $in: staffIds } })
+          .select("role")
+          .lean()
+      ).map((member) => [member._id.toString(), member.role])
+    );
+
+    const allocations = staffIds
+      .map((staffId) => {
+        const directPaise = direct.get(staffId) || 0;
+        const poolPaise = pooled.get(staffId) || 0;
+        return {
+          staff: new mongoose.Types.ObjectId(staffId),
+          role: roles.get(staffId),
+          directAmount: toRupees(directPaise),
+          poolAmount: toRupees(poolPaise),
+          amount: toRupees(directPaise + poolPaise),
+          ordersServed: ordersServed.get(staffId) || 0,
+        };
+      })
+      .filter((allocation) => allocation.amount > 0)
+      .sort((a, b) => b.amount - a.amount);
+
+    return {
+      shiftStart: window.start,
+      shiftEnd: window.end,
+      rules: {
+        directSharePercent: settings.directSharePercent,
+        kitchenSharePercent: settings.kitchenSharePercent,
+      },
+      totalTips: toRupees(totalPaise),
+      tippedOrders,
+      onlineTips: toRupees(onlinePaise),
+      cashTips: toRupees(totalPaise - onlinePaise),
+      undistributed: toRupees(undistributedPaise),
+      allocations,
+    };
+  }
+
+  /**
+   * Compute (or recompute) the draft distribution for a shift
+   * @param {Object} scope - { hotel, branch } IDs
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} shiftName
+   */
+  async distribute({ hotel, branch: branchId }, date, shiftName) {
+    const branch = await Branch.findById(branchId).select("tipPool").lean();
+    if (!branch) {
+      throw new APIError(404, "Branch not found");
+    }
+
+    const existing = await TipDistribution.findOne({
+      branch: branchId,
+      businessDate: date,
+      shift: shiftName,
+    }).select("status");
+    if (existing?.status === "finalized") {
+      throw new APIError(409, "This shift's tips have already been finalized");
+    }
+
+    const result = await this.computeShift(branch, date, shiftName);
+
+    try {
+      return await TipDistribution.findOneAndUpdate(
+        {
+          branch: branchId,
+          businessDate: date,
+          shift: shiftName,
+          status: "draft",
+        },
+        { $set: { hotel, ...result, computedAt: new Date() } },
+        { new: true, upsert: true, runValidators: true }
+      );
+    } catch (error) {
+      // Finalized between the check and the write
+      if (error.code === 11000) {
+        throw new APIError(
+          409,
+          "This shift's tips have already been finalized"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lock a draft in once the shift is over, recomputing it first so late
+   * payments are included
+   * @param {Object} distribution - Draft TipDistribution document
+   * @param {Object} actor - { id, model } (Admin or Manager)
+   */
+  async finalize(distribution, actor) {
+    if (distribution.status === "finalized") {
+      throw new APIError(409, "Distribution is already finalized");
+    }
+    if (distribution.shiftEnd > new Date()) {
+      throw new APIError(
+        400,
+        "Tips can only be finalized after the shift ends"
+      );
+    }
+
+    const branch = await Branch.findById(distribution.branch)
+      .select("tipPool")
+      .lean();
+    const result = await this.computeShift(
+      branch,
+      distribution.businessDate,
+      distribution.shift
+    );
+
+    const finalized = await TipDistribution.findOneAndUpdate(
+      { _id: distribution._id, status: "draft" },
+      {
+        $set: {
+          ...result,
+          computedAt: new Date(),
+          status: "finalized",
+          finalizedAt: new Date(),
+          finalizedBy: actor.id,
+          finalizedByModel: actor.model,
+        },
+      },
+      { new: true }
+    );
+    if (!finalized) {
+      throw new APIError(409, "Distribution is already finalized");
+    }
+    return finalized;
+  }
+
+  /**
+   * Tips per staff member across a date range
+   * @param {ObjectId} branchId
+   * @param {Object} range - { from, to, status } ("YYYY-MM-DD" dates)
+   */
+  async getReport(branchId, { from, to, status = "all" }) {
+    const match = {
+      branch: new mongoose.Types.ObjectId(idOf(branchId)),
+      businessDate: { $gte: from, $lte: to },
+    };
+    if (status !== "all") {
+      match.status = status;
+    }
+
+    const [totals, byStaff] = await Promise.all([
+      TipDistribution.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            shifts: { $sum: 1 },
+            finalizedShifts: {
+              $sum: { $cond: [{ $eq: ["$status", "finalized"] }, 1, 0] },
+            },
+            totalTips: { $sum: "$totalTips" },
+            onlineTips: { $sum: "$onlineTips" },
+            cashTips: { $sum: "$cashTips" },
+            tippedOrders: { $sum: "$tippedOrders" },
+            undistributed: { $sum: "$undistributed" },
+          },
+        },
+      ]),
+      TipDistribution.aggregate([
+        { $match: match },
+        { $unwind: "$allocations" },
+        {
+          $group: {
+            _id: "$allocations.staff",
+            amount: { $sum: "$allocations.amount" },
+            directAmount: { $sum: "$allocations.directAmount" },
+            poolAmount: { $sum: "$allocations.poolAmount" },
+            ordersServed: { $sum: "$allocations.ordersServed" },
+            shifts: { $sum: 1 },
+          },
+        },
+        {
+          $lookup: {
+            from: "staffs",
+            localField: "_id",
+            foreignField: "_id",
+            as: "staff",
+          },
+        },
+        { $unwind: { path: "$staff", preserveNullAndEmptyArrays: true } },
+        {
+          $project: {
+            _id: 0,
+            staff: "$_id",
+            name: "$staff.name",
+            staffId: "$staff.staffId",
+            role: "$staff.role",
+            amount: { $round: ["$amount", 2] },
+            directAmount: { $round: ["$directAmount", 2] },
+            poolAmount: { $round: ["$poolAmount", 2] },
+            ordersServed: 1,
+            shifts: 1,
+          },
+        },
+        { $sort: { amount: -1 } },
+      ]),
+    ]);
+
+    const summary = totals[0] || {};
+    const round = (value) => Math.round((value || 0) * 100) / 100;
+    return {
+      period: { from, to },
+      summary: {
+        shifts: summary.shifts || 0,
+        finalizedShifts: summary.finalizedShifts || 0,
+        totalTips: round(summary.totalTips),
+        onlineTips: round(summary.onlineTips),
+        cashTips: round(summary.cashTips),
+        tippedOrders: summary.tippedOrders || 0,
+        undistributed: round(summary.undistributed),
+      },
+      staff: byStaff,
+    };
+  }
+
+  /**
+   * One staff member's share of each shift in a date range
+   * @param {ObjectId} staffId
+   * @param {Object} range - { from, to, status }
+   */
+  async getStaffTips(staffId, { from, to, status = "all" }) {
+    const filter = {
+      "allocations.staff": staffId,
+      businessDate: { $gte: from, $lte: to },
+    };
+    if (status !== "all") {
+      filter.status = status;
+    }
+
+    const distributions = await TipDistribution.find(filter)
+      .select("businessDate shift status allocations finalizedAt")
+      .sort({ businessDate: -1, shiftStart: -1 })
+      .lean();
+
+    const shifts = distributions.map((distribution) => {
+      const own = distribution.allocations.find(
+        (allocation) => allocation.staff.toString() === staffId.toString()
+      );
+      return {
+        businessDate: distribution.businessDate,
+        shift: distribution.shift,
+        status: distribution.status,
+        finalizedAt: distribution.finalizedAt,
+        directAmount: own.directAmount,
+        poolAmount: own.poolAmount,
+        amount: own.amount,
+        ordersServed: own.ordersServed,
+      };
+    });
+
+    const sum = (items) =>
+      Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) /
+      100;
+    return {
+      period: { from, to },
+      total: sum(shifts),
+      finalized: sum(shifts.filter((shift) => shift.status === "finalized")),
+      shifts,
+    };
+  }
+}
+
+export default new TipPoolService();
@@ -1,6 +1,7 @@
 import { FoodCategory } from "../models/FoodCategory.model.js";
 import { FoodItem } from "../models/FoodItem.model.js";
 import { APIError } from "../utils/APIError.js";
+import { getModifierGroupsForItem } from "./modifier.service.js";
 import mongoose from "mongoose";
 
 class UserMenuService {
@@ -323,13 +324,26 @@ class UserMenuService {
         { path: "category", select: "name categoryId type description" },
         { path: "hotel", select: "name hotelId" },
         { path: "branch", select: "name branchId" },
+        {
+          path: "comboSlots.foodItems",
+          select: "name price discountPrice foodType image isAvailable",
+        },
       ]);
 
       const itemData = item.toObject();
+      const modifierGroups = await getModifierGroupsForItem(item);
 
       // Add calculated fields
       return {
         ...itemData,
+        modifierGroups: modifierGroups.map((group) => ({
+          _id: group._id,
+          name: group.name,
+          description: group.description,
+          minSelect: group.minSelect,
+          maxSelect: group.maxSelect,
+          options: group.options,
+        })),
         effectivePrice: item.discountPrice || item.price,
         discountPercentage: item.discountPrice
           ? Math.round(((item.price - item.discountPrice) / item.price) * 100)
@@ -0,0 +1,537 @@
+/**
+ * Walk-in waitlist
+ *
+ * Parties wait in arrival order. Wait estimates come from a quick
+ * simulation: every table big enough for a party frees up one turn time
+ * after it was sat (the branch's recent average for dine-in orders), and
+ * each party ahead takes whichever fitting table frees first. When a table
+ * frees up it is held for the first party that fits and the guest is told
+ * by SMS, with a socket alert to the host stand.
+ */
+
+import mongoose from "mongoose";
+import {
+  WaitlistEntry,
+  ACTIVE_WAITLIST_STATUSES,
+} from "../models/WaitlistEntry.model.js";
+import { Table } from "../models/Table.model.js";
+import { Branch } from "../models/Branch.model.js";
+import { Order } from "../models/Order.model.js";
+import { Booking, ACTIVE_BOOKING_STATUSES } from "../models/Booking.model.js";
+import { notifyWaitlistTableReady } from "./notification.service.js";
+import { sendWaitlistReadySms } from "../utils/smsService.js";
+import { APIError } from "../utils/APIError.js";
+import { logger } from "../utils/logger.js";
+import { WAITLIST_SETTINGS } from "../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Fewer completed dine-in orders than this and the default turn time is used
+const MIN_TURN_SAMPLES = 10;
+
+class WaitlistService {
+  /**
+   * Average minutes a table stays occupied, from the branch's completed
+   * dine-in orders over the lookback window
+   * @param {ObjectId|string} branchId
+   */
+  async getTurnTimeMinutes(branchId) {
+    const since = new Date(
+      Date.now() - WAITLIST_SETTINGS.turnTimeLookbackDays * DAY_MS
+    );
+
+    const [stats] = await Order.aggregate([
+      {
+        $match: {
+          branch: new mongoose.Types.ObjectId(branchId.toString()),
+          orderType: "dine_in",
+          status: "completed",
+          table: { $ne: null },
+          createdAt: { $gte: since },
+        },
+      },
+      {
+        $project: {
+          minutes: {
+            $divide: [{ $subtract: ["$updatedAt", "$createdAt"] }, MINUTE_MS],
+          },
+        },
+      },
+      // Ignore orders closed straight away or left open overnight
+      { $match: { minutes: { $gte: 10, $lte: 300 } } },
+      {
+        $group: {
+          _id: null,
+          averageMinutes: { $avg: "$minutes" },
+          samples: { $sum: 1 },
+        },
+      },
+    ]);
+
+    if (!stats || stats.samples < MIN_TURN_SAMPLES) {
+      return WAITLIST_SETTINGS.defaultTurnMinutes;
+    }
+    return Math.round(stats.averageMinutes);
+  }
+
+  /**
+   * Tables that can be given to a walk-in (merged-in tables are skipped)
+   */
+  async getSeatableTables(branchId) {
+    return Table.find({
+      branch: branchId,
+      isActive: true,
+      mergedInto: null,
+      status: { $in: ["available", "occupied", "reserved"] },
+    })
+      .select("tableNumber capacity status lastUsed updatedAt")
+      .lean();
+  }
+
+  /**
+   * Estimated wait in minutes for each party, in queue order
+   * @param {Array} tables - From getSeatableTables
+   * @param {Array} parties - [{ partySize }] in queue order
+   * @param {Number} turnMinutes
+   * @returns {Array<Number|null>} null when no table is big enough
+   */
+  estimateWaits(tables, parties, turnMinutes, now = new Date()) {
+    const turnMs = turnMinutes * MINUTE_MS;
+
+    const freeAt = tables.map((table) => {
+      if (table.status === "available") {
+        return now.getTime();
+      }
+      if (table.status === "occupied") {
+        const satAt = (table.lastUsed || table.updatedAt).getTime();
+        return Math.max(now.getTime(), satAt + turnMs);
+      }
+      // Held for a reservation or another walk-in: about to be sat
+      return now.getTime() + turnMs;
+    });
+
+    return parties.map(({ partySize }) => {
+      let best = -1;
+      tables.forEach((table, index) => {
+        if (table.capacity < partySize) {
+          return;
+        }
+        if (
+          best === -1 ||
+          freeAt[index] < freeAt[best] ||
+          (freeAt[index] === freeAt[best] &&
+            table.capacity < tables[best].capacity)
+        ) {
+          best = index;
+        }
+      });
+
+      if (best === -1) {
+        return null;
+      }
+      const wait = Math.ceil((freeAt[best] - now.getTime()) / MINUTE_MS);
+      freeAt[best] += turnMs;
+      return wait;
+    });
+  }
+
+  /**
+   * The branch's waitlist; waiting parties carry a live estimate
+   * @param {ObjectId} branchId
+   * @param {String} status - active | seated | cancelled | no_show | all
+   */
+  async getWaitlist(branchId, status = "active") {
+    const query = { branch: branchId };
+    if (status === "active") {
+      query.status = { $in: ACTIVE_WAITLIST_STATUSES };
+    } else if (status !== "all") {
+      query.status = status;
+    }
+    // Finished entries only matter for today's service
+    if (status !== "active") {
+      query.createdAt = { $gte: new Date(Date.now() - DAY_MS) };
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate("heldTable", "tableNumber capacity")
+      .populate("seatedTable", "tableNumber capacity")
+      .sort({ createdAt: 1 });
+
+    const waiting = entries.filter((entry) => entry.status === "waiting");
+    const [tables, turnMinutes] = await Promise.all([
+      this.getSeatableTables(branchId),
+      this.getTurnTimeMinutes(branchId),
+    ]);
+    const waits = this.estimateWaits(tables, waiting, turnMinutes);
+    const estimates = new Map(
+      waiting.map((entry, index) => [entry._id.toString(), waits[index]])
+    );
+
+    return {
+      turnMinutes,
+      entries: entries.map((entry) => ({
+        ...entry.toObject(),
+        position:
+          entry.status === "waiting" ? waiting.indexOf(entry) + 1 : null,
+        estimatedWaitMinutes: estimates.has(entry._id.toString())
+          ? estimates.get(entry._id.toString())
+          : null,
+      })),
+    };
+  }
+
+  /**
+   * Wait a new party would be quoted if added now
+   */
+  async estimateForNewParty(branchId, partySize) {
+    const [waiting, tables, turnMinutes] = await Promise.all([
+      WaitlistEntry.find({ branch: branchId, status: "waiting" })
+        .select("partySize")
+        .sort({ createdAt: 1 })
+        .lean(),
+      this.getSeatableTables(branchId),
+      this.getTurnTimeMinutes(branchId),
+    ]);
+
+    const waits = this.estimateWaits(
+      tables,
+      [...waiting, { partySize }],
+      turnMinutes
+    );
+    return {
+      estimatedWaitMinutes: waits[waits.length - 1],
+      partiesAhead: waiting.length,
+      turnMinutes,
+    };
+  }
+
+  /**
+   * Put a walk-in party on the list and hold a table straight away if one
+   * is free
+   * @param {Object} staff - Receptionist adding the party (req.user)
+   * @param {Object} data - Validated waitlistValidationSchemas.add body
+   */
+  async addParty(staff, data) {
+    const branchId = staff.branch?._id || staff.branch;
+    const hotelId = staff.hotel?._id || staff.hotel;
+
+    const duplicate = await WaitlistEntry.findOne({
+      branch: branchId,
+      phone: data.phone,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+    if (duplicate) {
+      throw new APIError(409, "This phone number is already on the waitlist");
+    }
+
+    const { estimatedWaitMinutes } = await this.estimateForNewParty(
+      branchId,
+      data.partySize
+    );
+    if (estimatedWaitMinutes === null) {
+      throw new APIError(
+        400,
+        `No table at this branch seats a party of ${data.partySize}`
+      );
+    }
+
+    const entry = await WaitlistEntry.create({
+      ...data,
+      hotel: hotelId,
+      branch: branchId,
+      quotedWaitMinutes: estimatedWaitMinutes,
+      addedBy: staff._id,
+    });
+
+    await this.matchTables(branchId);
+    return WaitlistEntry.findById(entry._id);
+  }
+
+  /**
+   * Edit a waiting party's details
+   */
+  async updateEntry(entry, changes) {
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      throw new APIError(400, `This party is already ${entry.status}`);
+    }
+
+    // A bigger party may no longer fit the table being held for it
+    if (changes.partySize && entry.status === "notified") {
+      const table = await Table.findById(entry.heldTable).select("capacity");
+      if (table && table.capacity < changes.partySize) {
+        await this.releaseHold(entry);
+        entry.status = "waiting";
+      }
+    }
+
+    entry.set(changes);
+    await entry.save();
+    await this.matchTables(entry.branch);
+    return entry;
+  }
+
+  /**
+   * Hold free tables for the parties that have waited longest. Each party
+   * gets the smallest free table that fits it. Tables with a booking that
+   * starts before a walk-in party would finish eating are left alone.
+   * @returns {Number} Parties notified
+   */
+  async matchTables(branchId) {
+    const now = new Date();
+    const [waiting, tables, turnMinutes] = await Promise.all([
+      WaitlistEntry.find({ branch: branchId, status: "waiting" }).sort({
+        createdAt: 1,
+      }),
+      Table.find({
+        branch: branchId,
+        status: "available",
+        isActive: true,
+        mergedInto: null,
+      })
+        .select("tableNumber capacity")
+        .sort({ capacity: 1 }),
+      this.getTurnTimeMinutes(branchId),
+    ]);
+    if (waiting.length === 0 || tables.length === 0) {
+      return 0;
+    }
+
+    const bookedTableIds = await Booking.distinct("table", {
+      table: { $in: tables.map((table) => table._id) },
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+      reservationTime: {
+        $lt: new Date(now.getTime() + turnMinutes * MINUTE_MS),
+      },
+      endTime: { $gt: now },
+    });
+    const booked = new Set(bookedTableIds.map((id) => id.toString()));
+    const freeTables = tables.filter(
+      (table) => !booked.has(table._id.toString())
+    );
+
+    let notified = 0;
+    for (const entry of waiting) {
+      const index = freeTables.findIndex(
+        (table) => table.capacity >= entry.partySize
+      );
+      if (index === -1) {
+        continue;
+      }
+
+      const [table] = freeTables.splice(index, 1);
+      if (await this.holdTableFor(entry, table)) {
+        notified += 1;
+      }
+      if (freeTables.length === 0) {
+        break;
+      }
+    }
+    return notified;
+  }
+
+  /**
+   * Claim a free table for a party and tell them. Both claims are
+   * conditional so two matchers can't hand out the same table or party.
+   */
+  async holdTableFor(entry, table) {
+    const claimed = await Table.findOneAndUpdate(
+      { _id: table._id, status: "available" },
+      { $set: { status: "reserved" } },
+      { new: true }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    const now = new Date();
+    const held = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: "waiting" },
+      {
+        $set: {
+          status: "notified",
+          heldTable: table._id,
+          notifiedAt: now,
+          holdExpiresAt: new Date(
+            now.getTime() + WAITLIST_SETTINGS.holdMinutes * MINUTE_MS
+          ),
+        },
+      },
+      { new: true }
+    );
+    if (!held) {
+      await Table.updateOne(
+        { _id: table._id, status: "reserved", currentReservation: null },
+        { $set: { status: "available" } }
+      );
+      return false;
+    }
+
+    await this.sendReadyNotice(held, claimed);
+    return true;
+  }
+
+  /**
+   * SMS the guest and alert the host stand; records which channels worked
+   */
+  async sendReadyNotice(entry, table) {
+    const channels = [];
+    const branch = await Branch.findById(entry.branch).select("name").lean();
+
+    try {
+      await sendWaitlistReadySms(entry.phone, {
+        customerName: entry.customerName,
+        tableNumber: table.tableNumber,
+        branchName: branch?.name || "the restaurant",
+        holdMinutes: WAITLIST_SETTINGS.holdMinutes,
+      });
+      channels.push("sms");
+    } catch (error) {
+      logger.error(`Waitlist SMS failed for ${entry.waitlistId}:`, error);
+    }
+
+    const socketResult = await notifyWaitlistTableReady(entry, table);
+    if (socketResult?.success) {
+      channels.push("socket");
+    }
+
+    entry.notificationChannels = channels;
+    await entry.save();
+  }
+
+  /**
+   * Put a party at a table: the one held for them, or another free table
+   * @param {Object} entry - WaitlistEntry document
+   * @param {Object} options - { tableId, staffId }
+   */
+  async seatParty(entry, { tableId, staffId }) {
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      throw new APIError(400, `This party is already ${entry.status}`);
+    }
+
+    const targetId = tableId || entry.heldTable;
+    if (!targetId) {
+      throw new APIError(400, "Choose a table to seat this party at");
+    }
+    const isHeldTable = entry.heldTable?.toString() === targetId.toString();
+
+    const table = await Table.findOne({
+      _id: targetId,
+      branch: entry.branch,
+      isActive: true,
+    });
+    if (!table) {
+      throw new APIError(404, "Table not found");
+    }
+    if (table.capacity < entry.partySize) {
+      throw new APIError(
+        400,
+        `Table ${table.tableNumber} seats only ${table.capacity}`
+      );
+    }
+
+    const seated = await Table.findOneAndUpdate(
+      {
+        _id: table._id,
+        status: isHeldTable ? "reserved" : "available",
+      },
+      { $set: { status: "occupied", lastUsed: new Date() } },
+      { new: true }
+    );
+    if (!seated) {
+      throw new APIError(409, `Table ${table.tableNumber} is not free`);
+    }
+
+    // Seated somewhere else: the held table goes to the next party
+    if (entry.heldTable && !isHeldTable) {
+      await this.releaseHold(entry);
+    }
+
+    entry.status = "seated";
+    entry.seatedAt = new Date();
+    entry.seatedTable = seated._id;
+    entry.seatedBy = staffId;
+    entry.heldTable = null;
+    entry.holdExpiresAt = undefined;
+    await entry.save();
+
+    if (entry.$locals.releasedHold) {
+      await this.matchTables(entry.branch);
+    }
+    return entry;
+  }
+
+  /**
+   * Take a party off the list (left, or didn't come back when called)
+   * @param {String} status - cancelled | no_show
+   */
+  async removeEntry(entry, status = "cancelled") {
+    if (!ACTIVE_WAITLIST_STATUSES.includes(entry.status)) {
+      throw new APIError(400, `This party is already ${entry.status}`);
+    }
+
+    const hadHold = Boolean(entry.heldTable);
+    await this.releaseHold(entry);
+
+    entry.status = status;
+    entry.removedAt = new Date();
+    entry.heldTable = null;
+    entry.holdExpiresAt = undefined;
+    await entry.save();
+
+    if (hadHold) {
+      await this.matchTables(entry.branch);
+    }
+    return entry;
+  }
+
+  /**
+   * Free the table held for a party, unless it has since been sat
+   */
+  async releaseHold(entry) {
+    if (!entry.heldTable) {
+      return;
+    }
+    await Table.updateOne(
+      { _id: entry.heldTable, status: "reserved", currentReservation: null },
+      { $set: { status: "available" } }
+    );
+    entry.$locals.releasedHold = true;
+  }
+
+  /**
+   * Scheduled sweep: parties that didn't return while their table was held
+   * are marked no-show, then every branch with waiting parties gets any
+   * tables freed since the last run
+   * @returns {Object} { expired, notified }
+   */
+  async processWaitlists(now = new Date()) {
+    const expiredEntries = await WaitlistEntry.find({
+      status: "notified",
+      holdExpiresAt: { $lte: now },
+    });
+    for (const entry of expiredEntries) {
+      await this.removeEntry(entry, "no_show");
+    }
+
+    const branchIds = await WaitlistEntry.distinct("branch", {
+      status: "waiting",
+    });
+    let notified = 0;
+    for (const branchId of branchIds) {
+      try {
+        notified += await this.matchTables(branchId);
+      } catch (error) {
+        // One branch failing must not hold up the others
+        logger.error(
+          `Failed to match waitlist tables for branch ${branchId}:`,
+          error
+        );
+      }
+    }
+
+    return { expired: expiredEntries.length, notified };
+  }
+}
+
+export default new WaitlistService();
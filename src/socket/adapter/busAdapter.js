@@ -0,0 +1,97 @@
+// src/socket/adapter/busAdapter.js - Socket.IO cluster adapter over a pub/sub bus
+import { ClusterAdapterWithHeartbeat } from "socket.io-adapter";
+import { logger } from "../../utils/logger.js";
+
+/**
+ * Cross-instance adapter: every broadcast, room join/leave and
+ * fetchSockets request is published on a bus, so `io.to("staff_<id>")` on
+ * one instance reaches sockets connected to any other. socket.io-adapter's
+ * ClusterAdapterWithHeartbeat does the protocol; this class only moves
+ * messages. Messages are JSON, so emits must not carry binary attachments.
+ *
+ * A bus (see redisBus.js / memoryBus.js) provides:
+ *   publish(channel, payload)          payload is a string
+ *   subscribe(channel, listener)       listener(payload)
+ *   unsubscribe(channel, listener)
+ */
+class BusAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, bus, { channelPrefix, ...heartbeatOptions }) {
+    super(nsp, heartbeatOptions);
+    this.bus = bus;
+    // One channel for the namespace, one for responses addressed to us
+    this.channel = `${channelPrefix}#${nsp.name}#`;
+    this.responseChannel = `${this.channel}${this.uid}#`;
+    this.onBusMessage = (payload) => this.receive(payload, false);
+    this.onBusResponse = (payload) => this.receive(payload, true);
+  }
+
+  async init() {
+    try {
+      await Promise.all([
+        this.bus.subscribe(this.channel, this.onBusMessage),
+        this.bus.subscribe(this.responseChannel, this.onBusResponse),
+      ]);
+      // Announce ourselves so the others count us in serverCount()
+      super.init();
+    } catch (error) {
+      logger.error(
+        `Socket.IO adapter failed to subscribe (${this.nsp.name}):`,
+        {
+          message: error.message,
+        }
+      );
+    }
+  }
+
+  receive(payload, isResponse) {
+    try {
+      const message = JSON.parse(payload);
+      if (isResponse) {
+        this.onResponse(message);
+      } else {
+        this.onMessage(message);
+      }
+    } catch (error) {
+      logger.error("Socket.IO adapter dropped a malformed message:", {
+        message: error.message,
+      });
+    }
+  }
+
+  async doPublish(message) {
+    await this.bus.publish(this.channel, JSON.stringify(message));
+    // Pub/sub has no offsets (no connection state recovery across instances)
+    return "";
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.bus.publish(
+      `${this.channel}${requesterUid}#`,
+      JSON.stringify(response)
+    );
+  }
+
+  close() {
+    super.close();
+    this.bus.unsubscribe(this.channel, this.onBusMessage);
+    this.bus.unsubscribe(this.responseChannel, this.onBusResponse);
+  }
+}
+
+/**
+ * Adapter factory for io.adapter()
+ * @param {Object} bus - Redis or in-memory bus
+ * @param {Object} options - { channelPrefix, heartbeatInterval, heartbeatTimeout }
+ */
+export const createBusAdapter = (
+  bus,
+  { channelPrefix = "socket.io", ...heartbeatOptions } = {}
+) =>
+  function (nsp) {
+    const adapter = new BusAdapter(nsp, bus, {
+      channelPrefix,
+      ...heartbeatOptions,
+    });
+    adapter.init();
+    return adapter;
+  };
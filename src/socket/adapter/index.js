@@ -0,0 +1,37 @@
+// src/socket/adapter/index.js - Pick the Socket.IO adapter for this deployment
+import { getRedisClient, isRedisConfigured } from "../../config/redis.js";
+import { logger } from "../../utils/logger.js";
+import { createBusAdapter } from "./busAdapter.js";
+import { createRedisBus } from "./redisBus.js";
+
+export { createMemoryBus } from "./memoryBus.js";
+
+/**
+ * Make rooms span every instance
+ * With Redis configured the adapter publishes over Redis pub/sub; without
+ * it the default in-memory adapter stays (single instance). Tests can pass
+ * a memory bus shared by several servers.
+ * @param {Server} io
+ * @param {Object} options - { bus }
+ * @returns {Object|null} The bus in use, for shutdown
+ */
+export const setupSocketAdapter = (io, { bus = null } = {}) => {
+  let clusterBus = bus;
+  if (!clusterBus && isRedisConfigured()) {
+    const redis = getRedisClient();
+    clusterBus = createRedisBus(redis.duplicate(), redis.duplicate());
+  }
+
+  if (!clusterBus) {
+    logger.info("Socket.IO using the in-memory adapter (single instance)");
+    return null;
+  }
+
+  io.adapter(
+    createBusAdapter(clusterBus, {
+      channelPrefix: `${process.env.REDIS_KEY_PREFIX || "tabletop:"}socket.io`,
+    })
+  );
+  logger.info(`Socket.IO cluster adapter enabled (${clusterBus.name} bus)`);
+  return clusterBus;
+};
@@ -0,0 +1,32 @@
+// src/socket/adapter/memoryBus.js - In-process stand-in for the Redis bus
+import { EventEmitter } from "events";
+
+/**
+ * Bus kept in memory. Several Socket.IO servers in one process (tests,
+ * local experiments) that share one bus behave like separate instances
+ * behind Redis: payloads stay strings and are delivered asynchronously.
+ */
+export const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  return {
+    name: "memory",
+
+    async publish(channel, payload) {
+      setImmediate(() => emitter.emit(channel, payload));
+    },
+
+    async subscribe(channel, listener) {
+      emitter.on(channel, listener);
+    },
+
+    async unsubscribe(channel, listener) {
+      emitter.off(channel, listener);
+    },
+
+    async close() {
+      emitter.removeAllListeners();
+    },
+  };
+};
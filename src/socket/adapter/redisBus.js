@@ -0,0 +1,43 @@
+// src/socket/adapter/redisBus.js - Redis pub/sub bus for the Socket.IO adapter
+
+/**
+ * Bus over Redis pub/sub. A subscribed connection cannot run other
+ * commands, hence the separate publisher and subscriber clients.
+ * @param {Redis} pubClient
+ * @param {Redis} subClient
+ */
+export const createRedisBus = (pubClient, subClient) => {
+  const listeners = new Map(); // channel -> Set of listeners
+
+  subClient.on("message", (channel, payload) => {
+    listeners.get(channel)?.forEach((listener) => listener(payload));
+  });
+
+  return {
+    name: "redis",
+
+    publish: (channel, payload) => pubClient.publish(channel, payload),
+
+    async subscribe(channel, listener) {
+      if (!listeners.has(channel)) {
+        listeners.set(channel, new Set());
+        await subClient.subscribe(channel);
+      }
+      listeners.get(channel).add(listener);
+    },
+
+    async unsubscribe(channel, listener) {
+      const channelListeners = listeners.get(channel);
+      if (!channelListeners) return;
+      channelListeners.delete(listener);
+      if (channelListeners.size === 0) {
+        listeners.delete(channel);
+        await subClient.unsubscribe(channel);
+      }
+    },
+
+    async close() {
+      await Promise.all([pubClient.quit(), subClient.quit()]);
+    },
+  };
+};
@@ -1,6 +1,11 @@
 // src/socket/complaintEvents.js - Socket.IO Event Handlers for Complaints
 
 import { logger } from "../utils/logger.js";
+import notificationInboxService from "../services/notificationInbox.service.js";
+import pushService from "../services/push/push.service.js";
+
+// Updates the customer made themselves; nothing to tell them about
+const USER_INITIATED_UPDATES = ["follow_up_added", "reopened"];
 
 /**
  * Setup complaint-related socket events
@@ -123,9 +128,77 @@ export const setupComplaintEvents = (io) => {
  */
 export const emitComplaintNew = (io, hotelId, data) => {
   io.to(`hotel_${hotelId}`).emit("complaint:new", data);
+  recordComplaintNotification(
+    data,
+    { hotelId },
+    { type: "complaint_new", message: data.message }
+  );
   logger.info(`Emitted new complaint notification to hotel ${hotelId}`);
 };
 
+/**
+ * Store a complaint notification in the recipients' inboxes and push it to
+ * their devices (admins have no devices to push to)
+ * Fire-and-forget; the inbox and push service log their own failures.
+ * @param {Object} complaint - Complaint document or plain object
+ * @param {Object} recipients - { userId, staffId, branchId, hotelId }; a
+ *   branch means its managers, a hotel its owning admin
+ * @param {Object} notification - { type, message, priority }
+ */
+export const recordComplaintNotification = (
+  complaint,
+  { userId, staffId, branchId, hotelId },
+  { type, message, priority }
+) => {
+  if (!complaint) return;
+
+  const notification = {
+    type,
+    title: `Complaint #${complaint.complaintId}`,
+    message,
+    priority: priority || complaint.priority,
+    hotel: complaint.hotel?._id || complaint.hotel,
+    branch: complaint.branch?._id || complaint.branch,
+    data: {
+      complaintId: complaint.complaintId,
+      complaint: complaint._id?.toString(),
+    },
+  };
+
+  notificationInboxService.record("User", userId, notification);
+  notificationInboxService.record("Staff", staffId, notification);
+  if (branchId) {
+    notificationInboxService.recordForBranchManagers(branchId, notification);
+  }
+  if (hotelId) {
+    notificationInboxService.recordForHotelOwner(hotelId, notification);
+  }
+
+  const push = {
+    title: notification.title,
+    body: message,
+    data: {
+      type: `complaint:${type.replace(/^complaint_/, "")}`,
+      complaintId: complaint.complaintId,
+    },
+    priority: ["high", "urgent"].includes(notification.priority)
+      ? "high"
+      : "normal",
+  };
+  pushService.notify("User", userId, push);
+  pushService.notify("Staff", staffId, push);
+  if (branchId) {
+    notificationInboxService
+      .getBranchManagerIds(branchId)
+      .then((managerIds) => pushService.notify("Manager", managerIds, push))
+      .catch((error) =>
+        logger.error("Failed to push complaint notification to managers:", {
+          message: error.message,
+        })
+      );
+  }
+};
+
 /**
  * Helper function to emit complaint update notification
  * @param {Object} io - Socket.IO instance
@@ -148,6 +221,22 @@ export const emitComplaintUpdate = (io, complaintId, data) => {
     io.to(`branch_${data.branchId}`).emit("complaint:updated", data);
   }
 
+  recordComplaintNotification(
+    data.complaint,
+    {
+      userId: USER_INITIATED_UPDATES.includes(data.type) ? null : data.userId,
+      staffId: data.staffId,
+      branchId: data.branchId,
+    },
+    {
+      type:
+        data.type === "status_updated"
+          ? "complaint_status_updated"
+          : "complaint_updated",
+      message: data.message,
+    }
+  );
+
   logger.info(`Emitted complaint update for ${complaintId}`);
 };
 
@@ -162,6 +251,11 @@ export const emitComplaintResolved = (io, userId, data) => {
   if (data.staffId) {
     io.to(`staff_${data.staffId}`).emit("complaint:resolved", data);
   }
+  recordComplaintNotification(
+    data.complaint,
+    { userId, staffId: data.staffId },
+    { type: "complaint_resolved", message: data.message }
+  );
   logger.info(`Emitted complaint resolved notification to user ${userId}`);
 };
 
@@ -173,6 +267,11 @@ export const emitComplaintResolved = (io, userId, data) => {
  */
 export const emitComplaintAssigned = (io, staffId, data) => {
   io.to(`staff_${staffId}`).emit("complaint:assigned", data);
+  recordComplaintNotification(
+    data.complaint,
+    { staffId },
+    { type: "complaint_assigned", message: data.message }
+  );
   logger.info(`Emitted complaint assigned notification to staff ${staffId}`);
 };
 
@@ -186,6 +285,11 @@ export const emitComplaintAssigned = (io, staffId, data) => {
 export const emitComplaintEscalated = (io, branchId, hotelId, data) => {
   io.to(`branch_${branchId}`).emit("complaint:escalated", data);
   io.to(`hotel_${hotelId}`).emit("complaint:escalated", data);
+  recordComplaintNotification(
+    data.complaint,
+    { branchId, hotelId },
+    { type: "complaint_escalated", message: data.message, priority: "urgent" }
+  );
   logger.info(
     `Emitted complaint escalated notification to branch ${branchId} and hotel ${hotelId}`
   );
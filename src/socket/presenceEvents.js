@@ -0,0 +1,67 @@
+// src/socket/presenceEvents.js - Identity rooms and presence updates
+import presenceService from "../services/presence.service.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Join identity rooms on connect and announce staff/manager presence
+ * Room membership comes from the authenticated socket, not from client
+ * events, so it holds on whichever instance the client lands on. The
+ * join:* events stay for older clients and are harmless repeats.
+ * Emits "presence:update" to branch_<id> when a person's first socket
+ * connects or their last one disconnects, on any instance.
+ * @param {Object} io - Socket.IO server instance
+ */
+export const setupPresenceEvents = (io) => {
+  const announce = async (socket, status) => {
+    const user = socket.data.user;
+    if (!["Staff", "Manager"].includes(user.userModel) || !user.branch) {
+      return;
+    }
+
+    try {
+      const sockets = await io
+        .in(presenceService.personalRoom(user))
+        .fetchSockets();
+      // Only the first connection / last disconnection changes presence
+      const remaining = sockets.length;
+      if (
+        (status === "online" && remaining !== 1) ||
+        (status === "offline" && remaining !== 0)
+      ) {
+        return;
+      }
+
+      io.to(`branch_${user.branch}`).emit("presence:update", {
+        id: user.id,
+        userModel: user.userModel,
+        role: user.role,
+        name: user.name,
+        status,
+        timestamp: new Date(),
+      });
+    } catch (error) {
+      logger.error(`Presence update failed for ${user.userModel} ${user.id}:`, {
+        message: error.message,
+      });
+    }
+  };
+
+  io.on("connection", (socket) => {
+    const user = socket.data.user;
+    if (!user) {
+      return;
+    }
+
+    const rooms = presenceService.identityRooms(user);
+    socket.join(rooms);
+    socket.emit("rooms:joined", { rooms });
+    announce(socket, "online");
+
+    // Rooms are already left by the time "disconnect" fires
+    socket.on("disconnect", () => {
+      announce(socket, "offline");
+    });
+  });
+};
+
+export default setupPresenceEvents;
@@ -1,7 +1,14 @@
 // src/socket/socketHandler.js - Socket.IO Event Handlers for Order Assignments
 
 import { Order } from "../models/Order.model.js";
+import { Cart } from "../models/Cart.model.js";
 import { logger } from "../utils/logger.js";
+import { getKitchenRoom } from "../services/kitchen.service.js";
+import { getTableCartRoom } from "../services/tableCart.service.js";
+import floorPlanService, {
+  getFloorPlanRoom,
+} from "../services/floorPlan.service.js";
+import { KITCHEN_STATIONS } from "../config/constants.js";
 import {
   requireRole,
   requireOwnership,
@@ -184,6 +191,161 @@ export const setupOrderEvents = (io) => {
       }
     });
 
+    /**
+     * Kitchen display joins a station feed (kitchen_<branchId>_<station>)
+     */
+    socket.on("join:kitchen:station", (data) => {
+      try {
+        const { branchId, station } = data || {};
+
+        const roleCheck = requireRole(socket, [
+          "kitchen_staff",
+          "chef",
+          "manager",
+          "branch_manager",
+        ]);
+        if (!roleCheck.authorized) {
+          socket.emit("action:error", {
+            event: "join:kitchen:station",
+            message: roleCheck.error,
+          });
+          return;
+        }
+
+        if (!KITCHEN_STATIONS.includes(station)) {
+          socket.emit("action:error", {
+            event: "join:kitchen:station",
+            message: `Invalid kitchen station: ${station}`,
+          });
+          return;
+        }
+
+        if (userData.branch?.toString() !== branchId?.toString()) {
+          logger.warn(
+            `User ${userData.id} attempted to join kitchen ${branchId} but belongs to ${userData.branch}`
+          );
+          socket.emit("action:error", {
+            event: "join:kitchen:station",
+            message: "Cannot join other branch's kitchen",
+          });
+          return;
+        }
+
+        const room = getKitchenRoom(branchId, station);
+        socket.join(room);
+        logger.info(
+          `${userData.userModel} ${userData.id} joined kitchen station ${room}`
+        );
+        socket.emit("joined", {
+          room,
+          type: "kitchen",
+          station,
+          message: `Successfully joined ${station} station`,
+        });
+      } catch (error) {
+        logger.error(`Error in join:kitchen:station: ${error.message}`);
+        socket.emit("action:error", {
+          event: "join:kitchen:station",
+          message: "Failed to join room",
+        });
+      }
+    });
+
+    /**
+     * Diner joins the live feed of a shared table cart they have joined
+     */
+    socket.on("join:table:cart", async (cartId) => {
+      try {
+        const roleCheck = requireRole(socket, ["user", "customer"]);
+        if (!roleCheck.authorized) {
+          socket.emit("action:error", {
+            event: "join:table:cart",
+            message: roleCheck.error,
+          });
+          return;
+        }
+
+        const isParticipant = await Cart.exists({
+          _id: cartId,
+          isShared: true,
+          "participants.user": userData.id,
+        });
+        if (!isParticipant) {
+          socket.emit("action:error", {
+            event: "join:table:cart",
+            message: "Scan the table QR code to join this table's cart",
+          });
+          return;
+        }
+
+        const room = getTableCartRoom(cartId);
+        socket.join(room);
+        logger.info(`User ${userData.id} joined table cart room ${room}`);
+        socket.emit("joined", {
+          room,
+          type: "table_cart",
+          message: "Successfully joined table cart",
+        });
+      } catch (error) {
+        logger.error(`Error in join:table:cart: ${error.message}`);
+        socket.emit("action:error", {
+          event: "join:table:cart",
+          message: "Failed to join room",
+        });
+      }
+    });
+
+    /**
+     * Floor plan live view; the current snapshot is sent straight away and
+     * refreshed by the floor plan job
+     */
+    socket.on("join:floor:plan", async (branchId) => {
+      try {
+        const roleCheck = requireRole(socket, [
+          "manager",
+          "branch_manager",
+          "staff",
+          "waiter",
+        ]);
+        if (!roleCheck.authorized) {
+          socket.emit("action:error", {
+            event: "join:floor:plan",
+            message: roleCheck.error,
+          });
+          return;
+        }
+
+        if (userData.branch?.toString() !== branchId?.toString()) {
+          logger.warn(
+            `User ${userData.id} attempted to join floor plan ${branchId} but belongs to ${userData.branch}`
+          );
+          socket.emit("action:error", {
+            event: "join:floor:plan",
+            message: "Cannot join other branch's floor plan",
+          });
+          return;
+        }
+
+        const room = getFloorPlanRoom(branchId);
+        socket.join(room);
+        socket.emit("joined", {
+          room,
+          type: "floor_plan",
+          message: "Successfully joined floor plan",
+        });
+        socket.emit(
+          "floor_plan:update",
+          await floorPlanService.getLiveFloorPlan(branchId)
+        );
+      } catch (error) {
+        logger.error(`Error in join:floor:plan: ${error.message}`);
+        socket.emit("action:error", {
+          event: "join:floor:plan",
+          message: "Failed to join room",
+        });
+      }
+    });
+
     // ==================== ORDER ACKNOWLEDGMENT ====================
 
     /**
@@ -385,6 +547,26 @@ export const setupOrderEvents = (io) => {
       );
     });
 
+    socket.on("leave:kitchen:station", (data) => {
+      const { branchId, station } = data || {};
+      socket.leave(getKitchenRoom(branchId, station));
+      logger.info(
+        `${userData.userModel} ${userData.id} left kitchen station ${station}`
+      );
+    });
+
+    socket.on("leave:table:cart", (cartId) => {
+      socket.leave(getTableCartRoom(cartId));
+      logger.info(`User ${userData.id} left table cart ${cartId}`);
+    });
+
+    socket.on("leave:floor:plan", (branchId) => {
+      socket.leave(getFloorPlanRoom(branchId));
+      logger.info(
+        `${userData.userModel} ${userData.id} left floor plan ${branchId}`
+      );
+    });
+
     // ==================== DISCONNECTION ====================
 
     socket.on("disconnect", () => {
@@ -0,0 +1,90 @@
+/**
+ * Time-of-day helpers in the business timezone
+ * (operating hours, meal periods, scheduled orders and reservations)
+ */
+
+import { BUSINESS_TIMEZONE } from "../config/constants.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const localFormatter = new Intl.DateTimeFormat("en-GB", {
+  timeZone: BUSINESS_TIMEZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+const getLocalParts = (date) =>
+  Object.fromEntries(
+    localFormatter
+      .formatToParts(date)
+      .filter((part) => part.type !== "literal")
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+/**
+ * Minutes since midnight in the business timezone
+ * @param {Date} date
+ * @returns {number}
+ */
+export const getLocalMinutes = (date) => {
+  const { hour, minute } = getLocalParts(date);
+  return hour * 60 + minute;
+};
+
+/**
+ * "HH:MM" → minutes since midnight
+ * @param {string} time
+ * @returns {number}
+ */
+export const toMinutes = (time) => {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+};
+
+/**
+ * Whether a time of day falls in [start, end); windows may wrap past midnight
+ */
+export const isWithinWindow = (minutes, start, end) => {
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+  if (startMinutes <= endMinutes) {
+    return minutes >= startMinutes && minutes < endMinutes;
+  }
+  return minutes >= startMinutes || minutes < endMinutes;
+};
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in the business timezone
+ * @param {Date} date
+ * @returns {string}
+ */
+export const getLocalDate = (date) => {
+  const { year, month, day } = getLocalParts(date);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+/**
+ * The instant at which a business-timezone date reaches a time of day
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} minutes - Minutes since local midnight (may exceed 24h)
+ * @returns {Date}
+ */
+export const fromLocalTime = (date, minutes) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+
+  // Shift by the zone's offset at that moment
+  const local = getLocalParts(new Date(guess));
+  const localAsUtc = Date.UTC(
+    local.year,
+    local.month - 1,
+    local.day,
+    local.hour,
+    local.minute
+  );
+  return new Date(guess - (localAsUtc - guess));
+};
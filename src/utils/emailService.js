@@ -1,4 +1,8 @@
 import nodemailer from "nodemailer";
+import {
+  BUSINESS_TIMEZONE,
+  RESERVATION_SETTINGS,
+} from "../config/constants.js";
 
 // Lazy transporter initialization to ensure env vars are loaded
 let transporter = null;
@@ -1225,3 +1229,90 @@ export const sendReviewResponseEmail = async (review, user, admin, message) => {
     throw error;
   }
 };
+
+/**
+ * Send a reservation confirmation, reminder or cancellation email
+ * @param {Object} booking - Booking with populated hotel, branch and table
+ * @param {String} kind - "confirmation" | "reminder" | "cancellation"
+ * @param {String} to - Recipient email
+ */
+export const sendReservationEmail = async (booking, kind, to) => {
+  const hotelName = booking.hotel?.name || "Our Restaurant";
+  const branchName = booking.branch?.name || "";
+  const place = branchName ? `${hotelName} - ${branchName}` : hotelName;
+  const when = new Date(booking.reservationTime).toLocaleString("en-IN", {
+    timeZone: BUSINESS_TIMEZONE,
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+  const headings = {
+    confirmation: {
+      subject: `Your table at ${hotelName} is booked`,
+      title: "✅ Reservation Confirmed",
+      intro: "Your table is booked. We look forward to seeing you!",
+      color: "#4caf50",
+    },
+    reminder: {
+      subject: `Reminder: your table at ${hotelName} today`,
+      title: "⏰ See You Soon",
+      intro: "This is a reminder of your upcoming reservation.",
+      color: "#667eea",
+    },
+    cancellation: {
+      subject: `Your reservation at ${hotelName} has been cancelled`,
+      title: "❌ Reservation Cancelled",
+      intro: "Your reservation has been cancelled.",
+      color: "#dc3545",
+    },
+  };
+  const heading = headings[kind] || headings.confirmation;
+
+  await sendEmail({
+    to,
+    subject: heading.subject,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px; background-color: #ffffff;">
+        <h2 style="color: ${heading.color};">${heading.title}</h2>
+        <p style="font-size: 16px; color: #555;">Hi ${booking.customerName || "there"},</p>
+        <p style="font-size: 16px; color: #555; line-height: 1.6;">${heading.intro}</p>
+
+        <div style="background-color: #f5f7fa; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid ${heading.color};">
+          <p style="margin: 5px 0; color: #555;"><strong>Booking ID:</strong> ${booking.bookingId}</p>
+          <p style="margin: 5px 0; color: #555;"><strong>Where:</strong> ${place}</p>
+          ${
+            booking.branch?.location?.address
+              ? `<p style="margin: 5px 0; color: #555;"><strong>Address:</strong> ${booking.branch.location.address}, ${booking.branch.location.city}</p>`
+              : ""
+          }
+          <p style="margin: 5px 0; color: #555;"><strong>When:</strong> ${when}</p>
+          <p style="margin: 5px 0; color: #555;"><strong>Guests:</strong> ${booking.partySize}</p>
+          ${
+            booking.table?.tableNumber && kind !== "cancellation"
+              ? `<p style="margin: 5px 0; color: #555;"><strong>Table:</strong> ${booking.table.tableNumber}</p>`
+              : ""
+          }
+        </div>
+
+        ${
+          kind !== "cancellation"
+            ? `<p style="font-size: 14px; color: #555;">Need to change or cancel? You can do it from the app up to ${RESERVATION_SETTINGS.cancellationCutoffMinutes} minutes before your booking${
+                booking.branch?.contactInfo?.phone
+                  ? `, or call us on ${booking.branch.contactInfo.phone}`
+                  : ""
+              }.</p>`
+            : ""
+        }
+
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #e0e0e0;">
+        <p style="color: #999; font-size: 12px; text-align: center;">
+          This is an automated message from ${hotelName}.
+        </p>
+      </div>
+    `,
+  });
+};
@@ -9,3 +9,26 @@ export const sendSmsOtp = async (phone, otp) => {
     to: phone,
   });
 };
+
+// Waitlist phones are stored as 10-digit Indian numbers
+const toE164 = (phone) => (phone.startsWith("+") ? phone : `+91${phone}`);
+
+// Code a diner reads out to staff to redeem coins on a POS / phone order
+export const sendCoinRedemptionOtpSms = async (phone, otp) => {
+  await client.messages.create({
+    body: `Your code to redeem coins on your order is ${otp}. Share it only with the staff member taking your order.`,
+    from: process.env.TWILIO_PHONE,
+    to: toE164(phone),
+  });
+};
+
+export const sendWaitlistReadySms = async (
+  phone,
+  { customerName, tableNumber, branchName, holdMinutes }
+) => {
+  await client.messages.create({
+    body: `Hi ${customerName}, your table ${tableNumber} at ${branchName} is ready. Please see the host within ${holdMinutes} minutes.`,
+    from: process.env.TWILIO_PHONE,
+    to: toE164(phone),
+  });
+};
@@ -152,6 +152,42 @@ const optionalEnvVars = {
     default: "45",
   },
   MAX_QUEUE_SIZE: { description: "Maximum queue size", default: "100" },
+
+  // Shared state and Socket.IO rooms across instances (MongoDB is used for
+  // state when unset, and sockets stay local to each instance)
+  REDIS_URL: { description: "Redis connection URL" },
+  REDIS_KEY_PREFIX: { description: "Redis key prefix", default: "tabletop:" },
+  SOCKET_TRANSPORTS: {
+    description: "Socket.IO transports, comma separated",
+    default: "polling,websocket",
+  },
+
+  // Push notifications; each provider is used once its credentials are set,
+  // otherwise (or with PUSH_DELIVERY=local) messages go to PUSH_LOG_FILE
+  PUSH_DELIVERY: {
+    description: "Push delivery mode",
+    default: "live",
+    validValues: ["live", "local"],
+  },
+  PUSH_LOG_FILE: {
+    description: "File local push deliveries are written to",
+    default: "logs/push-notifications.log",
+  },
+  FCM_PROJECT_ID: { description: "Firebase project ID" },
+  FCM_CLIENT_EMAIL: { description: "Firebase service account email" },
+  FCM_PRIVATE_KEY: { description: "Firebase service account private key" },
+  APNS_KEY_ID: { description: "APNs auth key ID" },
+  APNS_TEAM_ID: { description: "Apple developer team ID" },
+  APNS_PRIVATE_KEY: { description: "APNs auth key (.p8 contents)" },
+  APNS_BUNDLE_ID: { description: "iOS app bundle ID (APNs topic)" },
+  APNS_PRODUCTION: {
+    description: "Use the production APNs endpoint",
+    default: "false",
+    validValues: ["true", "false"],
+  },
+  VAPID_PUBLIC_KEY: { description: "Web push VAPID public key" },
+  VAPID_PRIVATE_KEY: { description: "Web push VAPID private key" },
+  VAPID_SUBJECT: { description: "Web push contact (mailto: or https: URL)" },
 };
 
 /**
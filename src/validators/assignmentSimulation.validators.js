@@ -0,0 +1,37 @@
+import Joi from "joi";
+import {
+  SIMULATION_STRATEGIES,
+  ASSIGNMENT_SIMULATION_LIMITS,
+} from "../config/constants.js";
+
+const localDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ "string.pattern.base": "Date must be in YYYY-MM-DD format" });
+const objectId = Joi.string().length(24).hex();
+
+export const assignmentSimulationValidationSchemas = {
+  simulate: Joi.object({
+    branchId: objectId.required(),
+    from: localDate.required(),
+    to: localDate.required(),
+    strategies: Joi.array()
+      .items(Joi.string().valid(...SIMULATION_STRATEGIES))
+      .unique()
+      .min(1)
+      .default(["load_balancing"]),
+    // Defaults to the branch's current waiters
+    waiters: Joi.array()
+      .items(objectId)
+      .unique()
+      .min(1)
+      .max(ASSIGNMENT_SIMULATION_LIMITS.maxRosterSize)
+      .optional(),
+    maxOrdersPerWaiter: Joi.number().integer().min(1).max(50).optional(),
+    respectShifts: Joi.boolean().default(false),
+    serviceMinutes: Joi.number()
+      .integer()
+      .min(0)
+      .max(240)
+      .default(ASSIGNMENT_SIMULATION_LIMITS.serviceMinutes),
+  }),
+};
@@ -0,0 +1,70 @@
+import Joi from "joi";
+
+const objectId = Joi.string().length(24).hex();
+const localDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ "string.pattern.base": "Date must be in YYYY-MM-DD format" });
+
+export const attendanceValidationSchemas = {
+  // Clock-in / clock-out; location and device are only required when the
+  // branch enforces them
+  punch: Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    accuracy: Joi.number().min(0).optional(),
+    deviceId: Joi.string().trim().max(200).optional(),
+    notes: Joi.string().trim().max(500).optional().allow(""),
+  }).and("latitude", "longitude"),
+
+  history: Joi.object({
+    from: localDate.optional(),
+    to: localDate.optional(),
+  }),
+
+  settings: Joi.object({
+    requireGeofence: Joi.boolean().optional(),
+    geofenceRadiusMeters: Joi.number().integer().min(10).max(5000).optional(),
+    requireApprovedDevice: Joi.boolean().optional(),
+    lateGraceMinutes: Joi.number().integer().min(0).max(120).optional(),
+  }).min(1),
+
+  device: Joi.object({
+    deviceId: Joi.string().trim().max(200).required(),
+    label: Joi.string().trim().max(100).optional().allow(""),
+  }),
+
+  timesheets: Joi.object({
+    from: localDate.required(),
+    to: localDate.required(),
+    staffId: objectId.optional(),
+    approvalStatus: Joi.string()
+      .valid("pending", "approved", "rejected", "all")
+      .default("all"),
+  }),
+
+  // Correct the punched times; breaks replace the recorded ones
+  adjust: Joi.object({
+    clockInAt: Joi.date().iso().optional(),
+    clockOutAt: Joi.date().iso().optional(),
+    breaks: Joi.array()
+      .items(
+        Joi.object({
+          start: Joi.date().iso().required(),
+          end: Joi.date().iso().greater(Joi.ref("start")).required(),
+        })
+      )
+      .optional(),
+    reason: Joi.string().trim().min(3).max(500).required(),
+  }).or("clockInAt", "clockOutAt", "breaks"),
+
+  review: Joi.object({
+    decision: Joi.string().valid("approved", "rejected").required(),
+    note: Joi.string().trim().max(500).optional().allow(""),
+  }),
+
+  report: Joi.object({
+    from: localDate.required(),
+    to: localDate.required(),
+    staffId: objectId.optional(),
+  }),
+};
@@ -1,12 +1,63 @@
 import Joi from "joi";
 
+const objectId = Joi.string().length(24).hex();
+const localDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ "string.pattern.base": "Date must be in YYYY-MM-DD format" });
+
 export const validateBooking = (data) => {
   const schema = Joi.object({
-    user: Joi.string().required(),
+    user: Joi.string().optional(),
     branch: Joi.string().required(),
-    table: Joi.string().required(),
-    bookingTime: Joi.date().greater("now").required(),
+    table: Joi.string().optional(),
+    partySize: Joi.number().integer().min(1).required(),
+    reservationTime: Joi.date().greater("now").required(),
   });
   return schema.validate(data);
 };
 
+// Customer reservation API (/user/reservations)
+export const reservationValidationSchemas = {
+  availability: Joi.object({
+    branchId: objectId.required().messages({
+      "any.required": "Branch ID is required",
+    }),
+    date: localDate.required(),
+    partySize: Joi.number().integer().min(1).max(50).required(),
+  }),
+
+  create: Joi.object({
+    branchId: objectId.required().messages({
+      "any.required": "Branch ID is required",
+    }),
+    reservationTime: Joi.date().iso().greater("now").required(),
+    partySize: Joi.number().integer().min(1).max(50).required(),
+    customerName: Joi.string().trim().min(2).max(100).optional(),
+    contactNumber: Joi.string()
+      .pattern(/^[0-9]{10}$/)
+      .optional()
+      .messages({
+        "string.pattern.base": "Contact number must be 10 digits",
+      }),
+    email: Joi.string().email().optional(),
+    specialRequests: Joi.string().max(500).allow("").optional(),
+  }),
+
+  update: Joi.object({
+    reservationTime: Joi.date().iso().greater("now").optional(),
+    partySize: Joi.number().integer().min(1).max(50).optional(),
+    specialRequests: Joi.string().max(500).allow("").optional(),
+  }).min(1),
+
+  cancel: Joi.object({
+    reason: Joi.string().max(500).allow("").optional(),
+  }),
+
+  list: Joi.object({
+    status: Joi.string()
+      .valid("upcoming", "past", "cancelled", "all")
+      .default("upcoming"),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  }),
+};
@@ -46,6 +46,22 @@ export const validateBranch = (data) => {
         }),
       isOpen24Hours: Joi.boolean().optional(),
     }).required(),
+    orderTypes: Joi.object({
+      takeaway: Joi.object({
+        enabled: Joi.boolean().optional(),
+        packagingCharge: Joi.number().min(0).optional(),
+      }).optional(),
+      delivery: Joi.object({
+        enabled: Joi.boolean().optional(),
+        packagingCharge: Joi.number().min(0).optional(),
+      }).optional(),
+    }).optional(),
+    reservationSettings: Joi.object({
+      enabled: Joi.boolean().optional(),
+      slotMinutes: Joi.number().integer().min(15).max(120).optional(),
+      diningDurationMinutes: Joi.number().integer().min(30).max(360).optional(),
+      maxPartySize: Joi.number().integer().min(1).max(50).optional(),
+    }).optional(),
     capacity: Joi.object({
       totalTables: Joi.number().integer().min(1).required(),
       maxOccupancy: Joi.number().integer().min(1).required(),
@@ -108,6 +124,22 @@ export const validateUpdateBranch = (data) => {
         }),
       isOpen24Hours: Joi.boolean().optional(),
     }).optional(),
+    orderTypes: Joi.object({
+      takeaway: Joi.object({
+        enabled: Joi.boolean().optional(),
+        packagingCharge: Joi.number().min(0).optional(),
+      }).optional(),
+      delivery: Joi.object({
+        enabled: Joi.boolean().optional(),
+        packagingCharge: Joi.number().min(0).optional(),
+      }).optional(),
+    }).optional(),
+    reservationSettings: Joi.object({
+      enabled: Joi.boolean().optional(),
+      slotMinutes: Joi.number().integer().min(15).max(120).optional(),
+      diningDurationMinutes: Joi.number().integer().min(30).max(360).optional(),
+      maxPartySize: Joi.number().integer().min(1).max(50).optional(),
+    }).optional(),
     capacity: Joi.object({
       totalTables: Joi.number().integer().min(1).optional(),
       maxOccupancy: Joi.number().integer().min(1).optional(),
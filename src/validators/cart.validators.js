@@ -1,4 +1,6 @@
 import Joi from "joi";
+import { modifierSelectionSchema } from "./modifierGroup.validators.js";
+import { comboSelectionSchema } from "./foodItem.validators.js";
 
 export const cartValidationSchemas = {
   addItem: Joi.object({
@@ -30,6 +32,8 @@ export const cartValidationSchemas = {
       ),
       removedIngredients: Joi.array().items(Joi.string()),
       specialInstructions: Joi.string().max(200),
+      modifiers: modifierSelectionSchema,
+      comboItems: comboSelectionSchema,
     }).optional(),
   }),
 
@@ -53,6 +57,8 @@ export const cartValidationSchemas = {
       ),
       removedIngredients: Joi.array().items(Joi.string()),
       specialInstructions: Joi.string().max(200),
+      modifiers: modifierSelectionSchema,
+      comboItems: comboSelectionSchema,
     }).required(),
   }),
 };
@@ -0,0 +1,64 @@
+import Joi from "joi";
+import { FLOOR_AREA_TYPES, TABLE_SHAPES } from "../config/constants.js";
+
+const objectId = Joi.string().length(24).hex();
+
+const areaName = Joi.string().trim().min(1).max(50);
+
+export const floorPlanValidationSchemas = {
+  // The editor saves the whole layout at once
+  save: Joi.object({
+    areas: Joi.array()
+      .items(
+        Joi.object({
+          name: areaName.required(),
+          type: Joi.string()
+            .valid(...FLOOR_AREA_TYPES)
+            .default("indoor"),
+          width: Joi.number().min(1).optional(),
+          height: Joi.number().min(1).optional(),
+          sortOrder: Joi.number().integer().optional(),
+        })
+      )
+      .unique("name")
+      .min(1)
+      .required()
+      .messages({ "array.unique": "Area names must be unique" }),
+
+    tables: Joi.array()
+      .items(
+        Joi.object({
+          table: objectId.required(),
+          area: areaName.required(),
+          shape: Joi.string()
+            .valid(...TABLE_SHAPES)
+            .default("square"),
+          x: Joi.number().min(0).required(),
+          y: Joi.number().min(0).required(),
+          width: Joi.number().min(1).optional(),
+          height: Joi.number().min(1).optional(),
+          rotation: Joi.number().min(0).max(359).default(0),
+        })
+      )
+      .unique("table")
+      .default([])
+      .messages({ "array.unique": "A table can only be placed once" }),
+
+    sections: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().min(1).max(50).required(),
+          area: areaName.optional(),
+          color: Joi.string()
+            .pattern(/^#[0-9a-fA-F]{6}$/)
+            .optional()
+            .messages({ "string.pattern.base": "Color must be a hex code" }),
+          tables: Joi.array().items(objectId).unique().default([]),
+          waiters: Joi.array().items(objectId).unique().default([]),
+        })
+      )
+      .unique("name")
+      .default([])
+      .messages({ "array.unique": "Section names must be unique" }),
+  }),
+};
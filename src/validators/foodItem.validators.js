@@ -1,5 +1,6 @@
 import Joi from "joi";
 import { APIError } from "../utils/APIError.js";
+import { KITCHEN_STATIONS } from "../config/constants.js";
 
 // Valid GST rates as per Indian GST slabs
 const VALID_GST_RATES = [0, 5, 12, 18, 28];
@@ -18,6 +19,10 @@ export const validateFoodItemData = (data, isUpdate = false) => {
     shortDescription: Joi.string().allow("").max(200),
     price: Joi.number().min(0),
     discountPrice: Joi.number().min(0),
+    orderTypePricing: Joi.object({
+      takeaway: Joi.number().min(0).allow(null),
+      delivery: Joi.number().min(0).allow(null),
+    }),
     foodType: Joi.string().valid(
       "veg",
       "non-veg",
@@ -84,6 +89,9 @@ export const validateFoodItemData = (data, isUpdate = false) => {
       sugar: Joi.number().min(0),
     }).unknown(false),
     preparationTime: Joi.number().min(1).max(180),
+    kitchenStation: Joi.string()
+      .valid(...KITCHEN_STATIONS)
+      .allow(null, ""),
     servingSize: Joi.string(),
     ingredients: Joi.array().items(Joi.string().trim()),
     allergens: Joi.array().items(
@@ -103,6 +111,20 @@ export const validateFoodItemData = (data, isUpdate = false) => {
     displayOrder: Joi.number(),
     isLimitedQuantity: Joi.boolean(),
     quantityAvailable: Joi.number().min(0).allow(null),
+    itemType: Joi.string().valid("single", "combo"),
+    comboSlots: Joi.array().items(
+      Joi.object({
+        _id: Joi.string().length(24).hex(),
+        name: Joi.string().trim().max(100).required(),
+        type: Joi.string().valid("fixed", "choice").default("fixed"),
+        foodItems: Joi.array()
+          .items(Joi.string().length(24).hex())
+          .unique()
+          .min(1)
+          .required(),
+        quantity: Joi.number().integer().min(1).default(1),
+      })
+    ),
     createdBy: Joi.string(),
     lastModifiedBy: Joi.string(),
   }).unknown(true); // Allow other fields to pass through
@@ -119,6 +141,14 @@ export const validateFoodItemData = (data, isUpdate = false) => {
   return value;
 };
 
+// What diners send for a combo: the item picked in each choice slot
+export const comboSelectionSchema = Joi.array().items(
+  Joi.object({
+    slot: Joi.string().length(24).hex().required(),
+    foodItem: Joi.string().length(24).hex().required(),
+  })
+);
+
 /**
  * Middleware to validate GST rate in request body
  */
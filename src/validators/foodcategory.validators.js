@@ -1,4 +1,5 @@
 import Joi from "joi";
+import { KITCHEN_STATIONS } from "../config/constants.js";
 
 export const foodCategoryValidationSchemas = {
   create: Joi.object({
@@ -51,6 +52,9 @@ export const foodCategoryValidationSchemas = {
       dinner: Joi.boolean(),
       snacks: Joi.boolean(),
     }).optional(),
+    kitchenStation: Joi.string()
+      .valid(...KITCHEN_STATIONS)
+      .optional(),
     slug: Joi.string().lowercase().trim().optional(),
   }),
 
@@ -68,6 +72,9 @@ export const foodCategoryValidationSchemas = {
       dinner: Joi.boolean(),
       snacks: Joi.boolean(),
     }).optional(),
+    kitchenStation: Joi.string()
+      .valid(...KITCHEN_STATIONS)
+      .optional(),
     slug: Joi.string().lowercase().trim().optional(),
   }),
 };
@@ -1,5 +1,7 @@
 import Joi from "joi";
 
+const objectId = Joi.string().length(24).hex();
+
 export const validateInventory = (data) => {
   const schema = Joi.object({
     branch: Joi.string().required(),
@@ -11,3 +13,58 @@ export const validateInventory = (data) => {
   return schema.validate(data);
 };
 
+export const inventoryValidationSchemas = {
+  create: Joi.object({
+    branchId: objectId.required().messages({
+      "any.required": "Branch ID is required",
+    }),
+    itemName: Joi.string().trim().max(100).required(),
+    quantity: Joi.number().min(0).required(),
+    unit: Joi.string().trim().max(20).required(),
+    threshold: Joi.number().min(0).default(5),
+    costPerUnit: Joi.number().min(0).default(0),
+  }),
+
+  update: Joi.object({
+    itemName: Joi.string().trim().max(100).optional(),
+    unit: Joi.string().trim().max(20).optional(),
+    threshold: Joi.number().min(0).optional(),
+    costPerUnit: Joi.number().min(0).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Manual stock movements; order deductions are never posted by hand
+  adjust: Joi.object({
+    type: Joi.string().valid("restock", "adjustment", "waste").required(),
+    quantity: Joi.number()
+      .invalid(0)
+      .required()
+      .when("type", {
+        is: Joi.valid("restock", "waste"),
+        then: Joi.number().positive(),
+      })
+      .messages({
+        "any.invalid": "Quantity cannot be 0",
+        "number.positive": "Quantity must be positive for restock and waste",
+      }),
+    note: Joi.string().max(500).allow("").optional(),
+  }),
+};
+
+export const recipeValidationSchema = Joi.object({
+  ingredients: Joi.array()
+    .items(
+      Joi.object({
+        inventory: objectId.required(),
+        quantity: Joi.number().positive().required(),
+      })
+    )
+    .unique((a, b) => a.inventory === b.inventory)
+    .min(1)
+    .required()
+    .messages({
+      "array.min": "A recipe needs at least one ingredient",
+      "array.unique": "Each inventory item can only appear once in a recipe",
+    }),
+  notes: Joi.string().max(500).allow("").optional(),
+});
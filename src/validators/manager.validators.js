@@ -69,6 +69,7 @@ export const managerValidationSchemas = {
       viewFeedback: Joi.boolean().default(true),
       viewReports: Joi.boolean().default(true),
       viewBranchAnalytics: Joi.boolean().default(true),
+      manageInventory: Joi.boolean().default(true),
       internalChat: Joi.boolean().default(true),
     }).optional(),
     profileImage: Joi.string().uri().allow(null, ""),
@@ -160,6 +161,7 @@ export const managerValidationSchemas = {
       viewFeedback: Joi.boolean(),
       viewReports: Joi.boolean(),
       viewBranchAnalytics: Joi.boolean(),
+      manageInventory: Joi.boolean(),
       internalChat: Joi.boolean(),
     }).required(),
   }),
@@ -0,0 +1,54 @@
+import Joi from "joi";
+
+const objectId = Joi.string().length(24).hex();
+
+const optionSchema = Joi.object({
+  _id: objectId.optional(),
+  name: Joi.string().trim().max(100).required().messages({
+    "any.required": "Option name is required",
+  }),
+  price: Joi.number().min(0).default(0),
+  isAvailable: Joi.boolean().default(true),
+});
+
+export const modifierGroupValidationSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().max(100).required().messages({
+      "any.required": "Modifier group name is required",
+    }),
+    description: Joi.string().max(300).allow("").optional(),
+    hotelId: objectId.required().messages({
+      "any.required": "Hotel ID is required",
+    }),
+    branchId: objectId.optional().allow(null),
+    minSelect: Joi.number().integer().min(0).default(0),
+    maxSelect: Joi.number().integer().min(1).default(1),
+    options: Joi.array().items(optionSchema).min(1).required().messages({
+      "array.min": "A modifier group needs at least one option",
+    }),
+    foodItems: Joi.array().items(objectId).unique().default([]),
+    categories: Joi.array().items(objectId).unique().default([]),
+    displayOrder: Joi.number().integer().min(0).optional(),
+    isActive: Joi.boolean().default(true),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    description: Joi.string().max(300).allow("").optional(),
+    minSelect: Joi.number().integer().min(0).optional(),
+    maxSelect: Joi.number().integer().min(1).optional(),
+    options: Joi.array().items(optionSchema).min(1).optional(),
+    foodItems: Joi.array().items(objectId).unique().optional(),
+    categories: Joi.array().items(objectId).unique().optional(),
+    displayOrder: Joi.number().integer().min(0).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+};
+
+// What diners send when ordering: the options picked in each group
+export const modifierSelectionSchema = Joi.array().items(
+  Joi.object({
+    group: objectId.required(),
+    options: Joi.array().items(objectId).unique().min(1).required(),
+  })
+);
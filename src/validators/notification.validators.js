@@ -0,0 +1,38 @@
+import Joi from "joi";
+import {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_SETTINGS,
+} from "../config/constants.js";
+
+const objectId = Joi.string().length(24).hex();
+const category = Joi.string().valid(...NOTIFICATION_CATEGORIES);
+
+export const notificationValidationSchemas = {
+  list: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(NOTIFICATION_SETTINGS.maxPageSize)
+      .default(NOTIFICATION_SETTINGS.defaultPageSize),
+    unreadOnly: Joi.boolean().default(false),
+    category: category.optional(),
+  }),
+
+  markRead: Joi.object({
+    notificationIds: Joi.array()
+      .items(objectId)
+      .unique()
+      .min(1)
+      .max(100)
+      .required(),
+  }),
+
+  markAllRead: Joi.object({
+    category: category.optional(),
+  }),
+
+  notificationId: Joi.object({
+    notificationId: objectId.required(),
+  }),
+};
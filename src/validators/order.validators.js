@@ -1,4 +1,59 @@
 import Joi from "joi";
+import { ORDER_TYPES } from "../config/constants.js";
+
+const phonePattern = /^[+]?[0-9\s\-\(\)]{10,15}$/;
+
+// Takeaway pickup details
+export const pickupSchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  phone: Joi.string().pattern(phonePattern).optional(),
+  pickupTime: Joi.date().greater("now").optional(),
+});
+
+// Delivery destination
+export const deliveryAddressSchema = Joi.object({
+  contactName: Joi.string().trim().max(100).required(),
+  contactPhone: Joi.string().pattern(phonePattern).required(),
+  addressLine1: Joi.string().trim().max(200).required(),
+  addressLine2: Joi.string().trim().max(200).allow("").optional(),
+  landmark: Joi.string().trim().max(100).allow("").optional(),
+  city: Joi.string().trim().max(100).required(),
+  state: Joi.string().trim().max(100).optional(),
+  pincode: Joi.string()
+    .pattern(/^[0-9]{6}$/)
+    .required()
+    .messages({ "string.pattern.base": "Pincode must be 6 digits" }),
+  instructions: Joi.string().max(200).allow("").optional(),
+  coordinates: Joi.object({
+    latitude: Joi.number().min(-90).max(90),
+    longitude: Joi.number().min(-180).max(180),
+  }).optional(),
+});
+
+/**
+ * Order type keys shared by the checkout validators. Takeaway needs pickup
+ * details and delivery needs an address; dine-in orders need a table.
+ */
+export const orderTypeFields = {
+  orderType: Joi.string()
+    .valid(...ORDER_TYPES)
+    .default("dine_in"),
+  pickup: pickupSchema.when("orderType", {
+    is: "takeaway",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  deliveryAddress: deliveryAddressSchema.when("orderType", {
+    is: "delivery",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+};
+
+export const validateOrderTypeDetails = (data) => {
+  const schema = Joi.object(orderTypeFields).unknown(true);
+  return schema.validate(data);
+};
 
 export const validateOrder = (data) => {
   const schema = Joi.object({
@@ -76,3 +131,57 @@ export const validateOrder = (data) => {
   return schema.validate(data);
 };
 
+
+export const validateBillSplit = (data) => {
+  const shareSchema = Joi.object({
+    payer: Joi.object({
+      name: Joi.string().trim().max(100).optional(),
+      email: Joi.string().email().optional(),
+      phone: Joi.string()
+        .pattern(/^[+]?[0-9\s\-\(\)]{10,15}$/)
+        .optional(),
+    }).optional(),
+    paymentMethod: Joi.string()
+      .valid("cash", "razorpay", "phonepe", "paytm")
+      .default("cash"),
+    amount: Joi.number().positive().precision(2),
+    items: Joi.array().items(
+      Joi.object({
+        orderItemId: Joi.string().length(24).hex().required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    ),
+  });
+
+  const schema = Joi.object({
+    mode: Joi.string().valid("equal", "by_item", "custom").required(),
+    numberOfShares: Joi.number()
+      .integer()
+      .min(2)
+      .max(20)
+      .when("mode", { is: "equal", then: Joi.required() }),
+    // Per-share details; required for by_item (items) and custom (amount)
+    shares: Joi.array()
+      .max(20)
+      .when("mode", {
+        switch: [
+          {
+            is: "by_item",
+            then: Joi.array()
+              .items(shareSchema.fork(["items"], (field) => field.required()))
+              .min(2)
+              .required(),
+          },
+          {
+            is: "custom",
+            then: Joi.array()
+              .items(shareSchema.fork(["amount"], (field) => field.required()))
+              .min(2)
+              .required(),
+          },
+        ],
+        otherwise: Joi.array().items(shareSchema),
+      }),
+  });
+  return schema.validate(data);
+};
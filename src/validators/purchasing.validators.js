@@ -0,0 +1,97 @@
+import Joi from "joi";
+
+const objectId = Joi.string().length(24).hex();
+
+export const supplierValidationSchemas = {
+  create: Joi.object({
+    hotelId: objectId.optional(),
+    branchId: objectId.allow(null).optional(),
+    name: Joi.string().trim().max(100).required(),
+    contactPerson: Joi.string().trim().max(100).allow("").optional(),
+    phone: Joi.string()
+      .pattern(/^[0-9+\-\s]{7,20}$/)
+      .allow("")
+      .optional()
+      .messages({
+        "string.pattern.base": "Please provide a valid phone number",
+      }),
+    email: Joi.string().email().allow("").optional(),
+    address: Joi.string().trim().max(300).allow("").optional(),
+    gstNumber: Joi.string().trim().max(15).allow("").optional(),
+    paymentTermsDays: Joi.number().integer().min(0).max(365).optional(),
+    notes: Joi.string().max(500).allow("").optional(),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    contactPerson: Joi.string().trim().max(100).allow("").optional(),
+    phone: Joi.string()
+      .pattern(/^[0-9+\-\s]{7,20}$/)
+      .allow("")
+      .optional()
+      .messages({
+        "string.pattern.base": "Please provide a valid phone number",
+      }),
+    email: Joi.string().email().allow("").optional(),
+    address: Joi.string().trim().max(300).allow("").optional(),
+    gstNumber: Joi.string().trim().max(15).allow("").optional(),
+    paymentTermsDays: Joi.number().integer().min(0).max(365).optional(),
+    notes: Joi.string().max(500).allow("").optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+};
+
+const purchaseOrderItemsSchema = Joi.array()
+  .items(
+    Joi.object({
+      inventory: objectId.required(),
+      quantityOrdered: Joi.number().positive().required(),
+      unitCost: Joi.number().min(0).required(),
+    })
+  )
+  .unique((a, b) => a.inventory === b.inventory)
+  .min(1)
+  .messages({
+    "array.min": "A purchase order needs at least one item",
+    "array.unique": "Each inventory item can only appear once per order",
+  });
+
+export const purchaseOrderValidationSchemas = {
+  create: Joi.object({
+    branchId: objectId.optional(),
+    supplierId: objectId.required().messages({
+      "any.required": "Supplier ID is required",
+    }),
+    items: purchaseOrderItemsSchema.required(),
+    expectedDeliveryDate: Joi.date().iso().optional(),
+    notes: Joi.string().max(1000).allow("").optional(),
+  }),
+
+  // Only drafts can be edited
+  update: Joi.object({
+    supplierId: objectId.optional(),
+    items: purchaseOrderItemsSchema.optional(),
+    expectedDeliveryDate: Joi.date().iso().allow(null).optional(),
+    notes: Joi.string().max(1000).allow("").optional(),
+  }).min(1),
+
+  receive: Joi.object({
+    items: Joi.array()
+      .items(
+        Joi.object({
+          itemId: objectId.required(),
+          quantity: Joi.number().positive().required(),
+          // Invoice price when it differs from the ordered price
+          unitCost: Joi.number().min(0).optional(),
+        })
+      )
+      .unique("itemId")
+      .min(1)
+      .required(),
+    note: Joi.string().max(500).allow("").optional(),
+  }),
+
+  cancel: Joi.object({
+    reason: Joi.string().max(500).allow("").optional(),
+  }),
+};
@@ -0,0 +1,28 @@
+import Joi from "joi";
+import { PUSH_PROVIDERS, DEVICE_PLATFORMS } from "../config/constants.js";
+
+export const pushDeviceValidationSchemas = {
+  register: Joi.object({
+    // FCM / APNs device token, or the web PushSubscription as JSON
+    token: Joi.string().trim().max(4096).required(),
+    provider: Joi.string()
+      .valid(...PUSH_PROVIDERS)
+      .required(),
+    platform: Joi.string()
+      .required()
+      .when("provider", {
+        switch: [
+          { is: "apns", then: Joi.valid("ios") },
+          { is: "webpush", then: Joi.valid("web") },
+        ],
+        otherwise: Joi.valid(...DEVICE_PLATFORMS),
+      })
+      .messages({ "any.only": "Platform does not match the push provider" }),
+    deviceName: Joi.string().trim().max(100).optional(),
+    appVersion: Joi.string().trim().max(30).optional(),
+  }),
+
+  unregister: Joi.object({
+    token: Joi.string().trim().max(4096).required(),
+  }),
+};
@@ -0,0 +1,32 @@
+import Joi from "joi";
+import { SERVICE_REQUEST_TYPES } from "../config/constants.js";
+
+const objectId = Joi.string().length(24).hex();
+
+export const serviceRequestValidationSchemas = {
+  // Diner at the table; table is identified by the QR code data
+  create: Joi.object({
+    hotelId: objectId.required(),
+    branchId: objectId.optional().allow(null, ""),
+    tableNo: Joi.string().trim().required(),
+    type: Joi.string()
+      .valid(...SERVICE_REQUEST_TYPES)
+      .required(),
+    message: Joi.string()
+      .trim()
+      .max(200)
+      .when("type", {
+        is: "custom",
+        then: Joi.required(),
+        otherwise: Joi.optional().allow(""),
+      })
+      .messages({ "any.required": "Tell us what you need" }),
+  }),
+
+  list: Joi.object({
+    status: Joi.string()
+      .valid("open", "acknowledged", "completed", "cancelled", "active")
+      .default("active"),
+    scope: Joi.string().valid("mine", "branch").default("mine"),
+  }),
+};
@@ -176,6 +176,19 @@ export const staffValidationSchemas = {
         shift: Joi.string().valid("morning", "afternoon", "evening", "night"),
       }),
     }),
+
+    // Used by the section_skill assignment strategy
+    specializations: Joi.array()
+      .items(
+        Joi.string().valid(
+          "vip_service",
+          "large_groups",
+          "quick_service",
+          "beverage_expert",
+          "multilingual"
+        )
+      )
+      .unique(),
   }),
 
   // Password change validation
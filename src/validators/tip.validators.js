@@ -0,0 +1,49 @@
+import Joi from "joi";
+
+const localDate = Joi.string()
+  .pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ "string.pattern.base": "Date must be in YYYY-MM-DD format" });
+const timePattern = Joi.string()
+  .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+  .messages({ "string.pattern.base": "Time must be in HH:mm format" });
+
+export const tipValidationSchemas = {
+  settings: Joi.object({
+    directSharePercent: Joi.number().min(0).max(100).optional(),
+    kitchenSharePercent: Joi.number().min(0).max(100).optional(),
+    shifts: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().trim().min(1).max(30).required(),
+          start: timePattern.required(),
+          end: timePattern.required(),
+        })
+      )
+      .unique("name")
+      .min(1)
+      .optional(),
+  })
+    .min(1)
+    .custom((value, helpers) => {
+      if (
+        (value.directSharePercent || 0) + (value.kitchenSharePercent || 0) >
+        100
+      ) {
+        return helpers.message(
+          "Direct and kitchen shares together cannot exceed 100%"
+        );
+      }
+      return value;
+    }),
+
+  distribute: Joi.object({
+    date: localDate.required(),
+    shift: Joi.string().trim().required(),
+  }),
+
+  range: Joi.object({
+    from: localDate.required(),
+    to: localDate.required(),
+    status: Joi.string().valid("draft", "finalized", "all").default("all"),
+  }),
+};
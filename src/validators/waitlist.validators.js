@@ -0,0 +1,50 @@
+import Joi from "joi";
+import { WAITLIST_SETTINGS } from "../config/constants.js";
+
+const objectId = Joi.string().length(24).hex();
+
+// Host-stand waitlist (/staff/waitlist)
+export const waitlistValidationSchemas = {
+  add: Joi.object({
+    customerName: Joi.string().trim().min(2).max(100).required(),
+    phone: Joi.string()
+      .pattern(/^[0-9]{10}$/)
+      .required()
+      .messages({ "string.pattern.base": "Phone number must be 10 digits" }),
+    partySize: Joi.number()
+      .integer()
+      .min(1)
+      .max(WAITLIST_SETTINGS.maxPartySize)
+      .required(),
+    notes: Joi.string().max(300).allow("").optional(),
+  }),
+
+  update: Joi.object({
+    customerName: Joi.string().trim().min(2).max(100).optional(),
+    phone: Joi.string()
+      .pattern(/^[0-9]{10}$/)
+      .optional()
+      .messages({ "string.pattern.base": "Phone number must be 10 digits" }),
+    partySize: Joi.number()
+      .integer()
+      .min(1)
+      .max(WAITLIST_SETTINGS.maxPartySize)
+      .optional(),
+    notes: Joi.string().max(300).allow("").optional(),
+  }).min(1),
+
+  // Without a tableId the party takes the table it was notified for
+  seat: Joi.object({
+    tableId: objectId.optional(),
+  }),
+
+  remove: Joi.object({
+    status: Joi.string().valid("cancelled", "no_show").default("cancelled"),
+  }),
+
+  list: Joi.object({
+    status: Joi.string()
+      .valid("active", "seated", "cancelled", "no_show", "all")
+      .default("active"),
+  }),
+};